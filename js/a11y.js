@@ -64,11 +64,28 @@ export function trapFocus(modalEl, { onEscape } = {}) {
   };
 }
 
+// Inline as well as .sr-only, since not every page loads the stylesheet that defines it
+const SR_ONLY_STYLE = 'position:absolute;width:1px;height:1px;margin:-1px;overflow:hidden;clip:rect(0,0,0,0);white-space:nowrap;border:0;';
+
+function markLive(el, politeness) {
+  el.setAttribute('aria-live', politeness);
+  el.setAttribute('aria-atomic', 'true');
+  if (politeness === 'polite') el.setAttribute('role', 'status');
+}
+
+// Visually hidden live region appended to <body>; the caller removes it when done
+export function createLiveRegion(politeness = 'polite', { className = '' } = {}) {
+  const el = document.createElement('div');
+  el.className = ['sr-only', className].filter(Boolean).join(' ');
+  el.style.cssText = SR_ONLY_STYLE;
+  markLive(el, politeness);
+  document.body.appendChild(el);
+  return el;
+}
+
 export function livePolite(el, msg) {
   if (!el) return;
-  el.setAttribute('aria-live', 'polite');
-  el.setAttribute('aria-atomic', 'true');
-  el.setAttribute('role', 'status');
+  markLive(el, 'polite');
   // Force re-announce even if same text:
   el.textContent = ''; 
   requestAnimationFrame(() => { el.textContent = msg; });
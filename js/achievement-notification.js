@@ -3,10 +3,17 @@
  * File: achievement-notification.js
  *
  * Visual notification system for when achievements are unlocked.
- * Works with the existing achievements.js system.
+ * Works with the existing achievements.js system. Other events kept in the
+ * notification inbox (unlocks, level-ups, milestones) can share the stack
+ * through showEventNotification().
+ *
+ * At most maxConcurrent toasts are on screen; the rest wait their turn in
+ * order and slide in as earlier ones leave.
  */
 
-import { ACHIEVEMENTS, checkAndUnlockAchievements } from './achievements.js';
+import {
+  ACHIEVEMENTS, TIER_ICONS, checkAndUnlockAchievements, describeAchievement, getAchievementTier
+} from './achievements.js';
 
 // ============================================================================
 // CONFIGURATION
@@ -22,6 +29,7 @@ const NOTIFICATION_CONFIG = {
 
 // Track active notifications and container
 let activeNotifications = [];
+let pendingNotifications = []; // built but waiting for a free slot, oldest first
 let notificationContainer = null;
 
 // Reusable AudioContext
@@ -74,14 +82,38 @@ export function showAchievementNotification(achievementId) {
     return null;
   }
 
-  // Respect max concurrent by removing the oldest immediately
+  return presentNotification(createNotificationElement(achievement, achievementId));
+}
+
+/**
+ * Show a notification inbox entry (difficulty unlock, level-up, milestone...)
+ * in the same stack as achievements
+ * @param {Object} entry - { icon, title, message } as stored by notification-inbox.js
+ * @returns {HTMLElement|null}
+ */
+export function showEventNotification(entry) {
+  initializeNotificationSystem();
+  if (!notificationContainer || !entry?.title) return null;
+
+  return presentNotification(buildNotificationElement({
+    icon: entry.icon || '🔔',
+    title: escapeHTML(entry.title),
+    name: '',
+    description: entry.message || ''
+  }));
+}
+
+/**
+ * Put a notification on screen, or queue it while the stack is full
+ * @param {HTMLElement} notification
+ * @returns {HTMLElement}
+ */
+function presentNotification(notification) {
   if (activeNotifications.length >= NOTIFICATION_CONFIG.maxConcurrent) {
-    // Immediately mark as being removed to avoid duplicate interactions
-    removeNotification(activeNotifications[0]);
+    pendingNotifications.push(notification);
+    return notification;
   }
 
-  const notification = createNotificationElement(achievement, achievementId);
-
   // Add to DOM & tracking before positioning so we can measure
   notificationContainer.appendChild(notification);
   activeNotifications.push(notification);
@@ -124,21 +156,34 @@ export function showMultipleAchievementNotifications(achievementIds) {
  * @returns {HTMLElement}
  */
 function createNotificationElement(achievement, achievementId) {
+  // Icon based on ID (fallback to default); a tiered achievement shows the tier it reached
+  const tier = getAchievementTier(achievementId);
+  return buildNotificationElement({
+    icon: getAchievementIcon(achievementId),
+    title: tier ? `${TIER_ICONS[tier]} ${tier[0].toUpperCase()}${tier.slice(1)} Achievement!` : 'Achievement Unlocked!',
+    name: achievement.name,
+    description: describeAchievement(achievement, tier || undefined)
+  });
+}
+
+/**
+ * Build a toast element
+ * @param {Object} content - { icon, title (HTML), name, description (text) }
+ * @returns {HTMLElement}
+ */
+function buildNotificationElement({ icon, title, name, description }) {
   const notification = document.createElement('div');
   notification.className = 'achievement-notification';
 
-  // Icon based on ID (fallback to default)
-  const icon = getAchievementIcon(achievementId);
-
   notification.innerHTML = `
     <div class="achievement-notification-content">
       <div class="achievement-icon" role="img" aria-label="Achievement icon">
-        ${icon}
+        ${escapeHTML(icon)}
       </div>
       <div class="achievement-text">
-        <h3 class="achievement-title">Achievement Unlocked!</h3>
-        <p class="achievement-name">${escapeHTML(achievement.name)}</p>
-        <small class="achievement-description">${escapeHTML(achievement.description)}</small>
+        <h3 class="achievement-title">${title}</h3>
+        ${name ? `<p class="achievement-name">${escapeHTML(name)}</p>` : ''}
+        <small class="achievement-description">${escapeHTML(description)}</small>
       </div>
       <button class="achievement-close" aria-label="Close notification" type="button">
         ×
@@ -182,15 +227,7 @@ function escapeHTML(s) {
  * @returns {string}
  */
 function getAchievementIcon(achievementId) {
-  const icons = {
-    firstSteps: '🚀',
-    consistent: '🔥',
-    dedicated: '💪',
-    personalBest: '⭐',
-    explorer: '🗺️',
-    default: '🏆'
-  };
-  return icons[achievementId] || icons.default;
+  return ACHIEVEMENTS[achievementId]?.icon || '🏆';
 }
 
 /**
@@ -254,6 +291,8 @@ function removeNotification(notification) {
   setTimeout(() => {
     if (notification.parentNode) notification.parentNode.removeChild(notification);
     repositionNotifications();
+    // The freed slot goes to the longest-waiting notification
+    if (pendingNotifications.length > 0) presentNotification(pendingNotifications.shift());
   }, NOTIFICATION_CONFIG.animationDuration);
 }
 
@@ -513,6 +552,7 @@ function addNotificationStyles() {
  * Clear all active notifications
  */
 export function clearAllNotifications() {
+  pendingNotifications = [];
   // create a copy because removeNotification mutates the array
   [...activeNotifications].forEach((n) => removeNotification(n));
 }
@@ -542,6 +582,7 @@ export function checkAndShowAchievementNotifications() {
 export const achievementNotifications = {
   show: showAchievementNotification,
   showMultiple: showMultipleAchievementNotifications,
+  showEvent: showEventNotification,
   clear: clearAllNotifications,
   setPosition: setNotificationPosition,
   checkAndShow: checkAndShowAchievementNotifications
@@ -1,11 +1,17 @@
 /**
  * FinePointRehab Achievement System
  * 
- * Unified achievement tracking with shared IDs and condition-based unlocking
+ * Unified achievement tracking with shared IDs and rule-based unlocking.
+ * Achievements are data (see ACHIEVEMENTS), so one engine both unlocks them
+ * and reports how far the player is from each one.
  */
 
 import { storage } from './utils.js';
-import { EXERCISES } from './exercises.js';
+import { EXERCISES, canonicalExerciseId } from './exercises.js';
+import { adaptiveDifficulty } from './adaptive-difficulty.js';
+import { currentStreak, getStreakPolicy, weekStart } from './streak-policy.js';
+import { dayKey, today } from './utils/date.js';
+import { addNotification } from './notification-inbox.js';
 
 // ============================================================================
 // SAFE STORAGE HELPERS
@@ -45,101 +51,743 @@ function saveUnlocked(set) {
 }
 
 // ============================================================================
-// ACHIEVEMENT DEFINITIONS (CURRENT PROJECT COMPATIBLE)
+// ACHIEVEMENT DEFINITIONS
 // ============================================================================
 
+/*
+ * An achievement's `rule` is one clause, or a list of clauses that must all hold:
+ *   scope       'global'      lifetime figures (see calculateStats)
+ *               'exercise'    one exercise's lifetime figures: sessions, best, and the
+ *                             running totals of session fields (see TOTALED_METRICS)
+ *               'difficulty'  sessions and best on one difficulty, for one exercise or,
+ *                             without `exercise`, across them all
+ *               'session'     a field of one session entry
+ *   metric      figure to compare
+ *   operator    one of OPERATORS
+ *   threshold   a number (true/false with '=='), or the name of another metric in the scope
+ *   exercise    limit the clause to one exercise
+ *   difficulty  required for 'difficulty' scope; on a session clause, only sessions on it count
+ *
+ * Optional extras:
+ *   tiers       { bronze, silver, gold } thresholds for a single-clause rule that leaves its
+ *               own threshold out; the achievement unlocks at its first tier and moves up.
+ *               `{threshold}` in the description is filled in per tier (describeAchievement)
+ *   repeat      'week': earned again in every practice week (Monday to Sunday) it is met
+ *   secret      hidden in the badge gallery until unlocked
+ *
+ * Achievements that belong to an exercise page carry `exercise` (which their clauses
+ * inherit) and an `exercise:localId` ID; the page unlocks them as it plays with
+ * unlockExerciseAchievements().
+ */
 export const ACHIEVEMENTS = {
   // Keep existing IDs that tests expect
-  firstSteps: { 
-    name: 'First Steps', 
+  firstSteps: {
+    name: 'First Steps',
     description: 'Complete your first session',
-    condition: ({ stats }) => stats.totalSessions >= 1
+    icon: '🚀',
+    rule: { scope: 'global', metric: 'totalSessions', operator: '>=', threshold: 1 }
   },
-  consistent: { 
-    name: 'Consistent', 
-    description: 'Achieve a 7-day streak',
-    condition: ({ stats }) => stats.streak >= 7
+  consistent: {
+    name: 'Consistent',
+    description: 'Achieve a {threshold}-day streak',
+    icon: '📅',
+    rule: { scope: 'global', metric: 'streak', operator: '>=' },
+    tiers: { bronze: 7, silver: 30, gold: 100 }
   },
-  dedicated: { 
-    name: 'Dedicated', 
-    description: 'Complete 50 total sessions',
-    condition: ({ stats }) => stats.totalSessions >= 50
+  dedicated: {
+    name: 'Dedicated',
+    description: 'Complete {threshold} total sessions',
+    icon: '💪',
+    rule: { scope: 'global', metric: 'totalSessions', operator: '>=' },
+    tiers: { bronze: 10, silver: 50, gold: 200 }
   },
-  personalBest: { 
-    name: 'Personal Best', 
+  personalBest: {
+    name: 'Personal Best',
     description: 'Beat your previous score',
-    condition: ({ stats }) => stats.newPersonalBest === true
+    icon: '⭐',
+    rule: { scope: 'global', metric: 'newPersonalBest', operator: '==', threshold: true }
   },
-  explorer: { 
-    name: 'Explorer', 
+  explorer: {
+    name: 'Explorer',
     description: 'Try all available exercises',
-    condition: ({ stats }) => stats.triedCount >= stats.totalExercises && stats.totalExercises > 0
+    icon: '🗺️',
+    rule: { scope: 'global', metric: 'triedCount', operator: '>=', threshold: 'totalExercises' }
   },
-  
-  // Future unified achievements (can be added later)
-  perfect_5: { 
-    name: 'Precision', 
+  perfect_5: {
+    name: 'Precision',
     description: 'Get 5 perfect moves in one session',
-    condition: ({ entry }) => (entry?.perfects ?? 0) >= 5
+    icon: '🎯',
+    rule: { scope: 'session', metric: 'perfects', operator: '>=', threshold: 5 }
   },
-  streak_10: { 
-    name: 'On Fire', 
+  streak_10: {
+    name: 'On Fire',
     description: 'Get 10 consecutive successes',
-    condition: ({ entry }) => (entry?.streak ?? 0) >= 10
+    icon: '🔥',
+    rule: { scope: 'session', metric: 'streak', operator: '>=', threshold: 10 }
   },
-  hard_clear: { 
-    name: 'Challenge Accepted', 
+  hard_clear: {
+    name: 'Challenge Accepted',
     description: 'Score 1000+ on hard difficulty',
-    condition: ({ entry }) => entry?.difficulty === 'hard' && (entry?.score ?? 0) >= 1000
+    icon: '🏆',
+    rule: { scope: 'difficulty', difficulty: 'hard', metric: 'best', operator: '>=', threshold: 1000 }
+  },
+  steady_week: {
+    name: 'Steady Week',
+    description: 'Practise on 5 days in one week',
+    icon: '🗓️',
+    repeat: 'week',
+    rule: { scope: 'global', metric: 'weekDays', operator: '>=', threshold: 5 }
+  },
+  full_week: {
+    name: 'Seven for Seven',
+    description: 'Practise on every day of a week',
+    icon: '🌈',
+    repeat: 'week',
+    secret: true,
+    rule: { scope: 'global', metric: 'weekDays', operator: '>=', threshold: 7 }
+  },
+
+  // Visual scanner
+  'scanner:sharp_eye': {
+    exercise: 'scanner',
+    name: 'Sharp Eye',
+    description: '10 consecutive correct finds',
+    icon: '👁️',
+    rule: { scope: 'session', metric: 'streak', operator: '>=', threshold: 10 }
+  },
+  'scanner:speed_demon': {
+    exercise: 'scanner',
+    name: 'Speed Demon',
+    description: 'Average reaction under 800ms',
+    icon: '⚡',
+    rule: [
+      { scope: 'session', metric: 'hits', operator: '>=', threshold: 5 },
+      { scope: 'session', metric: 'avgReaction', operator: '<', threshold: 800 }
+    ]
+  },
+  'scanner:perfect_ten': {
+    exercise: 'scanner',
+    name: 'Perfect Ten',
+    description: '100% accuracy with 10+ finds',
+    icon: '💯',
+    rule: [
+      { scope: 'session', metric: 'hits', operator: '>=', threshold: 10 },
+      { scope: 'session', metric: 'accuracy', operator: '>=', threshold: 100 }
+    ]
+  },
+  'scanner:golden_hunter': {
+    exercise: 'scanner',
+    name: 'Golden Hunter',
+    description: 'Find 5 golden bonus targets',
+    icon: '🏆',
+    rule: { scope: 'session', metric: 'goldenTargets', operator: '>=', threshold: 5 }
+  },
+  'scanner:marathon': {
+    exercise: 'scanner',
+    name: 'Marathon Runner',
+    description: 'Complete 10 sessions',
+    icon: '🏃',
+    rule: { scope: 'exercise', metric: 'sessions', operator: '>=', threshold: 10 }
+  },
+
+  // Sort & categorize
+  'sort:firstPerfect': {
+    exercise: 'sort',
+    name: 'First Steps',
+    description: 'Complete your first round',
+    icon: '🎯',
+    rule: { scope: 'session', metric: 'rounds', operator: '>=', threshold: 1 }
+  },
+  'sort:streak5': {
+    exercise: 'sort',
+    name: 'Hot Streak',
+    description: 'Get 5 correct in a row',
+    icon: '🔥',
+    rule: { scope: 'session', metric: 'streak', operator: '>=', threshold: 5 }
+  },
+  'sort:streak10': {
+    exercise: 'sort',
+    name: 'On Fire',
+    description: 'Get 10 correct in a row',
+    icon: '⚡',
+    rule: { scope: 'session', metric: 'streak', operator: '>=', threshold: 10 }
+  },
+  'sort:perfectRound': {
+    exercise: 'sort',
+    name: 'Flawless',
+    description: 'Complete a round with 100% accuracy',
+    icon: '💎',
+    rule: { scope: 'session', metric: 'perfectRounds', operator: '>=', threshold: 1 }
+  },
+  'sort:speed5': {
+    exercise: 'sort',
+    name: 'Speed Demon',
+    description: 'Sort 5 objects in 10 seconds',
+    icon: '🚀',
+    rule: { scope: 'session', metric: 'quickestFiveMs', operator: '<=', threshold: 10000 }
+  },
+  'sort:score100': {
+    exercise: 'sort',
+    name: 'Century',
+    description: 'Score 100 points in a session',
+    icon: '💯',
+    rule: { scope: 'session', metric: 'score', operator: '>=', threshold: 100 }
+  },
+  'sort:rounds5': {
+    exercise: 'sort',
+    name: 'Dedicated',
+    description: 'Complete 5 rounds in a session',
+    icon: '🏆',
+    rule: { scope: 'session', metric: 'rounds', operator: '>=', threshold: 5 }
+  },
+
+  // Trace & reveal
+  'trace:first-shape': {
+    exercise: 'trace',
+    name: 'First Steps',
+    description: 'Trace your first shape',
+    icon: '✏️',
+    rule: { scope: 'exercise', metric: 'shapes', operator: '>=', threshold: 1 }
+  },
+  'trace:ten-shapes': {
+    exercise: 'trace',
+    name: 'Getting Started',
+    description: 'Trace 10 shapes',
+    icon: '🎯',
+    rule: { scope: 'exercise', metric: 'shapes', operator: '>=', threshold: 10 }
+  },
+  'trace:fifty-shapes': {
+    exercise: 'trace',
+    name: 'Dedicated',
+    description: 'Trace 50 shapes',
+    icon: '⭐',
+    rule: { scope: 'exercise', metric: 'shapes', operator: '>=', threshold: 50 }
+  },
+  'trace:hundred-shapes': {
+    exercise: 'trace',
+    name: 'Master Tracer',
+    description: 'Trace 100 shapes',
+    icon: '💎',
+    rule: { scope: 'exercise', metric: 'shapes', operator: '>=', threshold: 100 }
+  },
+  'trace:perfect-coverage': {
+    exercise: 'trace',
+    name: 'Perfectionist',
+    description: 'Cover 95% of a shape',
+    icon: '🎨',
+    rule: { scope: 'session', metric: 'coverage', operator: '>=', threshold: 95 }
+  },
+  'trace:streak-5': {
+    exercise: 'trace',
+    name: 'On Fire',
+    description: 'Trace 5 shapes in a row',
+    icon: '🔥',
+    rule: { scope: 'session', metric: 'streak', operator: '>=', threshold: 5 }
+  },
+  'trace:streak-10': {
+    exercise: 'trace',
+    name: 'Unstoppable',
+    description: 'Trace 10 shapes in a row',
+    icon: '💥',
+    rule: { scope: 'session', metric: 'streak', operator: '>=', threshold: 10 }
+  },
+  'trace:hard-mode': {
+    exercise: 'trace',
+    name: 'Challenge Accepted',
+    description: 'Trace a shape on Hard',
+    icon: '🏆',
+    rule: { scope: 'session', difficulty: 'hard', metric: 'shapes', operator: '>=', threshold: 1 }
+  },
+
+  // Letter & number tracing
+  'letter-trace:first_steps': {
+    exercise: 'letter-trace',
+    name: 'First Steps',
+    description: 'Complete first session',
+    icon: '👣',
+    rule: { scope: 'session', metric: 'completed', operator: '>=', threshold: 1 }
+  },
+  'letter-trace:perfect_10': {
+    exercise: 'letter-trace',
+    name: 'Perfect 10',
+    description: '10 perfects in a session',
+    icon: '💎',
+    rule: { scope: 'session', metric: 'perfects', operator: '>=', threshold: 10 }
+  },
+  'letter-trace:streak_master': {
+    exercise: 'letter-trace',
+    name: 'Streak Master',
+    description: '10 streak',
+    icon: '🔥',
+    rule: { scope: 'session', metric: 'streak', operator: '>=', threshold: 10 }
+  },
+  'letter-trace:century': {
+    exercise: 'letter-trace',
+    name: 'Century Club',
+    description: '1000+ points',
+    icon: '💯',
+    rule: { scope: 'session', metric: 'score', operator: '>=', threshold: 1000 }
+  },
+  'letter-trace:precision': {
+    exercise: 'letter-trace',
+    name: 'Precision Pro',
+    description: '95%+ avg accuracy',
+    icon: '🎯',
+    rule: [
+      { scope: 'session', metric: 'completed', operator: '>=', threshold: 5 },
+      { scope: 'session', metric: 'accuracy', operator: '>=', threshold: 95 }
+    ]
+  },
+  'letter-trace:speed': {
+    exercise: 'letter-trace',
+    name: 'Speed Demon',
+    description: '15+ in 2 min',
+    icon: '⚡',
+    rule: { scope: 'session', metric: 'completedInTwoMinutes', operator: '>=', threshold: 15 }
+  },
+  'letter-trace:alphabet': {
+    exercise: 'letter-trace',
+    name: 'Alphabet Master',
+    description: 'Trace A-Z',
+    icon: '🔤',
+    rule: { scope: 'session', metric: 'lettersTraced', operator: '>=', threshold: 26 }
+  },
+  'letter-trace:numbers': {
+    exercise: 'letter-trace',
+    name: 'Number Ninja',
+    description: 'Trace 0-9',
+    icon: '🔢',
+    rule: { scope: 'session', metric: 'digitsTraced', operator: '>=', threshold: 10 }
   }
 };
 
+export const ACHIEVEMENT_SCOPES = ['global', 'exercise', 'difficulty', 'session'];
+export const ACHIEVEMENT_TIERS = ['bronze', 'silver', 'gold'];
+export const TIER_ICONS = { bronze: '🥉', silver: '🥈', gold: '🥇' };
+export const REPEAT_PERIODS = ['week'];
+
+const OPERATORS = {
+  '>=': (value, target) => value >= target,
+  '>': (value, target) => value > target,
+  '<=': (value, target) => value <= target,
+  '<': (value, target) => value < target,
+  '==': (value, target) => value === target
+};
+
+// Figures an 'exercise' clause can read besides the running totals
+const EXERCISE_FIGURES = ['sessions', 'best'];
+
+const TOTALS_KEY = 'achievementTotals';
+const TIERS_KEY = 'achievementTiers';     // { id: highest tier reached }
+const REPEATS_KEY = 'achievementRepeats'; // { id: { count, week, date } }
+
+// Clauses of an achievement, with the achievement's exercise filled in
+const clausesOf = (achievement) => [].concat(achievement.rule || [])
+  .map(clause => ({ exercise: achievement.exercise, ...clause }));
+
+// Tiers an achievement has, lowest first
+const tiersOf = (achievement) => ACHIEVEMENT_TIERS.filter(tier => achievement?.tiers?.[tier] !== undefined);
+
+// The achievement as it stands at one of its tiers
+function atTier(achievement, tier) {
+  const [clause] = clausesOf(achievement);
+  return { ...achievement, rule: { ...clause, threshold: achievement.tiers[tier] } };
+}
+
+/**
+ * An achievement's description with a tier's threshold filled in
+ * @param {Object} achievement - Definition
+ * @param {string} [tier] - Defaults to the first tier
+ * @returns {string} Description
+ */
+export function describeAchievement(achievement, tier = tiersOf(achievement)[0]) {
+  const threshold = tier ? achievement.tiers[tier] : clausesOf(achievement)[0]?.threshold;
+  return achievement.description.replace('{threshold}', threshold);
+}
+
+// Session fields summed per exercise because an 'exercise' clause reads their total
+const TOTALED_METRICS = {};
+Object.values(ACHIEVEMENTS).flatMap(clausesOf)
+  .filter(({ scope, metric }) => scope === 'exercise' && !EXERCISE_FIGURES.includes(metric))
+  .forEach(({ exercise, metric }) => {
+    TOTALED_METRICS[exercise] = [...new Set([...(TOTALED_METRICS[exercise] || []), metric])];
+  });
+
+/**
+ * Check achievement definitions
+ * @param {Object} [achievements=ACHIEVEMENTS]
+ * @returns {Object} { isValid, issues }
+ */
+export function validateAchievements(achievements = ACHIEVEMENTS) {
+  const issues = [];
+
+  Object.entries(achievements).forEach(([id, achievement]) => {
+    if (!achievement?.name || !achievement.description) {
+      issues.push(`Achievement ${id} needs a name and a description`);
+    }
+    if (achievement?.exercise && !id.startsWith(`${achievement.exercise}:`)) {
+      issues.push(`Achievement ${id} belongs to ${achievement.exercise} and must be named ${achievement.exercise}:…`);
+    }
+    const clauses = clausesOf(achievement || {});
+    if (clauses.length === 0) issues.push(`Achievement ${id} has no rule`);
+
+    if (achievement?.tiers) {
+      const tiers = tiersOf(achievement);
+      const thresholds = tiers.map(tier => achievement.tiers[tier]);
+      const [{ operator, threshold } = {}] = clauses;
+      const rising = !String(operator).startsWith('<');
+      if (clauses.length !== 1 || threshold !== undefined) {
+        issues.push(`Achievement ${id} has tiers, so its rule must be one clause without a threshold`);
+      }
+      if (Object.keys(achievement.tiers).some(tier => !ACHIEVEMENT_TIERS.includes(tier))) {
+        issues.push(`Achievement ${id} has tiers other than ${ACHIEVEMENT_TIERS.join(', ')}`);
+      }
+      if (thresholds.some(value => typeof value !== 'number')
+        || thresholds.some((value, i) => i > 0 && (rising ? value <= thresholds[i - 1] : value >= thresholds[i - 1]))) {
+        issues.push(`Achievement ${id} needs tier thresholds that get harder from ${tiers[0]} to ${tiers[tiers.length - 1]}`);
+      }
+      if (achievement.repeat) issues.push(`Achievement ${id} cannot be both tiered and repeatable`);
+    }
+    if (achievement?.repeat && !REPEAT_PERIODS.includes(achievement.repeat)) {
+      issues.push(`Achievement ${id} repeats over an unknown period: ${achievement.repeat}`);
+    }
+
+    clauses.forEach(({ scope, metric, operator, threshold, exercise, difficulty }) => {
+      if (!ACHIEVEMENT_SCOPES.includes(scope)) {
+        issues.push(`Achievement ${id} has an unknown scope: ${scope}`);
+      } else if (scope === 'exercise' && !exercise) {
+        issues.push(`Achievement ${id} needs an exercise for its exercise rule`);
+      } else if (scope === 'difficulty' && !difficulty) {
+        issues.push(`Achievement ${id} needs a difficulty for its difficulty rule`);
+      }
+      if (typeof metric !== 'string' || !metric) issues.push(`Achievement ${id} has a rule without a metric`);
+      if (!OPERATORS[operator]) {
+        issues.push(`Achievement ${id} has an unknown operator: ${operator}`);
+      } else if (!achievement.tiers
+        && (typeof threshold === 'boolean' ? operator !== '==' : !['number', 'string'].includes(typeof threshold))) {
+        issues.push(`Achievement ${id} needs a number, metric name or (with ==) true/false threshold`);
+      }
+    });
+  });
+
+  return {
+    isValid: issues.length === 0,
+    issues
+  };
+}
+
 // ============================================================================
-// MAIN ACHIEVEMENT CHECKING FUNCTION - CURRENT PROJECT COMPATIBLE
+// RULE ENGINE
 // ============================================================================
 
-export function checkAndUnlockAchievements(entry, stats) {
-  const newly = [];
-  
-  // Handle legacy call with no parameters (current project expects this)
-  if (entry === undefined && stats === undefined) {
-    stats = calculateStats();
-    entry = {}; // Empty entry for legacy compatibility
-  } else if (stats === undefined) {
-    stats = calculateStats();
+function getTotals() {
+  const totals = getJSON(TOTALS_KEY, {});
+  return totals && typeof totals === 'object' ? totals : {};
+}
+
+/**
+ * Add a session's totaled fields to lifetime totals
+ * @param {Object} totals - { exerciseId: { metric: total } } (not changed)
+ * @param {Object} entry - Session entry
+ * @returns {Object} Updated totals
+ */
+export function addToTotals(totals, entry) {
+  const id = canonicalExerciseId(entry?.id);
+  const metrics = TOTALED_METRICS[id];
+  if (!metrics) return totals;
+  const current = { ...totals[id] };
+  metrics.forEach(metric => {
+    const value = Number(entry[metric]);
+    if (Number.isFinite(value)) current[metric] = (current[metric] || 0) + value;
+  });
+  return { ...totals, [id]: current };
+}
+
+/**
+ * An exercise's lifetime figures
+ * @param {string} exerciseId - Registry ID
+ * @param {Object} [pending] - Session in progress, whose totaled fields are added
+ * @returns {Object} { sessions, best, ...totals }
+ */
+function exerciseFigures(exerciseId, pending = null) {
+  const figures = {
+    sessions: storage.getInt(`exercise:${exerciseId}:sessions`, 0),
+    best: storage.getInt(`exercise:${exerciseId}:best`, 0),
+    ...getTotals()[exerciseId]
+  };
+  return pending ? addToTotals({ [exerciseId]: figures }, { ...pending, id: exerciseId })[exerciseId] : figures;
+}
+
+/**
+ * Sessions and best score on a difficulty
+ * @param {string} [exerciseId] - One exercise, or all of them
+ * @param {string} difficulty
+ * @returns {Object} { sessions, best }
+ */
+function difficultyFigures(exerciseId, difficulty) {
+  const ids = exerciseId ? [exerciseId] : Object.keys(EXERCISES);
+  return ids
+    .map(id => adaptiveDifficulty.getPerformanceData(id, difficulty))
+    .reduce((figures, perf) => ({
+      sessions: figures.sessions + perf.sessions,
+      best: Math.max(figures.best, perf.bestScore)
+    }), { sessions: 0, best: 0 });
+}
+
+/**
+ * Fill in the figures rules read; what ctx leaves out comes from storage
+ * @param {Object} [ctx] - { entry, stats, exercise(id), difficulty(id, difficulty), week }
+ * @returns {Object} Complete context; week is the Monday of the practice week repeats are earned in
+ */
+function resolveContext(ctx = {}) {
+  return {
+    entry: ctx.entry || {},
+    stats: ctx.stats || calculateStats(),
+    exercise: ctx.exercise || exerciseFigures,
+    difficulty: ctx.difficulty || difficultyFigures,
+    week: ctx.week || weekStart(today())
+  };
+}
+
+function figuresFor({ scope, exercise, difficulty }, ctx) {
+  if (scope === 'global') return ctx.stats;
+  if (scope === 'exercise') return ctx.exercise(exercise);
+  if (scope === 'difficulty') return ctx.difficulty(exercise, difficulty);
+  if (scope !== 'session') return null;
+  const { entry } = ctx;
+  if (exercise && canonicalExerciseId(entry.id) !== exercise) return null;
+  if (difficulty && entry.difficulty !== difficulty) return null;
+  return entry;
+}
+
+// How far a value has come toward a target it hasn't met, kept below 1
+function partialFraction(operator, value, target) {
+  if (typeof value !== 'number' || typeof target !== 'number' || !Number.isFinite(value)) return 0;
+  let share = 0;
+  if (operator.startsWith('>')) share = target > 0 ? value / target : 0;
+  else if (operator.startsWith('<')) share = value > 0 ? target / value : 0;
+  return Math.min(0.99, Math.max(0, Math.round(share * 100) / 100));
+}
+
+function evaluateClause(clause, ctx) {
+  const { scope, metric, operator, threshold } = clause;
+  const figures = figuresFor(clause, ctx);
+  const value = figures?.[metric] ?? null;
+  const target = typeof threshold === 'string' ? figures?.[threshold] ?? null : threshold;
+  const met = value !== null && target !== null && Boolean(OPERATORS[operator]?.(value, target));
+  if (typeof target === 'boolean') {
+    return { scope, metric, operator, value: met ? 1 : 0, target: 1, met, fraction: met ? 1 : 0 };
   }
-  
-  // Create context object for conditions
-  const ctx = { 
-    entry: entry || {}, 
-    stats 
+  return {
+    scope,
+    metric,
+    operator,
+    // Counting up, progress stops at the target ("50/50", not "63/50")
+    value: operator.startsWith('>') && typeof value === 'number' && typeof target === 'number'
+      ? Math.min(value, target)
+      : value,
+    target,
+    met,
+    fraction: met ? 1 : partialFraction(operator, value, target)
   };
-  
-  // Cache unlocked set to avoid repeated reads
-  const unlockedSet = getUnlockedSet();
-  
-  for (const [id, achievement] of Object.entries(ACHIEVEMENTS)) {
-    if (unlockedSet.has(id)) continue; // already unlocked
-    
+}
+
+/**
+ * Evaluate an achievement's rule against a resolved context
+ * @returns {Object} { met, fraction, progress, target, clauses } - fraction, progress
+ *   and target come from the clause furthest from being met
+ */
+function statusOf(achievement, ctx) {
+  const clauses = clausesOf(achievement).map(clause => evaluateClause(clause, ctx));
+  const weakest = clauses.reduce((a, b) => (b.fraction < a.fraction ? b : a));
+  return {
+    met: clauses.every(clause => clause.met),
+    fraction: weakest.fraction,
+    progress: weakest.value,
+    target: weakest.target,
+    clauses
+  };
+}
+
+// Index in tiersOf() of the tier held; an achievement unlocked before it had tiers holds the first
+function heldTier(id, { unlocked, tiers }) {
+  const held = tiersOf(ACHIEVEMENTS[id]).indexOf(tiers[id]);
+  return held < 0 && unlocked.has(id) ? 0 : held;
+}
+
+function awardsFor(entries, ctx, record) {
+  const awards = [];
+  for (const [id, achievement] of entries) {
     try {
-      if (achievement.condition(ctx)) {
-        unlockedSet.add(id);
-        newly.push(id);
-        // Store unlock timestamp
-        storage.set(`achievement_${id}_date`, new Date().toISOString());
+      if (achievement.tiers) {
+        const tiers = tiersOf(achievement);
+        const reached = tiers.filter(tier => statusOf(atTier(achievement, tier), ctx).met).length - 1;
+        if (reached > heldTier(id, record)) awards.push({ id, tier: tiers[reached] });
+      } else if (achievement.repeat) {
+        if (record.repeats[id]?.week !== ctx.week && statusOf(achievement, ctx).met) awards.push({ id, week: ctx.week });
+      } else if (!record.unlocked.has(id) && statusOf(achievement, ctx).met) {
+        awards.push({ id });
       }
     } catch (error) {
       console.warn(`Error checking achievement ${id}:`, error);
     }
   }
-  
-  // Save and notify if any new achievements
-  if (newly.length > 0) {
-    saveUnlocked(unlockedSet);
-    showAchievementNotifications(newly);
+  return awards;
+}
+
+/**
+ * Pure check of what a context earns beyond an achievement record
+ * @param {Object} ctx - As for evaluateAchievements, plus optional week (Monday day key)
+ * @param {Object} [record] - { unlocked: Set, tiers: { id: tier }, repeats: { id: { count, week, date } } }
+ * @returns {Array<Object>} { id } for a first unlock, { id, tier } for a tiered achievement
+ *   reaching a higher tier, { id, week } for a repeatable one earned in a new week
+ */
+export function evaluateAwards(ctx, { unlocked = new Set(), tiers = {}, repeats = {} } = {}) {
+  return awardsFor(Object.entries(ACHIEVEMENTS), resolveContext(ctx), { unlocked, tiers, repeats });
+}
+
+/**
+ * Fold awards into an achievement record
+ * @param {Object} record - { unlocked, tiers, repeats } (not changed)
+ * @param {Array<Object>} awards - From evaluateAwards
+ * @param {string} iso - When they were earned
+ * @returns {Object} { record, dates } - dates maps the achievement_*_date keys to set to iso
+ */
+export function applyAwards(record, awards, iso) {
+  const next = {
+    unlocked: new Set(record.unlocked),
+    tiers: { ...record.tiers },
+    repeats: { ...record.repeats }
+  };
+  const dates = {};
+  awards.forEach(({ id, tier, week }) => {
+    if (!next.unlocked.has(id)) dates[`achievement_${id}_date`] = iso;
+    if (tier) {
+      // Tiers passed on the way up are dated too
+      const tiers = tiersOf(ACHIEVEMENTS[id]);
+      tiers.slice(heldTier(id, next) + 1, tiers.indexOf(tier) + 1)
+        .forEach(passed => { dates[`achievement_${id}_${passed}_date`] = iso; });
+      next.tiers[id] = tier;
+    }
+    if (week) next.repeats[id] = { count: (next.repeats[id]?.count || 0) + 1, week, date: iso };
+    next.unlocked.add(id);
+  });
+  return { record: next, dates };
+}
+
+function getRecord() {
+  const tiers = getJSON(TIERS_KEY, {});
+  const repeats = getJSON(REPEATS_KEY, {});
+  return {
+    unlocked: getUnlockedSet(),
+    tiers: tiers && typeof tiers === 'object' ? tiers : {},
+    repeats: repeats && typeof repeats === 'object' ? repeats : {}
+  };
+}
+
+// Record awards and when they were earned
+function saveAwards(awards, record) {
+  if (awards.length === 0) return;
+  const { record: next, dates } = applyAwards(record, awards, new Date().toISOString());
+  Object.entries(dates).forEach(([key, iso]) => storage.set(key, iso));
+  saveUnlocked(next.unlocked);
+  if (awards.some(award => award.tier)) storage.set(TIERS_KEY, JSON.stringify(next.tiers));
+  if (awards.some(award => award.week)) storage.set(REPEATS_KEY, JSON.stringify(next.repeats));
+  awards.forEach(recordInInbox);
+}
+
+/**
+ * Keep an award in the notification inbox
+ * @param {Object} award - { id }, { id, tier } or { id, week }
+ */
+function recordInInbox({ id, tier, week }) {
+  const achievement = ACHIEVEMENTS[id];
+  let title = 'Achievement Unlocked';
+  if (tier) title = `${TIER_ICONS[tier]} ${tier[0].toUpperCase()}${tier.slice(1)} Achievement`;
+  else if (week) title = 'Weekly Badge Earned';
+  addNotification({
+    type: 'achievement',
+    icon: achievement.icon,
+    title,
+    message: `${achievement.name}: ${describeAchievement(achievement, tier || undefined)}`
+  });
+}
+
+// ============================================================================
+// MAIN ACHIEVEMENT CHECKING FUNCTION - CURRENT PROJECT COMPATIBLE
+// ============================================================================
+
+/**
+ * Pure check of which achievements a context unlocks for the first time
+ * @param {Object} ctx - { entry, stats } plus optional exercise(id) and
+ *   difficulty(id, difficulty) figure lookups (stored figures are used otherwise)
+ * @param {Set<string>} unlocked - Already unlocked IDs (skipped)
+ * @returns {string[]} IDs whose rule (first tier, for tiered achievements) is met
+ */
+export function evaluateAchievements(ctx, unlocked = new Set()) {
+  return evaluateAwards(ctx, { unlocked }).map(award => award.id).filter(id => !unlocked.has(id));
+}
+
+/**
+ * Check every achievement and record what was earned
+ * @param {Object} [entry] - Session entry just recorded
+ * @param {Object} [stats] - Lifetime figures (read from storage when left out)
+ * @returns {string[]} IDs unlocked, moved up a tier or earned again this week
+ */
+export function checkAndUnlockAchievements(entry, stats) {
+  // Handle legacy call with no parameters (current project expects this)
+  if (entry === undefined && stats === undefined) {
+    stats = calculateStats();
+    entry = {}; // Empty entry for legacy compatibility
+  } else if (stats === undefined) {
+    stats = calculateStats();
   }
 
-  return newly;
+  // A recorded session adds to its exercise's lifetime totals before they are checked
+  if (entry?.id) storage.set(TOTALS_KEY, JSON.stringify(addToTotals(getTotals(), entry)));
+
+  const record = getRecord();
+  const awards = evaluateAwards({ entry: entry || {}, stats }, record);
+  saveAwards(awards, record);
+  const earned = awards.map(award => award.id);
+
+  // Notify if any new achievements
+  if (earned.length > 0) showAchievementNotifications(earned);
+
+  return earned;
+}
+
+/**
+ * Unlock an exercise page's own achievements from the session in progress.
+ * Lifetime ('exercise' scope) figures include what the session has added so far.
+ * @param {string} exerciseId - Exercise ID (page-level IDs are accepted)
+ * @param {Object} [session] - Session fields so far (the session entry's extras, plus difficulty)
+ * @returns {Array<Object>} Newly unlocked { id, ...definition }
+ */
+export function unlockExerciseAchievements(exerciseId, session = {}) {
+  const id = canonicalExerciseId(exerciseId);
+  const ctx = resolveContext({
+    entry: { ...session, id },
+    exercise: (exercise) => exerciseFigures(exercise, exercise === id ? session : null)
+  });
+  const record = getRecord();
+  const own = Object.entries(ACHIEVEMENTS).filter(([, achievement]) => achievement.exercise === id);
+  const awards = awardsFor(own, ctx, record);
+  saveAwards(awards, record);
+  return awards.map(award => ({ id: award.id, ...ACHIEVEMENTS[award.id] }));
+}
+
+/**
+ * An exercise page's own achievements
+ * @param {string} exerciseId - Exercise ID (page-level IDs are accepted)
+ * @returns {Array<Object>} { id, ...definition, unlocked }
+ */
+export function getExerciseAchievements(exerciseId) {
+  const id = canonicalExerciseId(exerciseId);
+  const unlocked = getUnlockedSet();
+  return Object.entries(ACHIEVEMENTS)
+    .filter(([, achievement]) => achievement.exercise === id)
+    .map(([achievementId, achievement]) => ({ id: achievementId, ...achievement, unlocked: unlocked.has(achievementId) }));
 }
 
 // ============================================================================
@@ -151,8 +799,21 @@ function calculateStats() {
   const totalSessions = storage.getInt ? storage.getInt('totalSessions', 0) : 
                        parseInt(storage.get('totalSessions') || '0', 10);
   
-  const streak = storage.getInt ? storage.getInt('streak', 0) : 
-                 parseInt(storage.get('streak') || '0', 10);
+  const storedStreak = storage.getInt ? storage.getInt('streak', 0) : 
+                       parseInt(storage.get('streak') || '0', 10);
+
+  // A streak the policy can no longer rescue today counts as broken
+  const lastActiveDate = storage.get('lastActiveDate') || null;
+  const storedWeekDays = storage.getInt('streakWeekDays', 0);
+  const streak = currentStreak({
+    streak: storedStreak,
+    lastActiveDate,
+    freezes: storage.getInt('streakFreezes', 0),
+    weekDays: storedWeekDays
+  }, today(), getStreakPolicy());
+
+  // Practice days counted so far belong to an earlier week once this one has begun
+  const weekDays = lastActiveDate && weekStart(lastActiveDate) === weekStart(today()) ? storedWeekDays : 0;
   
   const triedList = getJSON('tried', []);
   const triedCount = Array.isArray(triedList) ? new Set(triedList).size : 0;
@@ -171,7 +832,8 @@ function calculateStats() {
     streak,
     triedCount,
     totalExercises,
-    newPersonalBest
+    newPersonalBest,
+    weekDays
   };
 }
 
@@ -223,53 +885,102 @@ export function isAchievementUnlocked(id) {
   return getUnlockedSet().has(id); 
 }
 
+/**
+ * Unlocked achievements with the practice day each was earned on, oldest first
+ * @returns {Array<{id: string, date: string, day: string}>} ISO unlock time and its day key
+ */
+export function getAchievementUnlocks() {
+  return getAchievements()
+    .map(id => ({ id, date: storage.get(`achievement_${id}_date`) }))
+    .filter(unlock => typeof unlock.date === 'string' && !isNaN(Date.parse(unlock.date)))
+    .sort((a, b) => Date.parse(a.date) - Date.parse(b.date))
+    .map(unlock => ({ ...unlock, day: dayKey(unlock.date) }));
+}
+
+// Most recent recorded session, of one exercise or of any
+function latestSession(exerciseId) {
+  const ids = exerciseId ? [exerciseId] : Object.keys(EXERCISES);
+  return ids
+    .flatMap(id => {
+      const list = getJSON(`sessions:${id}`, []);
+      return Array.isArray(list) ? list.slice(-1) : [];
+    })
+    .reduce((latest, entry) => (!latest || (entry.timestamp || 0) > (latest.timestamp || 0) ? entry : latest), null) || {};
+}
+
+/**
+ * Where the player stands on every achievement. Session achievements are
+ * measured against the latest recorded session (of their own exercise, for an
+ * exercise page's achievements); tiered ones against their next tier.
+ * @returns {Object} { id: { unlocked, unlockedAt, progress, target, fraction, name,
+ *   description, icon, exercise, secret } }, plus { tier, nextTier, tierDates } for tiered
+ *   achievements and { repeat, count, lastEarned, earnedThisWeek } for repeatable ones.
+ *   fraction runs from 0 to 1; for achievements with several clauses, progress and
+ *   target are those of the clause furthest from being met
+ */
 export function getAchievementProgress() {
-  const stats = calculateStats();
+  const ctx = { stats: calculateStats(), week: weekStart(today()) };
+  const record = getRecord();
+  const latest = {};
   const progress = {};
-  
-  // Current project expects these specific achievement IDs
-  const expectedAchievements = ['firstSteps', 'consistent', 'dedicated', 'personalBest', 'explorer'];
-  
-  for (const id of expectedAchievements) {
-    const achievement = ACHIEVEMENTS[id];
-    if (achievement) {
-      let progressValue = 0;
-      let target = 1;
-      
-      try {
-        if (id === 'firstSteps') {
-          progressValue = Math.min(stats.totalSessions, 1);
-          target = 1;
-        } else if (id === 'consistent') {
-          progressValue = stats.streak;
-          target = 7;
-        } else if (id === 'dedicated') {
-          progressValue = stats.totalSessions;
-          target = 50;
-        } else if (id === 'personalBest') {
-          progressValue = stats.newPersonalBest ? 1 : 0;
-          target = 1;
-        } else if (id === 'explorer') {
-          progressValue = stats.triedCount;
-          target = Math.max(stats.totalExercises, 1); // Avoid division by zero
+
+  for (const [id, achievement] of Object.entries(ACHIEVEMENTS)) {
+    const { name, icon, exercise = null, secret = false } = achievement;
+    const unlocked = record.unlocked.has(id);
+    try {
+      latest[exercise] ??= latestSession(exercise);
+      const resolved = resolveContext({ ...ctx, entry: latest[exercise] });
+      const item = { unlocked, unlockedAt: storage.get(`achievement_${id}_date`) || null, name, icon, exercise, secret };
+
+      if (achievement.tiers) {
+        const tiers = tiersOf(achievement);
+        const held = heldTier(id, record);
+        const nextTier = tiers[held + 1] || null;
+        const status = statusOf(atTier(achievement, nextTier || tiers[tiers.length - 1]), resolved);
+        Object.assign(item, {
+          progress: status.progress,
+          target: status.target,
+          fraction: nextTier ? status.fraction : 1,
+          description: describeAchievement(achievement, nextTier || tiers[held]),
+          tier: tiers[held] || null,
+          nextTier,
+          tierDates: Object.fromEntries(tiers.slice(0, held + 1)
+            .map(tier => [tier, storage.get(`achievement_${id}_${tier}_date`) || null]))
+        });
+      } else {
+        const status = statusOf(achievement, resolved);
+        const repeat = record.repeats[id];
+        const earnedThisWeek = Boolean(achievement.repeat) && repeat?.week === ctx.week;
+        Object.assign(item, {
+          progress: status.progress,
+          target: status.target,
+          fraction: achievement.repeat ? (earnedThisWeek ? 1 : status.fraction) : (unlocked ? 1 : status.fraction),
+          description: describeAchievement(achievement)
+        });
+        if (achievement.repeat) {
+          Object.assign(item, { repeat: achievement.repeat, count: repeat?.count || 0, lastEarned: repeat?.date || null, earnedThisWeek });
         }
-      } catch (error) {
-        console.warn(`Error calculating progress for ${id}:`, error);
       }
-      
-      progress[id] = {
-        unlocked: isAchievementUnlocked(id),
-        progress: progressValue,
-        target: target,
-        description: achievement.description
-      };
+      progress[id] = item;
+    } catch (error) {
+      console.warn(`Error calculating progress for ${id}:`, error);
     }
   }
-  
+
   return progress;
 }
 
+/**
+ * Highest tier an achievement has reached
+ * @param {string} id - Achievement ID
+ * @returns {string|null} Tier, or null for untiered or locked achievements
+ */
+export function getAchievementTier(id) {
+  return tiersOf(ACHIEVEMENTS[id])[heldTier(id, getRecord())] || null;
+}
+
 export function markExerciseTried(exerciseId) {
+  exerciseId = canonicalExerciseId(exerciseId);
   const triedRaw = getJSON('tried', []);
   const tried = Array.from(new Set(triedRaw)); // Dedupe existing data
   
@@ -286,9 +997,17 @@ export function markExerciseTried(exerciseId) {
 export const achievements = {
   checkAchievements: checkAndUnlockAchievements,
   checkAndUnlockAchievements,
+  evaluateAchievements,
+  evaluateAwards,
+  unlockExerciseAchievements,
+  getExerciseAchievements,
+  validateAchievements,
   getUnlockedAchievements,
   isAchievementUnlocked,
+  getAchievementUnlocks,
   getAchievementProgress,
+  getAchievementTier,
+  describeAchievement,
   markExerciseTried,
   ACHIEVEMENTS
 };
\ No newline at end of file
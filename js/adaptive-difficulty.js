@@ -5,23 +5,29 @@
  * Features:
  * - Uses UNLOCK_RULES from exercises.js for easy tuning
  * - Transparent UI showing lock criteria 
- * - Namespaced storage: FPR_v1_unlock:exercise:difficulty
+ * - Namespaced storage: unlock:exercise:difficulty (FPR_v1_ added by storage)
  * - Re-checks unlock status on page load
  * - Safety limits for therapeutic progression
- * - Toast notifications when new difficulties unlock
+ * - Toast notifications when new difficulties unlock, kept in the notification inbox
  */
 
-import { UNLOCK_RULES, DIFFICULTY_LABELS, getExercise, getUnlockRule } from './exercises.js';
-import { storage, showToast } from './utils.js';
+import { UNLOCK_RULES, DIFFICULTY_LABELS, getExercise, getUnlockRule, canonicalExerciseId } from './exercises.js';
+import { storage, showToast, clinician } from './utils.js';
+import { addNotification } from './notification-inbox.js';
 
-// Storage namespaces for versioning and collision prevention
-const UNLOCK_NS = 'FPR_v1_unlock';
-const PERF_NS = 'FPR_v1_perf';
+// Storage namespaces for collision prevention (storage adds the FPR_v1_ prefix)
+const UNLOCK_NS = 'unlock';
+const PERF_NS = 'perf';
 
 // Helper functions for consistent key generation
 const unlockKey = (exerciseId, difficulty) => `${UNLOCK_NS}:${exerciseId}:${difficulty}`;
 const perfKey = (exerciseId, difficulty) => `${PERF_NS}:${exerciseId}:${difficulty}`;
 
+// Recent scores and accuracies kept per difficulty for the averages
+const RECENT_LIMIT = 20;
+
+const average = (values) => Number((values.reduce((sum, v) => sum + v, 0) / values.length).toFixed(1));
+
 /**
  * Adaptive Difficulty Manager
  */
@@ -50,13 +56,20 @@ export const adaptiveDifficulty = {
      * Get user's performance data for an exercise and difficulty
      * @param {string} exerciseId - The exercise identifier
      * @param {string} difficulty - The difficulty level
-     * @returns {Object} Performance data { sessions: number, bestScore: number, averageScore: number }
+     * @returns {Object} Performance data { sessions, bestScore, averageScore, scores,
+     *                   averageAccuracy (null until a session reports accuracy), accuracies,
+     *                   averageLevel (null until a session adjusts its difficulty as it goes), levels }
      */
     getPerformanceData(exerciseId, difficulty) {
         const storageKeyValue = perfKey(exerciseId, difficulty);
-        const defaultData = { sessions: 0, bestScore: 0, averageScore: 0, scores: [] };
+        const defaultData = {
+            sessions: 0, bestScore: 0, averageScore: 0, scores: [],
+            averageAccuracy: null, accuracies: [],
+            averageLevel: null, levels: []
+        };
         
-        return storage.get(storageKeyValue) || defaultData;
+        // Records from before accuracy and levels were tracked lack those fields
+        return { ...defaultData, ...storage.get(storageKeyValue) };
     },
 
     /**
@@ -64,9 +77,11 @@ export const adaptiveDifficulty = {
      * @param {string} exerciseId - The exercise identifier
      * @param {string} difficulty - The difficulty level completed
      * @param {number} score - The score achieved
+     * @param {Object} [metrics] - { accuracy } as a percentage, and { difficultyLevel } (0-1) the
+     *                            session actually played at (see dynamic-difficulty.js), when reported
      * @returns {Array<Object>} Array of newly unlocked difficulty objects
      */
-    recordSession(exerciseId, difficulty, score) {
+    recordSession(exerciseId, difficulty, score, { accuracy, difficultyLevel } = {}) {
         // Record performance data
         const storageKeyValue = perfKey(exerciseId, difficulty);
         const perfData = this.getPerformanceData(exerciseId, difficulty);
@@ -76,15 +91,21 @@ export const adaptiveDifficulty = {
         perfData.bestScore = Math.max(perfData.bestScore, score);
         perfData.scores.push(score);
         
-        // Keep only last 20 scores to prevent storage bloat
-        if (perfData.scores.length > 20) {
-            perfData.scores = perfData.scores.slice(-20);
-        }
+        // Keep only the recent scores to prevent storage bloat
+        perfData.scores = perfData.scores.slice(-RECENT_LIMIT);
         
         // Calculate average with 1 decimal place for better precision
-        perfData.averageScore = Number(
-            (perfData.scores.reduce((sum, s) => sum + s, 0) / perfData.scores.length).toFixed(1)
-        );
+        perfData.averageScore = average(perfData.scores);
+        
+        if (typeof accuracy === 'number' && Number.isFinite(accuracy)) {
+            perfData.accuracies = [...perfData.accuracies, accuracy].slice(-RECENT_LIMIT);
+            perfData.averageAccuracy = average(perfData.accuracies);
+        }
+        
+        if (typeof difficultyLevel === 'number' && Number.isFinite(difficultyLevel)) {
+            perfData.levels = [...perfData.levels, difficultyLevel].slice(-RECENT_LIMIT);
+            perfData.averageLevel = Number((perfData.levels.reduce((sum, l) => sum + l, 0) / perfData.levels.length).toFixed(2));
+        }
         
         storage.set(storageKeyValue, perfData);
         console.log(`📊 Performance recorded for ${perfKey(exerciseId, difficulty)}:`, perfData);
@@ -111,20 +132,14 @@ export const adaptiveDifficulty = {
                 }
                 
                 const rule = exerciseRules[difficulty];
-                const { base, minSessions = 0, minScore = 0 } = rule || {};
                 
-                if (!base) {
+                if (!rule?.base) {
                     console.warn(`⚠️ Missing base difficulty for unlock rule: ${exerciseId}:${difficulty}`);
                     return;
                 }
                 
-                const basePerf = this.getPerformanceData(exerciseId, base);
-                
                 // Check if unlock criteria are met
-                const meetsSessionReq = basePerf.sessions >= minSessions;
-                const meetsScoreReq = basePerf.bestScore >= minScore;
-                
-                if (meetsSessionReq && meetsScoreReq) {
+                if (this.getUnlockProgress(exerciseId, difficulty).allMet) {
                     // Unlock the difficulty
                     const storageKeyValue = unlockKey(exerciseId, difficulty);
                     storage.set(storageKeyValue, true);
@@ -140,6 +155,7 @@ export const adaptiveDifficulty = {
                     };
                     
                     newUnlocks.push(unlockObj);
+                    addNotification({ type: 'unlock', title: 'New Difficulty Unlocked', message: unlockObj.label });
                     
                     console.log(`🔓 Unlocked: ${unlockKey(exerciseId, difficulty)}`);
                 }
@@ -184,17 +200,24 @@ export const adaptiveDifficulty = {
             return null; // Always available
         }
         
-        const { base, minSessions = 0, minScore = 0 } = unlockRule;
+        const { base, minSessions, minScore, minAverage, minAccuracy } = unlockRule;
         const baseDifficultyName = DIFFICULTY_LABELS[base] || base;
-        
-        return `Complete ${minSessions} sessions on ${baseDifficultyName} with score ≥ ${minScore}`;
+        const conditions = [
+            minScore > 0 && `best score ≥ ${minScore}`,
+            minAverage > 0 && `average score ≥ ${minAverage}`,
+            minAccuracy > 0 && `average accuracy ≥ ${minAccuracy}%`
+        ].filter(Boolean);
+        
+        return `Complete ${minSessions} sessions on ${baseDifficultyName}`
+            + (conditions.length ? ` with ${conditions.join(', ')}` : '');
     },
 
     /**
      * Get user's progress toward unlocking a difficulty
      * @param {string} exerciseId - The exercise identifier  
      * @param {string} difficulty - The difficulty level
-     * @returns {Object|null} Progress info or null if always available
+     * @returns {Object|null} Progress info (current and required value and whether it is met, per
+     *                        criterion, and allMet) or null if always available
      */
     getUnlockProgress(exerciseId, difficulty) {
         const unlockRule = getUnlockRule(exerciseId, difficulty);
@@ -203,24 +226,38 @@ export const adaptiveDifficulty = {
             return null; // Always available
         }
         
-        const { base, minSessions = 0, minScore = 0 } = unlockRule;
+        const { base, minSessions, minScore, minAverage, minAccuracy } = unlockRule;
         const basePerf = this.getPerformanceData(exerciseId, base);
+        // Accuracy only counts once a session on base has reported it
+        const accuracyMet = !minAccuracy || (basePerf.averageAccuracy ?? -1) >= minAccuracy;
         
-        return {
+        const progress = {
+            base,
             currentSessions: basePerf.sessions,
             requiredSessions: minSessions,
             currentBestScore: basePerf.bestScore,
             requiredScore: minScore,
+            currentAverage: basePerf.averageScore,
+            requiredAverage: minAverage,
+            currentAccuracy: basePerf.averageAccuracy,
+            requiredAccuracy: minAccuracy,
             sessionsMet: basePerf.sessions >= minSessions,
-            scoreMet: basePerf.bestScore >= minScore
+            scoreMet: basePerf.bestScore >= minScore,
+            averageMet: basePerf.averageScore >= minAverage,
+            accuracyMet
         };
+        progress.allMet = progress.sessionsMet && progress.scoreMet && progress.averageMet && progress.accuracyMet;
+        return progress;
     },
 
     /**
      * Update difficulty selection UI based on unlock status
+     * An empty select is filled from the registry. A page's own options are kept and
+     * locked in place; an option whose value is not a difficulty (a speed, say) names
+     * its difficulty with data-difficulty.
      * @param {string} exerciseId - The exercise identifier
      * @param {HTMLSelectElement} selectElement - The difficulty select element
-     * @param {string} currentDifficulty - Currently selected difficulty
+     * @param {string} currentDifficulty - Currently selected option value
      */
     updateDifficultyUI(exerciseId, selectElement, currentDifficulty = null) {
         if (!selectElement) return;
@@ -228,44 +265,46 @@ export const adaptiveDifficulty = {
         const exercise = getExercise(exerciseId);
         if (!exercise) return;
         
-        // Clear existing options
-        selectElement.innerHTML = '';
+        if (selectElement.options.length === 0) {
+            exercise.difficulties.forEach(difficulty => {
+                const option = document.createElement('option');
+                option.value = difficulty;
+                option.textContent = DIFFICULTY_LABELS[difficulty] || difficulty;
+                selectElement.appendChild(option);
+            });
+        }
         
-        let selectedSet = false;
+        const wanted = currentDifficulty ?? selectElement.value;
+        let selected = null;
         
-        // Add options based on unlock status
-        exercise.difficulties.forEach(difficulty => {
-            const option = document.createElement('option');
-            option.value = difficulty;
+        Array.from(selectElement.options).forEach(option => {
+            const difficulty = option.dataset.difficulty || option.value;
+            // Remember the page's label before a lock mark is added to it
+            option.dataset.label ??= option.textContent;
             
-            const difficultyName = DIFFICULTY_LABELS[difficulty] || difficulty;
-            const isUnlocked = this.isUnlocked(exerciseId, difficulty);
+            const isUnlocked = !exercise.difficulties.includes(difficulty) || this.isUnlocked(exerciseId, difficulty);
             
             if (isUnlocked) {
-                option.textContent = difficultyName;
+                option.textContent = option.dataset.label;
                 option.disabled = false;
+                option.removeAttribute('title');
             } else {
+                const difficultyName = DIFFICULTY_LABELS[difficulty] || difficulty;
                 const criteria = this.getUnlockCriteria(exerciseId, difficulty);
-                option.textContent = `🔒 ${difficultyName}`;
+                option.textContent = `🔒 ${option.dataset.label}`;
                 option.disabled = true;
                 option.title = `Unlock ${difficultyName}: ${criteria}`;
             }
             
-            // Select current difficulty or default to first unlocked
-            if (!selectedSet && (currentDifficulty === difficulty || (!currentDifficulty && isUnlocked))) {
-                option.selected = true;
-                selectedSet = true;
+            if (!selected && isUnlocked && option.value === wanted) {
+                selected = option;
             }
-            
-            selectElement.appendChild(option);
         });
         
-        // Final guard: ensure an enabled option is selected
-        if (!selectedSet) {
-            const firstUnlocked = selectElement.querySelector('option:not([disabled])');
-            if (firstUnlocked) {
-                firstUnlocked.selected = true;
-            }
+        // Keep the wanted option, or fall back to the first unlocked one
+        const choice = selected || selectElement.querySelector('option:not([disabled])');
+        if (choice) {
+            choice.selected = true;
         }
     },
 
@@ -290,21 +329,21 @@ export const adaptiveDifficulty = {
                 <span class="unlock-status">✅ Unlocked</span>
             `;
         } else {
-            const sessionProgress = `${progress.currentSessions}/${progress.requiredSessions} sessions`;
-            const scoreProgress = `best: ${progress.currentBestScore}/${progress.requiredScore}`;
-            const sessionCheck = progress.sessionsMet ? '✅' : '⏳';
-            const scoreCheck = progress.scoreMet ? '✅' : '⏳';
+            const requirements = [
+                [progress.sessionsMet, `${progress.currentSessions}/${progress.requiredSessions} sessions`],
+                progress.requiredScore > 0 && [progress.scoreMet, `best: ${progress.currentBestScore}/${progress.requiredScore}`],
+                progress.requiredAverage > 0 && [progress.averageMet, `average: ${progress.currentAverage}/${progress.requiredAverage}`],
+                progress.requiredAccuracy > 0 && [progress.accuracyMet, `accuracy: ${progress.currentAccuracy ?? 0}%/${progress.requiredAccuracy}%`]
+            ].filter(Boolean);
             
             container.innerHTML = `
                 <div class="unlock-criteria">
                     <div class="unlock-title">🔒 ${DIFFICULTY_LABELS[difficulty] || difficulty}</div>
                     <div class="unlock-requirements">
-                        <div class="requirement ${progress.sessionsMet ? 'met' : 'unmet'}">
-                            ${sessionCheck} ${sessionProgress}
-                        </div>
-                        <div class="requirement ${progress.scoreMet ? 'met' : 'unmet'}">
-                            ${scoreCheck} ${scoreProgress}
-                        </div>
+                        ${requirements.map(([met, text]) => `
+                        <div class="requirement ${met ? 'met' : 'unmet'}">
+                            ${met ? '✅' : '⏳'} ${text}
+                        </div>`).join('')}
                     </div>
                 </div>
             `;
@@ -372,6 +411,18 @@ export const adaptiveDifficulty = {
         return null;
     },
 
+    /**
+     * Manually unlock or re-lock a difficulty (clinician override)
+     * @param {string} exerciseId - The exercise identifier
+     * @param {string} difficulty - The difficulty level
+     * @param {boolean} unlocked - New unlock state
+     * @throws {Error} If a clinician PIN is set and clinician mode is not active
+     */
+    setUnlocked(exerciseId, difficulty, unlocked) {
+        clinician.require('change difficulty unlocks');
+        storage.set(unlockKey(exerciseId, difficulty), Boolean(unlocked));
+    },
+
     /**
      * Ensure base difficulties are unlocked for new users
      * @param {string} exerciseId - The exercise identifier
@@ -392,9 +443,12 @@ export const adaptiveDifficulty = {
 
     /**
      * Initialize adaptive difficulty system for an exercise page
-     * @param {string} exerciseId - The exercise identifier
+     * @param {string} exerciseId - The exercise identifier (page-level IDs are accepted)
+     * @param {Array<HTMLSelectElement>} [selects] - Difficulty selects; found on the page if omitted
+     * @returns {Array<HTMLSelectElement>} The selects kept up to date
      */
-    initializeForExercise(exerciseId) {
+    initializeForExercise(exerciseId, selects = null) {
+        exerciseId = canonicalExerciseId(exerciseId);
         console.log(`🎯 Initializing adaptive difficulty for ${exerciseId}`);
         
         // Seed base unlocks for new users
@@ -404,15 +458,12 @@ export const adaptiveDifficulty = {
         this.checkAllUnlocks();
         
         // Find and update difficulty selectors (target specific data attribute)
-        const difficultySelects = document.querySelectorAll('select[data-role="difficulty"]');
+        let difficultySelects = selects || Array.from(document.querySelectorAll('select[data-role="difficulty"]'));
         
         if (difficultySelects.length === 0) {
             // Fallback: look for common difficulty select IDs
-            const fallbackSelects = document.querySelectorAll('#difficulty, #difficultySelect, #difficulty-select');
-            fallbackSelects.forEach(select => {
-                select.setAttribute('data-role', 'difficulty');
-                difficultySelects.push(select);
-            });
+            difficultySelects = Array.from(document.querySelectorAll('#difficulty, #difficultySelect, #difficulty-select'));
+            difficultySelects.forEach(select => select.setAttribute('data-role', 'difficulty'));
         }
         
         difficultySelects.forEach(select => {
@@ -420,7 +471,8 @@ export const adaptiveDifficulty = {
             
             // Add change handler to re-validate on selection
             select.addEventListener('change', (e) => {
-                const selectedDifficulty = e.target.value;
+                const option = e.target.selectedOptions[0];
+                const selectedDifficulty = option?.dataset.difficulty || e.target.value;
                 
                 // Check therapeutic safety with detailed feedback
                 const safetyMessage = this.getTherapeuticSafetyMessage(exerciseId, selectedDifficulty);
@@ -429,11 +481,12 @@ export const adaptiveDifficulty = {
                 }
                 
                 // Update UI to reflect current state
-                this.updateDifficultyUI(exerciseId, select, selectedDifficulty);
+                this.updateDifficultyUI(exerciseId, select, e.target.value);
             });
         });
         
         console.log(`✅ Adaptive difficulty initialized for ${exerciseId} with ${difficultySelects.length} selectors`);
+        return difficultySelects;
     }
 };
 
@@ -14,8 +14,10 @@
  * - Mobile-responsive charts
  */
 
-import { storage } from './utils.js';
-import { getExercise, EXERCISES } from './exercises.js';
+import { getExercise } from './exercises.js';
+import { sessionStore } from './session-store.js';
+import { getAchievementUnlocks } from './achievements.js';
+import { today, addDays, sessionDayKey } from './utils/date.js';
 
 // Chart.js will be lazy-loaded
 let Chart = null;
@@ -76,13 +78,27 @@ function withAlpha(color, alpha) {
 }
 
 /**
- * Create consistent date key for local timezone
- * @param {Date} date - Date object
- * @returns {number} Timestamp at local midnight
+ * Short axis label for a day key (e.g. "Jan 15" in the user's locale)
+ * @param {string} ymd - Day key (YYYY-MM-DD)
+ * @returns {string} Label
  */
-function dateToKey(date) {
-  const d = new Date(date);
-  return new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime();
+function dayLabel(ymd) {
+  // Day keys are calendar dates, so format them in UTC to keep the same date
+  return new Date(`${ymd}T12:00:00.000Z`).toLocaleDateString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC'
+  });
+}
+
+/**
+ * The last N practice days, oldest first
+ * @param {number} days - Number of days
+ * @returns {string[]} Day keys
+ */
+function recentDays(days) {
+  const end = today();
+  return Array.from({ length: days }, (_, i) => addDays(end, i - days + 1));
 }
 
 /**
@@ -483,103 +499,56 @@ async function createAchievementTimelineChart(canvas) {
 }
 
 /**
- * Get session frequency data for chart (FIXED: local date handling)
+ * Get session frequency data for chart (days bucketed by dayKey)
  * @param {number} days - Number of days
  * @returns {Promise<{labels: string[], values: number[]}>} Chart data
  */
 async function getSessionFrequencyData(days) {
-  const endDate = new Date();
-  const startDate = new Date(endDate);
-  startDate.setDate(startDate.getDate() - days + 1);
-
-  const labels = [];
-  const values = [];
-  const dailySessions = new Map();
-
-  // Initialize all days with 0 sessions using local date keys
-  for (let i = 0; i < days; i++) {
-    const date = new Date(startDate);
-    date.setDate(date.getDate() + i);
-    const dateKey = dateToKey(date);
-    dailySessions.set(dateKey, 0);
-    
-    // Format label for display (use user's locale)
-    const label = date.toLocaleDateString(undefined, { 
-      month: 'short', 
-      day: 'numeric' 
-    });
-    labels.push(label);
-  }
-
-  // Count sessions from all exercises
-  for (const exercise of EXERCISES) {
-    const sessionData = storage.get(`exercise:${exercise.id}:sessionHistory`);
-    if (sessionData && Array.isArray(sessionData)) {
-      for (const session of sessionData) {
-        if (session.date) {
-          const sessionDateKey = dateToKey(new Date(session.date));
-          if (dailySessions.has(sessionDateKey)) {
-            dailySessions.set(sessionDateKey, dailySessions.get(sessionDateKey) + 1);
-          }
-        }
-      }
+  const dayKeys = recentDays(days);
+  const dailySessions = new Map(dayKeys.map(day => [day, 0]));
+
+  // Count sessions from all exercises on the day they were practised
+  const sessions = await sessionStore.queryDays(dayKeys[0], dayKeys[dayKeys.length - 1]);
+  for (const session of sessions) {
+    const day = sessionDayKey(session);
+    if (dailySessions.has(day)) {
+      dailySessions.set(day, dailySessions.get(day) + 1);
     }
   }
 
   // Convert to arrays for Chart.js
-  for (const count of dailySessions.values()) {
-    values.push(count);
-  }
-
-  return { labels, values };
+  return {
+    labels: dayKeys.map(dayLabel),
+    values: [...dailySessions.values()]
+  };
 }
 
 /**
- * Get progress trend data for specific exercise (FIXED: local date handling)
+ * Get progress trend data for specific exercise (days bucketed by dayKey)
  * @param {string} exerciseId - Exercise identifier
  * @param {number} days - Number of days
  * @returns {Promise<{labels: string[], scores: number[]}>} Chart data
  */
 async function getProgressTrendData(exerciseId, days) {
-  const endDate = new Date();
-  const startDate = new Date(endDate);
-  startDate.setDate(startDate.getDate() - days + 1);
-
-  const labels = [];
-  const scores = [];
-  const dailyBestScores = new Map();
-
-  // Initialize all days using local date keys
-  for (let i = 0; i < days; i++) {
-    const date = new Date(startDate);
-    date.setDate(date.getDate() + i);
-    const dateKey = dateToKey(date);
-    dailyBestScores.set(dateKey, null);
-    
-    const label = date.toLocaleDateString(undefined, { 
-      month: 'short', 
-      day: 'numeric' 
-    });
-    labels.push(label);
-  }
+  const dayKeys = recentDays(days);
+  const dailyBestScores = new Map(dayKeys.map(day => [day, null]));
 
   // Get session data for this exercise
-  const sessionData = storage.get(`exercise:${exerciseId}:sessionHistory`);
-  if (sessionData && Array.isArray(sessionData)) {
-    for (const session of sessionData) {
-      if (session.date && typeof session.score === 'number') {
-        const sessionDateKey = dateToKey(new Date(session.date));
-        if (dailyBestScores.has(sessionDateKey)) {
-          const currentBest = dailyBestScores.get(sessionDateKey);
-          if (currentBest === null || session.score > currentBest) {
-            dailyBestScores.set(sessionDateKey, session.score);
-          }
+  const sessions = await sessionStore.queryDays(dayKeys[0], dayKeys[dayKeys.length - 1], { exerciseId });
+  for (const session of sessions) {
+    if (typeof session.score === 'number') {
+      const day = sessionDayKey(session);
+      if (dailyBestScores.has(day)) {
+        const currentBest = dailyBestScores.get(day);
+        if (currentBest === null || session.score > currentBest) {
+          dailyBestScores.set(day, session.score);
         }
       }
     }
   }
 
   // Fill forward null values to show progress continuation
+  const scores = [];
   let lastScore = null;
   for (const score of dailyBestScores.values()) {
     if (score !== null) {
@@ -590,35 +559,26 @@ async function getProgressTrendData(exerciseId, days) {
     }
   }
 
-  return { labels, scores };
+  return { labels: dayKeys.map(dayLabel), scores };
 }
 
 /**
- * Get achievement timeline data (FIXED: local date handling)
+ * Get achievement timeline data: running total of unlocks per practice day
  * @returns {Promise<{labels: string[], values: number[]}>} Chart data
  */
 async function getAchievementTimelineData() {
-  const achievementHistory = storage.get('achievementHistory') || [];
-  
-  if (achievementHistory.length === 0) {
-    return { labels: [], values: [] };
+  const unlocksPerDay = new Map();
+  for (const { day } of getAchievementUnlocks()) {
+    unlocksPerDay.set(day, (unlocksPerDay.get(day) || 0) + 1);
   }
 
-  // Sort by date
-  achievementHistory.sort((a, b) => new Date(a.date) - new Date(b.date));
-
   const labels = [];
   const values = [];
   let count = 0;
 
-  for (const achievement of achievementHistory) {
-    count++;
-    const date = new Date(achievement.date);
-    const label = date.toLocaleDateString(undefined, { 
-      month: 'short', 
-      day: 'numeric' 
-    });
-    labels.push(label);
+  for (const [day, unlocked] of unlocksPerDay) {
+    count += unlocked;
+    labels.push(dayLabel(day));
     values.push(count);
   }
 
@@ -0,0 +1,148 @@
+// /js/dynamic-difficulty.js
+// In-session difficulty: a staircase on a challenge level from 0 (easiest)
+// to 1 (hardest) that keeps the success rate of recent trials inside a target
+// band. Trials are judged in blocks of `window`; a block above the band steps
+// the level up, one below steps it down, and the step halves each time the
+// direction reverses so the level settles instead of see-sawing.
+//
+// The level starts at NEUTRAL_LEVEL, which is the session as the player set
+// it up (difficulty, sizes, speeds). DIFFICULTY_PARAMETERS maps the level to
+// each exercise's own knobs, given as [at level 0, at level 1] and chosen so
+// the neutral level changes nothing: scales are 1 there, offsets 0.
+//
+// The exercise runtime drives this from recordTrial() (see exercise-runtime.js)
+// and hands pages the parameters through hooks.onDifficulty.
+
+import { canonicalExerciseId } from './exercises.js';
+
+export const TARGET_BAND = Object.freeze({ low: 0.7, high: 0.85 });
+export const NEUTRAL_LEVEL = 0.5;
+
+export const DIFFICULTY_PARAMETERS = {
+  bubble: {
+    sizeScale: [1.4, 0.6],    // bubble size
+    visibleScale: [1.5, 0.5], // how long a bubble stays up
+    spawnGapMs: [750, 150]    // pause before the next bubble
+  },
+  comet: {
+    speedScale: [0.6, 1.4]
+  },
+  scanner: {
+    distractorOffset: [-4, 4] // added to the difficulty's distractor count
+  },
+  rhythm: {
+    lengthStep: [0, 2]        // pads added to the sequence after a clean round
+  },
+  maze: {
+    cellScale: [1.3, 0.7]     // larger cells make a smaller maze
+  },
+  trace: {
+    toleranceScale: [1.4, 0.6] // how far from the outline a stroke still counts
+  }
+};
+
+const TRAJECTORY_LIMIT = 50;
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * An exercise's parameters at a challenge level
+ * @param {string} exerciseId - Exercise ID (page-level IDs are accepted)
+ * @param {number} level - 0 (easiest) to 1 (hardest)
+ * @param {Object} [parameters] - Ranges to use instead of DIFFICULTY_PARAMETERS
+ * @returns {Object} { name: value }; values whose ends are both integers are rounded
+ */
+export function parametersAt(exerciseId, level, parameters = DIFFICULTY_PARAMETERS[canonicalExerciseId(exerciseId)]) {
+  const t = clamp01(level);
+  return Object.fromEntries(Object.entries(parameters || {}).map(([name, [from, to]]) => {
+    const value = from + (to - from) * t;
+    return [name, Number.isInteger(from) && Number.isInteger(to) ? Math.round(value) : round2(value)];
+  }));
+}
+
+/**
+ * Create a staircase controller
+ * @param {Object} [options]
+ * @param {number} [options.level=NEUTRAL_LEVEL] - Starting level
+ * @param {Object} [options.band=TARGET_BAND] - { low, high } success rates to stay between
+ * @param {number} [options.window=8] - Trials judged together
+ * @param {number} [options.step=0.1] - First step size
+ * @param {number} [options.minStep=0.025] - Smallest step after reversals
+ * @param {Object} [options.state] - snapshot() of a controller to carry on from
+ * @returns {Object} { level, record(correct), snapshot() }
+ */
+export function createStaircase({
+  level = NEUTRAL_LEVEL,
+  band = TARGET_BAND,
+  window = 8,
+  step = 0.1,
+  minStep = 0.025,
+  state = null
+} = {}) {
+  if (!(band.low < band.high)) throw new Error('Target band must have low below high');
+  if (!Number.isInteger(window) || window < 1) throw new Error('Window must be a whole number of trials');
+
+  let current = clamp01(state?.level ?? level);
+  let currentStep = state?.step ?? step;
+  let lastDirection = state?.lastDirection ?? 0;
+  let outcomes = [];
+
+  return {
+    get level() {
+      return current;
+    },
+
+    /**
+     * Count a trial
+     * @param {boolean} correct - Whether it succeeded
+     * @returns {Object|null} { level, direction, successRate } when the level moved
+     */
+    record(correct) {
+      outcomes.push(Boolean(correct));
+      if (outcomes.length < window) return null;
+
+      const successRate = outcomes.filter(Boolean).length / outcomes.length;
+      outcomes = [];
+      const direction = successRate > band.high ? 1 : successRate < band.low ? -1 : 0;
+      if (!direction) return null;
+
+      if (lastDirection && direction !== lastDirection) currentStep = Math.max(minStep, currentStep / 2);
+      lastDirection = direction;
+      const next = round2(clamp01(current + direction * currentStep));
+      if (next === current) return null;
+      current = next;
+      return { level: current, direction, successRate: round2(successRate) };
+    },
+
+    snapshot() {
+      return { level: current, step: currentStep, lastDirection };
+    }
+  };
+}
+
+/**
+ * Session entry extras for a level trajectory
+ * @param {Array<{atMs: number, level: number}>} trajectory - Level changes, oldest first
+ * @param {number} endMs - Active time at the end of the session
+ * @returns {Object} { difficultyLevel (time-weighted mean), finalDifficultyLevel, difficultyTrajectory }
+ */
+export function trajectoryExtras(trajectory, endMs) {
+  if (!trajectory?.length) return {};
+  let weighted = 0;
+  let total = 0;
+  trajectory.forEach(({ atMs, level }, i) => {
+    const until = Math.max(atMs, i + 1 < trajectory.length ? trajectory[i + 1].atMs : endMs);
+    weighted += level * (until - atMs);
+    total += until - atMs;
+  });
+  const last = trajectory[trajectory.length - 1].level;
+  return {
+    difficultyLevel: round2(total > 0 ? weighted / total : last),
+    finalDifficultyLevel: last,
+    // A long session keeps its start and its most recent changes
+    difficultyTrajectory: trajectory.length > TRAJECTORY_LIMIT
+      ? [trajectory[0], ...trajectory.slice(-(TRAJECTORY_LIMIT - 1))]
+      : trajectory
+  };
+}
@@ -0,0 +1,1170 @@
+// /js/exercise-runtime.js
+// Exercise Runtime - one session lifecycle shared by every exercise page
+//
+//   idle → countdown → running ⇄ paused → summary
+//                        running ⇄ resting
+//
+// Built on createSession (the clock) and bindPause (the pause UI). Pages only
+// supply game logic through hooks; the runtime owns the countdown, timing,
+// rest breaks, fatigue detection, medals, insights, the "past sessions" list,
+// recordSession, achievements, gamification points and adaptive difficulty.
+//
+// While a session runs, the runtime keeps a rolling checkpoint of it in
+// storage. If the page dies mid-session (phone locked, app killed, stray
+// navigation), reopening the exercise offers to resume from the checkpoint or
+// to save the work so far as a partial session.
+//
+// Each pause and rest is logged with its reason (see session-core) and the
+// tallies go on the session entry as pauseCount, pausedMs and pauseReasons.
+//
+// Lifecycle moments (countdown, pauses, rests, the summary) are narrated to
+// screen readers; pages report their own game events with narrate().
+//
+// Creating the runtime applies the player's motor profile to the page (see
+// motor-access.js).
+//
+// Pages that opt in to dynamic difficulty have their trials steer a staircase
+// (see dynamic-difficulty.js) that retunes the game through onDifficulty; the
+// level's trajectory goes on the session entry.
+//
+// Scoring modules are loaded lazily so a failure in one of them can never
+// stop an exercise from being played.
+
+import { storage, showToast } from './utils.js';
+import { createSession, normalizeIntervalPlan } from './session-core.js';
+import { bindPause } from './pause.js';
+import { canonicalExerciseId } from './exercises.js';
+import { createNarrator } from './narration.js';
+import { applyMotorProfile } from './motor-access.js';
+import { createStaircase, parametersAt, trajectoryExtras, DIFFICULTY_PARAMETERS } from './dynamic-difficulty.js';
+
+export const PAST_SESSIONS_LIMIT = 10;
+
+export const MEDAL_ICONS = { platinum: '🏆', gold: '🥇', silver: '🥈', bronze: '🥉' };
+
+const FALLBACK_INSIGHT = { icon: '💪', text: '<strong>Practice logged</strong> — every session builds the pattern.' };
+
+const isTest = typeof process !== 'undefined' && process.env.NODE_ENV === 'test';
+
+function warn(message, error) {
+  if (!isTest) console.warn(message, error);
+}
+
+// ============================================================================
+// MEDALS, INSIGHTS AND PAST SESSIONS
+// ============================================================================
+
+/**
+ * Medal for a finished session, judged against the previous personal best
+ * @param {number} currentScore - Score this session
+ * @param {number} prevPb - Personal best before this session
+ * @returns {{tier: string, label: string, caption: string}} Medal
+ */
+export function computeMedalTier(currentScore, prevPb) {
+  if (prevPb <= 0) {
+    // First session — give them a Silver to mark the milestone.
+    return { tier: 'silver', label: 'Silver', caption: 'First completed session — keep going!' };
+  }
+  if (currentScore > prevPb) {
+    return { tier: 'platinum', label: 'Platinum', caption: 'New personal best!' };
+  }
+  const ratio = currentScore / prevPb;
+  if (ratio >= 0.90) return { tier: 'gold', label: 'Gold', caption: 'Within 10% of your best — strong session.' };
+  if (ratio >= 0.70) return { tier: 'silver', label: 'Silver', caption: 'Solid session — keep building momentum.' };
+  return { tier: 'bronze', label: 'Bronze', caption: 'Every session counts. Try again to climb the tiers.' };
+}
+
+/**
+ * Pick the most flattering true statement about a session
+ * @param {Object} curr - This session's stats
+ * @param {Array} past - Earlier sessions' stats, most recent first
+ * @param {Function[]} rules - Exercise-specific (curr, past, prev) => insight|null, in priority order
+ * @returns {{icon: string, text: string}|null} Insight (HTML text), or null on a first session
+ */
+export function computeInsight(curr, past, rules = []) {
+  if (!past || past.length === 0) return null;
+  const prev = past[0];
+  for (const rule of rules) {
+    try {
+      const insight = rule(curr, past, prev);
+      if (insight) return insight;
+    } catch (error) {
+      warn('Insight rule failed:', error);
+    }
+  }
+  return { ...FALLBACK_INSIGHT };
+}
+
+const pastSessionsKey = (exerciseId) => `pastSessions:${exerciseId}`;
+
+/**
+ * Stats of the exercise's recent sessions, most recent first
+ * @param {string} exerciseId - Exercise identifier
+ * @param {Function} [legacy] - () => array; the page's old list, adopted while the shared one is empty
+ * @returns {Array} Past session stats
+ */
+export function loadPastSessions(exerciseId, legacy) {
+  const stored = storage.getJSON(pastSessionsKey(exerciseId), null);
+  if (Array.isArray(stored)) return stored;
+  try {
+    const adopted = legacy?.();
+    return Array.isArray(adopted) ? adopted.slice(0, PAST_SESSIONS_LIMIT) : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Add a session to the front of the past-sessions list
+ * @param {string} exerciseId - Exercise identifier
+ * @param {Object} stats - Session stats (a ts is added if missing)
+ * @param {Function} [legacy] - Same as loadPastSessions()
+ * @returns {Array} Updated list
+ */
+export function savePastSession(exerciseId, stats, legacy) {
+  const list = [{ ts: Date.now(), ...stats }, ...loadPastSessions(exerciseId, legacy)].slice(0, PAST_SESSIONS_LIMIT);
+  storage.setJSON(pastSessionsKey(exerciseId), list);
+  return list;
+}
+
+// ============================================================================
+// REST BREAKS AND FATIGUE
+// ============================================================================
+
+export const DEFAULT_FATIGUE_OPTIONS = Object.freeze({
+  window: 10,          // trials compared (older half vs newer half)
+  accuracyDrop: 0.2,   // accuracy falling by 20 points...
+  slowdown: 0.25,      // ...or reactions 25% slower suggests a rest
+  restMs: 30_000       // length of a suggested rest without an interval plan
+});
+
+const intervalPlanKey = (exerciseId) => `intervalPlan:${canonicalExerciseId(exerciseId)}`;
+
+/**
+ * Interval plan set for an exercise (null runs continuously)
+ * @param {string} exerciseId - Exercise identifier
+ * @returns {Object|null} { intervals, workMs, restMs }
+ */
+export function getIntervalPlan(exerciseId) {
+  try {
+    return normalizeIntervalPlan(storage.getJSON(intervalPlanKey(exerciseId), null));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Set (or clear with null) an exercise's interval plan
+ * @param {string} exerciseId - Exercise identifier
+ * @param {Object|null} plan - { intervals, workMs, restMs }
+ * @returns {Object|null} Stored (normalized) plan
+ * @throws {Error} If the plan is invalid
+ */
+export function setIntervalPlan(exerciseId, plan) {
+  const normalized = normalizeIntervalPlan(plan);
+  if (normalized) storage.setJSON(intervalPlanKey(exerciseId), normalized);
+  else storage.remove(intervalPlanKey(exerciseId));
+  return normalized;
+}
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+/**
+ * Look for fatigue in the most recent trials: the newer half of the window
+ * markedly less accurate, or markedly slower, than the older half
+ * @param {Array<{correct?: boolean, reactionMs?: number}>} trials - Oldest first
+ * @param {Object} [options] - See DEFAULT_FATIGUE_OPTIONS
+ * @returns {{reason: string, before: number, after: number}|null} Finding, or null
+ */
+export function detectFatigue(trials, options = {}) {
+  const { window, accuracyDrop, slowdown } = { ...DEFAULT_FATIGUE_OPTIONS, ...options };
+  const size = Math.max(4, Math.floor(window));
+  if (!Array.isArray(trials) || trials.length < size) return null;
+
+  const recent = trials.slice(-size);
+  const halves = [recent.slice(0, size / 2), recent.slice(size / 2)];
+
+  const accuracy = halves.map(half => half.filter(t => typeof t.correct === 'boolean'));
+  if (accuracy.every(half => half.length >= 2)) {
+    const [before, after] = accuracy.map(half => half.filter(t => t.correct).length / half.length);
+    if (before - after >= accuracyDrop) return { reason: 'accuracy', before, after };
+  }
+
+  const reactions = halves.map(half => half.map(t => t.reactionMs).filter(ms => Number.isFinite(ms) && ms > 0));
+  if (reactions.every(half => half.length >= 2)) {
+    const [before, after] = reactions.map(mean);
+    if (after >= before * (1 + slowdown)) return { reason: 'reaction', before, after };
+  }
+
+  return null;
+}
+
+/**
+ * Add up per-reason interruption tallies
+ * @param {...Object} tallies - reason -> { count, ms }
+ * @returns {Object} reason -> { count, ms }
+ */
+export function mergeInterruptions(...tallies) {
+  const merged = {};
+  tallies.forEach(tally => Object.entries(tally || {}).forEach(([reason, { count = 0, ms = 0 }]) => {
+    const entry = merged[reason] || (merged[reason] = { count: 0, ms: 0 });
+    entry.count += Number(count) || 0;
+    entry.ms += Number(ms) || 0;
+  }));
+  return merged;
+}
+
+/**
+ * Session entry extras for a session's interruptions
+ * @param {Object} tally - reason -> { count, ms }
+ * @returns {{pauseCount: number, pausedMs: number, pauseReasons: Object}} Extras (ms rounded)
+ */
+export function interruptionExtras(tally) {
+  const pauseReasons = {};
+  let pauseCount = 0;
+  let pausedMs = 0;
+  Object.entries(mergeInterruptions(tally)).forEach(([reason, { count, ms }]) => {
+    if (count <= 0) return;
+    pauseReasons[reason] = { count, ms: Math.round(ms) };
+    pauseCount += count;
+    pausedMs += Math.round(ms);
+  });
+  return { pauseCount, pausedMs, pauseReasons };
+}
+
+// ============================================================================
+// SESSION COMPLETION
+// ============================================================================
+
+async function loadModule(loader, name) {
+  try {
+    return await loader();
+  } catch (error) {
+    warn(`Exercise runtime: ${name} unavailable`, error);
+    return null;
+  }
+}
+
+/**
+ * Everything that happens after a session: medal, insight, past sessions,
+ * progress, achievements, points and adaptive difficulty. Practice sessions
+ * are summarised but not recorded.
+ * @param {Object} session
+ * @param {string} session.exerciseId - Exercise identifier
+ * @param {string} session.difficulty - Difficulty played
+ * @param {number} session.score - Final score
+ * @param {Object} [session.stats] - Page stats for insights and the past-sessions list
+ * @param {Object} [session.extras] - Extra metrics stored on the session entry (accuracy, perfects, ...)
+ * @param {number} [session.previousBest] - The page's own personal best, if it keeps one
+ * @param {boolean} [session.practice] - Practice run
+ * @param {Function[]} [session.insights] - Insight rules (see computeInsight)
+ * @param {Function} [session.legacyPastSessions] - See loadPastSessions()
+ * @returns {Promise<Object>} Summary { practice, score, stats, previousBest, isNewBest, medal, insight,
+ *                            sessionEntry, achievements, points, unlocks }
+ */
+export async function completeSession({
+  exerciseId,
+  difficulty,
+  score,
+  stats = {},
+  extras = {},
+  previousBest = 0,
+  practice = false,
+  insights = [],
+  legacyPastSessions
+}) {
+  const summary = {
+    practice,
+    score,
+    stats,
+    previousBest: 0,
+    isNewBest: false,
+    medal: null,
+    insight: null,
+    sessionEntry: null,
+    achievements: [],
+    points: null,
+    unlocks: []
+  };
+  if (practice) return summary;
+
+  const [progress, achievements, gamification, adaptive] = await Promise.all([
+    loadModule(() => import('./progress.js'), 'progress'),
+    loadModule(() => import('./achievements.js'), 'achievements'),
+    loadModule(() => import('./gamification.js'), 'gamification'),
+    loadModule(() => import('./adaptive-difficulty.js'), 'adaptive difficulty')
+  ]);
+  const id = canonicalExerciseId(exerciseId);
+
+  summary.previousBest = Math.max(storage.getInt(`exercise:${id}:best`, 0), Number(previousBest) || 0);
+  summary.isNewBest = score > summary.previousBest;
+  summary.medal = computeMedalTier(score, summary.previousBest);
+  summary.insight = computeInsight(stats, loadPastSessions(id, legacyPastSessions), insights);
+  savePastSession(id, { ...stats, score }, legacyPastSessions);
+
+  // Effort points compare the session with earlier ones on the same difficulty, so read them first
+  let earlierScores = [];
+  try {
+    earlierScores = (progress?.getSessionHistory(id, 100) || [])
+      .filter(entry => entry.difficulty === difficulty)
+      .map(entry => Number(entry.score) || 0)
+      .reverse();
+  } catch (error) {
+    warn('Exercise runtime: session history failed', error);
+  }
+
+  try {
+    summary.sessionEntry = progress?.recordSession(id, difficulty, score, extras)?.sessionEntry || null;
+  } catch (error) {
+    warn('Exercise runtime: recordSession failed', error);
+  }
+  try {
+    summary.unlocks = adaptive?.adaptiveDifficulty.recordSession(id, difficulty, score, extras) || [];
+  } catch (error) {
+    warn('Exercise runtime: adaptive difficulty failed', error);
+  }
+  // After adaptive difficulty, whose per-difficulty bests the achievements read
+  try {
+    summary.achievements = achievements?.checkAndUnlockAchievements(summary.sessionEntry || {}) || [];
+  } catch (error) {
+    warn('Exercise runtime: achievements failed', error);
+  }
+  try {
+    summary.points = gamification?.getGamification()
+      .awardSessionPoints(id, score, summary.isNewBest, storage.getInt('streak', 0), {
+        difficulty,
+        accuracy: extras.accuracy ?? stats.accuracy,
+        personalAverage: gamification.personalAverage(earlierScores),
+        personalBest: summary.previousBest
+      }) || null;
+  } catch (error) {
+    warn('Exercise runtime: points failed', error);
+  }
+
+  return summary;
+}
+
+// ============================================================================
+// CRASH RECOVERY
+// ============================================================================
+
+export const CHECKPOINT_EVERY_MS = 5_000;
+export const CHECKPOINT_MAX_AGE_MS = 24 * 60 * 60 * 1000; // older checkpoints are dropped
+const TRIAL_LOG_LIMIT = 500;
+
+const checkpointKey = (exerciseId) => `checkpoint:${canonicalExerciseId(exerciseId)}`;
+
+/**
+ * Store the checkpoint of an exercise's session in progress (replacing the last one)
+ * @param {string} exerciseId - Exercise identifier
+ * @param {Object} checkpoint - { exerciseId, difficulty, durationMs, remainingMs, elapsedMs, restedMs,
+ *                              score, stats, extras, previousBest, state, trials, settings }
+ * @returns {Object} Stored checkpoint (with savedAt)
+ */
+export function saveCheckpoint(exerciseId, checkpoint) {
+  const stored = { ...checkpoint, savedAt: Date.now() };
+  storage.setJSON(checkpointKey(exerciseId), stored);
+  return stored;
+}
+
+/**
+ * Unfinished session left behind by a reload, crash or navigation
+ * @param {string} exerciseId - Exercise identifier
+ * @returns {Object|null} Checkpoint, or null if there is none (stale or corrupt ones are dropped)
+ */
+export function loadCheckpoint(exerciseId) {
+  const checkpoint = storage.getJSON(checkpointKey(exerciseId), null);
+  if (!checkpoint) return null;
+  const age = Date.now() - Number(checkpoint.savedAt);
+  if (!(age >= 0 && age <= CHECKPOINT_MAX_AGE_MS) || !(checkpoint.remainingMs > 0) || !checkpoint.difficulty) {
+    clearCheckpoint(exerciseId);
+    return null;
+  }
+  return checkpoint;
+}
+
+/**
+ * Forget an exercise's checkpoint
+ * @param {string} exerciseId - Exercise identifier
+ */
+export function clearCheckpoint(exerciseId) {
+  storage.remove(checkpointKey(exerciseId));
+}
+
+/**
+ * Record an unfinished session as it stood at its checkpoint. It counts like
+ * any other session, with extras.partial set.
+ * @param {Object} checkpoint - From loadCheckpoint()
+ * @param {Object} [options] - { insights, legacyPastSessions } as for completeSession()
+ * @returns {Promise<Object>} Summary (see completeSession)
+ */
+export function savePartialSession(checkpoint, { insights, legacyPastSessions } = {}) {
+  clearCheckpoint(checkpoint.exerciseId);
+  return completeSession({
+    exerciseId: checkpoint.exerciseId,
+    difficulty: checkpoint.difficulty,
+    score: Number(checkpoint.score) || 0,
+    stats: checkpoint.stats,
+    extras: {
+      ...checkpoint.extras,
+      ...trajectoryExtras(checkpoint.dynamic?.trajectory, Number(checkpoint.elapsedMs) || 0),
+      durationMs: checkpoint.durationMs,
+      activeMs: Math.round(Number(checkpoint.elapsedMs) || 0),
+      partial: true
+    },
+    previousBest: checkpoint.previousBest,
+    insights,
+    legacyPastSessions
+  });
+}
+
+// ============================================================================
+// COUNTDOWN AND SUMMARY UI
+// ============================================================================
+
+function replayAnimation(el, animation) {
+  el.style.animation = 'none';
+  void el.offsetWidth; // reflow so the animation restarts
+  el.style.animation = animation || '';
+}
+
+/**
+ * 3-2-1-GO countdown
+ * @param {Object} [options]
+ * @param {HTMLElement} [options.overlay] - Page's own overlay (shown/hidden with the 'hidden' class);
+ *                                          a .countdown-overlay is created when omitted
+ * @param {HTMLElement} [options.number] - Element showing the count (inside overlay)
+ * @param {string} [options.visibleClass] - Show the overlay by adding this class instead of removing 'hidden'
+ * @param {number} [options.from=3] - First number
+ * @param {number} [options.stepMs=800] - Time each number is shown
+ * @param {number} [options.goMs=600] - Time "GO!" is shown (or the pause after the last number)
+ * @param {string|null} [options.goText='GO!'] - Final text; null skips it
+ * @param {string} [options.goClass='countdown-go'] - Class on the number while goText shows
+ * @param {string} [options.animation] - CSS animation replayed on each number (defaults to the stylesheet's)
+ * @param {Function} [options.onStep] - (count) for each number, then (goText) - e.g. for sounds
+ * @param {Function} [options.isCancelled] - () => boolean; checked between steps
+ * @returns {Promise<boolean>} Resolves true when finished, false if cancelled
+ */
+export function showCountdown({
+  overlay,
+  number,
+  from = 3,
+  stepMs = 800,
+  goMs = 600,
+  goText = 'GO!',
+  goClass = 'countdown-go',
+  visibleClass,
+  animation,
+  onStep,
+  isCancelled = () => false
+} = {}) {
+  const created = !overlay;
+  if (created) {
+    overlay = document.createElement('div');
+    overlay.className = 'countdown-overlay';
+    number = document.createElement('div');
+    number.className = 'countdown-number';
+    overlay.appendChild(number);
+    document.body.appendChild(overlay);
+  } else if (visibleClass) {
+    overlay.classList.add(visibleClass);
+  } else {
+    overlay.classList.remove('hidden');
+  }
+  const display = number || overlay;
+
+  const close = () => {
+    if (created) overlay.remove();
+    else if (visibleClass) overlay.classList.remove(visibleClass);
+    else overlay.classList.add('hidden');
+  };
+
+  return new Promise(resolve => {
+    let count = from;
+    const show = () => {
+      if (isCancelled()) {
+        close();
+        resolve(false);
+        return;
+      }
+      if (count > 0) {
+        display.textContent = String(count);
+        display.classList.remove(goClass);
+        replayAnimation(display, animation);
+        onStep?.(count);
+        count--;
+        setTimeout(show, stepMs);
+      } else {
+        if (goText !== null) {
+          display.textContent = goText;
+          display.classList.add(goClass);
+          replayAnimation(display, animation);
+        }
+        onStep?.(goText);
+        setTimeout(() => {
+          close();
+          resolve(!isCancelled());
+        }, goMs);
+      }
+    };
+    show();
+  });
+}
+
+/**
+ * Fill the standard medal block (.medal-disc / .medal-tier / caption)
+ * @param {Object} els - { root, disc, tier, caption }
+ * @param {Object|null} medal - From computeMedalTier(); null hides the block
+ */
+export function renderMedal({ root, disc, tier, caption } = {}, medal) {
+  if (!root) return;
+  if (!medal) {
+    root.style.display = 'none';
+    return;
+  }
+  if (disc) {
+    disc.className = `medal-disc ${medal.tier}`;
+    disc.textContent = MEDAL_ICONS[medal.tier];
+  }
+  if (tier) {
+    tier.className = `medal-tier ${medal.tier}`;
+    tier.textContent = medal.label;
+  }
+  if (caption) caption.textContent = medal.caption;
+  root.style.display = 'flex';
+}
+
+/**
+ * Fill the standard insight block
+ * @param {Object} els - { root, icon, text }
+ * @param {Object|null} insight - From computeInsight(); null hides the block
+ */
+export function renderInsight({ root, icon, text } = {}, insight) {
+  if (!root) return;
+  if (!insight) {
+    root.style.display = 'none';
+    return;
+  }
+  if (icon) icon.textContent = insight.icon;
+  if (text) text.innerHTML = insight.text;
+  root.style.display = 'flex';
+}
+
+// ============================================================================
+// LIFECYCLE
+// ============================================================================
+
+/**
+ * Full-screen rest overlay for pages without a pause overlay of their own
+ * @param {Function} onSkipRest - Called when the player skips the rest
+ * @returns {Object} bindPause() control (only setResting is used)
+ */
+function createRestOverlay(onSkipRest) {
+  const overlay = document.createElement('div');
+  overlay.className = 'rest-overlay hidden';
+  overlay.setAttribute('role', 'status');
+  overlay.innerHTML = `
+    <div class="rest-label"></div>
+    <div class="rest-hint">Relax your hand and shoulders — the session carries on after the break.</div>
+    <button type="button" class="btn btn-secondary"></button>`;
+  document.body.appendChild(overlay);
+  const control = bindPause({
+    overlayEl: overlay,
+    buttonEl: overlay.querySelector('button'),
+    restLabelEl: overlay.querySelector('.rest-label'),
+    overlayClickResumes: false,
+    escapeResumes: false,
+    onSkipRest
+  });
+  return {
+    ...control,
+    destroy() {
+      control.destroy();
+      overlay.remove();
+    }
+  };
+}
+
+const formatClock = (ms) => {
+  const seconds = Math.ceil(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+/**
+ * "Resume your unfinished session / Save partial session" prompt
+ * @param {Object} checkpoint - From loadCheckpoint()
+ * @param {Object} actions - { resume, save, discard }, each () => void
+ * @returns {Function} Close the prompt
+ */
+function createRecoveryPrompt(checkpoint, actions) {
+  const overlay = document.createElement('div');
+  overlay.className = 'rest-overlay recovery-overlay';
+  overlay.setAttribute('role', 'dialog');
+  overlay.setAttribute('aria-modal', 'true');
+  overlay.setAttribute('aria-label', 'Unfinished session');
+  overlay.innerHTML = `
+    <div class="rest-label">Unfinished session</div>
+    <div class="rest-hint"></div>
+    <div class="recovery-actions">
+      <button type="button" class="btn btn-primary" data-action="resume">Resume your unfinished session</button>
+      <button type="button" class="btn btn-secondary" data-action="save">Save partial session</button>
+      <button type="button" class="btn btn-secondary" data-action="discard">Discard</button>
+    </div>`;
+  overlay.querySelector('.rest-hint').textContent =
+    `Score ${Number(checkpoint.score) || 0} · ${formatClock(checkpoint.remainingMs)} left`;
+
+  const close = () => overlay.remove();
+  overlay.querySelectorAll('button').forEach(button => {
+    button.addEventListener('click', () => {
+      close();
+      actions[button.dataset.action]();
+    });
+  });
+  document.body.appendChild(overlay);
+  overlay.querySelector('button').focus();
+  return close;
+}
+
+export const PHASES = ['idle', 'countdown', 'running', 'resting', 'paused', 'summary'];
+
+/**
+ * Create the lifecycle controller for an exercise page
+ * @param {Object} options
+ * @param {string} options.exerciseId - Exercise identifier
+ * @param {Object} [options.hooks] - Game logic:
+ *   onStart(ctx)            reset game state for a new session (before the countdown)
+ *   onRun(ctx)              countdown finished; start the game loop
+ *   onTick(event)           clock advanced ({ remainingMs, elapsedMs, pausedMs }); elapsedMs
+ *                           includes the time before a resumed checkpoint
+ *   onWarning(event)        { secondsLeft } reached
+ *   onPauseChange(paused, reason)  also (true, 'rest' | 'fatigue') when a rest break begins and
+ *                           (false, ...) when it ends, so the game freezes for the break
+ *   onRest(event)           rest break began ({ restMs, early, interval, ... })
+ *   onWork(event)           rest break over; carry on
+ *   onFatigue(suggestion)   recent trials look fatigued; suggestion.rest() takes an early rest
+ *   onDifficulty(event)     with dynamicDifficulty: { level, params, direction, successRate } when
+ *                           a session starts (direction 0) and each time the level moves
+ *   onStop(ctx)             session over; stop the game and return
+ *                           { score, stats, extras, previousBest, difficulty }
+ *   onSnapshot(ctx)         same shape as onStop, plus state: whatever onRestore needs, without
+ *                           stopping anything; pages without it are never checkpointed
+ *   onRestore(state, ctx)   resuming a checkpoint; put the saved state back (after onStart)
+ *   onRecovered(summary)    a checkpoint was saved as a partial session
+ *   onSummary(summary, ctx) show the results (after medal/insight are rendered)
+ *   onExit()                session abandoned without a summary
+ *   onPhaseChange(phase)
+ * @param {Function[]} [options.insights] - Insight rules (see computeInsight)
+ * @param {Function} [options.legacyPastSessions] - See loadPastSessions()
+ * @param {Object} [options.elements] - { medal, insight, countdown: { overlay, number }, pause: bindPause options,
+ *                                      difficulty: the settings select, whose locked levels are marked
+ *                                      (see adaptiveDifficulty.updateDifficultyUI) }
+ * @param {Object|false} [options.countdown] - showCountdown() options, or false to start immediately
+ * @param {Object} [options.intervals] - Default interval plan; a plan set with setIntervalPlan() wins
+ * @param {Object|false} [options.fatigue] - detectFatigue() options, or false to turn detection off
+ * @param {Object|boolean} [options.dynamicDifficulty] - Adjust difficulty from the trials in recordTrial():
+ *                           true, or createStaircase() options plus parameters (ranges in place of
+ *                           the exercise's DIFFICULTY_PARAMETERS)
+ * @param {number[]} [options.warningsAt] - Seconds left at which onWarning fires
+ * @param {boolean} [options.useAnimationFrame] - Drive the clock from requestAnimationFrame
+ * @param {boolean} [options.recovery=true] - Checkpoint sessions and offer to resume them after a reload
+ * @param {Object} [options.access] - Keyboard / switch controller (see input-access.js), started
+ *                                    while the session is running and stopped otherwise
+ * @param {boolean} [options.narration=true] - Announce the session to screen readers (see narration.js)
+ * @param {Object} [options.vocabulary] - Extra or overriding narration entries for this page
+ * @returns {Object} Controller
+ */
+export function createExerciseRuntime({
+  exerciseId,
+  hooks = {},
+  insights = [],
+  legacyPastSessions,
+  elements = {},
+  countdown = {},
+  intervals = null,
+  fatigue = {},
+  dynamicDifficulty = false,
+  warningsAt = [],
+  useAnimationFrame = false,
+  recovery = true,
+  access = null,
+  narration = true,
+  vocabulary
+}) {
+  let phase = 'idle';
+  let clock = null;
+  let ctx = null;
+  let run = 0; // bumped per start/exit so stale countdowns and completions are ignored
+  let trials = [];
+  let trialLog = []; // every trial this session, for the checkpoint
+  let fatigueAlerts = 0;
+  let carried = { elapsedMs: 0, restedMs: 0, interruptions: {} }; // from before a resumed checkpoint
+  let lastCheckpointAt = 0;
+  const fatigueOptions = fatigue === false ? null : { ...DEFAULT_FATIGUE_OPTIONS, ...fatigue };
+  const { parameters = DIFFICULTY_PARAMETERS[canonicalExerciseId(exerciseId)], ...staircaseOptions } =
+    dynamicDifficulty === true ? {} : dynamicDifficulty || {};
+  let staircase = null; // this session's, with dynamicDifficulty
+  let trajectory = [];
+  const narrator = narration ? createNarrator({ exerciseId, vocabulary }) : null;
+
+  let pauseControl = null; // bound once the controller exists
+  let restControl = null; // the pause overlay, or one created on the first rest
+  let restReason = null; // why the current rest break began, for onPauseChange
+
+  function showRest(ms) {
+    if (!restControl && ms !== null && typeof document !== 'undefined') {
+      restControl = createRestOverlay(() => controller.skipRest());
+    }
+    restControl?.setResting(ms);
+  }
+
+  function setPhase(next) {
+    if (phase === next) return;
+    phase = next;
+    if (next === 'running') access?.start();
+    else access?.stop();
+    hooks.onPhaseChange?.(next);
+  }
+
+  function checkpoint() {
+    if (!recovery || !ctx || ctx.practice || !clock || !hooks.onSnapshot) return;
+    if (phase !== 'running' && phase !== 'paused' && phase !== 'resting') return;
+    try {
+      const { exerciseId: id, durationMs, practice, difficulty, intervals: plan, resumed, ...settings } = ctx;
+      const elapsedMs = carried.elapsedMs + clock.elapsedActive();
+      const restedMs = carried.restedMs + clock.elapsedResting();
+      const snap = hooks.onSnapshot({ ...ctx, elapsedMs, restedMs }) || {};
+      saveCheckpoint(exerciseId, {
+        exerciseId,
+        difficulty: snap.difficulty ?? difficulty,
+        durationMs,
+        remainingMs: clock.timeRemaining(),
+        elapsedMs,
+        restedMs,
+        score: Number(snap.score) || 0,
+        stats: snap.stats,
+        extras: snap.extras,
+        previousBest: snap.previousBest,
+        state: snap.state,
+        trials: trialLog,
+        fatigueAlerts,
+        dynamic: staircase ? { state: staircase.snapshot(), trajectory } : undefined,
+        interruptions: mergeInterruptions(carried.interruptions, clock.interruptions()),
+        settings
+      });
+      lastCheckpointAt = Date.now();
+    } catch (error) {
+      warn('Exercise runtime: checkpoint failed', error);
+    }
+  }
+
+  function teardownClock() {
+    clock?.destroy();
+    clock = null;
+  }
+
+  async function complete(reason, token) {
+    const elapsedMs = carried.elapsedMs + (clock?.elapsedActive() ?? 0);
+    const pausedMs = clock?.elapsedPaused() ?? 0;
+    const restedMs = carried.restedMs + (clock?.elapsedResting() ?? 0);
+    const interruptions = mergeInterruptions(carried.interruptions, clock?.interruptions());
+    teardownClock();
+    clearCheckpoint(exerciseId);
+    pauseControl?.setPaused(false);
+    showRest(null);
+
+    const result = hooks.onStop?.({ ...ctx, reason, elapsedMs, pausedMs, restedMs }) || {};
+    const rests = ctx.intervals || restedMs > 0
+      ? { restedMs: Math.round(restedMs), fatigueAlerts }
+      : {};
+    const summary = await completeSession({
+      exerciseId,
+      difficulty: result.difficulty ?? ctx.difficulty,
+      score: Number(result.score) || 0,
+      stats: result.stats,
+      extras: {
+        ...result.extras,
+        durationMs: ctx.durationMs,
+        activeMs: Math.round(elapsedMs),
+        ...rests,
+        ...interruptionExtras(interruptions),
+        ...trajectoryExtras(trajectory, elapsedMs)
+      },
+      previousBest: result.previousBest,
+      practice: ctx.practice,
+      insights,
+      legacyPastSessions
+    });
+    if (token !== run) return summary;
+
+    setPhase('summary');
+    refreshDifficultyUI();
+    renderMedal(elements.medal, summary.medal);
+    renderInsight(elements.insight, summary.insight);
+    narrator?.cancel();
+    narrator?.narrate('summary', summary);
+    hooks.onSummary?.(summary, ctx);
+    return summary;
+  }
+
+  const controller = {
+    get phase() {
+      return phase;
+    },
+
+    /**
+     * Run a session: countdown, then the clock
+     * @param {Object} options - { durationMs, practice, difficulty, intervals, ...page settings kept on ctx }
+     *                           (an interval plan sets the duration itself), or { resumeFrom: checkpoint }
+     *                           to carry on an unfinished session for the time it had left
+     * @returns {Promise<boolean>} False if the session was abandoned during the countdown
+     */
+    async start({ resumeFrom, ...options } = {}) {
+      if (phase !== 'idle' && phase !== 'summary') controller.exit();
+      if (!resumeFrom) takePending(); // a new session replaces the unfinished one
+      const token = ++run;
+      const { durationMs, practice = false, difficulty = 'medium', intervals: plan, ...settings } = resumeFrom
+        ? { ...resumeFrom.settings, durationMs: resumeFrom.durationMs, difficulty: resumeFrom.difficulty }
+        : options;
+      // A resumed session runs its remaining time straight through
+      const schedule = resumeFrom ? null : normalizeIntervalPlan(plan ?? getIntervalPlan(exerciseId) ?? intervals);
+      ctx = {
+        exerciseId,
+        durationMs: schedule ? schedule.intervals * schedule.workMs : durationMs,
+        practice,
+        difficulty,
+        intervals: schedule,
+        ...settings,
+        ...(resumeFrom ? { resumed: resumeFrom } : {})
+      };
+      trials = [];
+      trialLog = resumeFrom?.trials?.slice(-TRIAL_LOG_LIMIT) || [];
+      fatigueAlerts = resumeFrom?.fatigueAlerts || 0;
+      carried = {
+        elapsedMs: Number(resumeFrom?.elapsedMs) || 0,
+        restedMs: Number(resumeFrom?.restedMs) || 0,
+        // The time the page was gone counts as a 'reload' interruption
+        interruptions: resumeFrom
+          ? mergeInterruptions(resumeFrom.interruptions, { reload: { count: 1, ms: Math.max(0, Date.now() - resumeFrom.savedAt) } })
+          : {}
+      };
+
+      staircase = dynamicDifficulty
+        ? createStaircase({ ...staircaseOptions, state: resumeFrom?.dynamic?.state })
+        : null;
+      trajectory = staircase ? resumeFrom?.dynamic?.trajectory || [{ atMs: carried.elapsedMs, level: staircase.level }] : [];
+
+      setPhase('countdown');
+      hooks.onStart?.(ctx);
+      if (resumeFrom) hooks.onRestore?.(resumeFrom.state, ctx);
+      if (staircase) {
+        hooks.onDifficulty?.({ level: staircase.level, params: parametersAt(exerciseId, staircase.level, parameters), direction: 0 });
+      }
+      if (!practice && !resumeFrom) {
+        loadModule(() => import('./achievements.js'), 'achievements')
+          .then(mod => mod?.markExerciseTried(exerciseId))
+          .catch(error => warn('Exercise runtime: markExerciseTried failed', error));
+      }
+
+      if (countdown !== false) {
+        const finished = await showCountdown({
+          ...elements.countdown,
+          ...countdown,
+          onStep: (count) => {
+            narrator?.narrate('countdown', { count });
+            countdown.onStep?.(count);
+          },
+          isCancelled: () => token !== run
+        });
+        if (!finished) return false;
+      }
+      if (token !== run) return false;
+      if (countdown === false || resumeFrom) narrator?.narrate('start', { resumed: !!resumeFrom });
+
+      clock = createSession({
+        durationMs: resumeFrom ? resumeFrom.remainingMs : ctx.durationMs,
+        intervals: schedule,
+        warningsAt,
+        useAnimationFrame,
+        onPauseChange: (paused, reason) => {
+          const resting = !paused && !!clock?.isResting();
+          setPhase(paused ? 'paused' : resting ? 'resting' : 'running');
+          pauseControl?.setPaused(paused, reason);
+          narrator?.narrate(paused ? 'pause' : 'resume', { reason });
+          // Resuming into a rest break leaves the game frozen until the break ends
+          if (!resting) hooks.onPauseChange?.(paused, reason);
+          if (paused) checkpoint();
+        }
+      });
+      clock.subscribe('tick', (event) => {
+        if (event.resting) showRest(event.restRemainingMs);
+        hooks.onTick?.({ ...event, elapsedMs: carried.elapsedMs + event.elapsedMs });
+        if (Date.now() - lastCheckpointAt >= CHECKPOINT_EVERY_MS) checkpoint();
+      });
+      clock.subscribe('warning', (event) => {
+        narrator?.narrate('warning', event);
+        hooks.onWarning?.(event);
+      });
+      clock.subscribe('rest', (event) => {
+        setPhase('resting');
+        showRest(event.restRemainingMs);
+        narrator?.narrate('rest', event);
+        restReason = event.reason;
+        hooks.onPauseChange?.(true, restReason);
+        hooks.onRest?.(event);
+      });
+      clock.subscribe('work', (event) => {
+        trials = []; // judge fatigue afresh after a rest
+        setPhase('running');
+        showRest(null);
+        narrator?.narrate('work', event);
+        hooks.onPauseChange?.(false, restReason);
+        hooks.onWork?.(event);
+      });
+      clock.subscribe('end', (event) => {
+        complete(event.reason, token).catch(error => {
+          warn('Exercise runtime: ending the session failed', error);
+          // Without a summary to show, go back to idle so the page can start again
+          if (token === run) controller.exit();
+        });
+      });
+
+      setPhase('running');
+      hooks.onRun?.(ctx);
+      clock.start();
+      checkpoint();
+      return true;
+    },
+
+    /**
+     * @param {string} [reason='user'] - Why (see PAUSE_REASONS in session-core)
+     */
+    pause(reason = 'user') {
+      if (phase === 'running' || phase === 'resting') clock?.pause(reason);
+    },
+
+    resume() {
+      if (phase === 'paused') clock?.resume();
+    },
+
+    togglePause(reason) {
+      if (phase === 'paused') controller.resume();
+      else controller.pause(reason);
+    },
+
+    /**
+     * Take a rest break now
+     * @param {number} [ms] - Rest length (defaults to the plan's rest, or the fatigue rest)
+     * @param {string} [reason='rest'] - Why, e.g. 'fatigue'
+     * @returns {boolean} Whether a rest started
+     */
+    rest(ms, reason = 'rest') {
+      if (phase !== 'running') return false;
+      return clock.rest(ms ?? (ctx.intervals?.restMs || fatigueOptions?.restMs || DEFAULT_FATIGUE_OPTIONS.restMs), reason);
+    },
+
+    skipRest() {
+      if (phase === 'resting') clock?.skipRest();
+    },
+
+    /**
+     * Log a trial for the checkpoint, dynamic difficulty and fatigue detection; may call
+     * hooks.onDifficulty and hooks.onFatigue
+     * @param {Object} trial - { correct, reactionMs } (either may be omitted)
+     * @returns {Object|null} Fatigue finding, if one was reported
+     */
+    recordTrial(trial = {}) {
+      if (phase !== 'running') return null;
+      const atMs = Math.round(controller.elapsed());
+      trialLog.push({ correct: trial.correct, reactionMs: trial.reactionMs, atMs });
+      if (trialLog.length > TRIAL_LOG_LIMIT) trialLog.shift();
+      const step = typeof trial.correct === 'boolean' ? staircase?.record(trial.correct) : null;
+      if (step) {
+        trajectory.push({ atMs, level: step.level });
+        hooks.onDifficulty?.({ ...step, params: parametersAt(exerciseId, step.level, parameters) });
+      }
+      if (!fatigueOptions) return null;
+      trials.push({ correct: trial.correct, reactionMs: trial.reactionMs });
+      const finding = detectFatigue(trials, fatigueOptions);
+      if (!finding) return null;
+
+      // Start a fresh window so the same trials don't raise it again
+      trials = [];
+      fatigueAlerts++;
+      narrator?.narrate('fatigue', finding);
+      hooks.onFatigue?.({ ...finding, rest: () => controller.rest(undefined, 'fatigue') });
+      return finding;
+    },
+
+    /**
+     * End the session now and go to the summary
+     */
+    finish() {
+      if (phase === 'running' || phase === 'paused' || phase === 'resting') clock?.end();
+    },
+
+    /**
+     * Announce a game event to screen readers, e.g. narrate('found', { ms: 420 })
+     * @param {string} event - Entry in the exercise's vocabulary (see narration.js)
+     * @param {Object} [data] - Details the entry reads
+     * @returns {string|null} What was said
+     */
+    narrate(event, data) {
+      return narrator?.narrate(event, data) ?? null;
+    },
+
+    /**
+     * Abandon the session (or leave the summary) without recording anything
+     */
+    exit() {
+      run++;
+      narrator?.cancel();
+      teardownClock();
+      if (phase !== 'idle') clearCheckpoint(exerciseId);
+      pauseControl?.setPaused(false);
+      showRest(null);
+      const wasActive = phase !== 'idle';
+      setPhase('idle');
+      if (wasActive) hooks.onExit?.();
+    },
+
+    /**
+     * Give the running session more (or less) time, e.g. streak time bonuses
+     * @param {number} ms - New time remaining
+     */
+    setTimeRemaining(ms) {
+      clock?.setDuration(ms);
+    },
+
+    timeRemaining() {
+      return clock?.timeRemaining() ?? 0;
+    },
+
+    elapsed() {
+      return carried.elapsedMs + (clock?.elapsedActive() ?? 0);
+    },
+
+    isActive() {
+      return phase === 'running';
+    },
+
+    restRemaining() {
+      return clock?.restRemaining() ?? 0;
+    },
+
+    /**
+     * Write the checkpoint now (it is also written every few seconds, on pause
+     * and when the page is hidden)
+     */
+    checkpoint,
+
+    /**
+     * The unfinished session found when the page opened, if it is still pending
+     * @returns {Object|null} Checkpoint
+     */
+    pendingCheckpoint() {
+      return pending;
+    },
+
+    /**
+     * Carry on the unfinished session
+     * @returns {Promise<boolean>} See start()
+     */
+    resumeCheckpoint() {
+      const resumeFrom = takePending();
+      return resumeFrom ? controller.start({ resumeFrom }) : Promise.resolve(false);
+    },
+
+    /**
+     * Record the unfinished session as a partial session
+     * @returns {Promise<Object|null>} Summary (see completeSession), or null if nothing was pending
+     */
+    async savePartial() {
+      const saved = takePending();
+      if (!saved) return null;
+      const summary = await savePartialSession(saved, { insights, legacyPastSessions });
+      hooks.onRecovered?.(summary);
+      return summary;
+    },
+
+    /**
+     * Throw the unfinished session away
+     */
+    discardCheckpoint() {
+      if (takePending()) clearCheckpoint(exerciseId);
+    },
+
+    destroy() {
+      controller.exit();
+      access?.destroy();
+      narrator?.destroy();
+      restControl?.destroy();
+      closePrompt?.();
+      if (typeof window !== 'undefined') {
+        window.removeEventListener('pagehide', checkpoint);
+        document.removeEventListener('visibilitychange', checkpoint);
+      }
+    }
+  };
+
+  let pending = recovery ? loadCheckpoint(exerciseId) : null;
+  let closePrompt = null;
+
+  function takePending() {
+    const taken = pending;
+    pending = null;
+    closePrompt?.();
+    closePrompt = null;
+    return taken;
+  }
+
+  applyMotorProfile();
+
+  // Locked difficulties on the settings screen, refreshed when a session unlocks one
+  const difficultyUI = elements.difficulty
+    ? loadModule(() => import('./adaptive-difficulty.js'), 'adaptive difficulty').then(module => {
+      try {
+        module?.adaptiveDifficulty.initializeForExercise(exerciseId, [elements.difficulty]);
+        return module?.adaptiveDifficulty || null;
+      } catch (error) {
+        warn('Exercise runtime: adaptive difficulty failed', error);
+        return null;
+      }
+    })
+    : null;
+
+  function refreshDifficultyUI() {
+    difficultyUI?.then(adaptive => adaptive?.updateDifficultyUI(canonicalExerciseId(exerciseId), elements.difficulty));
+  }
+
+  if (elements.pause) {
+    pauseControl = bindPause({
+      ...elements.pause,
+      onChange: (paused, reason) => {
+        elements.pause.onChange?.(paused, reason);
+        if (paused) controller.pause(reason);
+        else controller.resume();
+        // Nothing to pause during the countdown or summary
+        if (paused && phase !== 'paused') pauseControl?.setPaused(false);
+      },
+      onSkipRest: () => controller.skipRest()
+    });
+    restControl = pauseControl;
+  }
+
+  if (recovery && typeof window !== 'undefined') {
+    // The page may never come back from being hidden, so save on the way out
+    window.addEventListener('pagehide', checkpoint);
+    document.addEventListener('visibilitychange', checkpoint);
+    if (pending) {
+      closePrompt = createRecoveryPrompt(pending, {
+        resume: () => controller.resumeCheckpoint(),
+        save: () => controller.savePartial()
+          .then(summary => summary && showToast(`Partial session saved — score ${summary.score}`, 'success'))
+          .catch(error => warn('Exercise runtime: saving the partial session failed', error)),
+        discard: () => controller.discardCheckpoint()
+      });
+    }
+  }
+
+  return controller;
+}
@@ -154,6 +154,90 @@ export const CATEGORIES = {
 // Known categories for validation
 const VALID_CATEGORIES = Object.keys(CATEGORIES);
 
+// Display names for difficulty levels
+export const DIFFICULTY_LABELS = {
+  easy: 'Easy',
+  medium: 'Medium',
+  hard: 'Hard'
+};
+
+// Unlock rules for adaptive difficulty (see adaptive-difficulty.js)
+// Per exercise, each lockable difficulty names the difficulty it is earned on
+// (base) and what is needed there:
+//   minSessions  sessions completed on base
+//   minScore     best score on base
+//   minAverage   average of the recent scores on base
+//   minAccuracy  average accuracy (%) of the recent sessions on base
+// Scores are on each exercise's own scale. Difficulties without a rule are
+// always available. Check edits with validateUnlockRules().
+export const UNLOCK_RULES = {
+  bubble: {
+    medium: { base: 'easy', minSessions: 3, minScore: 150, minAverage: 100, minAccuracy: 70 },
+    hard: { base: 'medium', minSessions: 3, minScore: 250, minAverage: 180, minAccuracy: 75 }
+  },
+  comet: {
+    medium: { base: 'easy', minSessions: 3, minScore: 300, minAverage: 200, minAccuracy: 70 },
+    hard: { base: 'medium', minSessions: 3, minScore: 500, minAverage: 350, minAccuracy: 75 }
+  },
+  rhythm: {
+    medium: { base: 'easy', minSessions: 3, minScore: 100, minAverage: 60, minAccuracy: 75 },
+    hard: { base: 'medium', minSessions: 3, minScore: 200, minAverage: 120, minAccuracy: 80 }
+  },
+  precision: {
+    medium: { base: 'easy', minSessions: 3, minScore: 1000, minAverage: 600, minAccuracy: 70 },
+    hard: { base: 'medium', minSessions: 3, minScore: 2000, minAverage: 1200, minAccuracy: 75 }
+  },
+  maze: {
+    medium: { base: 'easy', minSessions: 3, minScore: 500, minAverage: 300 },
+    hard: { base: 'medium', minSessions: 3, minScore: 900, minAverage: 600 }
+  },
+  sort: {
+    medium: { base: 'easy', minSessions: 3, minScore: 1000, minAverage: 600, minAccuracy: 75 },
+    hard: { base: 'medium', minSessions: 3, minScore: 2000, minAverage: 1200, minAccuracy: 80 }
+  },
+  trace: {
+    medium: { base: 'easy', minSessions: 3, minScore: 500, minAverage: 300 },
+    hard: { base: 'medium', minSessions: 3, minScore: 800, minAverage: 500 }
+  },
+  sequence: {
+    medium: { base: 'easy', minSessions: 3, minScore: 800, minAverage: 500, minAccuracy: 70 },
+    hard: { base: 'medium', minSessions: 3, minScore: 1500, minAverage: 900, minAccuracy: 75 }
+  },
+  mirror: {
+    medium: { base: 'easy', minSessions: 3, minScore: 500, minAverage: 300, minAccuracy: 60 },
+    hard: { base: 'medium', minSessions: 3, minScore: 1000, minAverage: 600, minAccuracy: 70 }
+  },
+  scanner: {
+    medium: { base: 'easy', minSessions: 3, minScore: 1000, minAverage: 600, minAccuracy: 75 },
+    hard: { base: 'medium', minSessions: 3, minScore: 2000, minAverage: 1200, minAccuracy: 80 }
+  }
+};
+
+// Criteria an unlock rule may set
+const UNLOCK_CRITERIA = ['minSessions', 'minScore', 'minAverage', 'minAccuracy'];
+
+// IDs used by older exercise pages, mapped to their registry IDs
+export const LEGACY_EXERCISE_IDS = {
+  bubble_tap: 'bubble',
+  'precision-drop': 'precision',
+  'trace-reveal': 'trace',
+  'mirror-match': 'mirror',
+  'sequence-builder': 'sequence',
+  'sort-categorize': 'sort',
+  'visual-scanner': 'scanner',
+  'cosmic-maze': 'maze',
+  'rhythm-reach': 'rhythm'
+};
+
+/**
+ * Resolve a page-level or legacy exercise ID to its registry ID
+ * @param {string} id Exercise ID as used by the caller
+ * @returns {string} Registry ID (unchanged if it isn't a known alias)
+ */
+export function canonicalExerciseId(id) {
+  return LEGACY_EXERCISE_IDS[id] || id;
+}
+
 /**
  * Get all visible exercises for achievements/explorer badge
  * CRITICAL: This function must return exercises that match test expectations
@@ -183,6 +267,18 @@ export function getExercise(exerciseId) {
   return getExerciseById(exerciseId);
 }
 
+/**
+ * Get the unlock rule for a difficulty
+ * @param {string} exerciseId Exercise ID (page-level and legacy IDs are accepted)
+ * @param {string} difficulty Difficulty level
+ * @returns {Object|null} { base, minSessions, minScore, minAverage, minAccuracy } or null if always available
+ */
+export function getUnlockRule(exerciseId, difficulty) {
+  const rule = UNLOCK_RULES[canonicalExerciseId(exerciseId)]?.[difficulty];
+  if (!rule) return null;
+  return { minSessions: 0, minScore: 0, minAverage: 0, minAccuracy: 0, ...rule };
+}
+
 /**
  * Get exercises by category with validation
  * @param {string} category Category name
@@ -283,6 +379,57 @@ export function validateCategorySync() {
     }
   });
   
+  return {
+    isValid: issues.length === 0,
+    issues
+  };
+}
+
+/**
+ * Validate UNLOCK_RULES against EXERCISES
+ * Call this during development/testing to catch rules that can never apply
+ * @param {Object} [rules=UNLOCK_RULES] Rule set to check
+ * @returns {Object} Validation result with any problems
+ */
+export function validateUnlockRules(rules = UNLOCK_RULES) {
+  const issues = [];
+
+  Object.entries(rules).forEach(([exerciseId, exerciseRules]) => {
+    const exercise = EXERCISES[exerciseId];
+    if (!exercise) {
+      issues.push(`Unlock rules reference non-existent exercise: ${exerciseId}`);
+      return;
+    }
+    const levels = exercise.difficulties || [];
+
+    Object.entries(exerciseRules).forEach(([difficulty, rule]) => {
+      const name = `${exerciseId}:${difficulty}`;
+      if (!levels.includes(difficulty)) {
+        issues.push(`Unlock rule ${name} is for an unknown difficulty`);
+        return;
+      }
+      if (difficulty === levels[0]) {
+        issues.push(`Unlock rule ${name} locks the first difficulty`);
+      }
+      if (!rule || !levels.includes(rule.base)) {
+        issues.push(`Unlock rule ${name} has an unknown base difficulty: ${rule?.base}`);
+      } else if (levels.indexOf(rule.base) >= levels.indexOf(difficulty)) {
+        issues.push(`Unlock rule ${name} must be earned on an easier difficulty, not ${rule.base}`);
+      }
+
+      Object.entries(rule || {}).forEach(([key, value]) => {
+        if (key === 'base') return;
+        if (!UNLOCK_CRITERIA.includes(key)) {
+          issues.push(`Unlock rule ${name} has an unknown criterion: ${key}`);
+        } else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+          issues.push(`Unlock rule ${name} needs a non-negative number for ${key}`);
+        } else if (key === 'minAccuracy' && value > 100) {
+          issues.push(`Unlock rule ${name} asks for more than 100% accuracy`);
+        }
+      });
+    });
+  });
+
   return {
     isValid: issues.length === 0,
     issues
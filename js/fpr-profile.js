@@ -0,0 +1,42 @@
+/* =============================================================================
+   fpr-profile.js — Active-profile key helper for classic (non-module) scripts
+   =============================================================================
+
+   Exercise pages keep their own personal bests and "past sessions" lists in
+   localStorage. So patients sharing a device don't overwrite each other,
+   those keys are namespaced the same way js/utils.js namespaces `storage`:
+
+     default profile  -> key unchanged (e.g. "comet:sessions")
+     other profiles   -> "FPR_v1_p:<profileId>:comet:sessions"
+
+   Load synchronously (no defer) before any inline script that calls
+   FPRProfile.key().
+   ============================================================================= */
+
+(function () {
+  'use strict';
+
+  var ACTIVE_PROFILE_KEY = 'FPR_v1_activeProfile';
+  var PROFILES_KEY = 'FPR_v1_profiles';
+  var DEFAULT_PROFILE_ID = 'default';
+
+  // Same rule as profiles.getActiveId(): a pointer at a deleted profile means the default one
+  function activeId() {
+    try {
+      var id = localStorage.getItem(ACTIVE_PROFILE_KEY) || DEFAULT_PROFILE_ID;
+      if (id === DEFAULT_PROFILE_ID) return id;
+      var list = JSON.parse(localStorage.getItem(PROFILES_KEY) || '[]');
+      var known = Array.isArray(list) && list.some(function (p) { return p && p.id === id; });
+      return known ? id : DEFAULT_PROFILE_ID;
+    } catch (_) {
+      return DEFAULT_PROFILE_ID;
+    }
+  }
+
+  function key(name) {
+    var id = activeId();
+    return id === DEFAULT_PROFILE_ID ? name : 'FPR_v1_p:' + id + ':' + name;
+  }
+
+  window.FPRProfile = { activeId: activeId, key: key };
+})();
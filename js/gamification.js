@@ -3,16 +3,18 @@
  * Task 15: Gamification Integration
  * 
  * Features:
- * - Simple points system (session completion = points)
+ * - Points for showing up plus effort points for how the session went
+ *   (score, accuracy and improvement, weighted by difficulty), capped per day
  * - Level progression with meaningful thresholds
  * - Visual progress indicators
  * - Motivational messaging using "Guided Path" language
  * - Data visualization preparation
  */
 
-// Storage version and namespace
-const STORAGE_VERSION = 1;
-const PREFIX = `FPR_v${STORAGE_VERSION}_`;
+import { storage } from './utils.js';
+import { addNotification } from './notification-inbox.js';
+import { UNLOCK_RULES, canonicalExerciseId } from './exercises.js';
+import { today } from './utils/date.js';
 
 // Gamification constants using "Guided Path" therapeutic language
 const GAMIFICATION_CONFIG = {
@@ -20,6 +22,16 @@ const GAMIFICATION_CONFIG = {
   baseSessionPoints: 50,
   personalBestBonus: 25,
   streakBonus: 10,
+
+  // Effort points: up to effortPoints for a strong session, from three factors
+  // of 0-1 mixed by effortWeights, then scaled by the difficulty played
+  effortPoints: 50,
+  effortWeights: { score: 0.4, accuracy: 0.3, improvement: 0.3 },
+  difficultyMultipliers: { easy: 1, medium: 1.25, hard: 1.5 },
+  improvementWindow: 10, // recent sessions averaged for the improvement factor
+
+  // Points stop here for the day, so long sessions don't outpace rest
+  dailyPointCap: 500,
   
   // Level progression with meaningful therapeutic thresholds
   levelThresholds: [
@@ -50,6 +62,124 @@ const GAMIFICATION_CONFIG = {
   ]
 };
 
+const POINTS_TODAY_KEY = 'pointsToday'; // { day, points }
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+/**
+ * Points earned for turning up: the base, personal best and streak bonuses
+ * @param {boolean} isPersonalBest - Whether the session beat the previous best
+ * @param {number} currentStreak - Streak after the session
+ * @returns {number} Points
+ */
+function calculateSessionPoints(isPersonalBest = false, currentStreak = 0) {
+  let points = GAMIFICATION_CONFIG.baseSessionPoints;
+
+  // Personal best bonus
+  if (isPersonalBest) {
+    points += GAMIFICATION_CONFIG.personalBestBonus;
+  }
+
+  // Streak bonus (max 5 days)
+  if (currentStreak > 1) {
+    points += Math.min(currentStreak - 1, 5) * GAMIFICATION_CONFIG.streakBonus;
+  }
+
+  return points;
+}
+
+/**
+ * Score a strong session reaches on a difficulty. Raw scores are on very
+ * different scales per exercise, so each is measured against its own unlock
+ * bars: on easy and medium, the best score that unlocks the next difficulty;
+ * on hard, the hard bar stepped up as much again as medium to hard.
+ * @param {string} exerciseId - Exercise ID (page-level IDs are accepted)
+ * @param {string} difficulty - 'easy' | 'medium' | 'hard'
+ * @returns {number|null} Reference score, or null for exercises without unlock rules
+ */
+function referenceScore(exerciseId, difficulty) {
+  const rules = UNLOCK_RULES[canonicalExerciseId(exerciseId)];
+  const medium = rules?.medium?.minScore;
+  const hard = rules?.hard?.minScore;
+  if (!(medium > 0 && hard > 0)) return null;
+  if (difficulty === 'hard') return Math.round(hard * hard / medium);
+  return difficulty === 'medium' ? hard : medium;
+}
+
+/**
+ * A raw score as a fraction of a strong session on its exercise and difficulty
+ * @param {string} exerciseId - Exercise ID
+ * @param {number} score - Raw score
+ * @param {string} [difficulty='easy']
+ * @param {number} [personalBest=0] - Best before this session; the reference
+ *   for exercises without unlock rules
+ * @returns {number} 0 to 1
+ */
+function normalizeScore(exerciseId, score, difficulty = 'easy', personalBest = 0) {
+  const value = Math.max(0, Number(score) || 0);
+  const reference = referenceScore(exerciseId, difficulty) ?? Math.max(Number(personalBest) || 0, value);
+  return reference > 0 ? clamp01(value / reference) : 0;
+}
+
+/**
+ * Mean of the most recent scores, as the improvement factor compares against
+ * @param {number[]} scores - Earlier scores on the same exercise and difficulty, oldest first
+ * @returns {number|null} Mean of the last improvementWindow scores, or null if there are none
+ */
+function personalAverage(scores = []) {
+  const recent = scores.slice(-GAMIFICATION_CONFIG.improvementWindow).map(Number).filter(Number.isFinite);
+  return recent.length ? recent.reduce((sum, score) => sum + score, 0) / recent.length : null;
+}
+
+/**
+ * Points for one completed session, itemised
+ * @param {Object} session
+ * @param {string} session.exerciseId - Exercise ID
+ * @param {number} session.score - Raw score
+ * @param {string} [session.difficulty='easy']
+ * @param {number} [session.accuracy] - Percent, for exercises that measure it
+ * @param {number|null} [session.personalAverage] - From personalAverage(); null on a first session
+ * @param {number} [session.personalBest=0] - Best score before this session
+ * @param {boolean} [session.isPersonalBest=false]
+ * @param {number} [session.currentStreak=0] - Streak after the session
+ * @param {number} [session.pointsToday=0] - Points already earned today
+ * @returns {Object} { points, breakdown: { base, effort, personalBest, streak, capped } }
+ */
+function scoreSessionPoints({
+  exerciseId,
+  score,
+  difficulty = 'easy',
+  accuracy,
+  personalAverage: average = null,
+  personalBest = 0,
+  isPersonalBest = false,
+  currentStreak = 0,
+  pointsToday = 0
+}) {
+  const config = GAMIFICATION_CONFIG;
+  const scoreFactor = normalizeScore(exerciseId, score, difficulty, personalBest);
+  // Exercises that don't measure accuracy aren't marked down for it
+  const measured = accuracy !== null && accuracy !== '' && Number.isFinite(Number(accuracy));
+  const accuracyFactor = measured ? clamp01(Number(accuracy) / 100) : scoreFactor;
+  // Matching the recent average is half marks; doubling it is full marks
+  const improvementFactor = average > 0 ? clamp01(0.5 + (score - average) / (2 * average)) : 0.5;
+  const { score: wScore, accuracy: wAccuracy, improvement: wImprovement } = config.effortWeights;
+  const effort = Math.round(config.effortPoints * (config.difficultyMultipliers[difficulty] || 1)
+    * (wScore * scoreFactor + wAccuracy * accuracyFactor + wImprovement * improvementFactor));
+
+  const breakdown = {
+    base: config.baseSessionPoints,
+    effort,
+    personalBest: isPersonalBest ? config.personalBestBonus : 0,
+    streak: currentStreak > 1 ? Math.min(currentStreak - 1, 5) * config.streakBonus : 0,
+    capped: 0
+  };
+  const earned = breakdown.base + breakdown.effort + breakdown.personalBest + breakdown.streak;
+  const points = Math.min(earned, Math.max(0, config.dailyPointCap - pointsToday));
+  breakdown.capped = earned - points;
+  return { points, breakdown };
+}
+
 /**
  * Core Gamification Class
  */
@@ -77,8 +207,9 @@ class GamificationSystem {
         return;
       }
 
-      this.totalPoints = parseInt(localStorage.getItem(`${PREFIX}totalPoints`) || '0', 10);
-      this.sessionsCompleted = parseInt(localStorage.getItem(`${PREFIX}sessionsCompleted`) || '0', 10);
+      // Read through storage so each patient profile has its own points
+      this.totalPoints = parseInt(storage.getRaw('totalPoints') || '0', 10);
+      this.sessionsCompleted = parseInt(storage.getRaw('sessionsCompleted') || '0', 10);
       
       // Always compute level from points to avoid drift
       this.currentLevel = this.calculateLevel(this.totalPoints);
@@ -132,8 +263,8 @@ class GamificationSystem {
         return;
       }
       
-      localStorage.setItem(`${PREFIX}totalPoints`, this.totalPoints.toString());
-      localStorage.setItem(`${PREFIX}sessionsCompleted`, this.sessionsCompleted.toString());
+      storage.setRaw('totalPoints', this.totalPoints.toString());
+      storage.setRaw('sessionsCompleted', this.sessionsCompleted.toString());
       // Note: currentLevel is computed from points, not stored separately to avoid drift
     } catch (error) {
       console.error('Error saving gamification progress:', error);
@@ -170,26 +301,26 @@ class GamificationSystem {
 
   /**
    * Award points for session completion
+   * @param {string} exerciseId - Exercise ID
+   * @param {number} score - Raw score
+   * @param {boolean} [isPersonalBest=false]
+   * @param {number} [currentStreak=0] - Streak after the session
+   * @param {Object} [session] - { difficulty, accuracy, personalAverage, personalBest } as for
+   *   scoreSessionPoints, plus the day key it counts toward (defaults to today)
+   * @returns {Object} { pointsEarned, breakdown, dailyCapReached, totalPoints, currentLevel,
+   *   leveledUp, newLevelInfo, motivationalMessage }
    */
-  awardSessionPoints(exerciseId, score, isPersonalBest = false, currentStreak = 0) {
+  awardSessionPoints(exerciseId, score, isPersonalBest = false, currentStreak = 0, session = {}) {
     const oldLevel = this.currentLevel;
     
-    // Calculate points earned
-    let pointsEarned = GAMIFICATION_CONFIG.baseSessionPoints;
-    
-    // Personal best bonus
-    if (isPersonalBest) {
-      pointsEarned += GAMIFICATION_CONFIG.personalBestBonus;
-    }
-    
-    // Streak bonus (max 5 days)
-    if (currentStreak > 1) {
-      const streakBonus = Math.min(currentStreak - 1, 5) * GAMIFICATION_CONFIG.streakBonus;
-      pointsEarned += streakBonus;
-    }
-    
-    // Future enhancement: could add performance-based bonus using exerciseId and score
-    // e.g., bonus points for high accuracy or specific exercise achievements
+    // Calculate points earned, within what is left of today's cap
+    const day = session.day || today();
+    const tally = storage.getJSON(POINTS_TODAY_KEY, null);
+    const pointsToday = tally?.day === day ? Number(tally.points) || 0 : 0;
+    const { points: pointsEarned, breakdown } = scoreSessionPoints({
+      ...session, exerciseId, score, isPersonalBest, currentStreak, pointsToday
+    });
+    storage.setJSON(POINTS_TODAY_KEY, { day, points: pointsToday + pointsEarned });
     
     // Update totals
     this.totalPoints += pointsEarned;
@@ -210,13 +341,24 @@ class GamificationSystem {
     // Save progress
     this.saveProgress();
     
+    const newLevelInfo = leveledUp ? this.getLevelInfo(this.currentLevel) : null;
+    if (newLevelInfo) {
+      addNotification({
+        type: 'level',
+        title: `Level ${this.currentLevel}: ${newLevelInfo.title}`,
+        message: newLevelInfo.message
+      });
+    }
+    
     // Return results for UI display
     return {
       pointsEarned,
+      breakdown,
+      dailyCapReached: pointsToday + pointsEarned >= GAMIFICATION_CONFIG.dailyPointCap,
       totalPoints: this.totalPoints,
       currentLevel: this.currentLevel,
       leveledUp,
-      newLevelInfo: leveledUp ? this.getLevelInfo(this.currentLevel) : null,
+      newLevelInfo,
       motivationalMessage: this.getRandomCompletionMessage()
     };
   }
@@ -338,6 +480,7 @@ class GamificationSystem {
         
         <div class="points-earned">
           <div class="points-display">+${result.pointsEarned} points</div>
+          ${this.renderPointBreakdown(result)}
           <div class="total-points">Total: ${result.totalPoints.toLocaleString()} points</div>
         </div>
     `;
@@ -363,6 +506,32 @@ class GamificationSystem {
     container.classList.add('celebration-visible');
   }
 
+  /**
+   * Itemised points for the celebration
+   * @param {Object} result - From awardSessionPoints
+   * @returns {string} HTML (empty without a breakdown)
+   */
+  renderPointBreakdown(result) {
+    const breakdown = result.breakdown;
+    if (!breakdown) return '';
+
+    const rows = [
+      ['Session completed', breakdown.base],
+      ['Effort (score, accuracy, improvement, difficulty)', breakdown.effort],
+      ['Personal best', breakdown.personalBest],
+      ['Streak', breakdown.streak]
+    ].filter(([, points]) => points > 0)
+      .map(([label, points]) => `<li><span>${label}</span><span>+${points}</span></li>`);
+    if (breakdown.capped > 0) {
+      rows.push(`<li class="points-capped"><span>Daily limit reached</span><span>−${breakdown.capped}</span></li>`);
+    }
+
+    return `
+      <ul class="points-breakdown" aria-label="Points breakdown">${rows.join('')}</ul>
+      ${result.dailyCapReached ? '<p class="points-cap-note">That’s today’s points earned. Rest is part of recovery too, so come back tomorrow for more.</p>' : ''}
+    `;
+  }
+
   /**
    * Setup event listeners for data export preparation
    */
@@ -372,8 +541,8 @@ class GamificationSystem {
     
     // Bind method to preserve 'this' context
     this._onSessionCompleted = (event) => {
-      const { exerciseId, score, isPersonalBest, currentStreak } = event.detail;
-      const result = this.awardSessionPoints(exerciseId, score, isPersonalBest, currentStreak);
+      const { exerciseId, score, isPersonalBest, currentStreak, ...session } = event.detail;
+      const result = this.awardSessionPoints(exerciseId, score, isPersonalBest, currentStreak, session);
       
       // Dispatch level up event if applicable
       if (result.leveledUp) {
@@ -580,6 +749,31 @@ const GAMIFICATION_CSS = `
   color: var(--text-secondary);
 }
 
+.points-breakdown {
+  list-style: none;
+  margin: 8px auto;
+  padding: 0;
+  max-width: 320px;
+  font-size: 0.9rem;
+}
+
+.points-breakdown li {
+  display: flex;
+  justify-content: space-between;
+  gap: 12px;
+  padding: 2px 0;
+}
+
+.points-breakdown .points-capped,
+.points-cap-note {
+  color: var(--text-secondary);
+}
+
+.points-cap-note {
+  font-size: 0.85rem;
+  font-style: italic;
+}
+
 .level-up-celebration {
   background: linear-gradient(135deg, var(--brand-aqua), var(--brand-blue));
   color: white;
@@ -663,6 +857,10 @@ const GAMIFICATION_CSS = `
 // Export for use in other modules
 export {
   GamificationSystem,
+  calculateSessionPoints,
+  scoreSessionPoints,
+  normalizeScore,
+  personalAverage,
   initGamification,
   getGamification,
   GAMIFICATION_CONFIG,
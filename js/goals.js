@@ -0,0 +1,368 @@
+/**
+ * FinePointRehab - Goals & Practice Plans
+ *
+ * Targets to practise toward, per patient profile:
+ * - Weekly goals: sessions and active minutes per practice week (Monday to
+ *   Sunday, see weekStart in streak-policy.js), plus sessions per exercise
+ *   category, e.g. 3 Fine Motor Precision sessions a week
+ * - A therapist-authored practice plan, imported as JSON, prescribing
+ *   exercises, difficulties and minutes for each day of the week
+ *
+ * Progress is read from the session archive (session-store.js), so nothing
+ * extra is recorded when a session ends. A session counts for the day and week of its day key
+ * (sessionDayKey) and for as many minutes as it was active.
+ *
+ * Plan format (version 1):
+ *   {
+ *     "version": 1,
+ *     "name": "Fine motor, weeks 1-4",
+ *     "author": "J. Rivera, OT",
+ *     "startDate": "2024-01-15",            // optional
+ *     "endDate": "2024-02-11",              // optional
+ *     "days": {
+ *       "daily": [{ "exercise": "precision", "difficulty": "easy", "minutes": 5 }],
+ *       "monday": [{ "exercise": "maze", "difficulty": "medium", "minutes": 10, "sessions": 2 }]
+ *     }
+ *   }
+ * "daily" items apply to every day, alongside that weekday's own items.
+ * Minutes are per session; sessions defaults to 1 and difficulty to any.
+ */
+
+import { storage, clinician } from './utils.js';
+import { EXERCISES, CATEGORIES, DIFFICULTY_LABELS, canonicalExerciseId } from './exercises.js';
+import { sessionStore } from './session-store.js';
+import { weekStart } from './streak-policy.js';
+import { sessionDayKey, today, addDays, dayDiff } from './utils/date.js';
+
+export const PLAN_VERSION = 1;
+export const PLAN_DAYS = ['daily', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+export const MAX_PLAN_MINUTES = 60; // per session
+export const MAX_WEEKLY_SESSIONS = 100;
+export const MAX_WEEKLY_MINUTES = 1000;
+
+export const DEFAULT_GOALS = Object.freeze({ weeklySessions: 0, weeklyMinutes: 0, categories: {} });
+
+const GOALS_KEY = 'goals';
+const PLAN_KEY = 'practicePlan';
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const weekdayOf = (ymd) => WEEKDAYS[new Date(`${ymd}T00:00:00.000Z`).getUTCDay()];
+
+/**
+ * Active minutes of a session (sessions recorded before active time was
+ * tracked fall back to their set duration)
+ * @param {Object} session - Session entry
+ * @returns {number} Minutes
+ */
+function minutesOf(session) {
+    const ms = Number(session.activeMs ?? session.durationMs) || 0;
+    return ms / 60_000;
+}
+
+/**
+ * Sessions whose day falls in an inclusive range
+ * @param {string} from - Day key
+ * @param {string} to - Day key
+ * @param {Array} [sessions] - Session entries (read from the archive when left out)
+ * @returns {Promise<Array>} Session entries
+ */
+async function sessionsBetween(from, to, sessions) {
+    if (!sessions) return sessionStore.queryDays(from, to);
+    return sessions.filter(session => {
+        if (!Number.isFinite(session.timestamp)) return false;
+        const day = sessionDayKey(session);
+        return day >= from && day <= to;
+    });
+}
+
+// ============================================================================
+// WEEKLY GOALS
+// ============================================================================
+
+/**
+ * Validate weekly goals and fill in defaults
+ * @param {Object} goals - { weeklySessions, weeklyMinutes, categories: { categoryId: sessions } }
+ * @returns {Object} Complete goals (0 means no target)
+ * @throws {Error} If a target is invalid or a category is unknown
+ */
+export function normalizeGoals(goals = {}) {
+    const { weeklySessions, weeklyMinutes, categories } = { ...DEFAULT_GOALS, ...goals };
+    const count = (value, max, label) => {
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < 0 || number > max) {
+            throw new Error(`${label} must be a whole number from 0 to ${max}`);
+        }
+        return number;
+    };
+    if (!isPlainObject(categories)) throw new Error('Category goals must be an object of session targets');
+
+    const categoryGoals = {};
+    Object.entries(categories).forEach(([id, target]) => {
+        if (!CATEGORIES[id]) throw new Error(`Unknown category: ${id}`);
+        const sessions = count(target, MAX_WEEKLY_SESSIONS, `${CATEGORIES[id].name} sessions`);
+        if (sessions > 0) categoryGoals[id] = sessions;
+    });
+    return {
+        weeklySessions: count(weeklySessions, MAX_WEEKLY_SESSIONS, 'Weekly sessions'),
+        weeklyMinutes: count(weeklyMinutes, MAX_WEEKLY_MINUTES, 'Weekly minutes'),
+        categories: categoryGoals
+    };
+}
+
+/**
+ * Active profile's weekly goals (the defaults if none are stored or they are corrupt)
+ * @returns {Object} { weeklySessions, weeklyMinutes, categories }
+ */
+export function getGoals() {
+    try {
+        return normalizeGoals(storage.getJSON(GOALS_KEY, DEFAULT_GOALS) || {});
+    } catch {
+        return { ...DEFAULT_GOALS, categories: {} };
+    }
+}
+
+/**
+ * Store the active profile's weekly goals
+ * @param {Object} goals - Any of { weeklySessions, weeklyMinutes, categories }
+ * @returns {Object} Stored (normalized) goals
+ * @throws {Error} If the goals are invalid
+ */
+export function setGoals(goals) {
+    const normalized = normalizeGoals({ ...getGoals(), ...goals });
+    storage.setJSON(GOALS_KEY, normalized);
+    return normalized;
+}
+
+/**
+ * Progress toward the weekly goals in the week containing a day
+ * @param {string} [day] - Day key (defaults to today)
+ * @param {Array} [sessions] - Session entries (read from the archive when left out)
+ * @returns {Promise<Object>} { week, sessions: { done, target }, minutes: { done, target },
+ *   categories: [{ id, name, done, target }], met } - met is true when every set target is reached
+ */
+export async function getGoalProgress(day = today(), sessions) {
+    const goals = getGoals();
+    const week = weekStart(day);
+    const played = await sessionsBetween(week, addDays(week, 6), sessions);
+
+    const progress = {
+        week,
+        sessions: { done: played.length, target: goals.weeklySessions },
+        minutes: { done: Math.round(played.reduce((sum, s) => sum + minutesOf(s), 0)), target: goals.weeklyMinutes },
+        categories: Object.entries(goals.categories).map(([id, target]) => ({
+            id,
+            name: CATEGORIES[id].name,
+            done: played.filter(s => CATEGORIES[id].exercises.includes(canonicalExerciseId(s.id))).length,
+            target
+        }))
+    };
+    const targets = [progress.sessions, progress.minutes, ...progress.categories].filter(goal => goal.target > 0);
+    progress.met = targets.length > 0 && targets.every(goal => goal.done >= goal.target);
+    return progress;
+}
+
+// ============================================================================
+// PRACTICE PLANS
+// ============================================================================
+
+/**
+ * Validate a practice plan
+ * @param {*} plan - Parsed plan JSON
+ * @returns {{isValid: boolean, issues: string[]}} Validation result
+ */
+export function validatePlan(plan) {
+    const issues = [];
+    if (!isPlainObject(plan)) return { isValid: false, issues: ['Plan must be a JSON object'] };
+
+    if (plan.version !== PLAN_VERSION) issues.push(`Plan version must be ${PLAN_VERSION}`);
+    if (plan.name !== undefined && typeof plan.name !== 'string') issues.push('Plan name must be text');
+    ['startDate', 'endDate'].forEach(field => {
+        if (plan[field] != null && !DATE_PATTERN.test(plan[field])) issues.push(`Plan ${field} must be YYYY-MM-DD`);
+    });
+    if (DATE_PATTERN.test(plan.startDate) && DATE_PATTERN.test(plan.endDate) && dayDiff(plan.startDate, plan.endDate) < 0) {
+        issues.push('Plan startDate must be on or before its endDate');
+    }
+
+    if (!isPlainObject(plan.days)) {
+        issues.push('Plan needs a "days" object of prescribed exercises');
+        return { isValid: false, issues };
+    }
+    Object.entries(plan.days).forEach(([day, items]) => {
+        if (!PLAN_DAYS.includes(day)) {
+            issues.push(`Unknown plan day: ${day}`);
+            return;
+        }
+        if (!Array.isArray(items)) {
+            issues.push(`Plan day ${day} must be a list of exercises`);
+            return;
+        }
+        items.forEach((item, i) => {
+            const where = `Plan ${day} item ${i + 1}`;
+            const exercise = EXERCISES[canonicalExerciseId(item?.exercise)];
+            if (!exercise) {
+                issues.push(`${where} has an unknown exercise: ${item?.exercise}`);
+                return;
+            }
+            if (item.difficulty != null && !exercise.difficulties.includes(item.difficulty)) {
+                issues.push(`${where} has a difficulty ${exercise.name} doesn't offer: ${item.difficulty}`);
+            }
+            if (!(Number(item.minutes) > 0 && Number(item.minutes) <= MAX_PLAN_MINUTES)) {
+                issues.push(`${where} needs minutes above 0 and up to ${MAX_PLAN_MINUTES}`);
+            }
+            if (item.sessions !== undefined && !(Number.isInteger(item.sessions) && item.sessions >= 1)) {
+                issues.push(`${where} needs a whole number of sessions`);
+            }
+        });
+    });
+    if (issues.length === 0 && !Object.values(plan.days).some(items => items.length > 0)) {
+        issues.push('Plan prescribes no exercises');
+    }
+    return { isValid: issues.length === 0, issues };
+}
+
+/**
+ * Store a practice plan, replacing any current one
+ * @param {Object|string} plan - Plan object or its JSON text
+ * @returns {Object} { success, plan?, error?, issues? }
+ */
+export function importPlan(plan) {
+    if (!clinician.isAuthorized()) {
+        return { success: false, error: 'Clinician mode is required to import a practice plan' };
+    }
+    let parsed = plan;
+    if (typeof plan === 'string') {
+        try {
+            parsed = JSON.parse(plan);
+        } catch {
+            return { success: false, error: 'Plan file is not valid JSON' };
+        }
+    }
+    const { isValid, issues } = validatePlan(parsed);
+    if (!isValid) return { success: false, error: issues[0], issues };
+
+    const stored = {
+        version: PLAN_VERSION,
+        name: parsed.name?.trim() || 'Practice plan',
+        author: typeof parsed.author === 'string' ? parsed.author.trim() : '',
+        startDate: parsed.startDate || today(),
+        endDate: parsed.endDate || null,
+        importedAt: new Date().toISOString(),
+        days: Object.fromEntries(Object.entries(parsed.days).map(([day, items]) => [day, items.map(item => ({
+            exercise: canonicalExerciseId(item.exercise),
+            difficulty: item.difficulty || null,
+            minutes: Number(item.minutes),
+            sessions: item.sessions || 1
+        }))]))
+    };
+    storage.setJSON(PLAN_KEY, stored);
+    return { success: true, plan: stored };
+}
+
+/**
+ * Active profile's practice plan
+ * @returns {Object|null} Stored plan, or null if there is none (or it is corrupt)
+ */
+export function getPlan() {
+    const plan = storage.getJSON(PLAN_KEY, null);
+    return plan && validatePlan(plan).isValid ? plan : null;
+}
+
+/**
+ * Remove the active profile's practice plan
+ * @returns {Object} { success, error? }
+ */
+export function clearPlan() {
+    if (!clinician.isAuthorized()) {
+        return { success: false, error: 'Clinician mode is required to remove a practice plan' };
+    }
+    storage.remove(PLAN_KEY);
+    return { success: true };
+}
+
+/**
+ * Match a day's sessions against what a plan prescribes on it
+ * @param {string} day - Day key
+ * @param {Object|null} plan - Practice plan
+ * @param {Array} played - The day's session entries
+ * @returns {Array<Object>} Prescribed items (see getPrescribedItems)
+ */
+function matchPrescribed(day, plan, played) {
+    if (!plan || day < plan.startDate || (plan.endDate && day > plan.endDate)) return [];
+    const items = [...(plan.days.daily || []), ...(plan.days[weekdayOf(day)] || [])];
+
+    // Each session counts toward one item, so two items for the same exercise need two sessions
+    const used = new Set();
+    return items.map(item => {
+        const matching = played.filter(s => !used.has(s)
+            && canonicalExerciseId(s.id) === item.exercise
+            && (!item.difficulty || s.difficulty === item.difficulty))
+            .slice(0, item.sessions);
+        matching.forEach(s => used.add(s));
+        const done = {
+            sessions: matching.length,
+            minutes: Math.round(matching.reduce((sum, s) => sum + minutesOf(s), 0))
+        };
+        return {
+            ...item,
+            name: EXERCISES[item.exercise].name,
+            path: EXERCISES[item.exercise].path,
+            label: [item.difficulty && DIFFICULTY_LABELS[item.difficulty], `${item.minutes} min`].filter(Boolean).join(' · '),
+            done,
+            complete: done.sessions >= item.sessions && done.minutes >= item.minutes * item.sessions
+        };
+    });
+}
+
+/**
+ * What a plan prescribes on a day, and how much of it has been done
+ * @param {string} [day] - Day key (defaults to today)
+ * @param {Object} [options]
+ * @param {Object|null} [options.plan] - Defaults to the stored plan
+ * @param {Array} [options.sessions] - Session entries (read from the archive when left out)
+ * @returns {Promise<Array<Object>>} { exercise, name, path, label, difficulty, minutes, sessions,
+ *   done: { sessions, minutes }, complete } - empty outside the plan's dates
+ */
+export async function getPrescribedItems(day = today(), { plan = getPlan(), sessions } = {}) {
+    if (!plan || day < plan.startDate || (plan.endDate && day > plan.endDate)) return [];
+    return matchPrescribed(day, plan, await sessionsBetween(day, day, sessions));
+}
+
+/**
+ * How closely the plan was followed over a range of days
+ * @param {Object} [range] - { from, to } day keys; defaults to the current
+ *   week so far (never before the plan started)
+ * @param {Object} [options] - { plan, sessions } as for getPrescribedItems
+ * @returns {Promise<Object|null>} { from, to, prescribed, completed, rate (0-1, null if nothing
+ *   was prescribed), days: [{ day, prescribed, completed }] }, or null without a plan
+ */
+export async function getPlanAdherence({ from, to } = {}, { plan = getPlan(), sessions } = {}) {
+    if (!plan) return null;
+    const end = to || today();
+    let start = from || weekStart(end);
+    if (start < plan.startDate) start = plan.startDate;
+    const history = await sessionsBetween(start, end, sessions);
+
+    const days = [];
+    for (let day = start; day <= end; day = addDays(day, 1)) {
+        const items = matchPrescribed(day, plan, await sessionsBetween(day, day, history));
+        if (items.length) days.push({ day, prescribed: items.length, completed: items.filter(item => item.complete).length });
+    }
+    const prescribed = days.reduce((sum, d) => sum + d.prescribed, 0);
+    const completed = days.reduce((sum, d) => sum + d.completed, 0);
+    return { from: start, to: end, prescribed, completed, rate: prescribed ? completed / prescribed : null, days };
+}
+
+export const goals = {
+    normalizeGoals,
+    getGoals,
+    setGoals,
+    getGoalProgress,
+    validatePlan,
+    importPlan,
+    getPlan,
+    clearPlan,
+    getPrescribedItems,
+    getPlanAdherence
+};
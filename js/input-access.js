@@ -0,0 +1,518 @@
+// /js/input-access.js
+// Keyboard and switch access for the exercises.
+//
+// Each profile picks an input mode:
+//   pointer   mouse / touch only (the pages behave as they always have)
+//   keyboard  arrow keys move a highlight between targets, Enter/Space activates
+//   switch    the highlight advances by itself every scanMs and a single switch
+//             (Space or Enter - what switch interfaces send) activates; a second
+//             switch on the arrow keys can step the highlight by hand
+//
+// Pages describe their targets and the scanner does the rest. Drag-and-drop
+// becomes pick-and-place: choose an item, then the place to drop it.
+// Freehand tracing has nothing to scan, so the tracing pages get an arrow-key
+// pen instead (switch users drive it with switches mapped to the arrow keys).
+// The runtime starts a page's access controller while the session runs and
+// stops it otherwise (see the `access` option of createExerciseRuntime).
+//
+// The same targets serve dwell selection from the motor profile (see
+// motor-access.js): with a dwell time set, resting the pointer on a target
+// highlights it and choosing happens when the dwell runs out, in any mode.
+
+import { storage } from './utils.js';
+import { getMotorProfile } from './motor-access.js';
+
+export const INPUT_MODES = ['pointer', 'keyboard', 'switch'];
+
+export const INPUT_MODE_LABELS = {
+  pointer: 'Touch / mouse',
+  keyboard: 'Keyboard',
+  switch: 'Switch scanning'
+};
+
+export const DEFAULT_INPUT_SETTINGS = Object.freeze({ mode: 'pointer', scanMs: 1500 });
+
+export const SCAN_MS_MIN = 500;
+export const SCAN_MS_MAX = 5000;
+
+const INPUT_SETTINGS_KEY = 'inputSettings';
+
+const DIRECTIONS = {
+  ArrowLeft: [-1, 0],
+  ArrowRight: [1, 0],
+  ArrowUp: [0, -1],
+  ArrowDown: [0, 1]
+};
+
+/**
+ * Validate input settings and fill in defaults
+ * @param {Object} settings - { mode, scanMs }
+ * @returns {Object} Complete settings
+ * @throws {Error} If the settings are invalid
+ */
+export function normalizeInputSettings(settings = {}) {
+  const mode = settings.mode || DEFAULT_INPUT_SETTINGS.mode;
+  if (!INPUT_MODES.includes(mode)) throw new Error(`Unknown input mode: ${mode}`);
+  const scanMs = settings.scanMs === undefined ? DEFAULT_INPUT_SETTINGS.scanMs : Number(settings.scanMs);
+  if (!Number.isFinite(scanMs) || scanMs < SCAN_MS_MIN || scanMs > SCAN_MS_MAX) {
+    throw new Error(`Scan speed must be from ${SCAN_MS_MIN / 1000} to ${SCAN_MS_MAX / 1000} seconds`);
+  }
+  return { mode, scanMs: Math.round(scanMs) };
+}
+
+/**
+ * Active profile's input settings (the defaults if none are stored or they are corrupt)
+ * @returns {Object} { mode, scanMs }
+ */
+export function getInputSettings() {
+  try {
+    return normalizeInputSettings(storage.getJSON(INPUT_SETTINGS_KEY, DEFAULT_INPUT_SETTINGS) || {});
+  } catch {
+    return { ...DEFAULT_INPUT_SETTINGS };
+  }
+}
+
+/**
+ * Store the active profile's input settings
+ * @param {Object} settings - { mode, scanMs }
+ * @returns {Object} Stored (normalized) settings
+ * @throws {Error} If the settings are invalid
+ */
+export function setInputSettings(settings) {
+  const normalized = normalizeInputSettings({ ...getInputSettings(), ...settings });
+  storage.setJSON(INPUT_SETTINGS_KEY, normalized);
+  return normalized;
+}
+
+function isEditable(el) {
+  return !!el && (el.isContentEditable || /^(INPUT|SELECT|TEXTAREA)$/.test(el.tagName || ''));
+}
+
+function centre(rect) {
+  return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+}
+
+function contains(rect, x, y) {
+  return x >= rect.left && x <= rect.left + rect.width && y >= rect.top && y <= rect.top + rect.height;
+}
+
+/**
+ * The nearest target in a direction from the current one
+ * @param {Array} targets - Candidates
+ * @param {*} current - Highlighted target
+ * @param {number[]} direction - [dx, dy] unit step
+ * @param {Function} getRect - target => { left, top, width, height }
+ * @returns {*} Target, or null if there is none that way
+ */
+export function nearestInDirection(targets, current, [dx, dy], getRect) {
+  const from = centre(getRect(current));
+  let best = null;
+  let bestScore = Infinity;
+  for (const target of targets) {
+    if (target === current) continue;
+    const to = centre(getRect(target));
+    const along = (to.x - from.x) * dx + (to.y - from.y) * dy;
+    if (along <= 0) continue;
+    // Straight ahead beats diagonally off to the side
+    const across = Math.abs((to.x - from.x) * dy + (to.y - from.y) * dx);
+    const score = along + across * 2;
+    if (score < bestScore) { best = target; bestScore = score; }
+  }
+  return best;
+}
+
+/**
+ * Highlight-and-activate selection over a changing set of targets
+ * @param {Object} options
+ * @param {Function} options.getTargets - () => current targets (elements, or anything getRect understands)
+ * @param {Function} options.onActivate - (target) the user chose it
+ * @param {Function} [options.onHighlight] - (target|null, previous) move the highlight; by
+ *                                           default toggles highlightClass on elements
+ * @param {Function} [options.getRect] - target => rect; defaults to getBoundingClientRect()
+ * @param {Function} [options.onEscape] - Escape was pressed; return true if it was handled
+ * @param {Function} [options.hitTest] - (target, clientX, clientY) => boolean for dwelling; defaults
+ *                                       to the point being inside getRect()
+ * @param {string} [options.highlightClass='access-highlight']
+ * @param {Object} [options.settings] - { mode, scanMs }; read from the profile on start() if omitted
+ * @param {number} [options.dwellMs] - Dwell time, 0 for none; read from the motor profile on start() if omitted
+ * @param {EventTarget} [options.keyTarget=window]
+ * @param {EventTarget} [options.pointerTarget=window] - Where pointer movement is watched for dwelling
+ * @returns {Object} { start, stop, refresh, highlighted, moveTo, mode, destroy }
+ */
+export function createTargetScanner({
+  getTargets,
+  onActivate,
+  onHighlight,
+  getRect = (target) => target.getBoundingClientRect(),
+  onEscape,
+  hitTest,
+  highlightClass = 'access-highlight',
+  settings,
+  dwellMs,
+  keyTarget = typeof window !== 'undefined' ? window : null,
+  pointerTarget = typeof window !== 'undefined' ? window : null
+}) {
+  let active = null; // settings while started
+  let current = null;
+  let timer = null;
+  let dwell = 0; // dwell time while started
+  let dwellTimer = null;
+  let spent = null; // chosen by dwelling; the pointer has to leave it before it can be chosen again
+  let pointer = null; // last pointer position, for targets that appear under it
+
+  const paint = onHighlight || ((target, previous) => {
+    previous?.classList?.remove(highlightClass);
+    target?.classList?.add(highlightClass);
+  });
+
+  function targets() {
+    return (getTargets() || []).filter(Boolean);
+  }
+
+  function highlight(target) {
+    if (target === current) return;
+    const previous = current;
+    current = target;
+    clearTimeout(dwellTimer);
+    dwellTimer = null;
+    paint(target, previous);
+  }
+
+  // Only the pointer moves the highlight: no keyboard or switch to do it
+  const pointerOnly = () => active?.mode === 'pointer';
+
+  function step(by) {
+    const list = targets();
+    if (!list.length) { highlight(null); return; }
+    const at = list.indexOf(current);
+    const next = at === -1 ? (by > 0 ? 0 : list.length - 1) : (at + by + list.length) % list.length;
+    highlight(list[next]);
+  }
+
+  function restartScan() {
+    clearInterval(timer);
+    timer = active?.mode === 'switch' ? setInterval(() => step(1), active.scanMs) : null;
+  }
+
+  function activate() {
+    const list = targets();
+    if (!list.includes(current)) {
+      // Only ever act on what the user can see highlighted
+      if (pointerOnly()) refresh();
+      else highlight(list[0] || null);
+      return;
+    }
+    onActivate(current);
+    refresh();
+    restartScan(); // a full dwell on whatever is highlighted next
+  }
+
+  function targetAt(x, y) {
+    return targets().find(target => (hitTest ? hitTest(target, x, y) : contains(getRect(target), x, y))) || null;
+  }
+
+  function dwellOn(target) {
+    if (target !== spent) spent = null;
+    // Still on it: the dwell carries on (or has gone off). Off every target, a
+    // keyboard or switch highlight stays where it is.
+    if (target === current || (!target && !pointerOnly())) return;
+    highlight(target);
+    if (!target || target === spent) return;
+    dwellTimer = setTimeout(() => {
+      dwellTimer = null;
+      spent = current;
+      activate();
+    }, dwell);
+  }
+
+  function onPointermove(e) {
+    if (e.pointerType === 'touch') return; // nothing hovers on a touch screen
+    pointer = { x: e.clientX, y: e.clientY };
+    dwellOn(targetAt(pointer.x, pointer.y));
+  }
+
+  function onKeydown(e) {
+    if (!active || pointerOnly() || isEditable(e.target)) return;
+    let handled = true;
+    if (e.key === ' ' || e.key === 'Enter') {
+      if (!e.repeat) activate();
+    } else if (DIRECTIONS[e.key]) {
+      const list = targets();
+      if (active.mode === 'switch' || !list.includes(current)) {
+        step(e.key === 'ArrowLeft' || e.key === 'ArrowUp' ? -1 : 1);
+        restartScan();
+      } else {
+        const next = nearestInDirection(list, current, DIRECTIONS[e.key], getRect);
+        if (next) highlight(next);
+      }
+    } else if (e.key === 'Escape' && onEscape) {
+      handled = !!onEscape(e);
+    } else {
+      handled = false;
+    }
+    if (handled) {
+      // Keep page shortcuts (e.g. Space to pause) from acting on the same key
+      e.preventDefault();
+      e.stopImmediatePropagation();
+    }
+  }
+
+  /**
+   * Keep the highlight on a live target after the targets changed
+   */
+  function refresh() {
+    if (!active) return;
+    if (pointerOnly()) {
+      dwellOn(pointer ? targetAt(pointer.x, pointer.y) : null);
+      return;
+    }
+    const list = targets();
+    if (!list.includes(current)) highlight(list[0] || null);
+  }
+
+  return {
+    /**
+     * Start listening (a no-op in pointer mode without a dwell time)
+     * @returns {boolean} Whether the scanner is running
+     */
+    start() {
+      if (active) return true;
+      const chosen = settings || getInputSettings();
+      dwell = dwellMs ?? getMotorProfile().dwellMs;
+      if (chosen.mode === 'pointer' && !dwell) return false;
+      active = chosen;
+      keyTarget?.addEventListener('keydown', onKeydown, true);
+      if (dwell) pointerTarget?.addEventListener('pointermove', onPointermove);
+      refresh();
+      restartScan();
+      return true;
+    },
+
+    stop() {
+      if (!active) return;
+      active = null;
+      clearInterval(timer);
+      timer = null;
+      keyTarget?.removeEventListener('keydown', onKeydown, true);
+      pointerTarget?.removeEventListener('pointermove', onPointermove);
+      highlight(null);
+      spent = null;
+      pointer = null;
+    },
+
+    refresh,
+
+    highlighted: () => current,
+
+    /**
+     * Move the highlight to a target (e.g. straight to the places after a pick)
+     * @param {*} target - One of the current targets
+     */
+    moveTo(target) {
+      if (active && !pointerOnly() && targets().includes(target)) highlight(target);
+    },
+
+    mode: () => active?.mode ?? null,
+
+    destroy() {
+      this.stop();
+    }
+  };
+}
+
+/**
+ * Keyboard / switch drag-and-drop: pick an item, then a place to drop it.
+ * While an item is picked it stays in the scan after the places; choosing it
+ * again (or pressing Escape) puts it back.
+ * @param {Object} options
+ * @param {Function} options.getItems - () => items that can be picked up
+ * @param {Function} options.getPlaces - (picked) => places the item can go
+ * @param {Function} options.onPlace - (item, place) drop it
+ * @param {Function} [options.onPick] - (item)
+ * @param {Function} [options.onCancel] - (item)
+ * @param {Function} [options.onChoose] - (item) return true to act on the item yourself instead
+ *                                        of picking it up (e.g. a Check button in the scan)
+ * @param {string} [options.pickedClass='access-picked']
+ * @returns {Object} { start, stop, cancel, refresh, picked, mode, destroy }
+ *   plus any createTargetScanner() options (getRect, onHighlight, settings, ...)
+ */
+export function createPickAndPlace({
+  getItems,
+  getPlaces,
+  onPlace,
+  onPick,
+  onCancel,
+  onChoose,
+  pickedClass = 'access-picked',
+  ...scannerOptions
+}) {
+  let picked = null;
+
+  function cancel() {
+    if (!picked) return false;
+    const item = picked;
+    picked = null;
+    item.classList?.remove(pickedClass);
+    onCancel?.(item);
+    scanner.moveTo(item); // back where the user was
+    scanner.refresh();
+    return true;
+  }
+
+  const scanner = createTargetScanner({
+    ...scannerOptions,
+    getTargets: () => (picked ? [...(getPlaces(picked) || []), picked] : getItems()),
+    onEscape: cancel,
+    onActivate(target) {
+      if (!picked) {
+        if (onChoose?.(target)) return;
+        picked = target;
+        target.classList?.add(pickedClass);
+        onPick?.(target);
+        const [first] = getPlaces(target) || [];
+        if (first) scanner.moveTo(first);
+      } else if (target === picked) {
+        cancel();
+      } else {
+        const item = picked;
+        picked = null;
+        item.classList?.remove(pickedClass);
+        onPlace(item, target);
+      }
+    }
+  });
+
+  return {
+    start: () => scanner.start(),
+    stop() {
+      cancel();
+      scanner.stop();
+    },
+    cancel,
+    refresh: () => scanner.refresh(),
+    picked: () => picked,
+    mode: () => scanner.mode(),
+    destroy() {
+      this.stop();
+    }
+  };
+}
+
+/**
+ * Arrow-key pen for the tracing exercises: holding arrow keys (two at once for
+ * diagonals) moves the pen and draws along the way; Shift moves it faster.
+ * @param {Object} options
+ * @param {Function} options.getStart - () => { x, y } where the pen lands first
+ * @param {Function} options.onDraw - ({ x, y }) pen moved (or landed) here
+ * @param {Function} [options.onLift] - the stroke ended (new shape, session stopped)
+ * @param {Function} [options.getBounds] - () => { width, height } to keep the pen inside
+ * @param {number} [options.step=3] - Distance per move
+ * @param {number} [options.fastStep=9] - Distance per move with Shift held
+ * @param {number} [options.everyMs=25] - Time between moves while a key is held
+ * @param {Object} [options.settings] - { mode }; read from the profile on start() if omitted
+ * @param {EventTarget} [options.keyTarget=window]
+ * @returns {Object} { start, stop, reset, position, destroy }
+ */
+export function createKeyboardPen({
+  getStart,
+  onDraw,
+  onLift,
+  getBounds,
+  step = 3,
+  fastStep = 9,
+  everyMs = 25,
+  settings,
+  keyTarget = typeof window !== 'undefined' ? window : null
+}) {
+  const held = new Set();
+  let active = false;
+  let fast = false;
+  let pen = null;
+  let timer = null;
+
+  function move() {
+    const dx = (held.has('ArrowRight') ? 1 : 0) - (held.has('ArrowLeft') ? 1 : 0);
+    const dy = (held.has('ArrowDown') ? 1 : 0) - (held.has('ArrowUp') ? 1 : 0);
+    if (!dx && !dy) return;
+    const distance = (fast ? fastStep : step) / Math.hypot(dx, dy);
+    let x = pen.x + dx * distance;
+    let y = pen.y + dy * distance;
+    const bounds = getBounds?.();
+    if (bounds) {
+      x = Math.min(Math.max(0, x), bounds.width);
+      y = Math.min(Math.max(0, y), bounds.height);
+    }
+    pen = { x, y };
+    onDraw(pen);
+  }
+
+  function release() {
+    held.clear();
+    clearInterval(timer);
+    timer = null;
+  }
+
+  function onKeydown(e) {
+    if (!DIRECTIONS[e.key] || isEditable(e.target)) return;
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    fast = e.shiftKey;
+    if (!pen) {
+      pen = { ...getStart() };
+      onDraw(pen);
+    }
+    if (held.has(e.key)) return; // auto-repeat; the timer is already moving the pen
+    held.add(e.key);
+    move();
+    if (!timer) timer = setInterval(move, everyMs);
+  }
+
+  function onKeyup(e) {
+    if (!held.delete(e.key)) return;
+    fast = e.shiftKey;
+    if (!held.size) release();
+  }
+
+  /**
+   * Lift the pen; the next key press puts it down at getStart() again
+   */
+  function reset() {
+    release();
+    if (pen) onLift?.();
+    pen = null;
+  }
+
+  return {
+    /**
+     * Start listening (a no-op in pointer mode)
+     * @returns {boolean} Whether the pen is active
+     */
+    start() {
+      if (active) return true;
+      if ((settings || getInputSettings()).mode === 'pointer') return false;
+      active = true;
+      keyTarget?.addEventListener('keydown', onKeydown, true);
+      keyTarget?.addEventListener('keyup', onKeyup, true);
+      keyTarget?.addEventListener('blur', release);
+      return true;
+    },
+
+    stop() {
+      if (!active) return;
+      active = false;
+      keyTarget?.removeEventListener('keydown', onKeydown, true);
+      keyTarget?.removeEventListener('keyup', onKeyup, true);
+      keyTarget?.removeEventListener('blur', release);
+      release();
+      if (pen) onLift?.(); // the pen stays where it is for when the session resumes
+    },
+
+    reset,
+
+    position: () => pen,
+
+    destroy() {
+      this.stop();
+    }
+  };
+}
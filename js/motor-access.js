@@ -0,0 +1,192 @@
+// /js/motor-access.js
+// Motor accessibility profile for tremor, spasticity and limited range of
+// motion. It is set once per profile on the dashboard and read by every
+// exercise:
+//   dwellMs      rest the pointer on a target this long to choose it (0 = off).
+//                Dwelling uses the same targets as keyboard and switch access
+//                (see createTargetScanner in input-access.js)
+//   smoothing    'off' | 'light' | 'strong' tremor filtering of drag and trace paths
+//   doubleTapMs  a second tap this soon after the last one, at about the same
+//                spot, is dropped as a bounce (0 = off)
+//   targetScale  enlarge targets; enlarged targets are never smaller than MIN_TARGET_PX
+//   hand         'both' | 'left' | 'right'; one-handed layouts gather the
+//                controls on that side
+//
+// applyMotorProfile() handles the page-wide parts (the double-tap guard, and
+// data-hand, --target-scale and --dwell-ms on <html> for the stylesheets); the
+// exercise runtime calls it for every page. Pages filter drag paths through
+// createPointerSmoother() and size the targets they draw with scaleTarget().
+
+import { storage } from './utils.js';
+
+export const SMOOTHING_LEVELS = ['off', 'light', 'strong'];
+export const HANDS = ['both', 'left', 'right'];
+export const TARGET_SCALES = [1, 1.25, 1.5, 2];
+
+export const DEFAULT_MOTOR_PROFILE = Object.freeze({
+  dwellMs: 0,
+  smoothing: 'off',
+  doubleTapMs: 0,
+  targetScale: 1,
+  hand: 'both'
+});
+
+export const DWELL_MS_MIN = 400;
+export const DWELL_MS_MAX = 4000;
+export const DOUBLE_TAP_MS_MAX = 1000;
+export const MIN_TARGET_PX = 44; // WCAG 2.5.5
+
+const TAP_SLOP_PX = 40; // taps further apart than this are never bounces
+const MOTOR_PROFILE_KEY = 'motorProfile';
+
+// Exponential smoothing weight of each new point, and movement ignored as jitter
+const SMOOTHING = {
+  light: { weight: 0.5, jitterPx: 1.5 },
+  strong: { weight: 0.25, jitterPx: 3 }
+};
+
+/**
+ * Validate a motor profile and fill in defaults
+ * @param {Object} profile - { dwellMs, smoothing, doubleTapMs, targetScale, hand }
+ * @returns {Object} Complete profile
+ * @throws {Error} If the profile is invalid
+ */
+export function normalizeMotorProfile(profile = {}) {
+  const { dwellMs, smoothing, doubleTapMs, targetScale, hand } = { ...DEFAULT_MOTOR_PROFILE, ...profile };
+  const dwell = Number(dwellMs);
+  if (!Number.isFinite(dwell) || (dwell !== 0 && (dwell < DWELL_MS_MIN || dwell > DWELL_MS_MAX))) {
+    throw new Error(`Dwell time must be off or from ${DWELL_MS_MIN / 1000} to ${DWELL_MS_MAX / 1000} seconds`);
+  }
+  if (!SMOOTHING_LEVELS.includes(smoothing)) throw new Error(`Unknown smoothing level: ${smoothing}`);
+  const doubleTap = Number(doubleTapMs);
+  if (!Number.isFinite(doubleTap) || doubleTap < 0 || doubleTap > DOUBLE_TAP_MS_MAX) {
+    throw new Error(`Double-tap filter must be from 0 to ${DOUBLE_TAP_MS_MAX} ms`);
+  }
+  const scale = Number(targetScale);
+  if (!TARGET_SCALES.includes(scale)) throw new Error(`Target size must be one of ${TARGET_SCALES.join(', ')}`);
+  if (!HANDS.includes(hand)) throw new Error(`Unknown hand: ${hand}`);
+  return { dwellMs: Math.round(dwell), smoothing, doubleTapMs: Math.round(doubleTap), targetScale: scale, hand };
+}
+
+/**
+ * Active profile's motor settings (the defaults if none are stored or they are corrupt)
+ * @returns {Object} { dwellMs, smoothing, doubleTapMs, targetScale, hand }
+ */
+export function getMotorProfile() {
+  try {
+    return normalizeMotorProfile(storage.getJSON(MOTOR_PROFILE_KEY, DEFAULT_MOTOR_PROFILE) || {});
+  } catch {
+    return { ...DEFAULT_MOTOR_PROFILE };
+  }
+}
+
+/**
+ * Store the active profile's motor settings
+ * @param {Object} profile - Any of { dwellMs, smoothing, doubleTapMs, targetScale, hand }
+ * @returns {Object} Stored (normalized) profile
+ * @throws {Error} If the profile is invalid
+ */
+export function setMotorProfile(profile) {
+  const normalized = normalizeMotorProfile({ ...getMotorProfile(), ...profile });
+  storage.setJSON(MOTOR_PROFILE_KEY, normalized);
+  return normalized;
+}
+
+/**
+ * Size of a target drawn by a page, enlarged for the profile
+ * @param {number} px - Size as designed
+ * @param {Object} [profile] - Defaults to the active profile
+ * @returns {number} Size to draw
+ */
+export function scaleTarget(px, profile = getMotorProfile()) {
+  if (profile.targetScale <= 1) return px;
+  return Math.max(px * profile.targetScale, MIN_TARGET_PX);
+}
+
+/**
+ * Tremor filter for a drag or trace path: each point is pulled toward the
+ * previous one, and movement smaller than the jitter threshold is dropped.
+ * @param {Object} [profile] - Defaults to the active profile
+ * @returns {Object} { filter({x, y}) => {x, y}, reset() } - reset() at the start of each stroke
+ */
+export function createPointerSmoother(profile = getMotorProfile()) {
+  const level = SMOOTHING[profile.smoothing];
+  let last = null;
+  return {
+    filter(point) {
+      if (!level || !last) {
+        last = { x: point.x, y: point.y };
+        return point;
+      }
+      if (Math.hypot(point.x - last.x, point.y - last.y) < level.jitterPx) return { ...last };
+      last = {
+        x: last.x + (point.x - last.x) * level.weight,
+        y: last.y + (point.y - last.y) * level.weight
+      };
+      return { ...last };
+    },
+    reset() {
+      last = null;
+    }
+  };
+}
+
+/**
+ * Drop bounced taps: a pointerdown within doubleTapMs of the last one and near
+ * it is stopped before the page sees it, along with the mouse, touch and click
+ * events the browser derives from it.
+ * @param {Object} [options]
+ * @param {EventTarget} [options.root=document]
+ * @param {Object} [options.profile] - Defaults to the active profile
+ * @returns {Function} Remove the guard
+ */
+export function guardDoubleTaps({ root = typeof document !== 'undefined' ? document : null, profile = getMotorProfile() } = {}) {
+  if (!root || !profile.doubleTapMs) return () => {};
+  let last = null;
+  let swallowing = false;
+
+  const onPointerdown = (e) => {
+    const now = Date.now();
+    const bounce = last
+      && now - last.at < profile.doubleTapMs
+      && Math.hypot(e.clientX - last.x, e.clientY - last.y) <= TAP_SLOP_PX;
+    last = { at: now, x: e.clientX, y: e.clientY };
+    swallowing = bounce;
+    if (bounce) swallow(e);
+  };
+  const swallow = (e) => {
+    e.preventDefault();
+    e.stopImmediatePropagation();
+  };
+  const onDerived = (e) => {
+    if (swallowing) swallow(e);
+  };
+
+  const derived = ['mousedown', 'touchstart', 'click'];
+  root.addEventListener('pointerdown', onPointerdown, true);
+  derived.forEach(type => root.addEventListener(type, onDerived, true));
+  return () => {
+    root.removeEventListener('pointerdown', onPointerdown, true);
+    derived.forEach(type => root.removeEventListener(type, onDerived, true));
+  };
+}
+
+let removeGuard = null;
+
+/**
+ * Apply the page-wide parts of a profile: layout attributes for the stylesheet
+ * and the double-tap guard (replacing one applied before)
+ * @param {Object} [profile] - Defaults to the active profile
+ * @returns {Object} The profile applied
+ */
+export function applyMotorProfile(profile = getMotorProfile()) {
+  if (typeof document === 'undefined') return profile;
+  const root = document.documentElement;
+  root.dataset.hand = profile.hand;
+  root.style.setProperty('--target-scale', String(profile.targetScale));
+  root.style.setProperty('--dwell-ms', `${profile.dwellMs}ms`);
+  root.classList.toggle('dwell-mode', profile.dwellMs > 0);
+  removeGuard?.();
+  removeGuard = guardDoubleTaps({ profile });
+  return profile;
+}
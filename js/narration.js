@@ -0,0 +1,240 @@
+// /js/narration.js
+// Screen-reader narration for in-game events.
+//
+// Two live regions: polite for game events, assertive for what has to cut in
+// (the countdown, pausing, the end of a session). Polite messages are spaced
+// at least gapMs apart so they are read in full. Events marked `coalesce`
+// (hits, misses, combo steps) replace each other while they wait, so a burst
+// of taps is read as its latest result instead of a backlog.
+//
+// What gets said comes from vocabularies: COMMON_VOCABULARY for the session
+// lifecycle the runtime narrates, EXERCISE_VOCABULARIES for each game's own
+// events, which pages report with runtime.narrate(event, data). An entry is a
+// function data => text (polite, null to stay quiet) or
+// { text, assertive, coalesce }.
+
+import { canonicalExerciseId } from './exercises.js';
+import { createLiveRegion } from './a11y.js';
+
+export const NARRATION_GAP_MS = 1200;
+
+const MAX_QUEUED = 4;
+const WRITE_DELAY_MS = 50; // clear, then write, so repeating the same text is read again
+
+const plural = (n, word, words = `${word}s`) => `${n} ${n === 1 ? word : words}`;
+const seconds = (ms) => plural(Math.round(ms / 1000), 'second');
+const stripTags = (html) => String(html).replace(/<[^>]*>/g, '');
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+export const COMMON_VOCABULARY = {
+  countdown: { assertive: true, text: ({ count }) => (typeof count === 'number' ? String(count) : 'Go') },
+  start: { assertive: true, text: ({ resumed }) => (resumed ? 'Resuming your session' : 'Go') },
+  pause: { assertive: true, text: ({ reason }) => (reason === 'hidden' ? 'Paused while the app is in the background' : 'Paused') },
+  resume: { assertive: true, text: () => 'Resumed' },
+  rest: ({ restMs, reason }) => `${reason === 'fatigue' ? 'Taking a rest' : 'Rest break'}, ${seconds(restMs)}`,
+  work: () => 'Rest over, carry on',
+  warning: ({ secondsLeft }) => `${seconds(secondsLeft * 1000)} left`,
+  fatigue: () => 'You seem to be tiring. A rest break is suggested',
+  streak: ({ streak }) => `${streak} in a row`,
+  summary: {
+    assertive: true,
+    text: ({ practice, score, medal, insight }) => (practice
+      ? 'Practice finished'
+      : [
+        `Session complete. Score ${score}.`,
+        medal && `${medal.label} medal. ${medal.caption}`,
+        insight && stripTags(insight.text)
+      ].filter(Boolean).join(' '))
+  }
+};
+
+export const EXERCISE_VOCABULARIES = {
+  bubble: {
+    pop: {
+      coalesce: true,
+      text: ({ ms, type, combo }) => [
+        type && type !== 'normal' ? `${capitalize(type)} bubble popped` : 'Popped',
+        `${ms} milliseconds`,
+        combo > 1 && `combo ${combo} times`
+      ].filter(Boolean).join(', ')
+    },
+    miss: { coalesce: true, text: ({ expired }) => (expired ? 'Bubble gone' : 'Missed') },
+    level: ({ level }) => `Level ${level}`
+  },
+  comet: {
+    hit: { coalesce: true, text: ({ points, type }) => `${type && type !== 'normal' ? `${capitalize(type)} comet` : 'Comet'} caught, ${plural(points, 'point')}` },
+    escape: { coalesce: true, text: ({ count }) => `${plural(count, 'comet')} escaped` }
+  },
+  maze: {
+    maze: ({ number }) => `Maze ${number}. Find the way to the goal`,
+    backtrack: () => 'Backtracked, no longer a perfect run',
+    solved: ({ seconds: s, perfect, points }) =>
+      `Maze solved in ${plural(s, 'second')}${perfect ? ', perfect run' : ''}, ${plural(points, 'point')}`
+  },
+  mirror: {
+    pair: {
+      coalesce: true,
+      text: ({ ms, perfect, points, simultaneous }) =>
+        `${perfect ? 'Perfect' : 'In sync'}${simultaneous ? `, ${ms} milliseconds apart` : ''}, ${plural(points, 'point')}`
+    },
+    offsync: {
+      coalesce: true,
+      text: ({ ms, windowMs, simultaneous }) => (simultaneous
+        ? `Out of sync, ${ms} milliseconds apart. Aim for under ${windowMs}`
+        : `Try again, left first, then right within ${windowMs} milliseconds`)
+    },
+    pattern: ({ number, total }) => `Pattern ${number} of ${total} complete`
+  },
+  precision: {
+    round: ({ round, total, targets }) => `Round ${round} of ${total}, ${plural(targets, 'target')}`,
+    drop: { coalesce: true, text: ({ points }) => `On target, ${plural(points, 'point')}` },
+    miss: { coalesce: true, text: ({ wrongColour }) => (wrongColour ? 'Wrong colour' : 'Missed the target') }
+  },
+  rhythm: {
+    round: ({ round, length }) => `Round ${round}, sequence of ${plural(length, 'tone')}`,
+    turn: () => 'Your turn',
+    tap: { coalesce: true, text: ({ step, length }) => `${step} of ${length}` },
+    wrong: { assertive: true, text: () => 'Wrong pad, start again from the beginning' },
+    done: () => 'Sequence complete'
+  },
+  sequence: {
+    sequence: ({ items }) => `New pattern of ${plural(items.length, 'piece')}: ${items.join(', ')}`,
+    hidden: () => 'Pattern hidden, recreate it from memory',
+    placed: { coalesce: true, text: ({ symbol, position }) => `${symbol} placed in position ${position}` },
+    correct: () => 'Correct sequence',
+    incorrect: ({ right, length }) => `Not quite, ${right} of ${length} in the right place`
+  },
+  sort: {
+    round: ({ round, objects, categories }) =>
+      `Round ${round}, sort ${plural(objects, 'object')} into ${categories.join(', ')}`,
+    correct: { coalesce: true, text: ({ category }) => `Correct, ${category}` },
+    incorrect: { coalesce: true, text: () => 'Not that category' }
+  },
+  trace: {
+    shape: ({ number, target }) => `Shape ${number}. Trace ${target} percent of the outline to reveal it`,
+    progress: { coalesce: true, text: ({ percent }) => `${percent} percent traced` },
+    revealed: ({ points }) => `Shape revealed, ${plural(points, 'point')}`,
+    skipped: () => 'Shape skipped'
+  },
+  scanner: {
+    find: ({ target }) => `Find the ${target}`,
+    found: { coalesce: true, text: ({ ms, golden }) => `${golden ? 'Golden target' : 'Target'} found, ${ms} milliseconds` },
+    wrong: { coalesce: true, text: () => 'Not the target' }
+  },
+  'letter-trace': {
+    character: ({ char }) => (/\d/.test(char)
+      ? `Trace the number ${char}`
+      : `Trace the ${char === char.toLowerCase() ? 'small' : 'capital'} letter ${char}`),
+    traced: ({ accuracy, perfect, points }) =>
+      `${perfect ? 'Perfect' : 'Well done'}, ${accuracy} percent accuracy, ${plural(points, 'point')}`,
+    skipped: () => 'Skipped'
+  }
+};
+
+/**
+ * Create the narrator for a page
+ * @param {Object} [options]
+ * @param {string} [options.exerciseId] - Picks the exercise's vocabulary
+ * @param {Object} [options.vocabulary] - Extra or overriding entries
+ * @param {number} [options.gapMs=NARRATION_GAP_MS] - Minimum time between polite messages
+ * @returns {Object} { narrate, say, cancel, destroy }
+ */
+export function createNarrator({ exerciseId, vocabulary = {}, gapMs = NARRATION_GAP_MS } = {}) {
+  const words = {
+    ...COMMON_VOCABULARY,
+    ...(exerciseId ? EXERCISE_VOCABULARIES[canonicalExerciseId(exerciseId)] : null),
+    ...vocabulary
+  };
+  let regions = null; // created on the first message
+  let queue = [];
+  let lastPoliteAt = -Infinity;
+  let timer = null;
+  const writes = new Set();
+
+  function write(politeness, text) {
+    if (typeof document === 'undefined') return;
+    regions ||= {
+      polite: createLiveRegion('polite', { className: 'narration' }),
+      assertive: createLiveRegion('assertive', { className: 'narration' })
+    };
+    const region = regions[politeness];
+    region.textContent = '';
+    const t = setTimeout(() => {
+      writes.delete(t);
+      region.textContent = text;
+    }, WRITE_DELAY_MS);
+    writes.add(t);
+  }
+
+  function pump() {
+    if (timer || !queue.length) return;
+    const wait = lastPoliteAt + gapMs - Date.now();
+    if (wait > 0) {
+      timer = setTimeout(() => {
+        timer = null;
+        pump();
+      }, wait);
+      return;
+    }
+    lastPoliteAt = Date.now();
+    write('polite', queue.shift().text);
+    pump();
+  }
+
+  /**
+   * Announce text
+   * @param {string} text - What to say
+   * @param {Object} [options] - { assertive, coalesce }
+   */
+  function say(text, { assertive = false, coalesce = false } = {}) {
+    if (!text) return;
+    if (assertive) {
+      queue = queue.filter(message => !message.coalesce); // stale once something cuts in
+      write('assertive', text);
+      return;
+    }
+    if (coalesce) queue = queue.filter(message => !message.coalesce);
+    queue.push({ text, coalesce });
+    if (queue.length > MAX_QUEUED) queue.shift();
+    pump();
+  }
+
+  function cancel() {
+    queue = [];
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  return {
+    /**
+     * Announce an event from the vocabulary (unknown events are ignored)
+     * @param {string} event - e.g. 'found'
+     * @param {Object} [data] - Details the vocabulary entry reads
+     * @returns {string|null} What was said
+     */
+    narrate(event, data = {}) {
+      const entry = words[event];
+      if (!entry) return null;
+      const { text, ...options } = typeof entry === 'function' ? { text: entry } : entry;
+      const phrase = text(data);
+      say(phrase, options);
+      return phrase || null;
+    },
+
+    say,
+
+    /**
+     * Drop anything still waiting to be said
+     */
+    cancel,
+
+    destroy() {
+      cancel();
+      writes.forEach(clearTimeout);
+      writes.clear();
+      regions?.polite.remove();
+      regions?.assertive.remove();
+      regions = null;
+    }
+  };
+}
@@ -0,0 +1,271 @@
+/**
+ * FinePointRehab - Notification Centre
+ *
+ * Header bell for the notification inbox: an unread count, a drawer listing
+ * past achievements, unlocks, level-ups and milestones, and "Mark all read".
+ * Events recorded while the page is open are also toasted through the
+ * achievement notification stack, so they queue behind any achievement toasts
+ * instead of overlapping them.
+ */
+
+import { getNotifications, getUnreadCount, markRead, markAllRead } from './notification-inbox.js';
+import { showEventNotification } from './achievement-notification.js';
+
+const escapeHTML = (text) => String(text).replace(/[&<>"']/g, (ch) => (
+  { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]
+));
+
+const formatWhen = (iso) => new Date(iso).toLocaleString(undefined, {
+  day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit'
+});
+
+/**
+ * Render the bell and drawer into a container
+ * @param {HTMLElement} container - Element to render into (emptied first)
+ * @param {Object} [options]
+ * @param {boolean} [options.toasts=true] - Toast events recorded while the page is open
+ * @returns {{ refresh: Function, open: Function, close: Function, destroy: Function }}
+ */
+export function mountNotificationCenter(container, { toasts = true } = {}) {
+  const noop = () => {};
+  if (!container) return { refresh: noop, open: noop, close: noop, destroy: noop };
+
+  addNotificationCenterStyles();
+  const drawerId = `${container.id || 'notification-center'}-drawer`;
+  container.classList.add('notification-center');
+  container.innerHTML = `
+    <button type="button" class="notification-bell" aria-haspopup="true" aria-expanded="false" aria-controls="${drawerId}">
+      <span aria-hidden="true">🔔</span>
+      <span class="notification-count" hidden></span>
+    </button>
+    <div id="${drawerId}" class="notification-drawer" role="region" aria-label="Notifications" hidden>
+      <div class="notification-drawer-header">
+        <h2 class="notification-drawer-title">Notifications</h2>
+        <button type="button" class="notification-mark-all" data-action="mark-all">Mark all read</button>
+      </div>
+      <ul class="notification-list"></ul>
+    </div>
+  `;
+
+  const bell = container.querySelector('.notification-bell');
+  const count = container.querySelector('.notification-count');
+  const drawer = container.querySelector('.notification-drawer');
+  const list = container.querySelector('.notification-list');
+  const markAll = container.querySelector('.notification-mark-all');
+
+  function render() {
+    const unread = getUnreadCount();
+    count.hidden = unread === 0;
+    count.textContent = unread > 99 ? '99+' : String(unread);
+    bell.setAttribute('aria-label', unread ? `Notifications, ${unread} unread` : 'Notifications');
+    markAll.disabled = unread === 0;
+
+    const entries = getNotifications();
+    list.innerHTML = entries.length
+      ? entries.map(entry => `
+        <li class="notification-item${entry.read ? '' : ' unread'}" data-id="${escapeHTML(entry.id)}">
+          <span class="notification-item-icon" aria-hidden="true">${escapeHTML(entry.icon)}</span>
+          <div class="notification-item-text">
+            <div class="notification-item-title">${escapeHTML(entry.title)}${entry.read ? '' : '<span class="sr-only"> (unread)</span>'}</div>
+            ${entry.message ? `<div class="notification-item-message">${escapeHTML(entry.message)}</div>` : ''}
+            <time class="notification-item-time" datetime="${escapeHTML(entry.at)}">${formatWhen(entry.at)}</time>
+          </div>
+        </li>`).join('')
+      : '<li class="notification-empty">Nothing yet. Achievements, unlocks and milestones will appear here.</li>';
+  }
+
+  function open() {
+    drawer.hidden = false;
+    bell.setAttribute('aria-expanded', 'true');
+  }
+
+  function close() {
+    drawer.hidden = true;
+    bell.setAttribute('aria-expanded', 'false');
+  }
+
+  bell.addEventListener('click', () => (drawer.hidden ? open() : close()));
+
+  container.addEventListener('click', (e) => {
+    if (e.target.closest('[data-action="mark-all"]')) {
+      markAllRead();
+      return;
+    }
+    const item = e.target.closest('.notification-item.unread');
+    if (item) markRead(item.dataset.id);
+  });
+
+  const onKeydown = (e) => {
+    if (e.key === 'Escape' && !drawer.hidden) {
+      close();
+      bell.focus();
+    }
+  };
+  const onOutsideClick = (e) => {
+    if (!drawer.hidden && !container.contains(e.target)) close();
+  };
+  // Every inbox change re-renders; new entries are announced with a toast too
+  const onChange = (e) => {
+    render();
+    if (toasts && e.detail?.added) showEventNotification(e.detail.added);
+  };
+
+  document.addEventListener('keydown', onKeydown);
+  document.addEventListener('click', onOutsideClick);
+  window.addEventListener('fpr:notificationschange', onChange);
+
+  render();
+  return {
+    refresh: render,
+    open,
+    close,
+    destroy() {
+      document.removeEventListener('keydown', onKeydown);
+      document.removeEventListener('click', onOutsideClick);
+      window.removeEventListener('fpr:notificationschange', onChange);
+      container.innerHTML = '';
+    }
+  };
+}
+
+/**
+ * Inject CSS styles once
+ */
+function addNotificationCenterStyles() {
+  if (document.getElementById('notification-center-styles')) return;
+
+  const style = document.createElement('style');
+  style.id = 'notification-center-styles';
+  style.textContent = `
+    .notification-center {
+      position: relative;
+    }
+
+    .notification-bell {
+      position: relative;
+      background: transparent;
+      border: 1px solid rgba(111, 211, 245, 0.3);
+      border-radius: var(--radius-lg, 12px);
+      padding: var(--space-2, 8px) var(--space-3, 12px);
+      font-size: 1.1rem;
+      cursor: pointer;
+    }
+
+    .notification-bell:hover,
+    .notification-bell[aria-expanded="true"] {
+      background: rgba(111, 211, 245, 0.1);
+    }
+
+    .notification-count {
+      position: absolute;
+      top: -6px;
+      right: -6px;
+      min-width: 20px;
+      padding: 0 5px;
+      border-radius: 10px;
+      background: #ef4444;
+      color: white;
+      font-size: 0.75rem;
+      font-weight: 700;
+      line-height: 20px;
+      text-align: center;
+    }
+
+    .notification-count[hidden],
+    .notification-drawer[hidden] {
+      display: none;
+    }
+
+    .notification-drawer {
+      position: absolute;
+      top: calc(100% + 8px);
+      right: 0;
+      z-index: 1000;
+      width: min(360px, 90vw);
+      max-height: 70vh;
+      overflow-y: auto;
+      background: #141a30;
+      border: 1px solid rgba(111, 211, 245, 0.3);
+      border-radius: var(--radius-xl, 16px);
+      box-shadow: 0 12px 32px rgba(0, 0, 0, 0.5);
+      color: white;
+    }
+
+    .notification-drawer-header {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      padding: 12px 16px;
+      border-bottom: 1px solid rgba(255, 255, 255, 0.1);
+    }
+
+    .notification-drawer-title {
+      margin: 0;
+      font-size: 1rem;
+    }
+
+    .notification-mark-all {
+      background: none;
+      border: none;
+      color: var(--brand-aqua, #6fd3f5);
+      cursor: pointer;
+      font-size: 0.85rem;
+    }
+
+    .notification-mark-all:disabled {
+      opacity: 0.4;
+      cursor: default;
+    }
+
+    .notification-list {
+      list-style: none;
+      margin: 0;
+      padding: 0;
+    }
+
+    .notification-item,
+    .notification-empty {
+      display: flex;
+      gap: 12px;
+      padding: 12px 16px;
+      border-bottom: 1px solid rgba(255, 255, 255, 0.05);
+      font-size: 0.9rem;
+    }
+
+    .notification-item.unread {
+      background: rgba(111, 211, 245, 0.08);
+      cursor: pointer;
+    }
+
+    .notification-item.unread .notification-item-title::before {
+      content: '';
+      display: inline-block;
+      width: 8px;
+      height: 8px;
+      margin-right: 6px;
+      border-radius: 50%;
+      background: var(--brand-aqua, #6fd3f5);
+      vertical-align: middle;
+    }
+
+    .notification-item-icon {
+      font-size: 1.5rem;
+    }
+
+    .notification-item-title {
+      font-weight: 600;
+    }
+
+    .notification-item-message,
+    .notification-item-time,
+    .notification-empty {
+      color: rgba(255, 255, 255, 0.7);
+    }
+
+    .notification-item-time {
+      font-size: 0.75rem;
+    }
+  `;
+
+  document.head.appendChild(style);
+}
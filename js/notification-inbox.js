@@ -0,0 +1,115 @@
+// /js/notification-inbox.js
+// Per-profile history of the events a toast announces: achievements,
+// difficulty unlocks, level-ups and session milestones. Toasts vanish after a
+// few seconds; the inbox keeps each event, unread until the patient reviews
+// it in the notification centre (see notification-center.js).
+//
+// Sources record events with addNotification(). Every change is announced on
+// window as 'fpr:notificationschange' ({ added, unread }) so an open header
+// badge can update itself.
+
+import { storage } from './utils.js';
+
+// Default icon of each kind of event
+export const NOTIFICATION_TYPES = Object.freeze({
+  achievement: '🏆',
+  unlock: '🔓',
+  level: '⭐',
+  milestone: '🎯'
+});
+
+export const INBOX_LIMIT = 100; // oldest entries are dropped past this
+const INBOX_KEY = 'notifications';
+
+function readInbox() {
+  const stored = storage.getJSON(INBOX_KEY, []);
+  return Array.isArray(stored) ? stored.filter(entry => entry && typeof entry.id === 'string') : [];
+}
+
+function writeInbox(entries, added = null) {
+  storage.setJSON(INBOX_KEY, entries);
+  if (typeof window !== 'undefined' && typeof window.dispatchEvent === 'function') {
+    const unread = entries.filter(entry => !entry.read).length;
+    window.dispatchEvent(new CustomEvent('fpr:notificationschange', { detail: { added, unread } }));
+  }
+}
+
+/**
+ * Record an event in the active profile's inbox
+ * @param {Object} notification
+ * @param {string} notification.type - One of NOTIFICATION_TYPES
+ * @param {string} notification.title - Headline, e.g. "Achievement Unlocked"
+ * @param {string} [notification.message] - Detail line
+ * @param {string} [notification.icon] - Defaults to the type's icon
+ * @returns {Object} Stored entry { id, type, icon, title, message, at, read }
+ * @throws {Error} If the type is unknown or the title is missing
+ */
+export function addNotification({ type, title, message = '', icon } = {}) {
+  if (!(type in NOTIFICATION_TYPES)) throw new Error(`Unknown notification type: ${type}`);
+  if (typeof title !== 'string' || !title.trim()) throw new Error('Notification needs a title');
+
+  const at = new Date().toISOString();
+  const entry = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    type,
+    icon: icon || NOTIFICATION_TYPES[type],
+    title: title.trim(),
+    message: String(message),
+    at,
+    read: false
+  };
+  writeInbox([entry, ...readInbox()].slice(0, INBOX_LIMIT), entry);
+  return entry;
+}
+
+/**
+ * The active profile's notifications, newest first
+ * @param {Object} [options]
+ * @param {boolean} [options.unreadOnly=false]
+ * @returns {Array<Object>} Entries
+ */
+export function getNotifications({ unreadOnly = false } = {}) {
+  const entries = readInbox();
+  return unreadOnly ? entries.filter(entry => !entry.read) : entries;
+}
+
+/**
+ * Number of notifications not yet read
+ * @returns {number}
+ */
+export function getUnreadCount() {
+  return readInbox().filter(entry => !entry.read).length;
+}
+
+/**
+ * Mark one notification read
+ * @param {string} id - Entry ID
+ * @returns {boolean} Whether an unread entry was found
+ */
+export function markRead(id) {
+  const entries = readInbox();
+  const entry = entries.find(e => e.id === id);
+  if (!entry || entry.read) return false;
+  entry.read = true;
+  writeInbox(entries);
+  return true;
+}
+
+/**
+ * Mark every notification read
+ * @returns {number} Entries that were unread
+ */
+export function markAllRead() {
+  const entries = readInbox();
+  const unread = entries.filter(entry => !entry.read);
+  if (unread.length === 0) return 0;
+  writeInbox(entries.map(entry => ({ ...entry, read: true })));
+  return unread.length;
+}
+
+/**
+ * Empty the active profile's inbox
+ */
+export function clearNotifications() {
+  writeInbox([]);
+}
@@ -1,37 +1,86 @@
 // /js/pause.js
+// The same overlay doubles as the rest-break screen: while resting it shows
+// restLabelEl counting down and the button skips the rest instead of pausing.
+// Pauses carry a reason ('user' for the button, overlay and Escape; callers
+// pass their own, e.g. 'hidden'), which the overlay exposes as data-reason.
 export function bindPause({
   areaEl,
   overlayEl,
   buttonEl,
-  onChange, // (paused:boolean) => void
-  labels = { pause: 'Pause', resume: 'Resume' },
+  restLabelEl,
+  onChange, // (paused:boolean, reason:string) => void
+  onSkipRest, // () => void
+  labels = {},
+  visibleClass, // show the overlay with this class instead of removing 'hidden'
   overlayClickResumes = true,
   escapeResumes = true
 }) {
+  const text = {
+    pause: 'Pause',
+    resume: 'Resume',
+    skipRest: 'Skip rest',
+    rest: (seconds) => `Rest — ${seconds}s`,
+    ...labels
+  };
+  const idleLabel = restLabelEl?.textContent;
   let paused = false;
+  let reason = null; // why we are paused
+  let restMs = null; // time left of the current rest break, null when not resting
 
-  function reflect() {
-    areaEl?.classList.toggle('is-paused', paused);
+  function render() {
+    const resting = restMs !== null && !paused;
+    const shown = paused || resting;
+    areaEl?.classList.toggle('is-paused', shown);
     // Block interaction under overlay when paused:
-    if (areaEl) areaEl.inert = !!paused; // supported in modern browsers; fine to set boolean
+    if (areaEl) areaEl.inert = !!shown; // supported in modern browsers; fine to set boolean
 
-    overlayEl?.classList.toggle('hidden', !paused);
-    if (overlayEl) overlayEl.setAttribute('aria-hidden', String(!paused));
+    if (visibleClass) overlayEl?.classList.toggle(visibleClass, shown);
+    else overlayEl?.classList.toggle('hidden', !shown);
+    overlayEl?.classList.toggle('is-resting', resting);
+    if (overlayEl) {
+      if (paused) overlayEl.dataset.reason = reason;
+      else delete overlayEl.dataset.reason;
+    }
+    if (overlayEl) overlayEl.setAttribute('aria-hidden', String(!shown));
+    if (restLabelEl) restLabelEl.textContent = resting ? text.rest(Math.ceil(restMs / 1000)) : idleLabel;
 
     if (buttonEl) {
-      buttonEl.textContent = paused ? labels.resume : labels.pause;
+      buttonEl.textContent = paused ? text.resume : resting ? text.skipRest : text.pause;
       buttonEl.setAttribute('aria-pressed', String(paused));
     }
-    onChange?.(paused);
   }
 
-  function set(p) {
-    if (p === paused) return;
+  function reflect() {
+    render();
+    onChange?.(paused, reason);
+  }
+
+  /**
+   * Pause or resume
+   * @param {boolean} p - Paused
+   * @param {string} [why='user'] - Reason for pausing
+   */
+  function set(p, why = 'user') {
+    if (!!p === paused) return;
     paused = !!p;
+    if (paused) reason = why;
     reflect();
+    if (!paused) reason = null;
+  }
+
+  /**
+   * Show (or update) the rest-break countdown, or hide it with null
+   * @param {number|null} ms - Rest time left
+   */
+  function setResting(ms) {
+    restMs = ms === null || ms === undefined ? null : Math.max(0, ms);
+    render();
   }
 
-  const onButtonClick = () => set(!paused);
+  const onButtonClick = () => {
+    if (restMs !== null && !paused) onSkipRest?.();
+    else set(!paused);
+  };
   buttonEl?.addEventListener('click', onButtonClick);
 
   const onOverlayClick = (e) => {
@@ -64,7 +113,10 @@ export function bindPause({
 
   return {
     isPaused: () => paused,
+    pauseReason: () => reason,
+    isResting: () => restMs !== null,
     setPaused: set,
+    setResting,
     destroy
   };
-}
\ No newline at end of file
+}
@@ -0,0 +1,98 @@
+/**
+ * FinePointRehab - Profile Picker
+ *
+ * Small "who is practising?" control for shared clinic devices. Renders a
+ * profile <select> plus New / Rename / Delete actions into a container.
+ * Switching reloads the page so every module re-reads the new profile's data.
+ */
+
+import { profiles, DEFAULT_PROFILE_ID, showToast } from './utils.js';
+import { sessionStore } from './session-store.js';
+
+/**
+ * Render the picker into a container
+ * @param {HTMLElement} container - Element to render into (emptied first)
+ * @param {Object} options - { onChange: called after the active profile changes }
+ * @returns {{ refresh: Function }} Handle to re-render after external changes
+ */
+export function mountProfilePicker(container, { onChange = () => window.location.reload() } = {}) {
+    if (!container) return { refresh: () => {} };
+
+    const selectId = `${container.id || 'profile-picker'}-select`;
+
+    function render() {
+        const active = profiles.getActiveId();
+        container.innerHTML = `
+            <label for="${selectId}" class="profile-picker-label">Profile</label>
+            <select id="${selectId}" class="profile-picker-select"></select>
+            <button type="button" class="profile-picker-btn" data-action="new">New</button>
+            <button type="button" class="profile-picker-btn" data-action="rename">Rename</button>
+            <button type="button" class="profile-picker-btn" data-action="delete"${active === DEFAULT_PROFILE_ID ? ' disabled' : ''}>Delete</button>
+        `;
+
+        const select = container.querySelector('select');
+        profiles.list().forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            option.selected = profile.id === active;
+            select.appendChild(option);
+        });
+    }
+
+    async function run(action) {
+        try {
+            await action();
+        } catch (error) {
+            showToast(error.message, 'error');
+        }
+    }
+
+    container.addEventListener('change', (e) => {
+        if (!e.target.matches('select')) return;
+        run(() => {
+            profiles.switchTo(e.target.value);
+            onChange(profiles.getActive());
+        });
+    });
+
+    container.addEventListener('click', (e) => {
+        const action = e.target.closest('[data-action]')?.dataset.action;
+        const current = profiles.getActive();
+
+        if (action === 'new') {
+            const name = window.prompt('Name for the new profile:');
+            if (name === null) return;
+            run(() => {
+                const profile = profiles.create(name);
+                profiles.switchTo(profile.id);
+                onChange(profile);
+            });
+        } else if (action === 'rename') {
+            const name = window.prompt('Rename profile:', current.name);
+            if (name === null) return;
+            run(() => {
+                profiles.rename(current.id, name);
+                render();
+                showToast(`Profile renamed to ${name.trim()}`, 'success');
+            });
+        } else if (action === 'delete') {
+            const confirmed = window.confirm(
+                `Delete "${current.name}" and all of their progress on this device? This cannot be undone.`
+            );
+            if (!confirmed) return;
+            run(async () => {
+                // Clear the archive first: the reload in onChange would abort a pending delete
+                if (!(await sessionStore.clear(current.id))) {
+                    showToast(`Could not delete ${current.name}'s session history; the profile was kept`, 'error');
+                    return;
+                }
+                profiles.remove(current.id);
+                onChange(profiles.getActive());
+            });
+        }
+    });
+
+    render();
+    return { refresh: render };
+}
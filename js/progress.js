@@ -2,16 +2,23 @@
  * FinePointRehab Progress Tracking System - Complete Rewrite
  * 
  * Simplified, test-compatible implementation focusing on:
- * - Correct streak logic with consistent date handling
+ * - Policy-driven streak logic with consistent date handling (streak-policy.js)
  * - Proper session recording with total session tracking
  * - Fixed export system using exercise registry
  * - Enhanced session recording with extras for achievement analysis
  * - All updates flow through single functions for consistency
  */
 
-import { storage } from './utils.js';
-import { toYMD, dayDiff } from './utils/date.js';
-import { EXERCISES } from './exercises.js';
+import { storage, profiles, clinician, SCHEMA_VERSION_KEY, MIGRATION_BACKUP_KEY } from './utils.js';
+import { dayKey, sessionDayKey, getTimeZone, getDayStartHour, setDayStartHour, MAX_DAY_START_HOUR } from './utils/date.js';
+import { advanceStreak, getStreakPolicy, setStreakPolicy, normalizeStreakPolicy, weekStart } from './streak-policy.js';
+import { EXERCISES, canonicalExerciseId } from './exercises.js';
+import { sessionStore } from './session-store.js';
+import { scoreSessionPoints, personalAverage } from './gamification.js';
+import { evaluateAwards, applyAwards, addToTotals, ACHIEVEMENT_TIERS } from './achievements.js';
+
+// Per-exercise cap on the localStorage session lists
+const SESSION_HISTORY_LIMIT = 100;
 
 /**
  * Record a session and update all related metrics
@@ -22,6 +29,8 @@ import { EXERCISES } from './exercises.js';
  * @returns {Object} Result with isNewBest, totalSessions, and sessionEntry
  */
 export function recordSession(exerciseId, difficulty, score, extras = {}) {
+    exerciseId = canonicalExerciseId(exerciseId);
+
     // Create session entry with timestamp and extras for achievement analysis
     // FIX: extras first so core fields always win and can't be overwritten
     const sessionEntry = {
@@ -30,7 +39,8 @@ export function recordSession(exerciseId, difficulty, score, extras = {}) {
         difficulty,
         score,
         timestamp: Date.now(),
-        date: new Date().toISOString()
+        date: new Date().toISOString(),
+        timeZone: getTimeZone() // Keeps the session on the right day after travel
     };
     
     // Store individual session entry for achievement system
@@ -39,11 +49,14 @@ export function recordSession(exerciseId, difficulty, score, extras = {}) {
     existingHistory.push(sessionEntry);
     
     // Keep only recent sessions to prevent storage bloat (last 100 sessions per exercise)
-    if (existingHistory.length > 100) {
-        existingHistory.splice(0, existingHistory.length - 100);
+    if (existingHistory.length > SESSION_HISTORY_LIMIT) {
+        existingHistory.splice(0, existingHistory.length - SESSION_HISTORY_LIMIT);
     }
     
     storage.set(sessionHistoryKey, JSON.stringify(existingHistory));
+
+    // Unbounded long-term history (IndexedDB when available); fire-and-forget
+    sessionStore.add(sessionEntry);
     
     // Individual exercise tracking (existing aggregated data)
     const sessionKey = `exercise:${exerciseId}:sessions`;
@@ -66,7 +79,7 @@ export function recordSession(exerciseId, difficulty, score, extras = {}) {
     }
     
     // Update streak when recording session (ensures all updates flow through updateStreak)
-    updateStreak();
+    updateStreak(sessionDayKey(sessionEntry));
     
     // Return object with session entry for achievement checking
     return {
@@ -76,16 +89,6 @@ export function recordSession(exerciseId, difficulty, score, extras = {}) {
     };
 }
 
-/**
- * Helper function to get day of week from YYYY-MM-DD string consistently
- * @param {string} ymd - Date string in YYYY-MM-DD format
- * @returns {number} Day of week (0=Sunday, 1=Monday, ..., 6=Saturday)
- */
-function dayOfWeekFromYMD(ymd) {
-    const [y, m, d] = ymd.split('-').map(Number);
-    return new Date(Date.UTC(y, m - 1, d)).getUTCDay(); // 0..6
-}
-
 /**
  * Safe JSON parser that won't throw on corrupt data
  * @param {string} str - JSON string to parse
@@ -101,148 +104,1024 @@ function safeParse(str, fallback) {
 }
 
 /**
- * Update streak system with consistent date handling
- * @param {string|Date} currentDateLike - Date string (YYYY-MM-DD) or Date object
+ * Read the stored streak state
+ * @returns {Object} { streak, lastActiveDate, freezes, weekDays }
+ */
+export function getStreakState() {
+    return {
+        streak: storage.getInt('streak', 0),
+        lastActiveDate: storage.get('lastActiveDate') || null,
+        freezes: storage.getInt('streakFreezes', 0),
+        weekDays: storage.getInt('streakWeekDays', 0)
+    };
+}
+
+/**
+ * Update streak using the active profile's streak policy
+ * @param {string|Date} currentDateLike - Day key (YYYY-MM-DD) or Date object (bucketed with dayKey)
  * @returns {number} Current streak value
  */
 export function updateStreak(currentDateLike = new Date()) {
-    const currentYMD = toYMD(currentDateLike);
-    const lastYMD = storage.get('lastActiveDate');
-    let streak = storage.getInt('streak', 0);
-    
-    if (!lastYMD) {
-        // First session ever
-        streak = 1;
-    } else {
-        // FIX: Don't update if current date is older than last active date (backwards in time)
-        const diff = dayDiff(lastYMD, currentYMD);
-        const safeDiff = Number.isFinite(diff) ? diff : 0; // Handle corrupt lastActiveDate
-        
-        if (safeDiff < 0) {
-            // Current date is older than last active date - ignore out-of-order updates
-            return streak;
+    const currentYMD = dayKey(currentDateLike);
+    const state = getStreakState();
+
+    const next = advanceStreak(state, currentYMD, getStreakPolicy());
+    if (next === null) {
+        return state.streak;
+    }
+
+    storage.set('streak', String(next.streak));
+    storage.set('lastActiveDate', next.lastActiveDate);
+    storage.set('streakFreezes', String(next.freezes));
+    storage.set('streakWeekDays', String(next.weekDays));
+    return next.streak;
+}
+
+// ============================================================================
+// EXPORT / IMPORT BUNDLE
+// ============================================================================
+
+// Current export bundle format. v1 bundles (counters only) are still importable.
+export const EXPORT_VERSION = 2;
+
+// Adaptive difficulty keys. Bundles exported before schema migration 1 carry
+// them double-prefixed (FPR_v1_unlock:...), which import still accepts.
+const ADAPTIVE_KEY_PATTERN = /^(unlock|perf):/;
+const LEGACY_ADAPTIVE_KEY_PATTERN = /^FPR_v1_(unlock|perf):/;
+const EXERCISE_KEY_PATTERN = /^exercise:([^:]+):(sessions|best)$/;
+const SESSIONS_KEY_PATTERN = /^sessions:(.+)$/;
+const ACHIEVEMENT_DATE_PATTERN = /^achievement_(.+)_date$/;
+
+const PROGRESS_KEYS = ['totalSessions', 'streak', 'lastActiveDate'];
+const STREAK_KEYS = ['streakPolicy', 'streakFreezes', 'streakWeekDays', 'dayStartHour'];
+const GAMIFICATION_KEYS = ['totalPoints', 'sessionsCompleted'];
+const REMINDER_KEYS = ['reminders', 'remindersPromptDismissed'];
+const ACHIEVEMENT_KEYS = ['achievements', 'tried', 'achievementTotals', 'achievementTiers', 'achievementRepeats'];
+// Per-device bookkeeping that must not travel between devices
+const INTERNAL_KEYS = [SCHEMA_VERSION_KEY, MIGRATION_BACKUP_KEY, 'pointsToday'];
+
+const isPlainObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+const isCount = (v) => Number.isFinite(v) && v >= 0;
+
+/**
+ * Read a JSON array that may be stored double-encoded (as recordSession does)
+ * @param {string} key - Storage key
+ * @returns {Array} Stored array or empty array
+ */
+function readList(key) {
+    const value = storage.get(key);
+    if (Array.isArray(value)) return value;
+    const parsed = typeof value === 'string' ? safeParse(value, []) : [];
+    return Array.isArray(parsed) ? parsed : [];
+}
+
+/**
+ * Read a JSON object that may be stored double-encoded
+ * @param {string} key - Storage key
+ * @returns {Object} Stored object or empty object
+ */
+function readObject(key) {
+    const value = storage.get(key);
+    const parsed = typeof value === 'string' ? safeParse(value, null) : value;
+    return isPlainObject(parsed) ? parsed : {};
+}
+
+/**
+ * Decide which export section owns a storage key
+ * @param {string} key - Unprefixed storage key
+ * @returns {string|null} Section name, or null for keys that are never exported
+ */
+function sectionForKey(key) {
+    if (INTERNAL_KEYS.includes(key)) return null;
+    if (PROGRESS_KEYS.includes(key)) return 'progress';
+    if (STREAK_KEYS.includes(key)) return 'streak';
+    if (EXERCISE_KEY_PATTERN.test(key)) return 'exercises';
+    if (SESSIONS_KEY_PATTERN.test(key)) return 'sessions';
+    if (ACHIEVEMENT_KEYS.includes(key) || ACHIEVEMENT_DATE_PATTERN.test(key)) return 'achievements';
+    if (ADAPTIVE_KEY_PATTERN.test(key)) return 'adaptive';
+    if (GAMIFICATION_KEYS.includes(key)) return 'gamification';
+    if (REMINDER_KEYS.includes(key)) return 'reminders';
+    return 'other';
+}
+
+/**
+ * Validate a { key: rawString } map
+ * @param {*} data - Section payload
+ * @returns {string|null} Error message or null if valid
+ */
+function validateRawMap(data) {
+    if (!isPlainObject(data)) return 'expected an object of storage keys';
+    const bad = Object.entries(data).find(([, v]) => typeof v !== 'string');
+    return bad ? `value for "${bad[0]}" must be a string` : null;
+}
+
+/**
+ * Write a { key: rawString } map back to storage
+ * @param {Object} data - Section payload
+ * @returns {number} Number of keys written
+ */
+function applyRawMap(data) {
+    Object.entries(data).forEach(([key, raw]) => storage.setRaw(key, raw));
+    return Object.keys(data).length;
+}
+
+/**
+ * Export sections, in import order. Each section knows how to collect its
+ * slice of storage, validate an incoming payload and write it back.
+ */
+const EXPORT_SECTIONS = {
+    progress: {
+        collect: () => ({
+            totalSessions: storage.getInt('totalSessions', 0),
+            streak: storage.getInt('streak', 0),
+            lastActiveDate: storage.get('lastActiveDate') || null
+        }),
+        validate: (data) => {
+            if (!isPlainObject(data)) return 'expected an object';
+            if ('totalSessions' in data && !isCount(data.totalSessions)) return 'totalSessions must be a non-negative number';
+            if ('streak' in data && !isCount(data.streak)) return 'streak must be a non-negative number';
+            if (data.lastActiveDate != null && !/^\d{4}-\d{2}-\d{2}$/.test(data.lastActiveDate)) {
+                return 'lastActiveDate must be YYYY-MM-DD';
+            }
+            return null;
+        },
+        apply: (data) => {
+            if ('totalSessions' in data) storage.set('totalSessions', String(data.totalSessions));
+            if ('streak' in data) storage.set('streak', String(data.streak));
+            if (data.lastActiveDate) storage.set('lastActiveDate', data.lastActiveDate);
+            return Object.keys(data).length;
         }
-        
-        if (safeDiff === 0) {
-            // Same day, keep streak as is
-        } else if (safeDiff === 1) {
-            // Consecutive day
-            streak += 1;
-        } else if (safeDiff >= 2 && safeDiff <= 3) {
-            // FIX: Monday amnesty with consistent timezone handling
-            const isCurrentMonday = dayOfWeekFromYMD(currentYMD) === 1;
-            const lastWeekday = dayOfWeekFromYMD(lastYMD);
-            
-            if (isCurrentMonday && (lastWeekday === 5 || lastWeekday === 6 || lastWeekday === 0)) {
-                // Monday amnesty applies: Fri/Sat/Sun → Mon
-                streak += 1;
-            } else {
-                // Missed days -> reset
-                streak = 1;
+    },
+
+    // Streak policy and the bookkeeping it needs (freeze tokens, days practised
+    // this week, the hour the practice day starts)
+    streak: {
+        collect: () => ({
+            policy: storage.getJSON('streakPolicy', null),
+            freezes: storage.getInt('streakFreezes', 0),
+            weekDays: storage.getInt('streakWeekDays', 0),
+            dayStartHour: getDayStartHour()
+        }),
+        validate: (data) => {
+            if (!isPlainObject(data)) return 'expected an object';
+            if ('freezes' in data && !isCount(data.freezes)) return 'freezes must be a non-negative number';
+            if ('weekDays' in data && !isCount(data.weekDays)) return 'weekDays must be a non-negative number';
+            if ('dayStartHour' in data && !(isCount(data.dayStartHour) && data.dayStartHour <= MAX_DAY_START_HOUR)) {
+                return `dayStartHour must be from 0 to ${MAX_DAY_START_HOUR}`;
             }
-        } else if (safeDiff > 3) {
-            // Multiple missed days -> reset
-            streak = 1;
-        } else {
-            // Edge case: clamp to 1
-            streak = Math.max(1, streak);
+            if (data.policy != null) {
+                try {
+                    normalizeStreakPolicy(data.policy);
+                } catch (error) {
+                    return `policy: ${error.message}`;
+                }
+            }
+            return null;
+        },
+        apply: (data) => {
+            if (data.policy) setStreakPolicy(data.policy);
+            if ('freezes' in data) storage.set('streakFreezes', String(data.freezes));
+            if ('weekDays' in data) storage.set('streakWeekDays', String(data.weekDays));
+            if ('dayStartHour' in data) setDayStartHour(data.dayStartHour);
+            return Object.keys(data).length;
+        }
+    },
+
+    exercises: {
+        collect: (keys) => {
+            const exercises = {};
+            keys.forEach(key => {
+                const [, id, metric] = key.match(EXERCISE_KEY_PATTERN) || [];
+                if (!id) return;
+                exercises[id] = exercises[id] || { sessions: 0, best: 0 };
+                exercises[id][metric] = storage.getInt(key, 0);
+            });
+            return exercises;
+        },
+        validate: (data) => {
+            if (!isPlainObject(data)) return 'expected an object keyed by exercise id';
+            for (const [id, entry] of Object.entries(data)) {
+                if (!isPlainObject(entry)) return `entry for "${id}" must be an object`;
+                if ('sessions' in entry && !isCount(entry.sessions)) return `sessions for "${id}" must be a non-negative number`;
+                if ('best' in entry && !Number.isFinite(entry.best)) return `best for "${id}" must be a number`;
+            }
+            return null;
+        },
+        // Bundles from older builds may key exercises by page ID (e.g. bubble_tap)
+        normalize: (data) => {
+            const normalized = {};
+            Object.entries(data).forEach(([id, entry]) => {
+                const key = canonicalExerciseId(id);
+                const existing = normalized[key];
+                normalized[key] = existing ? {
+                    sessions: (existing.sessions || 0) + (entry.sessions || 0),
+                    best: Math.max(existing.best || 0, entry.best || 0)
+                } : entry;
+            });
+            return normalized;
+        },
+        apply: (data) => {
+            Object.entries(data).forEach(([id, entry]) => {
+                if ('sessions' in entry) storage.set(`exercise:${id}:sessions`, String(entry.sessions));
+                if ('best' in entry) storage.set(`exercise:${id}:best`, String(entry.best));
+            });
+            return Object.keys(data).length;
         }
+    },
+
+    sessions: {
+        collect: (keys) => {
+            const sessions = {};
+            keys.forEach(key => {
+                const [, id] = key.match(SESSIONS_KEY_PATTERN) || [];
+                if (id) sessions[id] = readList(key);
+            });
+            return sessions;
+        },
+        validate: (data) => {
+            if (!isPlainObject(data)) return 'expected an object keyed by exercise id';
+            for (const [id, history] of Object.entries(data)) {
+                if (!Array.isArray(history)) return `history for "${id}" must be an array`;
+                const bad = history.find(s => !isPlainObject(s) || !Number.isFinite(s.timestamp));
+                if (bad) return `history for "${id}" contains an entry without a timestamp`;
+            }
+            return null;
+        },
+        normalize: (data) => {
+            const normalized = {};
+            Object.entries(data).forEach(([id, history]) => {
+                const key = canonicalExerciseId(id);
+                normalized[key] = [...(normalized[key] || []), ...history.map(s => ({ ...s, id: key }))]
+                    .sort((a, b) => a.timestamp - b.timestamp);
+            });
+            return normalized;
+        },
+        apply: async (data) => {
+            let count = 0;
+            for (const [id, history] of Object.entries(data)) {
+                storage.set(`sessions:${id}`, JSON.stringify(history));
+                // Upserts into the archive; a replace import clears it first (see importData)
+                await sessionStore.addMany(history);
+                count += history.length;
+            }
+            return count;
+        }
+    },
+
+    achievements: {
+        collect: (keys) => {
+            const unlockedAt = {};
+            keys.forEach(key => {
+                const [, id] = key.match(ACHIEVEMENT_DATE_PATTERN) || [];
+                if (id) unlockedAt[id] = storage.get(key);
+            });
+            return {
+                unlocked: readList('achievements'),
+                unlockedAt,
+                tried: readList('tried'),
+                totals: readObject('achievementTotals'),
+                tiers: readObject('achievementTiers'),
+                repeats: readObject('achievementRepeats')
+            };
+        },
+        validate: (data) => {
+            if (!isPlainObject(data)) return 'expected an object';
+            if (!Array.isArray(data.unlocked) || data.unlocked.some(id => typeof id !== 'string')) {
+                return 'unlocked must be an array of achievement ids';
+            }
+            if (data.unlockedAt != null && !isPlainObject(data.unlockedAt)) return 'unlockedAt must be an object';
+            if (data.tried != null && !Array.isArray(data.tried)) return 'tried must be an array';
+            if (data.totals != null && !isPlainObject(data.totals)) return 'totals must be an object';
+            if (data.tiers != null && !isPlainObject(data.tiers)) return 'tiers must be an object';
+            if (data.repeats != null && (!isPlainObject(data.repeats)
+                || Object.values(data.repeats).some(repeat => !isPlainObject(repeat) || !isCount(repeat.count)))) {
+                return 'repeats must map achievement ids to { count, week, date }';
+            }
+            return null;
+        },
+        apply: (data) => {
+            storage.set('achievements', JSON.stringify(data.unlocked));
+            Object.entries(data.unlockedAt || {}).forEach(([id, iso]) => {
+                if (iso) storage.set(`achievement_${id}_date`, iso);
+            });
+            if (data.tried) storage.set('tried', JSON.stringify(data.tried));
+            if (data.totals) storage.set('achievementTotals', JSON.stringify(data.totals));
+            if (data.tiers) storage.set('achievementTiers', JSON.stringify(data.tiers));
+            if (data.repeats) storage.set('achievementRepeats', JSON.stringify(data.repeats));
+            return data.unlocked.length;
+        }
+    },
+
+    adaptive: {
+        collect: (keys) => Object.fromEntries(
+            keys.filter(key => sectionForKey(key) === 'adaptive').map(key => [key, storage.getRaw(key)])
+        ),
+        validate: (data) => validateRawMap(data)
+            || (Object.keys(data).some(key => !ADAPTIVE_KEY_PATTERN.test(key) && !LEGACY_ADAPTIVE_KEY_PATTERN.test(key))
+                ? 'contains non-adaptive keys' : null),
+        normalize: (data) => Object.fromEntries(
+            Object.entries(data).map(([key, raw]) => [key.replace(/^FPR_v1_/, ''), raw])
+        ),
+        apply: applyRawMap
+    },
+
+    gamification: {
+        collect: () => ({
+            totalPoints: storage.getInt('totalPoints', 0),
+            sessionsCompleted: storage.getInt('sessionsCompleted', 0)
+        }),
+        validate: (data) => {
+            if (!isPlainObject(data)) return 'expected an object';
+            if ('totalPoints' in data && !isCount(data.totalPoints)) return 'totalPoints must be a non-negative number';
+            if ('sessionsCompleted' in data && !isCount(data.sessionsCompleted)) return 'sessionsCompleted must be a non-negative number';
+            return null;
+        },
+        apply: (data) => {
+            // GamificationSystem reads these with parseInt, so store them unquoted
+            GAMIFICATION_KEYS.forEach(key => {
+                if (key in data) storage.setRaw(key, String(Math.floor(data[key])));
+            });
+            return Object.keys(data).length;
+        }
+    },
+
+    reminders: {
+        collect: () => ({
+            prefs: storage.getJSON('reminders', null),
+            promptDismissed: storage.getRaw('remindersPromptDismissed')
+        }),
+        validate: (data) => {
+            if (!isPlainObject(data)) return 'expected an object';
+            if (data.prefs != null && !isPlainObject(data.prefs)) return 'prefs must be an object';
+            if (data.prefs?.time != null && !/^\d{2}:\d{2}$/.test(data.prefs.time)) return 'prefs.time must be HH:MM';
+            return null;
+        },
+        apply: (data) => {
+            if (data.prefs) storage.setJSON('reminders', data.prefs);
+            if (data.promptDismissed) storage.setRaw('remindersPromptDismissed', data.promptDismissed);
+            return data.prefs ? 1 : 0;
+        }
+    },
+
+    other: {
+        collect: (keys) => Object.fromEntries(
+            keys.filter(key => sectionForKey(key) === 'other').map(key => [key, storage.getRaw(key)])
+        ),
+        validate: validateRawMap,
+        apply: applyRawMap
     }
-    
-    storage.set('streak', String(streak));
-    storage.set('lastActiveDate', currentYMD);
-    return streak;
+};
+
+/**
+ * Convert a version 1 export (counters only) into version 2 sections
+ * Also accepts the dashboard's old { stats: {...} } layout.
+ * @param {Object} data - Version 1 export
+ * @returns {Object} Sections object
+ */
+function upgradeV1Bundle(data) {
+    const stats = isPlainObject(data.stats) ? data.stats : {};
+    const sections = {};
+
+    const progress = {};
+    const totalSessions = 'totalSessions' in data ? data.totalSessions : stats.totalSessions;
+    const streak = 'streak' in data ? data.streak : stats.streak;
+    if (totalSessions !== undefined) progress.totalSessions = Number(totalSessions);
+    if (streak !== undefined) progress.streak = Number(streak);
+    if (stats.lastActiveDate) progress.lastActiveDate = stats.lastActiveDate;
+    if (Object.keys(progress).length) sections.progress = progress;
+
+    if (data.exercises !== undefined) {
+        sections.exercises = data.exercises;
+        if (isPlainObject(data.exercises)) {
+            // Legacy bests may be stored per difficulty - keep the max
+            sections.exercises = Object.fromEntries(Object.entries(data.exercises).map(([id, entry]) => {
+                if (!isPlainObject(entry)) return [id, entry];
+                const next = { ...entry };
+                if ('sessions' in entry) next.sessions = Number(entry.sessions) || 0;
+                if (isPlainObject(entry.best)) {
+                    const nums = Object.values(entry.best).filter(v => typeof v === 'number');
+                    next.best = nums.length ? Math.max(...nums) : 0;
+                } else if ('best' in entry) {
+                    next.best = Number(entry.best) || 0;
+                }
+                return [id, next];
+            }));
+        }
+    }
+
+    if (data.achievements !== undefined) {
+        sections.achievements = { unlocked: data.achievements };
+    }
+
+    if (stats.points !== undefined) {
+        sections.gamification = { totalPoints: Number(stats.points) };
+    }
+
+    return sections;
 }
 
 /**
- * Export all progress data with proper structure
- * @returns {Object} Complete export data using exercise registry
+ * Export the active profile's progress as a versioned bundle covering every
+ * FPR_v1_ key in its namespace
+ * @returns {Object} Export bundle ({ version, exportDate, profile, sections })
  */
 export function exportData() {
-    const exercises = {};
-    
-    // FIX: Guard against malformed registry entries and handle both formats
-    const exerciseIds = Array.isArray(EXERCISES)
-        ? EXERCISES.map(e => e && e.id).filter(Boolean)
-        : Object.keys(EXERCISES || {});
-    
-    exerciseIds.forEach(id => {
-        const sessions = storage.getInt(`exercise:${id}:sessions`, 0);
-        const best = storage.getInt(`exercise:${id}:best`, 0);
-        
-        // Only include exercises with data to keep export clean
-        if (sessions > 0 || best > 0) {
-            exercises[id] = {
-                sessions,
-                best // FIX #5: Export raw number, keep import backward-compatible
-            };
-        }
+    const keys = storage.keys();
+    const sections = {};
+    const profile = profiles.getActive();
+
+    Object.entries(EXPORT_SECTIONS).forEach(([name, section]) => {
+        sections[name] = section.collect(keys);
     });
-    
+
     return {
-        exercises,
-        totalSessions: storage.getInt('totalSessions', 0),
-        streak: storage.getInt('streak', 0),
-        achievements: safeParse(storage.get('achievements'), []),
+        version: EXPORT_VERSION,
         exportDate: new Date().toISOString(),
-        version: 1
+        profile: { id: profile.id, name: profile.name },
+        sections
     };
 }
 
+// ============================================================================
+// IMPORT MODES (REPLACE / MERGE)
+// ============================================================================
+
+export const IMPORT_MODES = ['replace', 'merge'];
+
+/**
+ * Union two { exerciseId: entries[] } histories, de-duplicated by exercise + timestamp
+ * @param {Object} local - Local histories
+ * @param {Object} incoming - Incoming histories
+ * @returns {Object} Merged histories sorted oldest first
+ */
+function mergeHistories(local = {}, incoming = {}) {
+    const merged = {};
+    new Set([...Object.keys(local), ...Object.keys(incoming)]).forEach(id => {
+        const byKey = new Map();
+        [...(local[id] || []), ...(incoming[id] || [])].forEach(entry => {
+            const key = `${entry.id || id}:${entry.timestamp}`;
+            if (!byKey.has(key)) byKey.set(key, entry);
+        });
+        merged[id] = [...byKey.values()].sort((a, b) => a.timestamp - b.timestamp);
+    });
+    return merged;
+}
+
 /**
- * Import progress data with validation
+ * Replay every active day in a history through the streak rules
+ * @param {Object} histories - { exerciseId: entries[] }
+ * @param {Object} policy - Streak policy to replay with
+ * @returns {Object} Streak state ({ streak, lastActiveDate, freezes, weekDays }) as of the last active day
+ */
+function replayStreak(histories, policy) {
+    const days = [...new Set(
+        Object.values(histories).flat().map(sessionDayKey)
+    )].sort();
+
+    return days.reduce(
+        (state, day) => advanceStreak(state, day, policy),
+        { streak: 0, lastActiveDate: null, freezes: 0, weekDays: 0 }
+    );
+}
+
+/**
+ * Combine local sections with validated incoming sections for a merge import
+ * @param {Object} local - Sections from exportData()
+ * @param {Object} incoming - Validated incoming sections
+ * @returns {Object} Sections to write
+ */
+function mergeSections(local, incoming) {
+    const merged = {};
+    const histories = mergeHistories(local.sessions, incoming.sessions);
+    const hasSessions = 'sessions' in incoming;
+
+    if (hasSessions) {
+        merged.sessions = histories;
+    }
+
+    if ('exercises' in incoming || hasSessions) {
+        const incomingExercises = incoming.exercises || {};
+        const ids = new Set([
+            ...Object.keys(local.exercises),
+            ...Object.keys(incomingExercises),
+            ...Object.keys(histories)
+        ]);
+        merged.exercises = {};
+        ids.forEach(id => {
+            const mine = local.exercises[id] || {};
+            const theirs = incomingExercises[id] || {};
+            const history = histories[id] || [];
+            const historyBest = history.reduce((best, s) => Math.max(best, Number(s.score) || 0), 0);
+            merged.exercises[id] = {
+                // Histories are capped, so never drop below either device's own counter
+                sessions: Math.max(mine.sessions || 0, theirs.sessions || 0, history.length),
+                best: Math.max(mine.best || 0, theirs.best || 0, historyBest)
+            };
+        });
+    }
+
+    if ('progress' in incoming || hasSessions) {
+        const theirs = incoming.progress || {};
+        const historyTotal = Object.values(histories).reduce((n, history) => n + history.length, 0);
+
+        const localStreak = local.streak;
+        const theirStreak = incoming.streak || {};
+        // This device's policy wins; adopt the incoming one only if none was chosen here.
+        // The day-start hour always stays local, since the replay below buckets with it.
+        const policy = localStreak.policy || theirStreak.policy || null;
+
+        // Prefer the replayed streak unless a side without history was active more recently
+        const candidates = [
+            replayStreak(histories, policy || getStreakPolicy()),
+            { ...local.progress, freezes: localStreak.freezes, weekDays: localStreak.weekDays },
+            {
+                streak: theirs.streak || 0,
+                lastActiveDate: theirs.lastActiveDate || null,
+                freezes: theirStreak.freezes || 0,
+                weekDays: theirStreak.weekDays || 0
+            }
+        ];
+        const newest = candidates.reduce((a, b) => ((b.lastActiveDate || '') > (a.lastActiveDate || '') ? b : a));
+
+        merged.progress = {
+            totalSessions: Math.max(historyTotal, local.progress.totalSessions, theirs.totalSessions || 0),
+            streak: newest.streak,
+            lastActiveDate: newest.lastActiveDate
+        };
+        merged.streak = {
+            policy,
+            freezes: newest.freezes,
+            weekDays: newest.weekDays,
+            dayStartHour: localStreak.dayStartHour
+        };
+    } else if ('streak' in incoming) {
+        merged.streak = {
+            ...incoming.streak,
+            policy: local.streak.policy || incoming.streak.policy || null,
+            dayStartHour: local.streak.dayStartHour
+        };
+    }
+
+    if ('achievements' in incoming) {
+        const mine = local.achievements;
+        const theirs = incoming.achievements;
+        const unlockedAt = { ...mine.unlockedAt };
+        Object.entries(theirs.unlockedAt || {}).forEach(([id, iso]) => {
+            // Keep the earliest unlock date
+            if (iso && (!unlockedAt[id] || new Date(iso) < new Date(unlockedAt[id]))) {
+                unlockedAt[id] = iso;
+            }
+        });
+        // Lifetime totals cover shared history on both devices, so keep the larger of each
+        const totals = { ...mine.totals };
+        Object.entries(theirs.totals || {}).forEach(([id, metrics]) => {
+            totals[id] = { ...totals[id] };
+            Object.entries(metrics || {}).forEach(([metric, value]) => {
+                totals[id][metric] = Math.max(totals[id][metric] || 0, Number(value) || 0);
+            });
+        });
+        // The higher tier, and the repeat record earned more often, win
+        const tiers = { ...mine.tiers };
+        Object.entries(theirs.tiers || {}).forEach(([id, tier]) => {
+            if (ACHIEVEMENT_TIERS.indexOf(tier) > ACHIEVEMENT_TIERS.indexOf(tiers[id])) tiers[id] = tier;
+        });
+        const repeats = { ...mine.repeats };
+        Object.entries(theirs.repeats || {}).forEach(([id, repeat]) => {
+            const kept = repeats[id];
+            if (!kept || repeat.count > kept.count || (repeat.count === kept.count && (repeat.week || '') > (kept.week || ''))) {
+                repeats[id] = repeat;
+            }
+        });
+        merged.achievements = {
+            unlocked: [...new Set([...mine.unlocked, ...theirs.unlocked])],
+            unlockedAt,
+            tried: [...new Set([...mine.tried, ...(theirs.tried || [])])],
+            totals,
+            tiers,
+            repeats
+        };
+    }
+
+    if ('adaptive' in incoming) {
+        const adaptive = { ...local.adaptive };
+        const perfSessions = (raw) => safeParse(raw, {})?.sessions || 0;
+        Object.entries(incoming.adaptive).forEach(([key, raw]) => {
+            if (!(key in adaptive)) {
+                adaptive[key] = raw;
+            } else if (key.startsWith('unlock:')) {
+                // An unlock on either device stays unlocked
+                if (safeParse(raw, false) === true) adaptive[key] = raw;
+            } else if (perfSessions(raw) > perfSessions(adaptive[key])) {
+                adaptive[key] = raw;
+            }
+        });
+        merged.adaptive = adaptive;
+    }
+
+    if ('gamification' in incoming) {
+        const theirs = incoming.gamification;
+        merged.gamification = {
+            totalPoints: Math.max(local.gamification.totalPoints, theirs.totalPoints || 0),
+            sessionsCompleted: Math.max(local.gamification.sessionsCompleted, theirs.sessionsCompleted || 0)
+        };
+    }
+
+    if ('reminders' in incoming) {
+        // This device's reminder schedule wins; only adopt incoming prefs if none are set
+        merged.reminders = local.reminders.prefs ? local.reminders : incoming.reminders;
+    }
+
+    if ('other' in incoming) {
+        merged.other = { ...incoming.other, ...local.other };
+    }
+
+    return merged;
+}
+
+/**
+ * Parse, validate and (for merge) reconcile an import without writing anything
+ * @param {Object} data - Export bundle
+ * @param {string} mode - 'replace' or 'merge'
+ * @returns {Object} { version, sections: statuses, target: sections to write }
+ * @throws {Error} If the bundle or mode is unusable
+ */
+function planImport(data, mode) {
+    if (!data || typeof data !== 'object') {
+        throw new Error('Invalid import data');
+    }
+    if (!IMPORT_MODES.includes(mode)) {
+        throw new Error(`Unknown import mode: ${mode}`);
+    }
+
+    const version = data.version === undefined ? 1 : data.version;
+    let incoming;
+    if (version === 1) {
+        incoming = upgradeV1Bundle(data);
+    } else if (version === EXPORT_VERSION) {
+        if (!isPlainObject(data.sections)) {
+            throw new Error('Export bundle is missing its sections');
+        }
+        incoming = data.sections;
+    } else {
+        throw new Error(`Unsupported export version: ${version}`);
+    }
+
+    const sections = {};
+    const valid = {};
+    Object.entries(EXPORT_SECTIONS).forEach(([name, section]) => {
+        if (!(name in incoming)) {
+            sections[name] = { status: 'skipped' };
+            return;
+        }
+        const error = section.validate(incoming[name]);
+        if (error) {
+            sections[name] = { status: 'invalid', error };
+        } else {
+            valid[name] = section.normalize ? section.normalize(incoming[name]) : incoming[name];
+        }
+    });
+
+    const target = mode === 'merge' ? mergeSections(exportData().sections, valid) : valid;
+    return { version, sections, target };
+}
+
+/**
+ * Import progress data from a v1 or v2 bundle, validating each section on its own
+ * so one corrupt section doesn't block the rest. When session history is
+ * imported, the counters are then rebuilt from it (rebuildDerivedState), since
+ * a bundle's counters may not match its history. The rebuild never drops
+ * below the imported (or merged) counters, which may cover sessions the
+ * bundle has no history for.
  * @param {Object} data - Data to import
- * @returns {Object} Import result
+ * @param {Object} options - { mode: 'replace' | 'merge' } (default 'replace')
+ * Overwrites local data, so it needs clinician mode when a PIN is set.
+ * @returns {Promise<Object>} { success, version, mode, sections: { [name]: { status, count?, error? } },
+ *   rebuild?: { changes } or { error } }
  */
-export function importData(data) {
+export async function importData(data, { mode = 'replace' } = {}) {
+    if (!clinician.isAuthorized()) {
+        return { success: false, error: 'Clinician mode is required to import progress', sections: {} };
+    }
     try {
-        if (!data || typeof data !== 'object') {
-            throw new Error('Invalid import data');
+        const { version, sections, target } = planImport(data, mode);
+
+        // Replacing history must drop the archived sessions too, or the rebuild would replay them
+        if (mode === 'replace' && 'sessions' in target && !(await sessionStore.clear())) {
+            sections.sessions = { status: 'failed', error: 'Could not clear the session archive' };
+            delete target.sessions;
         }
-        
-        // FIX: Import exercises with proper handling of both numeric and object best values
-        if (data.exercises && typeof data.exercises === 'object') {
-            for (const [exerciseId, exerciseData] of Object.entries(data.exercises)) {
-                // Handle sessions (including 0 values)
-                if ('sessions' in exerciseData) {
-                    storage.set(`exercise:${exerciseId}:sessions`, String(exerciseData.sessions || 0));
-                }
-                
-                // Handle best scores (both number and object formats)
-                if ('best' in exerciseData) {
-                    const bestVal = exerciseData.best;
-                    let bestScore = 0;
-                    
-                    if (typeof bestVal === 'number') {
-                        bestScore = bestVal;
-                    } else if (bestVal && typeof bestVal === 'object') {
-                        // Handle legacy object format - prefer max across difficulties
-                        const nums = Object.values(bestVal).filter(v => typeof v === 'number');
-                        bestScore = nums.length ? Math.max(...nums) : 0;
-                    }
-                    
-                    storage.set(`exercise:${exerciseId}:best`, String(bestScore));
-                }
+
+        for (const [name, section] of Object.entries(EXPORT_SECTIONS)) {
+            if (!(name in target)) continue;
+            try {
+                sections[name] = { status: 'imported', count: await section.apply(target[name]) };
+            } catch (applyError) {
+                sections[name] = { status: 'failed', error: applyError.message };
             }
         }
-        
-        // FIX #4: Import logic must handle valid zeros
-        if ('totalSessions' in data) {
-            storage.set('totalSessions', String(data.totalSessions));
-        }
-        if ('streak' in data) {
-            storage.set('streak', String(data.streak));
+
+        const success = Object.values(sections).every(s => s.status === 'imported' || s.status === 'skipped');
+        const result = { success, version, mode, sections };
+        if (sections.sessions?.status === 'imported') {
+            try {
+                const imported = Object.fromEntries(
+                    Object.entries(target).filter(([name]) => sections[name].status === 'imported')
+                );
+                result.rebuild = { changes: (await rebuildDerivedState({ floor: imported })).changes };
+            } catch (rebuildError) {
+                result.rebuild = { error: rebuildError.message };
+            }
         }
-        if ('achievements' in data) {
-            storage.set('achievements', JSON.stringify(data.achievements));
+        return result;
+    } catch (error) {
+        return { success: false, error: error.message, sections: {} };
+    }
+}
+
+/**
+ * Describe what an import would change, without writing anything. When the
+ * import carries session history, the figures include the rebuild importData
+ * runs afterwards, replayed over the history the archive would then hold.
+ * @param {Object} data - Export bundle
+ * @param {Object} options - { mode: 'replace' | 'merge' } (default 'replace')
+ * @returns {Promise<Object>} Summary of before/after values, or { error }
+ */
+export async function previewImport(data, { mode = 'replace' } = {}) {
+    try {
+        const { version, sections, target } = planImport(data, mode);
+        const before = exportData().sections;
+        const after = { ...before };
+        Object.entries(target).forEach(([name, value]) => {
+            after[name] = { ...before[name], ...value };
+        });
+
+        if ('sessions' in target) {
+            // A replace import clears the archive first; a merge adds to it
+            const archived = mode === 'merge' ? await sessionStore.query() : [];
+            const byKey = new Map();
+            [...archived, ...Object.values(target.sessions).flat()].forEach(entry => {
+                byKey.set(`${entry.id}:${entry.timestamp}`, entry);
+            });
+            const sessions = [...byKey.values()].sort((a, b) => a.timestamp - b.timestamp);
+            const replayed = replaySessions(sessions, {
+                policy: after.streak.policy ? normalizeStreakPolicy(after.streak.policy) : getStreakPolicy(),
+                tried: after.achievements.tried,
+                unlocked: after.achievements.unlocked,
+                tiers: after.achievements.tiers
+            });
+
+            if (mode === 'replace') after.sessions = target.sessions;
+
+            // What rebuildDerivedState({ floor: target }) then writes
+            const truncated = (id) => (after.sessions[id] || []).length >= SESSION_HISTORY_LIMIT;
+            const anyTruncated = Object.keys(after.sessions).some(truncated);
+            const kept = (section, field) => target[section]?.[field] || 0;
+            const exercises = { ...after.exercises };
+            new Set([...Object.keys(exercises), ...Object.keys(replayed.exercises)]).forEach(id => {
+                const stored = truncated(id) ? exercises[id] : { sessions: 0, best: 0 };
+                const played = replayed.exercises[id] || { sessions: 0, best: 0 };
+                const floorAt = target.exercises?.[id] || {};
+                exercises[id] = {
+                    sessions: Math.max(stored.sessions, played.sessions, floorAt.sessions || 0),
+                    best: Math.max(stored.best, played.best, floorAt.best || 0)
+                };
+            });
+            const keepStreak = (kept('progress', 'lastActiveDate') || '') > (replayed.streakState.lastActiveDate || '');
+            after.exercises = exercises;
+            after.progress = {
+                ...after.progress,
+                totalSessions: Math.max(anyTruncated ? after.progress.totalSessions : 0, sessions.length,
+                    kept('progress', 'totalSessions')),
+                streak: keepStreak ? kept('progress', 'streak') : replayed.streakState.streak
+            };
+            after.gamification = {
+                ...after.gamification,
+                totalPoints: Math.max(anyTruncated ? after.gamification.totalPoints : 0, replayed.points,
+                    kept('gamification', 'totalPoints'))
+            };
+            after.achievements = { ...after.achievements, unlocked: [...replayed.record.unlocked] };
         }
-        
-        return { success: true };
+
+        const countSessions = (histories) => Object.values(histories).reduce((n, h) => n + h.length, 0);
+        const bests = Object.entries(after.exercises)
+            .map(([id, entry]) => ({ id, from: before.exercises[id]?.best || 0, to: entry.best || 0 }))
+            .filter(change => change.from !== change.to);
+        const unlockedBefore = new Set(before.achievements.unlocked);
+        const unlockedAfter = new Set(after.achievements.unlocked);
+
+        return {
+            version,
+            mode,
+            totalSessions: { from: before.progress.totalSessions, to: after.progress.totalSessions },
+            streak: { from: before.progress.streak, to: after.progress.streak },
+            sessionHistory: { from: countSessions(before.sessions), to: countSessions(after.sessions) },
+            points: { from: before.gamification.totalPoints, to: after.gamification.totalPoints },
+            bests,
+            achievements: {
+                added: [...unlockedAfter].filter(id => !unlockedBefore.has(id)),
+                removed: [...unlockedBefore].filter(id => !unlockedAfter.has(id))
+            },
+            invalid: Object.fromEntries(
+                Object.entries(sections)
+                    .filter(([, s]) => s.status === 'invalid')
+                    .map(([name, s]) => [name, s.error])
+            )
+        };
     } catch (error) {
-        return { success: false, error: error.message };
+        return { error: error.message };
     }
 }
 
+// ============================================================================
+// DERIVED STATE REBUILD
+// ============================================================================
+
+/**
+ * Replay sessions oldest first, exactly as recordSession and the
+ * points/achievement hooks saw them
+ * @param {Array} sessions - Session entries sorted oldest first
+ * @param {Object} start - { policy, tried: ids, unlocked: ids, tiers } to replay on top of
+ * @returns {Object} { exercises, streakState, points, record, unlockDates }
+ */
+function replaySessions(sessions, { policy, tried: triedIds, unlocked, tiers }) {
+    const exercises = {};
+    const levels = {}; // per exercise and difficulty
+    let totals = {};
+    const tried = new Set(triedIds);
+    // Unlocks and tiers are never revoked; repeat counts are replayed from scratch
+    let record = { unlocked: new Set(unlocked), tiers, repeats: {} };
+    const unlockDates = {};
+    let streakState = { streak: 0, lastActiveDate: null, freezes: 0, weekDays: 0 };
+    let points = 0;
+    const dailyPoints = {}; // per day key, for the daily cap
+
+    sessions.forEach((entry, index) => {
+        const exercise = exercises[entry.id] || (exercises[entry.id] = { sessions: 0, best: 0 });
+        const score = Number(entry.score) || 0;
+        const previousBest = exercise.best;
+        const isNewBest = score > previousBest;
+        exercise.sessions += 1;
+        if (isNewBest) exercise.best = score;
+        const levelKey = `${entry.id}:${entry.difficulty}`;
+        const level = levels[levelKey] || (levels[levelKey] = { sessions: 0, best: 0, scores: [] });
+        const average = personalAverage(level.scores);
+        level.sessions += 1;
+        level.best = Math.max(level.best, score);
+        level.scores.push(score);
+        totals = addToTotals(totals, entry);
+
+        const day = sessionDayKey(entry);
+        streakState = advanceStreak(streakState, day, policy) || streakState;
+        const earned = scoreSessionPoints({
+            exerciseId: entry.id,
+            score,
+            difficulty: entry.difficulty,
+            accuracy: entry.accuracy,
+            personalAverage: average,
+            personalBest: previousBest,
+            isPersonalBest: isNewBest,
+            currentStreak: streakState.streak,
+            pointsToday: dailyPoints[day] || 0
+        }).points;
+        dailyPoints[day] = (dailyPoints[day] || 0) + earned;
+        points += earned;
+        tried.add(entry.id);
+
+        const stats = {
+            totalSessions: index + 1,
+            streak: streakState.streak,
+            triedCount: tried.size,
+            totalExercises: Object.keys(EXERCISES).length,
+            newPersonalBest: isNewBest,
+            weekDays: streakState.weekDays
+        };
+        // Exercise and difficulty figures as they stood after this session, not as they are now
+        const exerciseFigures = (id) => ({ sessions: 0, best: 0, ...exercises[id], ...totals[id] });
+        const difficultyFigures = (id, difficulty) => Object.entries(levels)
+            .filter(([key]) => (id ? key === `${id}:${difficulty}` : key.endsWith(`:${difficulty}`)))
+            .reduce((figures, [, played]) => ({
+                sessions: figures.sessions + played.sessions,
+                best: Math.max(figures.best, played.best)
+            }), { sessions: 0, best: 0 });
+        const awards = evaluateAwards({
+            entry, stats, exercise: exerciseFigures, difficulty: difficultyFigures, week: weekStart(sessionDayKey(entry))
+        }, record);
+        const applied = applyAwards(record, awards, new Date(entry.timestamp).toISOString());
+        record = applied.record;
+        Object.assign(unlockDates, applied.dates);
+    });
+
+    return { exercises, streakState, points, record, unlockDates };
+}
+
+/**
+ * Replay the session log and recompute everything derived from it: session
+ * counts, bests, streak state, points and achievement unlocks. Fixes counters
+ * that drifted after imports, interrupted writes or partial resets.
+ *
+ * Exercises whose localStorage list is at its cap may have lost older
+ * sessions, so their counts and bests (and the totals) never drop below the
+ * stored values. A floor (export sections, as an import just wrote them) keeps
+ * its counters and its streak, if more recent, for a bundle whose counters
+ * cover more than its history. Achievements are only ever added, never revoked.
+ * @param {Object} options - { dryRun: report changes without writing, floor: sections not to drop below }
+ * @returns {Promise<Object>} { dryRun, sessionCount, truncated, changes: [{ key, from, to }] }
+ * @throws {Error} When writing without clinician mode while a PIN is set
+ */
+export async function rebuildDerivedState({ dryRun = false, floor: floorAt = null } = {}) {
+    if (!dryRun) clinician.require('rebuild progress');
+    const sessions = await sessionStore.query();
+    const keys = storage.keys();
+    const policy = getStreakPolicy();
+
+    const truncated = new Set(keys
+        .filter(key => SESSIONS_KEY_PATTERN.test(key) && readList(key).length >= SESSION_HISTORY_LIMIT)
+        .map(key => canonicalExerciseId(key.match(SESSIONS_KEY_PATTERN)[1])));
+
+    const { exercises, streakState: replayedStreak, points, record, unlockDates } = replaySessions(sessions, {
+        policy,
+        tried: readList('tried'),
+        unlocked: getStats().achievements,
+        tiers: readObject('achievementTiers')
+    });
+
+    const changes = [];
+    const writes = [];
+    const plan = (key, from, to, write) => {
+        if (JSON.stringify(from) === JSON.stringify(to)) return;
+        changes.push({ key, from, to });
+        writes.push(() => write(to));
+    };
+    const floor = (stored, value, isTruncated, kept = 0) => Math.max(isTruncated ? stored : 0, value, kept || 0);
+    const setCount = (key) => (value) => storage.set(key, String(value));
+
+    // Per-exercise counters, including exercises whose history is now empty
+    const exerciseIds = new Set([
+        ...Object.keys(exercises),
+        ...keys.map(key => key.match(EXERCISE_KEY_PATTERN)?.[1]).filter(Boolean)
+    ]);
+    exerciseIds.forEach(id => {
+        const replayed = exercises[id] || { sessions: 0, best: 0 };
+        const sessionsKey = `exercise:${id}:sessions`;
+        const bestKey = `exercise:${id}:best`;
+        const storedSessions = storage.getInt(sessionsKey, 0);
+        const storedBest = storage.getInt(bestKey, 0);
+        const kept = floorAt?.exercises?.[id] || {};
+        plan(sessionsKey, storedSessions, floor(storedSessions, replayed.sessions, truncated.has(id), kept.sessions),
+            setCount(sessionsKey));
+        plan(bestKey, storedBest, floor(storedBest, replayed.best, truncated.has(id), kept.best), setCount(bestKey));
+    });
+
+    const anyTruncated = truncated.size > 0;
+    const stored = getStreakState();
+    // A floor's streak newer than the history (counters imported without their sessions) stays
+    const keptProgress = floorAt?.progress || {};
+    const streakState = (keptProgress.lastActiveDate || '') > (replayedStreak.lastActiveDate || '')
+        ? { ...stored, streak: keptProgress.streak || 0, lastActiveDate: keptProgress.lastActiveDate } : replayedStreak;
+    const storedTotal = storage.getInt('totalSessions', 0);
+    plan('totalSessions', storedTotal, floor(storedTotal, sessions.length, anyTruncated, keptProgress.totalSessions),
+        setCount('totalSessions'));
+    plan('streak', stored.streak, streakState.streak, setCount('streak'));
+    plan('lastActiveDate', stored.lastActiveDate, streakState.lastActiveDate,
+        (value) => storage.set('lastActiveDate', value || ''));
+    plan('streakFreezes', stored.freezes, streakState.freezes, setCount('streakFreezes'));
+    plan('streakWeekDays', stored.weekDays, streakState.weekDays, setCount('streakWeekDays'));
+
+    // GamificationSystem reads these with parseInt, so store them unquoted
+    const storedPoints = parseInt(storage.getRaw('totalPoints') || '0', 10) || 0;
+    const storedCompleted = parseInt(storage.getRaw('sessionsCompleted') || '0', 10) || 0;
+    const keptPoints = floorAt?.gamification || {};
+    plan('totalPoints', storedPoints, floor(storedPoints, points, anyTruncated, keptPoints.totalPoints),
+        (value) => storage.setRaw('totalPoints', String(value)));
+    plan('sessionsCompleted', storedCompleted,
+        floor(storedCompleted, sessions.length, anyTruncated, keptPoints.sessionsCompleted),
+        (value) => storage.setRaw('sessionsCompleted', String(value)));
+
+    const storedAchievements = getStats().achievements;
+    plan('achievements', storedAchievements, [...record.unlocked], (value) => {
+        storage.set('achievements', JSON.stringify(value));
+        Object.entries(unlockDates).forEach(([key, iso]) => storage.set(key, iso));
+    });
+    plan('achievementTiers', readObject('achievementTiers'), record.tiers,
+        (value) => storage.set('achievementTiers', JSON.stringify(value)));
+    // A truncated history may be missing weeks that were earned
+    const storedRepeats = readObject('achievementRepeats');
+    const repeats = { ...record.repeats };
+    Object.entries(floorAt?.achievements?.repeats || {}).forEach(([id, repeat]) => {
+        if (!repeats[id] || repeat.count > repeats[id].count) repeats[id] = repeat;
+    });
+    if (anyTruncated) {
+        Object.entries(storedRepeats).forEach(([id, repeat]) => {
+            if (!repeats[id] || repeat.count > repeats[id].count) repeats[id] = repeat;
+        });
+    }
+    plan('achievementRepeats', storedRepeats, repeats, (value) => storage.set('achievementRepeats', JSON.stringify(value)));
+
+    if (!dryRun) writes.forEach(write => write());
+
+    return { dryRun, sessionCount: sessions.length, truncated: [...truncated], changes };
+}
+
 /**
  * Get current statistics
  * @returns {Object} Current stats
@@ -257,10 +1136,17 @@ export function getStats() {
 }
 
 /**
- * Reset all progress data
- * @returns {Object} Reset result
+ * Reset all progress data (needs clinician mode when a PIN is set)
+ * @returns {Promise<Object>} Reset result { success, message }
  */
-export function resetProgress() {
+export async function resetProgress() {
+    if (!clinician.isAuthorized()) {
+        return { success: false, message: 'Clinician mode is required to reset progress' };
+    }
+    // Archive first: if it can't be emptied, leave the counters alone so they still match it
+    if (!(await sessionStore.clear())) {
+        return { success: false, message: 'Failed to clear session history; nothing was reset' };
+    }
     try {
         // FIX: Use storage API instead of raw localStorage for consistency and test compatibility
         const exerciseIds = Array.isArray(EXERCISES) 
@@ -271,7 +1157,13 @@ export function resetProgress() {
         storage.set('totalSessions', '0');
         storage.set('streak', '0');
         storage.set('lastActiveDate', '');
+        storage.set('streakFreezes', '0');
+        storage.set('streakWeekDays', '0');
         storage.set('achievements', '[]');
+        storage.remove('achievementTotals');
+        storage.remove('achievementTiers');
+        storage.remove('achievementRepeats');
+        storage.remove('notifications');
         
         // Reset per-exercise data and session history
         exerciseIds.forEach(id => {
@@ -299,7 +1191,7 @@ export function resetProgress() {
  * @returns {number} Best score or 0 if none recorded
  */
 export function getPersonalBest(exerciseId) {
-    return storage.getInt(`exercise:${exerciseId}:best`, 0);
+    return storage.getInt(`exercise:${canonicalExerciseId(exerciseId)}:best`, 0);
 }
 
 /**
@@ -308,7 +1200,7 @@ export function getPersonalBest(exerciseId) {
  * @returns {number} Number of sessions completed
  */
 export function getSessionCount(exerciseId) {
-    return storage.getInt(`exercise:${exerciseId}:sessions`, 0);
+    return storage.getInt(`exercise:${canonicalExerciseId(exerciseId)}:sessions`, 0);
 }
 
 /**
@@ -318,7 +1210,7 @@ export function getSessionCount(exerciseId) {
  * @returns {Array} Array of session entries with extras data
  */
 export function getSessionHistory(exerciseId, limit = 10) {
-    const sessionHistoryKey = `sessions:${exerciseId}`;
+    const sessionHistoryKey = `sessions:${canonicalExerciseId(exerciseId)}`;
     const history = JSON.parse(storage.get(sessionHistoryKey) || '[]');
     
     // Return most recent sessions first
@@ -357,7 +1249,7 @@ export function getAllRecentSessions(limit = 50) {
  * @param {string} exerciseId - Exercise identifier
  */
 export function clearSessionHistory(exerciseId) {
-    const sessionHistoryKey = `sessions:${exerciseId}`;
+    const sessionHistoryKey = `sessions:${canonicalExerciseId(exerciseId)}`;
     storage.set(sessionHistoryKey, JSON.stringify([]));
 }
 
@@ -383,14 +1275,17 @@ export function checkAndClearPersonalBestFlag() {
 // Legacy export aliases for backwards compatibility
 export const exportProgressData = exportData;
 export const importProgressData = importData;
-export const updateStreakWithAmnesty = updateStreak; // Same function since amnesty is built-in
+export const updateStreakWithAmnesty = updateStreak; // Amnesty is now part of the daily streak policy
 
 // Default export for module compatibility
 export default {
     recordSession,
     updateStreak,
+    getStreakState,
+    rebuildDerivedState,
     exportData,
     importData,
+    previewImport,
     getStats,
     resetProgress,
     getPersonalBest,
@@ -0,0 +1,367 @@
+/**
+ * FinePointRehab - Clinician Report Module
+ *
+ * Turns the session archive (session-store.js) into something a therapist can chart from:
+ * - CSV of every session in a date range (one row per session, extras as columns)
+ * - Printable HTML report summarising adherence, per-category trends and
+ *   best/average scores per exercise
+ * - How often and why sessions were interrupted (pauses and rest breaks)
+ *
+ * All dates are YYYY-MM-DD day keys from utils/date.js; ranges are inclusive.
+ */
+
+import { EXERCISES, CATEGORIES } from './exercises.js';
+import { sessionStore } from './session-store.js';
+import { dayKey, sessionDayKey, sessionTimeOfDay, dayDiff, today, addDays } from './utils/date.js';
+
+// Per-session extras surfaced to clinicians, in column order
+export const REPORT_EXTRAS = ['accuracy', 'reactionTime', 'perfects', 'streak'];
+
+// Why sessions were interrupted, as recorded by the exercise runtime
+export const INTERRUPTION_LABELS = {
+    user: 'Paused by the patient',
+    hidden: 'App left in the background',
+    rest: 'Scheduled rest breaks',
+    fatigue: 'Rests after a fatigue prompt',
+    reload: 'Closed or reloaded mid-session'
+};
+
+const CSV_COLUMNS = ['date', 'time', 'exercise', 'exerciseName', 'category', 'difficulty', 'score', ...REPORT_EXTRAS];
+
+const DEFAULT_RANGE_DAYS = 30;
+
+// ============================================================================
+// DATA
+// ============================================================================
+
+/**
+ * Normalise a date range, defaulting to the last 30 days
+ * @param {Object} range - { from, to } as YYYY-MM-DD (either may be omitted)
+ * @returns {{from: string, to: string}} Inclusive range
+ * @throws {Error} If from is after to
+ */
+export function resolveRange({ from, to } = {}) {
+    const end = to ? dayKey(to) : today();
+    const start = from ? dayKey(from) : addDays(end, -(DEFAULT_RANGE_DAYS - 1));
+    if (dayDiff(start, end) < 0) {
+        throw new Error('Report start date must be on or before the end date');
+    }
+    return { from: start, to: end };
+}
+
+/**
+ * Get every archived session whose day falls inside the range, oldest first.
+ * Reads the unbounded archive, so long ranges aren't cut off at the
+ * localStorage lists' per-exercise cap.
+ * @param {Object} range - { from, to } as YYYY-MM-DD
+ * @returns {Promise<Array>} Session entries
+ */
+export async function getSessionsInRange(range) {
+    const { from, to } = resolveRange(range);
+    return sessionStore.queryDays(from, to);
+}
+
+function categoryOf(exerciseId) {
+    if (EXERCISES[exerciseId]?.category) return EXERCISES[exerciseId].category;
+    return Object.keys(CATEGORIES).find(key => CATEGORIES[key].exercises.includes(exerciseId)) || 'uncategorized';
+}
+
+function average(values) {
+    const nums = values.filter(Number.isFinite);
+    return nums.length ? nums.reduce((sum, v) => sum + v, 0) / nums.length : null;
+}
+
+/**
+ * Tally interruptions across sessions. Sessions recorded before pauses were
+ * tracked (no pauseCount) are left out.
+ * @param {Array} sessions - Session entries
+ * @returns {Object} { sessions, interruptedSessions, pauseCount, pausedMs, pausesPerSession,
+ *                   reasons: [{ reason, label, count, ms }] } (most frequent reason first)
+ */
+export function summarizeInterruptions(sessions) {
+    const tracked = sessions.filter(s => Number.isFinite(s.pauseCount));
+    const reasons = {};
+    tracked.forEach(s => {
+        Object.entries(s.pauseReasons || {}).forEach(([reason, { count = 0, ms = 0 } = {}]) => {
+            reasons[reason] = reasons[reason] || { reason, label: INTERRUPTION_LABELS[reason] || reason, count: 0, ms: 0 };
+            reasons[reason].count += Number(count) || 0;
+            reasons[reason].ms += Number(ms) || 0;
+        });
+    });
+    const pauseCount = tracked.reduce((sum, s) => sum + s.pauseCount, 0);
+
+    return {
+        sessions: tracked.length,
+        interruptedSessions: tracked.filter(s => s.pauseCount > 0).length,
+        pauseCount,
+        pausedMs: tracked.reduce((sum, s) => sum + (Number(s.pausedMs) || 0), 0),
+        pausesPerSession: tracked.length ? pauseCount / tracked.length : 0,
+        reasons: Object.values(reasons).sort((a, b) => b.count - a.count)
+    };
+}
+
+/**
+ * Interruption summary for a date range (see summarizeInterruptions)
+ * @param {Object} range - { from, to } as YYYY-MM-DD
+ * @returns {Promise<Object>} Summary
+ */
+export async function buildInterruptionSummary(range) {
+    return summarizeInterruptions(await getSessionsInRange(range));
+}
+
+/**
+ * Summarise sessions for the printable report
+ * @param {Object} range - { from, to } as YYYY-MM-DD
+ * @returns {Promise<Object>} { range, adherence, exercises, categories, interruptions, sessionCount }
+ */
+export async function buildReportSummary(range) {
+    const resolved = resolveRange(range);
+    const sessions = await getSessionsInRange(resolved);
+    const daysInRange = dayDiff(resolved.from, resolved.to) + 1;
+    const activeDays = new Set(sessions.map(s => sessionDayKey(s))).size;
+
+    const exercises = {};
+    sessions.forEach(s => {
+        const id = s.id || 'unknown';
+        exercises[id] = exercises[id] || [];
+        exercises[id].push(s);
+    });
+
+    const exerciseRows = Object.entries(exercises).map(([id, list]) => {
+        const scores = list.map(s => Number(s.score));
+        const row = {
+            id,
+            name: EXERCISES[id]?.name || id,
+            category: categoryOf(id),
+            sessions: list.length,
+            best: Math.max(...scores.filter(Number.isFinite), 0),
+            average: average(scores)
+        };
+        REPORT_EXTRAS.forEach(extra => {
+            row[extra] = average(list.map(s => Number(s[extra])));
+        });
+        return row;
+    });
+
+    // Trend = average score in the second half of the range vs the first half
+    const midpoint = addDays(resolved.from, Math.floor(daysInRange / 2));
+    const categoryRows = Object.entries(CATEGORIES).map(([id, category]) => {
+        const inCategory = sessions.filter(s => categoryOf(s.id) === id);
+        const early = average(inCategory.filter(s => sessionDayKey(s) < midpoint).map(s => Number(s.score)));
+        const late = average(inCategory.filter(s => sessionDayKey(s) >= midpoint).map(s => Number(s.score)));
+        return {
+            id,
+            name: category.name,
+            sessions: inCategory.length,
+            average: average(inCategory.map(s => Number(s.score))),
+            trend: early !== null && late !== null && early !== 0 ? (late - early) / early : null
+        };
+    }).filter(row => row.sessions > 0);
+
+    return {
+        range: resolved,
+        sessionCount: sessions.length,
+        adherence: {
+            activeDays,
+            daysInRange,
+            rate: activeDays / daysInRange,
+            sessionsPerActiveDay: activeDays ? sessions.length / activeDays : 0
+        },
+        exercises: exerciseRows.sort((a, b) => a.name.localeCompare(b.name)),
+        categories: categoryRows,
+        interruptions: summarizeInterruptions(sessions)
+    };
+}
+
+// ============================================================================
+// CSV
+// ============================================================================
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV with one row per session in the range
+ * @param {Object} range - { from, to } as YYYY-MM-DD
+ * @returns {Promise<string>} CSV text with header row
+ */
+export async function buildSessionsCsv(range) {
+    const rows = (await getSessionsInRange(range)).map(s => {
+        const row = {
+            date: sessionDayKey(s),
+            time: sessionTimeOfDay(s),
+            exercise: s.id,
+            exerciseName: EXERCISES[s.id]?.name || s.id,
+            category: categoryOf(s.id),
+            difficulty: s.difficulty,
+            score: s.score
+        };
+        REPORT_EXTRAS.forEach(extra => {
+            row[extra] = s[extra];
+        });
+        return CSV_COLUMNS.map(column => csvCell(row[column])).join(',');
+    });
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+}
+
+// ============================================================================
+// PRINTABLE REPORT
+// ============================================================================
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, ch => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+}
+
+const formatNumber = (value, digits = 0) => (value === null ? '–' : value.toFixed(digits));
+const formatMinutes = (ms) => `${formatNumber(ms / 60000, 1)} min`;
+const formatPercent = (value) => (value === null ? '–' : `${value > 0 ? '+' : ''}${Math.round(value * 100)}%`);
+
+const REPORT_STYLES = `
+    body { font-family: system-ui, sans-serif; color: #1a1a1a; margin: 2rem; line-height: 1.4; }
+    h1 { font-size: 1.5rem; margin: 0 0 0.25rem; }
+    h2 { font-size: 1.1rem; margin: 1.5rem 0 0.5rem; border-bottom: 1px solid #ccc; padding-bottom: 0.25rem; }
+    .meta { color: #555; margin: 0; }
+    .summary { display: flex; gap: 2rem; margin-top: 1rem; }
+    .summary strong { display: block; font-size: 1.4rem; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+    th, td { text-align: left; padding: 0.35rem 0.5rem; border-bottom: 1px solid #e2e2e2; }
+    th { background: #f3f3f3; }
+    td.num, th.num { text-align: right; }
+    .empty { color: #555; font-style: italic; }
+    .print-actions { margin-top: 2rem; }
+    @media print {
+        body { margin: 0; font-size: 11pt; }
+        .print-actions { display: none; }
+        table { page-break-inside: auto; }
+        tr { page-break-inside: avoid; }
+        h2 { page-break-after: avoid; }
+    }
+`;
+
+/**
+ * Render the summary as a standalone, print-ready HTML document
+ * @param {Object} summary - Result of buildReportSummary()
+ * @returns {string} HTML document
+ */
+export function renderReportHtml(summary) {
+    const { range, adherence, exercises, categories, interruptions } = summary;
+
+    const categoryTable = categories.length ? `
+        <table>
+            <thead><tr><th>Category</th><th class="num">Sessions</th><th class="num">Avg score</th><th class="num">Trend</th></tr></thead>
+            <tbody>${categories.map(c => `
+                <tr><td>${escapeHtml(c.name)}</td><td class="num">${c.sessions}</td><td class="num">${formatNumber(c.average)}</td><td class="num">${formatPercent(c.trend)}</td></tr>`).join('')}
+            </tbody>
+        </table>` : '<p class="empty">No sessions in this period.</p>';
+
+    const exerciseTable = exercises.length ? `
+        <table>
+            <thead><tr><th>Exercise</th><th class="num">Sessions</th><th class="num">Best</th><th class="num">Average</th><th class="num">Accuracy</th><th class="num">Reaction (ms)</th></tr></thead>
+            <tbody>${exercises.map(e => `
+                <tr><td>${escapeHtml(e.name)}</td><td class="num">${e.sessions}</td><td class="num">${e.best}</td><td class="num">${formatNumber(e.average)}</td><td class="num">${e.accuracy === null ? '–' : `${formatNumber(e.accuracy)}%`}</td><td class="num">${formatNumber(e.reactionTime)}</td></tr>`).join('')}
+            </tbody>
+        </table>` : '<p class="empty">No sessions in this period.</p>';
+
+    const interruptionSection = interruptions?.sessions ? `
+    <div class="summary">
+        <div><strong>${interruptions.interruptedSessions} / ${interruptions.sessions}</strong> sessions interrupted</div>
+        <div><strong>${formatNumber(interruptions.pausesPerSession, 1)}</strong> interruptions per session</div>
+        <div><strong>${formatMinutes(interruptions.pausedMs)}</strong> paused or resting</div>
+    </div>${interruptions.reasons.length ? `
+    <table>
+        <thead><tr><th>Reason</th><th class="num">Times</th><th class="num">Time</th></tr></thead>
+        <tbody>${interruptions.reasons.map(r => `
+            <tr><td>${escapeHtml(r.label)}</td><td class="num">${r.count}</td><td class="num">${formatMinutes(r.ms)}</td></tr>`).join('')}
+        </tbody>
+    </table>` : ''}` : '<p class="empty">No interruption data in this period.</p>';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>FinePointRehab progress report ${range.from} to ${range.to}</title>
+    <style>${REPORT_STYLES}</style>
+</head>
+<body>
+    <h1>FinePointRehab Progress Report</h1>
+    <p class="meta">${range.from} to ${range.to} · generated ${today()}</p>
+
+    <h2>Adherence</h2>
+    <div class="summary">
+        <div><strong>${adherence.activeDays} / ${adherence.daysInRange}</strong> days practised</div>
+        <div><strong>${Math.round(adherence.rate * 100)}%</strong> adherence</div>
+        <div><strong>${summary.sessionCount}</strong> sessions</div>
+        <div><strong>${formatNumber(adherence.sessionsPerActiveDay, 1)}</strong> sessions per active day</div>
+    </div>
+
+    <h2>Category Trends</h2>
+    ${categoryTable}
+
+    <h2>Exercise Scores</h2>
+    ${exerciseTable}
+
+    <h2>Interruptions</h2>
+    ${interruptionSection}
+
+    <div class="print-actions"><button onclick="window.print()">Print / Save as PDF</button></div>
+</body>
+</html>`;
+}
+
+// ============================================================================
+// DOWNLOADS
+// ============================================================================
+
+function downloadBlob(content, type, filename) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    // Delay URL revocation to ensure download completes
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Download the session CSV for a range
+ * @param {Object} range - { from, to } as YYYY-MM-DD
+ * @returns {Promise<void>}
+ */
+export async function downloadSessionsCsv(range) {
+    const { from, to } = resolveRange(range);
+    downloadBlob(await buildSessionsCsv({ from, to }), 'text/csv', `finepointrehab-sessions-${from}-to-${to}.csv`);
+}
+
+/**
+ * Open the printable report in a new window, falling back to an HTML download
+ * when pop-ups are blocked
+ * @param {Object} range - { from, to } as YYYY-MM-DD
+ * @returns {Promise<void>}
+ */
+export async function openPrintableReport(range) {
+    resolveRange(range); // an invalid range fails before a window opens
+    // Open the window while the click still counts as a user gesture, then fill it
+    const reportWindow = window.open('', '_blank');
+    let summary;
+    try {
+        summary = await buildReportSummary(range);
+    } catch (error) {
+        reportWindow?.close();
+        throw error;
+    }
+    const html = renderReportHtml(summary);
+    if (!reportWindow) {
+        downloadBlob(html, 'text/html', `finepointrehab-report-${summary.range.from}-to-${summary.range.to}.html`);
+        return;
+    }
+    reportWindow.document.open();
+    reportWindow.document.write(html);
+    reportWindow.document.close();
+}
@@ -1,83 +1,403 @@
 // /js/session-core.js
 // Session Core Infrastructure - Timer Management for FinePointRehab
 // Part of Phase 2: Foundation Enhancement (F1.1)
+//
+// The clock measures real elapsed time with performance.now() deltas rather
+// than counting ticks, so throttled tabs, slow devices and long GC pauses
+// can't stretch a 60 second session. Ticks only decide how often listeners
+// hear about it. Exercises subscribe to typed events instead of running their
+// own timers:
+//   start   - clock started            { remainingMs, elapsedMs, pausedMs }
+//   tick    - clock advanced           (same fields)
+//   pause   - paused                   (same fields) + { reason }
+//   resume  - resumed                  (same fields)
+//   warning - N seconds left           (same fields) + { secondsLeft }
+//   rest    - a rest break began       (same fields) + { restMs, early, reason }
+//   work    - the rest break is over   (same fields)
+//   end     - finished                 (same fields) + { reason: 'complete' | 'ended' }
+//
+// Every event also carries { resting, restRemainingMs, restedMs, interval }.
+//
+// An interval plan splits the session into work blocks with rests between
+// them, e.g. 4 × 45s work / 15s rest. Rest time never counts as active time,
+// so remainingMs always means "work left".
+//
+// Every pause and rest is an interruption with a reason - 'user' (pause
+// button), 'hidden' (page went to the background), 'rest' (scheduled rest
+// break) or whatever the caller passes, e.g. 'fatigue'. interruptions() counts
+// them and the time they took, per reason.
 
-export function createSession({ durationMs, onTick, onEnd, onPauseChange, autoPauseOnHide = true }) {
-  let remainingMs = clampMs(durationMs);
-  let timerId = null;
+export const SESSION_EVENTS = ['start', 'tick', 'pause', 'resume', 'warning', 'rest', 'work', 'end'];
+
+export const PAUSE_REASONS = ['user', 'hidden', 'rest', 'fatigue'];
+
+const DEFAULT_TICK_MS = 100;
+const MAX_SESSION_MS = 60 * 60 * 1000;
+const MAX_REST_MS = 10 * 60 * 1000;
+
+/**
+ * Validate an interval plan
+ * @param {Object|null} plan - { intervals, workMs, restMs }
+ * @returns {Object|null} Normalized plan, or null for a continuous session
+ * @throws {Error} If the plan is invalid
+ */
+export function normalizeIntervalPlan(plan) {
+  if (!plan) return null;
+  const intervals = Number(plan.intervals);
+  const workMs = Number(plan.workMs);
+  const restMs = Number(plan.restMs);
+  if (!Number.isInteger(intervals) || intervals < 1 || intervals > 20) {
+    throw new Error('intervals must be a whole number from 1 to 20');
+  }
+  if (!Number.isFinite(workMs) || workMs < 5_000) {
+    throw new Error('Work blocks must be at least 5 seconds');
+  }
+  if (!Number.isFinite(restMs) || restMs < 0 || restMs > MAX_REST_MS) {
+    throw new Error('Rest breaks must be 0 to 10 minutes');
+  }
+  if (intervals * workMs > MAX_SESSION_MS) {
+    throw new Error('An interval plan can hold at most 60 minutes of work');
+  }
+  return { intervals, workMs: Math.round(workMs), restMs: Math.round(restMs) };
+}
+
+/**
+ * Create a session clock
+ * @param {Object} options
+ * @param {number} options.durationMs - Active time the session lasts (clamped to 0-60 minutes);
+ *                                      ignored when an interval plan is given
+ * @param {Function} [options.onTick] - (remainingMs) on every tick
+ * @param {Function} [options.onEnd] - Called once when the session ends
+ * @param {Function} [options.onPauseChange] - (paused, reason) when pausing or resuming
+ * @param {boolean} [options.autoPauseOnHide=true] - Pause when the page is hidden
+ * @param {number} [options.tickMs=100] - Tick interval when not using animation frames
+ * @param {boolean} [options.useAnimationFrame=false] - Tick on requestAnimationFrame (falls back to tickMs)
+ * @param {number[]} [options.warningsAt=[]] - Seconds left at which to emit 'warning'
+ * @param {Object} [options.intervals] - Interval plan { intervals, workMs, restMs }
+ * @param {Function} [options.now] - Clock source in ms (defaults to performance.now)
+ * @returns {Object} Session controls
+ */
+export function createSession({
+  durationMs,
+  onTick,
+  onEnd,
+  onPauseChange,
+  autoPauseOnHide = true,
+  tickMs = DEFAULT_TICK_MS,
+  useAnimationFrame = false,
+  warningsAt = [],
+  intervals = null,
+  now = defaultNow
+}) {
+  const plan = normalizeIntervalPlan(intervals);
+  let totalMs = plan ? plan.intervals * plan.workMs : clampMs(durationMs);
+  let activeMs = 0;   // time spent running
+  let pausedMs = 0;   // time spent paused after start
+  let restedMs = 0;   // time spent on rest breaks
+  let restLeftMs = 0; // time left of the current rest break
+  let resting = false;
+  let breaksTaken = 0; // scheduled rests started so far
+  let pauseReason = null; // why the clock is paused
+  let restReason = null; // why the current rest was taken
+  let interrupted = {}; // reason -> { count, ms }
+  let lastMark = null; // clock reading the totals are up to date with
+  let started = false;
   let paused = false;
   let ended = false;
+  let driver = null;
+
+  const listeners = new Map(SESSION_EVENTS.map(type => [type, new Set()]));
+  const warnings = [...new Set(warningsAt.map(Number).filter(s => s > 0))].sort((a, b) => b - a);
+  const warned = new Set();
+
+  function emit(type, extra = {}) {
+    const event = { type, ...snapshot(), ...extra };
+    listeners.get(type).forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.warn(`Session ${type} listener failed:`, error);
+      }
+    });
+  }
+
+  /**
+   * Listen for a session event
+   * @param {string} type - One of SESSION_EVENTS
+   * @param {Function} listener - (event) => void
+   * @returns {Function} Unsubscribe
+   */
+  function subscribe(type, listener) {
+    if (!listeners.has(type)) throw new Error(`Unknown session event: ${type}`);
+    listeners.get(type).add(listener);
+    return () => listeners.get(type).delete(listener);
+  }
+
+  // Fold the time since the last mark into the active or paused total
+  function sync() {
+    if (!started || ended || lastMark === null) return;
+    const current = now();
+    const delta = Math.max(0, current - lastMark);
+    lastMark = current;
+    if (paused) {
+      pausedMs += delta;
+      interruption(pauseReason).ms += delta;
+    } else if (resting) {
+      restedMs += delta;
+      restLeftMs -= delta;
+      interruption(restReason).ms += delta;
+    } else activeMs += delta;
+  }
+
+  function interruption(reason) {
+    interrupted[reason] = interrupted[reason] || { count: 0, ms: 0 };
+    return interrupted[reason];
+  }
+
+  function snapshot() {
+    return {
+      remainingMs: Math.max(0, totalMs - activeMs),
+      elapsedMs: activeMs,
+      pausedMs,
+      resting,
+      restRemainingMs: resting ? Math.max(0, restLeftMs) : 0,
+      restedMs,
+      interval: plan ? Math.min(plan.intervals, breaksTaken + 1) : 1
+    };
+  }
+
+  // Active time at which the next scheduled rest starts (Infinity if none left)
+  function nextBreakAt() {
+    if (!plan || plan.restMs <= 0 || breaksTaken + 1 >= plan.intervals) return Infinity;
+    return (breaksTaken + 1) * plan.workMs;
+  }
+
+  function beginRest(ms, early, reason = 'rest') {
+    let overrun = 0;
+    if (!early) {
+      // A tick rarely lands exactly on the boundary; the overrun was rest
+      overrun = Math.max(0, activeMs - nextBreakAt());
+      activeMs -= overrun;
+      restedMs += overrun;
+      breaksTaken++;
+    }
+    resting = true;
+    restReason = reason;
+    restLeftMs = ms - overrun;
+    const entry = interruption(reason);
+    entry.count++;
+    entry.ms += overrun;
+    emit('rest', { restMs: ms, early, reason });
+  }
+
+  function endRest() {
+    // Time past the end of the rest was work
+    const overrun = Math.max(0, -restLeftMs);
+    restedMs -= overrun;
+    activeMs += overrun;
+    interruption(restReason).ms -= overrun;
+    resting = false;
+    restReason = null;
+    restLeftMs = 0;
+    emit('work');
+  }
+
+  function checkWarnings() {
+    const remaining = totalMs - activeMs;
+    warnings.forEach(seconds => {
+      if (!warned.has(seconds) && remaining > 0 && remaining <= seconds * 1000) {
+        warned.add(seconds);
+        emit('warning', { secondsLeft: seconds });
+      }
+    });
+  }
 
   function tick() {
-    if (paused || ended) return;
-    remainingMs -= 100;
-    if (remainingMs <= 0) {
-      remainingMs = 0;
-      stop();
-      if (!ended) {
-        ended = true;
-        onTick?.(remainingMs);
-        onEnd?.();
+    if (ended) return;
+    sync();
+    if (paused) return;
+    if (resting) {
+      if (restLeftMs > 0) {
+        onTick?.(totalMs - activeMs);
+        emit('tick');
+        return;
       }
+      endRest();
+    }
+    if (activeMs >= totalMs) {
+      activeMs = totalMs;
+      finish('complete');
       return;
     }
-    onTick?.(remainingMs);
+    if (activeMs >= nextBreakAt()) beginRest(plan.restMs, false);
+    checkWarnings();
+    onTick?.(totalMs - activeMs);
+    emit('tick');
+  }
+
+  function schedule() {
+    clearDriver();
+    if (useAnimationFrame && typeof requestAnimationFrame === 'function') {
+      const frame = () => {
+        tick();
+        if (driver && !ended) driver.id = requestAnimationFrame(frame);
+      };
+      driver = { kind: 'frame', id: requestAnimationFrame(frame) };
+    } else {
+      driver = { kind: 'interval', id: setInterval(tick, tickMs) };
+    }
   }
 
   function start() {
-    stop();
+    if (ended) {
+      // Restarting a finished session runs it again from the top
+      activeMs = 0;
+      pausedMs = 0;
+      restedMs = 0;
+      restLeftMs = 0;
+      resting = false;
+      breaksTaken = 0;
+      interrupted = {};
+      warned.clear();
+    }
+    sync();
     ended = false;
     paused = false;
-    timerId = setInterval(tick, 100);
-    onTick?.(remainingMs);
+    lastMark = now();
+    const firstStart = !started;
+    started = true;
+    schedule();
+    if (firstStart) emit('start');
+    onTick?.(totalMs - activeMs);
+    emit('tick');
   }
 
+  // Stop the driver without ending; the clock is frozen until start()
   function stop() {
-    if (timerId) {
-      clearInterval(timerId);
-      timerId = null;
-    }
+    sync();
+    lastMark = null;
+    clearDriver();
   }
 
-  function pause() {
-    if (!paused) {
-      paused = true;
-      onPauseChange?.(true);
+  function clearDriver() {
+    if (!driver) return;
+    if (driver.kind === 'frame') {
+      if (typeof cancelAnimationFrame === 'function') cancelAnimationFrame(driver.id);
+    } else {
+      clearInterval(driver.id);
     }
+    driver = null;
+  }
+
+  /**
+   * Pause the clock
+   * @param {string} [reason='user'] - Why (see PAUSE_REASONS)
+   */
+  function pause(reason = 'user') {
+    if (paused || ended) return;
+    sync();
+    paused = true;
+    pauseReason = reason;
+    interruption(reason).count++;
+    onPauseChange?.(true, reason);
+    emit('pause', { reason });
   }
 
   function resume() {
-    if (!ended && paused) {
-      paused = false;
-      onPauseChange?.(false);
+    if (ended || !paused) return;
+    sync();
+    const reason = pauseReason;
+    paused = false;
+    pauseReason = null;
+    onPauseChange?.(false, reason);
+    emit('resume');
+  }
+
+  function finish(reason) {
+    clearDriver();
+    ended = true;
+    if (reason === 'complete') {
+      onTick?.(0);
+      emit('tick');
     }
+    onEnd?.();
+    emit('end', { reason });
   }
 
   function end() {
     if (ended) return; // prevent double onEnd
-    stop();
-    ended = true;
-    onEnd?.();
+    sync();
+    resting = false;
+    finish('ended');
+  }
+
+  /**
+   * Take an unscheduled rest now (e.g. when fatigue is detected). Scheduled
+   * rests still happen as planned.
+   * @param {number} [ms] - Rest length (defaults to the plan's rest)
+   * @param {string} [reason='rest'] - Why, e.g. 'fatigue'
+   * @returns {boolean} Whether a rest started
+   */
+  function rest(ms = plan?.restMs, reason = 'rest') {
+    const restMs = Math.min(Number(ms) || 0, MAX_REST_MS);
+    if (!started || ended || resting || restMs <= 0) return false;
+    sync();
+    beginRest(restMs, true, reason);
+    onTick?.(totalMs - activeMs);
+    emit('tick');
+    return true;
   }
 
+  // End the current rest break early
+  function skipRest() {
+    if (!resting || ended) return;
+    sync();
+    restLeftMs = 0;
+    endRest();
+    onTick?.(totalMs - activeMs);
+    emit('tick');
+  }
+
+  // Set the time left (active time already spent is kept)
   function setDuration(ms) {
-    remainingMs = clampMs(ms);
-    onTick?.(remainingMs);
+    sync();
+    totalMs = activeMs + clampMs(ms);
+    warnings.forEach(seconds => {
+      if (totalMs - activeMs > seconds * 1000) warned.delete(seconds);
+    });
+    onTick?.(totalMs - activeMs);
+    emit('tick');
   }
 
-  function timeRemaining() { return Math.max(0, remainingMs); }
+  function timeRemaining() { sync(); return Math.max(0, totalMs - activeMs); }
+  function elapsedActive() { sync(); return activeMs; }
+  function elapsedPaused() { sync(); return pausedMs; }
+  function elapsedResting() { sync(); return restedMs; }
+  function restRemaining() { sync(); return resting ? Math.max(0, restLeftMs) : 0; }
   function isPaused() { return paused; }
+  function pausedFor() { return pauseReason; }
+
+  /**
+   * Pauses and rests so far, per reason
+   * @returns {Object} reason -> { count, ms }
+   */
+  function interruptions() {
+    sync();
+    return Object.fromEntries(Object.entries(interrupted).map(([reason, { count, ms }]) => [reason, { count, ms }]));
+  }
+  function isResting() { return resting; }
   function isEnded() { return ended; }
 
   // visibility handling with cleanup
   let visHandler = null;
   if (autoPauseOnHide && typeof document !== "undefined") {
-    visHandler = () => { if (document.hidden) pause(); };
+    visHandler = () => { if (document.hidden && started) pause('hidden'); };
     document.addEventListener('visibilitychange', visHandler);
   }
 
   function destroy() {
     stop();
+    listeners.forEach(set => set.clear());
     if (visHandler && typeof document !== "undefined") {
       document.removeEventListener('visibilitychange', visHandler);
       visHandler = null;
@@ -90,16 +410,32 @@ export function createSession({ durationMs, onTick, onEnd, onPauseChange, autoPa
     pause,
     resume,
     end,
+    rest,
+    skipRest,
     setDuration,
+    subscribe,
     timeRemaining,
+    elapsedActive,
+    elapsedPaused,
+    elapsedResting,
+    restRemaining,
+    interruptions,
     isPaused,
+    pausedFor,
+    isResting,
     isEnded,
     destroy
   };
 }
 
+function defaultNow() {
+  return typeof performance !== 'undefined' && typeof performance.now === 'function'
+    ? performance.now()
+    : Date.now();
+}
+
 // Utility function to clamp duration within reasonable limits
 function clampMs(ms) {
   const v = Number(ms) || 0;
-  return Math.max(0, Math.min(v, 60 * 60 * 1000)); // 0 to 60 minutes maximum
-}
\ No newline at end of file
+  return Math.max(0, Math.min(v, MAX_SESSION_MS)); // 0 to 60 minutes maximum
+}
@@ -13,6 +13,8 @@
  */
 
 import { storage, toast, audio } from './utils.js';
+import { canonicalExerciseId } from './exercises.js';
+import { addNotification } from './notification-inbox.js';
 
 // SSR/DOM safety check — move this ABOVE any use of isBrowser
 const isBrowser = typeof window !== 'undefined' && typeof document !== 'undefined';
@@ -58,7 +60,7 @@ const MILESTONES = [
 
 class PersonalBestTracker {
   constructor() {
-    this.storagePrefix = 'FPR_v1_exercise:';
+    this.storagePrefix = 'exercise:';
   }
 
   /**
@@ -68,7 +70,7 @@ class PersonalBestTracker {
    * @returns {number} Best score or 0 if none
    */
   getBest(exerciseId, difficulty = 'default') {
-    const key = `${this.storagePrefix}${exerciseId}:${difficulty}:best`;
+    const key = `${this.storagePrefix}${canonicalExerciseId(exerciseId)}:${difficulty}:best`;
     return storage.get(key, 0);
   }
 
@@ -82,7 +84,7 @@ class PersonalBestTracker {
   updateBest(exerciseId, difficulty = 'default', score) {
     const currentBest = this.getBest(exerciseId, difficulty);
     if (score > currentBest) {
-      const key = `${this.storagePrefix}${exerciseId}:${difficulty}:best`;
+      const key = `${this.storagePrefix}${canonicalExerciseId(exerciseId)}:${difficulty}:best`;
       storage.set(key, score);
       return true;
     }
@@ -96,7 +98,7 @@ class PersonalBestTracker {
    * @returns {number} Session count
    */
   getSessionCount(exerciseId, difficulty = 'default') {
-    const key = `${this.storagePrefix}${exerciseId}:${difficulty}:sessions`;
+    const key = `${this.storagePrefix}${canonicalExerciseId(exerciseId)}:${difficulty}:sessions`;
     return storage.get(key, 0);
   }
 
@@ -106,7 +108,7 @@ class PersonalBestTracker {
    * @param {string} difficulty - Difficulty level
    */
   incrementSessions(exerciseId, difficulty = 'default') {
-    const key = `${this.storagePrefix}${exerciseId}:${difficulty}:sessions`;
+    const key = `${this.storagePrefix}${canonicalExerciseId(exerciseId)}:${difficulty}:sessions`;
     const current = this.getSessionCount(exerciseId, difficulty);
     storage.set(key, current + 1);
   }
@@ -386,7 +388,7 @@ class MilestoneTracker {
     }
     
     // Ensure storage returns proper array of numbers
-    const stored = storage.get('FPR_v1_milestones', []);
+    const stored = storage.get('milestones', []);
     this.achievedMilestones = Array.isArray(stored) ? stored.map(Number).filter(n => !isNaN(n)) : [];
   }
 
@@ -408,7 +410,12 @@ class MilestoneTracker {
     }
     
     if (newMilestones.length > 0) {
-      storage.set('FPR_v1_milestones', this.achievedMilestones);
+      storage.set('milestones', this.achievedMilestones);
+      newMilestones.forEach(milestone => addNotification({
+        type: 'milestone',
+        title: `${milestone.sessions} Sessions Completed`,
+        message: milestone.message
+      }));
     }
     
     return newMilestones;
@@ -0,0 +1,365 @@
+/**
+ * FinePointRehab - Session Store
+ *
+ * Long-term, unbounded session history for trend analysis. Records live in
+ * IndexedDB (indexed by exercise, day and difficulty); when IndexedDB is
+ * unavailable (private mode, old WebViews, Jest) the store falls back to the
+ * capped `sessions:<id>` lists that recordSession() keeps in localStorage.
+ *
+ * The localStorage lists stay the synchronous "recent sessions" cache used by
+ * achievements and export; this store is the archive behind them, and what
+ * reports, goals and rebuilds read.
+ * Records belong to the patient profile that was active when they were stored,
+ * and queries only ever see the active profile's records.
+ * Every method is async and never throws for storage reasons - callers get
+ * empty results instead.
+ */
+
+import { storage, profiles, DEFAULT_PROFILE_ID } from './utils.js';
+import { sessionDayKey, dayStart, addDays } from './utils/date.js';
+import { canonicalExerciseId } from './exercises.js';
+
+const DB_NAME = 'FinePointRehab';
+const DB_VERSION = 2; // v2: records keyed by profile
+const STORE = 'sessions';
+
+// Mirrors recordSession's per-exercise cap for the localStorage fallback
+const FALLBACK_MAX_PER_EXERCISE = 100;
+const SESSIONS_KEY_PATTERN = /^sessions:(.+)$/;
+
+const isTest = typeof process !== 'undefined' && process.env.NODE_ENV === 'test';
+
+/**
+ * Normalise an entry into the stored record shape
+ * @param {Object} entry - Session entry from recordSession()
+ * @returns {Object|null} Record, or null if it has no usable timestamp
+ */
+function toRecord(entry) {
+    if (!entry || !Number.isFinite(entry.timestamp)) return null;
+    return {
+        ...entry,
+        profile: profiles.getActiveId(),
+        id: canonicalExerciseId(entry.id),
+        day: sessionDayKey(entry)
+    };
+}
+
+/**
+ * Test a record against query filters (used by the fallback and for
+ * filters an IndexedDB index can't express on its own)
+ */
+function matches(record, { exerciseId, difficulty, since = -Infinity, until = Infinity } = {}) {
+    return (!exerciseId || record.id === canonicalExerciseId(exerciseId))
+        && (!difficulty || record.difficulty === difficulty)
+        && record.timestamp >= since
+        && record.timestamp <= until;
+}
+
+// ============================================================================
+// LOCALSTORAGE FALLBACK
+// ============================================================================
+
+// recordSession stores lists double-encoded (storage.set of a JSON string)
+function readList(key) {
+    try {
+        const value = storage.get(key);
+        const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+        return Array.isArray(parsed) ? parsed : [];
+    } catch {
+        return [];
+    }
+}
+
+const localBackend = {
+    kind: 'localStorage',
+
+    async addMany(entries) {
+        const byExercise = new Map();
+        entries.map(toRecord).filter(Boolean).forEach(record => {
+            if (!byExercise.has(record.id)) byExercise.set(record.id, []);
+            byExercise.get(record.id).push(record);
+        });
+
+        byExercise.forEach((records, id) => {
+            const key = `sessions:${id}`;
+            const list = readList(key);
+            const seen = new Set(list.map(s => s.timestamp));
+            // recordSession has usually written the entry already; only add what's missing
+            const missing = records.filter(r => !seen.has(r.timestamp)).map(({ day, profile, ...entry }) => entry);
+            if (missing.length === 0) return;
+            const next = [...list, ...missing]
+                .sort((a, b) => a.timestamp - b.timestamp)
+                .slice(-FALLBACK_MAX_PER_EXERCISE);
+            storage.set(key, JSON.stringify(next));
+        });
+    },
+
+    async query(filters) {
+        const records = [];
+        storage.keys().forEach(key => {
+            if (!SESSIONS_KEY_PATTERN.test(key)) return;
+            readList(key).forEach(entry => {
+                const record = toRecord(entry);
+                if (record && matches(record, filters)) records.push(record);
+            });
+        });
+        return records;
+    },
+
+    // The lists are already profile-scoped by storage; deleted profiles take theirs with them
+    async clear(profile) {
+        if (profile !== profiles.getActiveId()) return;
+        storage.keys()
+            .filter(key => SESSIONS_KEY_PATTERN.test(key))
+            .forEach(key => storage.set(key, '[]'));
+    }
+};
+
+// ============================================================================
+// INDEXEDDB
+// ============================================================================
+
+function getIDB() {
+    try {
+        return typeof indexedDB !== 'undefined' ? indexedDB : null;
+    } catch {
+        // SecurityError when storage is blocked
+        return null;
+    }
+}
+
+const promisify = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+function createSessionsStore(db) {
+    const store = db.createObjectStore(STORE, { keyPath: ['profile', 'id', 'timestamp'] });
+    store.createIndex('exercise', ['profile', 'id', 'timestamp']);
+    store.createIndex('difficulty', ['profile', 'difficulty', 'timestamp']);
+    store.createIndex('day', ['profile', 'day']);
+    store.createIndex('timestamp', ['profile', 'timestamp']);
+    return store;
+}
+
+function openDatabase(idb) {
+    return new Promise((resolve, reject) => {
+        const request = idb.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = (event) => {
+            const db = request.result;
+            if (event.oldVersion < 1) {
+                createSessionsStore(db);
+                return;
+            }
+            if (event.oldVersion < 2) {
+                // v1 records predate profiles - they belong to the default profile
+                const getAll = request.transaction.objectStore(STORE).getAll();
+                getAll.onsuccess = () => {
+                    db.deleteObjectStore(STORE);
+                    const store = createSessionsStore(db);
+                    getAll.result.forEach(record => store.put({ ...record, profile: DEFAULT_PROFILE_ID }));
+                };
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+    });
+}
+
+function createIndexedDBBackend(db) {
+    const transactionDone = (tx) => new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+
+    return {
+        kind: 'indexedDB',
+
+        async addMany(entries) {
+            const tx = db.transaction(STORE, 'readwrite');
+            const store = tx.objectStore(STORE);
+            entries.map(toRecord).filter(Boolean).forEach(record => store.put(record));
+            await transactionDone(tx);
+        },
+
+        async query(filters = {}) {
+            const { exerciseId, difficulty, since = 0, until = Number.MAX_SAFE_INTEGER } = filters;
+            const profile = profiles.getActiveId();
+            const store = db.transaction(STORE, 'readonly').objectStore(STORE);
+
+            // Pick the narrowest index for the filters given
+            let request;
+            if (exerciseId) {
+                const id = canonicalExerciseId(exerciseId);
+                request = store.index('exercise').getAll(IDBKeyRange.bound([profile, id, since], [profile, id, until]));
+            } else if (difficulty) {
+                request = store.index('difficulty').getAll(
+                    IDBKeyRange.bound([profile, difficulty, since], [profile, difficulty, until])
+                );
+            } else {
+                request = store.index('timestamp').getAll(IDBKeyRange.bound([profile, since], [profile, until]));
+            }
+            const records = await promisify(request);
+            return records.filter(record => matches(record, filters));
+        },
+
+        async clear(profile) {
+            const tx = db.transaction(STORE, 'readwrite');
+            // Primary keys start with the profile, so [profile] .. [profile, []] spans all of them
+            tx.objectStore(STORE).delete(IDBKeyRange.bound([profile], [profile, []]));
+            await transactionDone(tx);
+        }
+    };
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+let backendPromise = null;
+const folds = new Map(); // profile ID -> fold of its localStorage lists, once per page load
+
+async function selectBackend() {
+    const idb = getIDB();
+    if (!idb) return localBackend;
+
+    try {
+        return createIndexedDBBackend(await openDatabase(idb));
+    } catch (error) {
+        if (!isTest) console.warn('IndexedDB unavailable, using localStorage session history:', error);
+        return localBackend;
+    }
+}
+
+/**
+ * Fold the active profile's localStorage lists (pre-IndexedDB history,
+ * imports) into IndexedDB the first time that profile uses the store. Records
+ * are keyed by exercise + timestamp, so this is idempotent.
+ * @param {Object} backend - IndexedDB backend
+ * @returns {Promise<void>}
+ */
+function foldLocalHistory(backend) {
+    const profile = profiles.getActiveId();
+    if (!folds.has(profile)) {
+        folds.set(profile, localBackend.query()
+            .then(records => backend.addMany(records))
+            .catch(error => {
+                folds.delete(profile); // try again on the next call
+                if (!isTest) console.warn('Session store could not fold in localStorage history:', error);
+            }));
+    }
+    return folds.get(profile);
+}
+
+async function getBackend() {
+    if (!backendPromise) backendPromise = selectBackend();
+    const backend = await backendPromise;
+    if (backend !== localBackend) await foldLocalHistory(backend);
+    return backend;
+}
+
+export const sessionStore = {
+    /**
+     * Resolve once the backend is chosen
+     * @returns {Promise<string>} 'indexedDB' or 'localStorage'
+     */
+    async ready() {
+        return (await getBackend()).kind;
+    },
+
+    /**
+     * Store a session entry (upsert by exercise + timestamp)
+     * @param {Object} entry - Session entry from recordSession()
+     * @returns {Promise<void>}
+     */
+    async add(entry) {
+        return sessionStore.addMany([entry]);
+    },
+
+    /**
+     * Store several session entries in one transaction
+     * @param {Array} entries - Session entries
+     * @returns {Promise<void>}
+     */
+    async addMany(entries) {
+        try {
+            await (await getBackend()).addMany(entries);
+        } catch (error) {
+            if (!isTest) console.warn('Session store write failed:', error);
+        }
+    },
+
+    /**
+     * Range query over stored sessions
+     * @param {Object} filters - { exerciseId, difficulty, since, until (ms timestamps, inclusive),
+     *                            limit, newestFirst }
+     * @returns {Promise<Array>} Matching records, oldest first unless newestFirst
+     * @throws {Error} If since or until is not a timestamp (day keys go to queryDays)
+     */
+    async query({ limit = Infinity, newestFirst = false, ...filters } = {}) {
+        ['since', 'until'].forEach(bound => {
+            if (filters[bound] !== undefined && !Number.isFinite(filters[bound])) {
+                throw new Error(`Session query ${bound} must be a timestamp in milliseconds`);
+            }
+        });
+        try {
+            const records = await (await getBackend()).query(filters);
+            records.sort((a, b) => (newestFirst ? b.timestamp - a.timestamp : a.timestamp - b.timestamp));
+            return records.slice(0, limit);
+        } catch (error) {
+            if (!isTest) console.warn('Session store query failed:', error);
+            return [];
+        }
+    },
+
+    /**
+     * Sessions whose practice day (YYYY-MM-DD day key) falls in an inclusive range
+     * @param {string} from - First day
+     * @param {string} to - Last day
+     * @param {Object} filters - Optional { exerciseId, difficulty }
+     * @returns {Promise<Array>} Matching records, oldest first
+     */
+    async queryDays(from, to, filters = {}) {
+        // Sessions recorded in other timezones can sit up to a day either side
+        // of this device's boundaries, so fetch wide and filter on the day key
+        const since = dayStart(addDays(from, -1));
+        const until = dayStart(addDays(to, 2)) - 1;
+        const records = await sessionStore.query({ ...filters, since, until });
+        return records.filter(record => {
+            const day = sessionDayKey(record);
+            return day >= from && day <= to;
+        });
+    },
+
+    /**
+     * Count stored sessions matching filters
+     * @param {Object} filters - Same as query()
+     * @returns {Promise<number>} Count
+     */
+    async count(filters = {}) {
+        return (await sessionStore.query(filters)).length;
+    },
+
+    /**
+     * Delete every stored session for a profile (used by resetProgress, replace
+     * imports and when a profile is deleted)
+     * @param {string} profileId - Profile ID (defaults to the active profile)
+     * @returns {Promise<boolean>} False if the sessions could not be deleted
+     */
+    async clear(profileId = profiles.getActiveId()) {
+        try {
+            const backend = await getBackend();
+            await backend.clear(profileId);
+            // Empty the lists too, or the next page load would fold them back in
+            if (backend !== localBackend) await localBackend.clear(profileId);
+            return true;
+        } catch (error) {
+            if (!isTest) console.warn('Session store clear failed:', error);
+            return false;
+        }
+    }
+};
+
+export default sessionStore;
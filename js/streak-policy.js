@@ -0,0 +1,229 @@
+/**
+ * FinePointRehab - Streak Policy Engine
+ *
+ * Decides whether a gap between practice days breaks the streak. The streak
+ * itself always counts practice days; the policy only says which gaps are
+ * allowed:
+ * - daily:    practise every day (optionally with the Fri/Sat/Sun → Monday amnesty)
+ * - weekly:   practise N days in each Monday-to-Sunday week
+ * - restDays: practise every day except prescribed rest weekdays
+ *
+ * With freezes enabled, every FREEZE_EARN_EVERY streak days earns a freeze
+ * token (up to MAX_FREEZES). A token covers one missed unit - a missed day,
+ * or a missed week under the weekly policy - so the streak survives.
+ *
+ * The engine is pure so recording, import merging and the dashboard all apply
+ * exactly the same rules. The active policy is stored per profile.
+ */
+
+import { storage } from './utils.js';
+import { dayDiff, addDays } from './utils/date.js';
+
+export const STREAK_POLICY_TYPES = ['daily', 'weekly', 'restDays'];
+
+export const DEFAULT_STREAK_POLICY = Object.freeze({
+    type: 'daily',
+    weekendAmnesty: true,
+    freezes: false
+});
+
+export const FREEZE_EARN_EVERY = 7;
+export const MAX_FREEZES = 2;
+
+const STREAK_POLICY_KEY = 'streakPolicy';
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// ============================================================================
+// POLICY
+// ============================================================================
+
+/**
+ * Validate a policy and fill in defaults
+ * @param {Object} policy - Partial policy
+ * @returns {Object} Complete policy
+ * @throws {Error} If the policy is invalid
+ */
+export function normalizeStreakPolicy(policy = {}) {
+    const type = policy.type || DEFAULT_STREAK_POLICY.type;
+    if (!STREAK_POLICY_TYPES.includes(type)) {
+        throw new Error(`Unknown streak policy: ${type}`);
+    }
+
+    const normalized = { type, freezes: Boolean(policy.freezes) };
+
+    if (type === 'daily') {
+        normalized.weekendAmnesty = policy.weekendAmnesty !== false;
+    } else if (type === 'weekly') {
+        const times = Number(policy.timesPerWeek);
+        if (!Number.isInteger(times) || times < 1 || times > 7) {
+            throw new Error('timesPerWeek must be a whole number from 1 to 7');
+        }
+        normalized.timesPerWeek = times;
+    } else {
+        const restDays = [...new Set((policy.restDays || []).map(Number))].sort((a, b) => a - b);
+        if (restDays.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+            throw new Error('restDays must be weekday numbers from 0 (Sunday) to 6 (Saturday)');
+        }
+        if (restDays.length === 7) throw new Error('At least one practice day is required');
+        normalized.restDays = restDays;
+    }
+
+    return normalized;
+}
+
+/**
+ * Human-readable summary of a policy for the dashboard
+ * @param {Object} policy - Streak policy
+ * @returns {string} Description
+ */
+export function describeStreakPolicy(policy) {
+    const { type, timesPerWeek, restDays, weekendAmnesty } = normalizeStreakPolicy(policy);
+    if (type === 'weekly') return `${timesPerWeek}× per week`;
+    if (type === 'restDays') {
+        return restDays.length ? `Daily, rest on ${restDays.map(d => WEEKDAY_NAMES[d]).join(', ')}` : 'Daily';
+    }
+    return weekendAmnesty ? 'Daily (weekends optional)' : 'Daily';
+}
+
+/**
+ * Active profile's streak policy (the default if none is stored or it is corrupt)
+ * @returns {Object} Streak policy
+ */
+export function getStreakPolicy() {
+    try {
+        return normalizeStreakPolicy(storage.getJSON(STREAK_POLICY_KEY, DEFAULT_STREAK_POLICY) || {});
+    } catch {
+        return { ...DEFAULT_STREAK_POLICY };
+    }
+}
+
+/**
+ * Store the active profile's streak policy
+ * @param {Object} policy - Streak policy
+ * @returns {Object} Stored (normalized) policy
+ * @throws {Error} If the policy is invalid
+ */
+export function setStreakPolicy(policy) {
+    const normalized = normalizeStreakPolicy(policy);
+    storage.setJSON(STREAK_POLICY_KEY, normalized);
+    return normalized;
+}
+
+// ============================================================================
+// ENGINE
+// ============================================================================
+
+const weekday = (ymd) => new Date(`${ymd}T00:00:00.000Z`).getUTCDay();
+
+/**
+ * Monday of the practice week containing a day
+ * @param {string} ymd - Day key (YYYY-MM-DD)
+ * @returns {string} Day key of that Monday
+ */
+export function weekStart(ymd) {
+    return addDays(ymd, -((weekday(ymd) + 6) % 7));
+}
+
+/**
+ * Count the missed units between two practice days (both exclusive)
+ * @param {string} lastYMD - Previous practice day
+ * @param {string} currentYMD - New practice day (after lastYMD)
+ * @param {number} weekDays - Practice days already in lastYMD's week
+ * @param {Object} policy - Normalized policy
+ * @returns {number} Missed days (or weeks for the weekly policy)
+ */
+function missedUnits(lastYMD, currentYMD, weekDays, policy) {
+    const diff = dayDiff(lastYMD, currentYMD);
+
+    if (policy.type === 'weekly') {
+        const weeks = dayDiff(weekStart(lastYMD), weekStart(currentYMD)) / 7;
+        if (weeks === 0) return 0;
+        // The finished week may have fallen short, and any whole weeks in between were skipped
+        return (weekDays < policy.timesPerWeek ? 1 : 0) + (weeks - 1);
+    }
+
+    if (policy.type === 'restDays') {
+        let missed = 0;
+        for (let i = 1; i < diff; i++) {
+            if (!policy.restDays.includes(weekday(addDays(lastYMD, i)))) missed++;
+        }
+        return missed;
+    }
+
+    // Monday amnesty: Fri/Sat/Sun → Mon counts as consecutive
+    if (policy.weekendAmnesty && diff <= 3 && weekday(currentYMD) === 1 && [5, 6, 0].includes(weekday(lastYMD))) {
+        return 0;
+    }
+    return diff - 1;
+}
+
+/**
+ * Work out the streak state after practising on currentYMD
+ * @param {Object} state - { streak, lastActiveDate, freezes, weekDays }
+ * @param {string} currentYMD - Day being recorded (YYYY-MM-DD)
+ * @param {Object} policy - Streak policy
+ * @returns {Object|null} New state plus { usedFreezes, earnedFreeze }, or null if
+ *                        currentYMD is older than lastActiveDate
+ */
+export function advanceStreak(state, currentYMD, policy = DEFAULT_STREAK_POLICY) {
+    const rules = normalizeStreakPolicy(policy);
+    const { streak = 0, lastActiveDate = null, freezes = 0, weekDays = 0 } = state || {};
+
+    if (!lastActiveDate) {
+        // First session ever
+        return { streak: 1, lastActiveDate: currentYMD, freezes, weekDays: 1, usedFreezes: 0, earnedFreeze: false };
+    }
+
+    const diff = dayDiff(lastActiveDate, currentYMD);
+    const safeDiff = Number.isFinite(diff) ? diff : 0; // Handle corrupt lastActiveDate
+
+    if (safeDiff < 0) {
+        // Out-of-order update - ignore
+        return null;
+    }
+    if (safeDiff === 0) {
+        // Same day, keep streak as is
+        return { streak, lastActiveDate, freezes, weekDays, usedFreezes: 0, earnedFreeze: false };
+    }
+
+    const missed = missedUnits(lastActiveDate, currentYMD, weekDays, rules);
+    const usedFreezes = missed > 0 && rules.freezes && freezes >= missed ? missed : 0;
+    const continues = missed === 0 || usedFreezes > 0;
+    const next = continues ? streak + 1 : 1;
+    const sameWeek = weekStart(lastActiveDate) === weekStart(currentYMD);
+
+    const earnedFreeze = rules.freezes
+        && Math.floor(next / FREEZE_EARN_EVERY) > Math.floor(streak / FREEZE_EARN_EVERY)
+        && freezes - usedFreezes < MAX_FREEZES;
+
+    return {
+        streak: next,
+        lastActiveDate: currentYMD,
+        freezes: freezes - usedFreezes + (earnedFreeze ? 1 : 0),
+        weekDays: sameWeek ? weekDays + 1 : 1,
+        usedFreezes,
+        earnedFreeze
+    };
+}
+
+/**
+ * The streak as it stands today, before today's practice. A stored streak
+ * whose gap the policy (and available freezes) can no longer cover reads as 0.
+ * @param {Object} state - { streak, lastActiveDate, freezes, weekDays }
+ * @param {string} todayYMD - Today (YYYY-MM-DD)
+ * @param {Object} policy - Streak policy
+ * @returns {number} Current streak
+ */
+export function currentStreak(state, todayYMD, policy = DEFAULT_STREAK_POLICY) {
+    const rules = normalizeStreakPolicy(policy);
+    const { streak = 0, lastActiveDate = null, freezes = 0, weekDays = 0 } = state || {};
+    if (!lastActiveDate || !Number.isFinite(dayDiff(lastActiveDate, todayYMD))) return streak;
+    if (dayDiff(lastActiveDate, todayYMD) <= 0) return streak;
+
+    // On a weekend the amnesty can still rescue the streak on Monday
+    const probe = rules.type === 'daily' && rules.weekendAmnesty && [6, 0].includes(weekday(todayYMD))
+        ? addDays(todayYMD, weekday(todayYMD) === 6 ? 2 : 1)
+        : todayYMD;
+    const missed = missedUnits(lastActiveDate, probe, weekDays, rules);
+    return missed === 0 || (rules.freezes && freezes >= missed) ? streak : 0;
+}
@@ -6,6 +6,9 @@
  * - Environment-safe storage system with FPR_v1_ prefix
  * - Toast notifications with debouncing
  * - Robust number parsing
+ * - Per-patient profiles (namespaced storage)
+ * - Optional clinician PIN gating destructive actions
+ * - Versioned storage schema migrations
  * - Test-compatible localStorage handling
  */
 
@@ -27,6 +30,58 @@ function getLS() {
 
 const PREFIX = 'FPR_v1_';
 
+// ============================================================================
+// PROFILE NAMESPACING
+// ============================================================================
+// Each patient profile gets its own copy of every key. The default profile
+// keeps the original FPR_v1_<key> layout so existing data needs no move;
+// other profiles live under FPR_v1_p:<profileId>:<key>.
+
+export const DEFAULT_PROFILE_ID = 'default';
+const PROFILE_NS = 'p:';
+const ACTIVE_PROFILE_KEY = 'activeProfile';
+const PROFILES_KEY = 'profiles';
+
+// Device-wide keys shared by every profile (bookkeeping and device settings)
+const GLOBAL_KEYS = new Set([
+  PROFILES_KEY, ACTIVE_PROFILE_KEY, 'schemaVersion', 'migrationBackup',
+  'reminders', 'remindersPromptDismissed', 'clinicianPin', 'clinicianLockout'
+]);
+
+/**
+ * Read the active profile ID straight from localStorage (stored unquoted so
+ * the classic-script helper in fpr-profile.js can read it too)
+ * @returns {string} Active profile ID
+ */
+function activeProfileId() {
+  try {
+    const ls = getLS();
+    return (ls && ls.getItem(PREFIX + ACTIVE_PROFILE_KEY)) || DEFAULT_PROFILE_ID;
+  } catch {
+    return DEFAULT_PROFILE_ID;
+  }
+}
+
+/**
+ * Raw localStorage prefix for a profile's keys
+ * @param {string} id - Profile ID (defaults to the active profile, as
+ *   profiles.getActiveId() validates it, so a stale pointer at a deleted
+ *   profile reads and writes the default profile's keys)
+ * @returns {string} Prefix
+ */
+function profilePrefix(id = profiles.getActiveId()) {
+  return id === DEFAULT_PROFILE_ID ? PREFIX : `${PREFIX}${PROFILE_NS}${id}:`;
+}
+
+/**
+ * Map a storage key to its raw localStorage key for the active profile
+ * @param {string} key - Unprefixed storage key
+ * @returns {string} Raw localStorage key
+ */
+function resolveKey(key) {
+  return GLOBAL_KEYS.has(key) ? PREFIX + key : profilePrefix() + key;
+}
+
 // Test environment detection for quiet logging
 const isTest = typeof process !== 'undefined' && process.env.NODE_ENV === 'test';
 
@@ -57,7 +112,7 @@ export const storage = {
     try {
       if (!storage.isAvailable()) return false;
       const ls = getLS();
-      return ls.getItem(PREFIX + key) !== null;
+      return ls.getItem(resolveKey(key)) !== null;
     } catch {
       return false;
     }
@@ -73,7 +128,7 @@ export const storage = {
     try {
       if (!storage.isAvailable()) return defaultValue;
       const ls = getLS();
-      const item = ls.getItem(PREFIX + key);
+      const item = ls.getItem(resolveKey(key));
       
       if (item === null) return defaultValue;
       
@@ -106,7 +161,7 @@ export const storage = {
     try {
       if (!storage.isAvailable()) return null;
       const ls = getLS();
-      return ls.getItem(PREFIX + key);
+      return ls.getItem(resolveKey(key));
     } catch (error) {
       if (!isTest) {
         console.warn(`Storage getRaw error for key "${key}":`, error);
@@ -157,7 +212,7 @@ export const storage = {
       if (!storage.isAvailable()) return;
       const ls = getLS();
       // Always JSON.stringify for consistency with tests
-      ls.setItem(PREFIX + key, JSON.stringify(value));
+      ls.setItem(resolveKey(key), JSON.stringify(value));
     } catch (error) {
       if (!isTest) {
         console.warn(`Storage set error for key "${key}":`, error);
@@ -174,7 +229,7 @@ export const storage = {
     try {
       if (!storage.isAvailable()) return;
       const ls = getLS();
-      ls.setItem(PREFIX + key, String(value));
+      ls.setItem(resolveKey(key), String(value));
     } catch (error) {
       if (!isTest) {
         console.warn(`Storage setRaw error for key "${key}":`, error);
@@ -191,7 +246,7 @@ export const storage = {
     try {
       if (!storage.isAvailable()) return;
       const ls = getLS();
-      ls.setItem(PREFIX + key, JSON.stringify(value));
+      ls.setItem(resolveKey(key), JSON.stringify(value));
     } catch (error) {
       if (!isTest) {
         console.warn(`Storage JSON set error for key "${key}":`, error);
@@ -207,7 +262,7 @@ export const storage = {
     try {
       if (!storage.isAvailable()) return;
       const ls = getLS();
-      ls.removeItem(PREFIX + key);
+      ls.removeItem(resolveKey(key));
     } catch (error) {
       if (!isTest) {
         console.error(`Storage remove error for key "${key}":`, error);
@@ -216,48 +271,59 @@ export const storage = {
   },
 
   /**
-   * Clear ALL FPR_v1_ keys (only our app data)
-   * This preserves other localStorage data from other apps/sites
+   * List the active profile's keys currently in storage (prefix stripped).
+   * Device-wide keys and other profiles' data are not included.
+   * @returns {string[]} Unprefixed storage keys
    */
-  clearAll: () => {
+  keys: () => {
     try {
-      if (!storage.isAvailable()) return;
+      if (!storage.isAvailable()) return [];
       const ls = getLS();
-      
-      // Collect all FPR keys to delete (safe iteration)
-      const keysToDelete = [];
+      const prefix = profilePrefix();
+      const found = [];
       for (let i = 0; i < ls.length; i++) {
         const key = ls.key(i);
-        if (key && key.startsWith(PREFIX)) {
-          keysToDelete.push(key);
-        }
-      }
-      
-      // Remove all collected keys
-      keysToDelete.forEach(key => ls.removeItem(key));
-      
-      // Only log in non-test environments to avoid cluttering Jest output
-      if (!isTest) {
-        console.log(`All FPR progress data cleared (${keysToDelete.length} keys removed)`);
+        if (!key || !key.startsWith(prefix)) continue;
+        const rest = key.slice(prefix.length);
+        // The default profile's prefix also matches every other profile's keys
+        if (prefix === PREFIX && rest.startsWith(PROFILE_NS)) continue;
+        if (!GLOBAL_KEYS.has(rest)) found.push(rest);
       }
+      return found;
     } catch (error) {
       if (!isTest) {
-        console.error('Storage clearAll error:', error);
+        console.warn('Storage keys error:', error);
       }
+      return [];
     }
-  }
+  },
+
+  /**
+   * Clear ALL FPR_v1_ keys (only our app data)
+   * This preserves other localStorage data from other apps/sites
+   * @returns {boolean} False if refused (see clearAllFPRData)
+   */
+  clearAll: () => clearAllFPRData()
 };
 
 /**
  * Global function for clearing all FPR data (FIXED FOR JEST)
- * This function handles both real browser localStorage and Jest mocks
+ * This function handles both real browser localStorage and Jest mocks.
+ * Needs clinician mode when a PIN is set; the PIN itself survives the wipe.
+ * @returns {boolean} False if the wipe was refused
  */
 export function clearAllFPRData() {
+  if (!clinician.isAuthorized()) {
+    if (!isTest) console.warn('clearAllFPRData refused: clinician mode is required');
+    return false;
+  }
+
   try {
     const ls = getLS();
-    if (!ls) return;
+    if (!ls) return false;
     
     const keysToDelete = [];
+    const keep = new Set([PREFIX + CLINICIAN_PIN_KEY, PREFIX + CLINICIAN_LOCKOUT_KEY]);
     
     // Method 1: Safe iteration for both browser and Jest mock
     // Collect keys first, then delete (avoids concurrent modification)
@@ -293,7 +359,7 @@ export function clearAllFPRData() {
     }
     
     // Remove all collected keys
-    keysToDelete.forEach(key => {
+    keysToDelete.filter(key => !keep.has(key)).forEach(key => {
       ls.removeItem(key);
     });
     
@@ -301,10 +367,780 @@ export function clearAllFPRData() {
     if (!isTest) {
       console.log(`All FPR progress data cleared (${keysToDelete.length} keys removed)`);
     }
+    return true;
   } catch (error) {
     if (!isTest) {
       console.error('Storage clearAll error:', error);
     }
+    return false;
+  }
+}
+
+// ============================================================================
+// PATIENT PROFILES
+// ============================================================================
+
+const PROFILE_NAME_MAX = 40;
+
+function dispatchProfileEvent(type, detail) {
+  if (typeof window !== 'undefined' && typeof window.dispatchEvent === 'function') {
+    window.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+}
+
+export const profiles = {
+  /**
+   * All profiles on this device, default first
+   * @returns {Array<{id: string, name: string, createdAt: string|null}>} Profiles
+   */
+  list: () => {
+    const stored = storage.getJSON(PROFILES_KEY, []);
+    const list = Array.isArray(stored) ? stored.filter(p => p && typeof p.id === 'string') : [];
+    if (!list.some(p => p.id === DEFAULT_PROFILE_ID)) {
+      list.unshift({ id: DEFAULT_PROFILE_ID, name: 'Default', createdAt: null });
+    }
+    return list;
+  },
+
+  /**
+   * @returns {string} Active profile ID
+   */
+  getActiveId: () => {
+    const id = activeProfileId();
+    return profiles.list().some(p => p.id === id) ? id : DEFAULT_PROFILE_ID;
+  },
+
+  /**
+   * @returns {Object} Active profile
+   */
+  getActive: () => {
+    const id = profiles.getActiveId();
+    return profiles.list().find(p => p.id === id);
+  },
+
+  /**
+   * Create a profile (does not switch to it)
+   * @param {string} name - Display name
+   * @returns {Object} New profile
+   * @throws {Error} If the name is empty, too long or already used
+   */
+  create: (name) => {
+    const list = profiles.list();
+    const clean = validateProfileName(name, list);
+    const profile = {
+      id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      name: clean,
+      createdAt: new Date().toISOString()
+    };
+    storage.setJSON(PROFILES_KEY, [...list, profile]);
+    return profile;
+  },
+
+  /**
+   * Rename a profile
+   * @param {string} id - Profile ID
+   * @param {string} name - New display name
+   * @returns {Object} Updated profile
+   * @throws {Error} If the profile doesn't exist or the name is invalid
+   */
+  rename: (id, name) => {
+    const list = profiles.list();
+    const profile = list.find(p => p.id === id);
+    if (!profile) throw new Error(`Unknown profile: ${id}`);
+    profile.name = validateProfileName(name, list.filter(p => p.id !== id));
+    storage.setJSON(PROFILES_KEY, list);
+    dispatchProfileEvent('fpr:profilechange', { id: profiles.getActiveId() });
+    return profile;
+  },
+
+  /**
+   * Delete a profile and all of its stored data. Switches to the default
+   * profile if the deleted one was active.
+   * @param {string} id - Profile ID
+   * @returns {number} Number of storage keys removed
+   * @throws {Error} For the default profile, an unknown ID, or without clinician mode
+   */
+  remove: (id) => {
+    clinician.require('delete a profile');
+    if (id === DEFAULT_PROFILE_ID) throw new Error('The default profile cannot be deleted');
+    const list = profiles.list();
+    if (!list.some(p => p.id === id)) throw new Error(`Unknown profile: ${id}`);
+
+    const ls = getLS();
+    const prefix = profilePrefix(id);
+    const doomed = [];
+    for (let i = 0; ls && i < ls.length; i++) {
+      const key = ls.key(i);
+      if (key && key.startsWith(prefix)) doomed.push(key);
+    }
+    doomed.forEach(key => ls.removeItem(key));
+
+    storage.setJSON(PROFILES_KEY, list.filter(p => p.id !== id));
+    if (activeProfileId() === id) profiles.switchTo(DEFAULT_PROFILE_ID);
+    return doomed.length;
+  },
+
+  /**
+   * Make a profile active; every storage read/write then goes to its namespace
+   * @param {string} id - Profile ID
+   * @throws {Error} If the profile doesn't exist
+   */
+  switchTo: (id) => {
+    if (!profiles.list().some(p => p.id === id)) throw new Error(`Unknown profile: ${id}`);
+    storage.setRaw(ACTIVE_PROFILE_KEY, id);
+    dispatchProfileEvent('fpr:profilechange', { id });
+  }
+};
+
+/**
+ * Trim and check a profile name against the others on the device
+ * @param {string} name - Proposed name
+ * @param {Array} others - Profiles the name must not clash with
+ * @returns {string} Cleaned name
+ * @throws {Error} If invalid
+ */
+function validateProfileName(name, others) {
+  const clean = String(name ?? '').trim();
+  if (!clean) throw new Error('Profile name cannot be empty');
+  if (clean.length > PROFILE_NAME_MAX) throw new Error(`Profile name must be ${PROFILE_NAME_MAX} characters or fewer`);
+  if (others.some(p => p.name.toLowerCase() === clean.toLowerCase())) {
+    throw new Error(`A profile named "${clean}" already exists`);
+  }
+  return clean;
+}
+
+// ============================================================================
+// CLINICIAN MODE (OPTIONAL PIN LOCK)
+// ============================================================================
+// On shared devices a clinician can set a PIN. While one is set, destructive
+// actions (clearAllFPRData, resetProgress, import, manual unlocks) and reports
+// need clinician mode, entered by typing the PIN. Without a PIN everything
+// stays open, as before. The PIN is stored as a salted PBKDF2 hash; clinician
+// mode lasts for the browser tab (sessionStorage) and times out.
+
+const CLINICIAN_PIN_KEY = 'clinicianPin';
+const CLINICIAN_LOCKOUT_KEY = 'clinicianLockout';
+const CLINICIAN_SESSION_KEY = `${PREFIX}clinicianSession`;
+
+export const PIN_PATTERN = /^\d{4,8}$/;
+export const MAX_PIN_ATTEMPTS = 5;
+const PIN_LOCKOUT_MS = 5 * 60 * 1000;
+const CLINICIAN_SESSION_MS = 15 * 60 * 1000;
+const PIN_HASH_ITERATIONS = 100000;
+
+function getSessionStore() {
+  try {
+    return typeof window !== 'undefined' && window.sessionStorage ? window.sessionStorage : null;
+  } catch {
+    return null;
+  }
+}
+
+function getSubtleCrypto() {
+  const cryptoApi = typeof globalThis !== 'undefined' ? globalThis.crypto : null;
+  return cryptoApi && cryptoApi.subtle ? cryptoApi : null;
+}
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer), b => b.toString(16).padStart(2, '0')).join('');
+
+async function hashPin(pin, saltHex, iterations) {
+  const cryptoApi = getSubtleCrypto();
+  const salt = new Uint8Array(saltHex.match(/../g).map(h => parseInt(h, 16)));
+  // PINs are validated as ASCII digits, so char codes are their UTF-8 bytes
+  const bytes = Uint8Array.from(pin, ch => ch.charCodeAt(0));
+  const key = await cryptoApi.subtle.importKey('raw', bytes, 'PBKDF2', false, ['deriveBits']);
+  const bits = await cryptoApi.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+  return toHex(bits);
+}
+
+function dispatchClinicianEvent() {
+  if (typeof window !== 'undefined' && typeof window.dispatchEvent === 'function') {
+    window.dispatchEvent(new CustomEvent('fpr:clinicianchange', { detail: { active: clinician.isActive() } }));
+  }
+}
+
+export const clinician = {
+  /**
+   * @returns {boolean} True if a clinician PIN has been set on this device
+   */
+  hasPin: () => {
+    const record = storage.getJSON(CLINICIAN_PIN_KEY, null);
+    return Boolean(record && record.hash && record.salt);
+  },
+
+  /**
+   * @returns {boolean} True while clinician mode is unlocked in this tab
+   */
+  isActive: () => {
+    const session = getSessionStore();
+    const expiresAt = Number(session && session.getItem(CLINICIAN_SESSION_KEY));
+    return Number.isFinite(expiresAt) && expiresAt > Date.now();
+  },
+
+  /**
+   * Whether protected actions may run right now
+   * @returns {boolean} True if no PIN is set or clinician mode is active
+   */
+  isAuthorized: () => !clinician.hasPin() || clinician.isActive(),
+
+  /**
+   * Current failed-attempt state
+   * @returns {{failures: number, lockedUntil: number}} lockedUntil is 0 when not locked out
+   */
+  getLockout: () => {
+    const { failures = 0, lockedUntil = 0 } = storage.getJSON(CLINICIAN_LOCKOUT_KEY, {}) || {};
+    return { failures, lockedUntil: lockedUntil > Date.now() ? lockedUntil : 0 };
+  },
+
+  /**
+   * Enter clinician mode
+   * @param {string} pin - PIN to check
+   * @returns {Promise<Object>} { success, error?, lockedUntil?, attemptsLeft? }
+   */
+  unlock: async (pin) => {
+    if (!clinician.hasPin()) return { success: false, error: 'No clinician PIN has been set' };
+
+    const lockout = clinician.getLockout();
+    if (lockout.lockedUntil) {
+      return { success: false, error: 'Too many incorrect attempts. Try again later.', lockedUntil: lockout.lockedUntil };
+    }
+    if (!getSubtleCrypto()) return { success: false, error: 'PIN check needs a secure (https) connection' };
+
+    const record = storage.getJSON(CLINICIAN_PIN_KEY, null);
+    const candidate = String(pin ?? '');
+    const matchesPin = PIN_PATTERN.test(candidate)
+      && await hashPin(candidate, record.salt, record.iterations) === record.hash;
+
+    if (!matchesPin) {
+      const failures = lockout.failures + 1;
+      if (failures >= MAX_PIN_ATTEMPTS) {
+        const lockedUntil = Date.now() + PIN_LOCKOUT_MS;
+        storage.setJSON(CLINICIAN_LOCKOUT_KEY, { failures: 0, lockedUntil });
+        return { success: false, error: 'Too many incorrect attempts. Try again later.', lockedUntil };
+      }
+      storage.setJSON(CLINICIAN_LOCKOUT_KEY, { failures, lockedUntil: 0 });
+      return { success: false, error: 'Incorrect PIN', attemptsLeft: MAX_PIN_ATTEMPTS - failures };
+    }
+
+    storage.remove(CLINICIAN_LOCKOUT_KEY);
+    getSessionStore()?.setItem(CLINICIAN_SESSION_KEY, String(Date.now() + CLINICIAN_SESSION_MS));
+    dispatchClinicianEvent();
+    return { success: true };
+  },
+
+  /**
+   * Leave clinician mode
+   */
+  lock: () => {
+    getSessionStore()?.removeItem(CLINICIAN_SESSION_KEY);
+    dispatchClinicianEvent();
+  },
+
+  /**
+   * Set or change the PIN. Changing an existing PIN requires clinician mode.
+   * @param {string} pin - New PIN (4-8 digits)
+   * @returns {Promise<Object>} { success, error? }
+   */
+  setPin: async (pin) => {
+    if (!clinician.isAuthorized()) return { success: false, error: 'Unlock clinician mode to change the PIN' };
+    if (!PIN_PATTERN.test(String(pin ?? ''))) return { success: false, error: 'PIN must be 4 to 8 digits' };
+    const cryptoApi = getSubtleCrypto();
+    if (!cryptoApi) return { success: false, error: 'PIN lock needs a secure (https) connection' };
+
+    const salt = toHex(cryptoApi.getRandomValues(new Uint8Array(16)));
+    const hash = await hashPin(String(pin), salt, PIN_HASH_ITERATIONS);
+    storage.setJSON(CLINICIAN_PIN_KEY, { salt, hash, iterations: PIN_HASH_ITERATIONS });
+    storage.remove(CLINICIAN_LOCKOUT_KEY);
+    // Setting a PIN signs the clinician in, so they don't have to type it twice
+    getSessionStore()?.setItem(CLINICIAN_SESSION_KEY, String(Date.now() + CLINICIAN_SESSION_MS));
+    dispatchClinicianEvent();
+    return { success: true };
+  },
+
+  /**
+   * Remove the PIN, reopening every protected action
+   * @returns {Object} { success, error? }
+   */
+  removePin: () => {
+    if (!clinician.isAuthorized()) return { success: false, error: 'Unlock clinician mode to remove the PIN' };
+    storage.remove(CLINICIAN_PIN_KEY);
+    storage.remove(CLINICIAN_LOCKOUT_KEY);
+    clinician.lock();
+    return { success: true };
+  },
+
+  /**
+   * Guard for protected actions
+   * @param {string} action - Description used in the error message
+   * @throws {Error} If a PIN is set and clinician mode is not active
+   */
+  require: (action = 'do this') => {
+    if (!clinician.isAuthorized()) throw new Error(`Clinician mode is required to ${action}`);
+  }
+};
+
+// ============================================================================
+// SCHEMA MIGRATIONS
+// ============================================================================
+//
+// Older builds scattered data across inconsistent key formats. Migrations fold
+// it into one canonical layout under FPR_v1_ (the layout progress.js reads):
+//   FPR_v1_sessions:<id>, FPR_v1_exercise:<id>:(sessions|best),
+//   FPR_v1_unlock:<id>:<diff>, FPR_v1_perf:<id>:<diff>
+//
+// Migrations are history: once shipped, never edit one - append a new version.
+// They deliberately snapshot the data they need (e.g. old exercise IDs) rather
+// than importing live registries that may change later.
+
+export const SCHEMA_VERSION_KEY = 'schemaVersion';
+export const MIGRATION_BACKUP_KEY = 'migrationBackup';
+
+// Exercise IDs used by pages before they were aligned with the registry
+const MIGRATION_LEGACY_IDS = {
+  bubble_tap: 'bubble',
+  'precision-drop': 'precision',
+  'trace-reveal': 'trace',
+  'mirror-match': 'mirror',
+  'sequence-builder': 'sequence',
+  'sort-categorize': 'sort',
+  'visual-scanner': 'scanner',
+  'cosmic-maze': 'maze',
+  'rhythm-reach': 'rhythm'
+};
+
+// Page-owned personal bests and "past sessions" lists (raw localStorage keys)
+const MIGRATION_PAGE_STORES = [
+  { id: 'bubble', best: 'FPR_v1_PB_bubble_tap', sessions: 'FPR_v1_SESSIONS_bubble_tap' },
+  { id: 'comet', best: 'comet:best', sessions: 'comet:sessions' },
+  { id: 'precision', best: 'pb:precision-drop', sessions: 'precision-drop:sessions' },
+  { id: 'trace', best: 'trace-reveal:best', sessions: 'trace-reveal:sessions' },
+  { id: 'mirror', best: 'mirror-match:best', sessions: 'mirror-match:sessions' },
+  { id: 'sequence', best: 'sequence-builder:best', sessions: 'sequence-builder:sessions' },
+  { id: 'sort', best: 'sort-categorize:best', sessions: 'sort-categorize:sessions' },
+  { id: 'scanner', best: 'visual-scanner:best', sessions: 'visual-scanner:sessions' },
+  { id: 'maze', sessions: 'cosmic-maze:sessions' },
+  { id: 'rhythm', sessions: 'rhythm-reach:sessions' },
+  { id: 'letter-trace', sessions: 'letter-trace:sessions' }
+];
+
+// Page-owned achievement lists (raw localStorage keys) and the registry prefix of their IDs.
+// perProfile lists were written through FPRProfile.key() (FPR_v1_p:<id>:<key> outside the
+// default profile); the others were shared by every profile and fold into the default one.
+const MIGRATION_PAGE_ACHIEVEMENTS = [
+  { id: 'scanner', key: 'visual-scanner:achievements' },
+  { id: 'sort', key: 'sort-categorize:achievements' },
+  { id: 'trace', key: 'trace-reveal:achievements', perProfile: true },
+  { id: 'letter-trace', key: 'achievements' }
+];
+
+// What achievements unlocked before they had tiers were worth (Dedicated took 50 sessions)
+const MIGRATION_LEGACY_TIERS = { consistent: 'bronze', dedicated: 'silver' };
+
+const MAX_HISTORY = 100; // Matches recordSession's per-exercise cap
+const DUPLICATE_WINDOW_MS = 60_000;
+
+/**
+ * Decode a stored value that may be plain, JSON, or JSON-encoded JSON
+ * (progress.js stores lists and counters through storage.set(JSON.stringify(...)))
+ * @param {string|null} raw - Raw localStorage value
+ * @param {*} fallback - Value to return when missing or unparseable
+ * @returns {*} Decoded value
+ */
+function decodeStored(raw, fallback = null) {
+  if (raw === null || raw === undefined) return fallback;
+  let value = raw;
+  for (let i = 0; i < 2 && typeof value === 'string'; i++) {
+    try {
+      value = JSON.parse(value);
+    } catch {
+      break;
+    }
+  }
+  return value;
+}
+
+const toCount = (value) => {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : 0;
+};
+
+// Encodings matching what progress.js writes, so its readers keep working
+const encodeCounter = (n) => JSON.stringify(String(n));
+const encodeList = (arr) => JSON.stringify(JSON.stringify(arr));
+
+/**
+ * Merge session lists, dropping entries that duplicate one already kept
+ * (same score within a minute - pages and recordSession log the same session)
+ * @param {Array} base - Entries already in the canonical history
+ * @param {Array} extra - Entries to fold in
+ * @returns {Array} Merged list, oldest first, capped to MAX_HISTORY
+ */
+function mergeSessionLists(base, extra) {
+  const merged = [...base];
+  extra.forEach(entry => {
+    const duplicate = merged.some(s => s.score === entry.score
+      && Math.abs((s.timestamp || 0) - entry.timestamp) < DUPLICATE_WINDOW_MS);
+    if (!duplicate) merged.push(entry);
+  });
+  merged.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+  return merged.slice(-MAX_HISTORY);
+}
+
+/**
+ * IDs of every profile a migration should visit, default first
+ * @param {Object} tx - Migration transaction
+ * @returns {string[]} Profile IDs
+ */
+function migrationProfileIds(tx) {
+  const stored = tx.read(PREFIX + PROFILES_KEY, []);
+  const ids = (Array.isArray(stored) ? stored : []).map(p => p && p.id).filter(id => typeof id === 'string');
+  return [...new Set([DEFAULT_PROFILE_ID, ...ids])];
+}
+
+/**
+ * Buffered view of localStorage handed to each migration. Nothing touches real
+ * storage until every migration has succeeded, which makes dry runs free and a
+ * failing migration harmless.
+ * @param {Storage} ls - localStorage (or Jest mock)
+ * @returns {Object} { tx, pending, changes }
+ */
+function createMigrationTx(ls) {
+  const pending = new Map(); // raw key -> raw value, or null for removal
+  const changes = [];
+
+  const tx = {
+    keys() {
+      const found = new Set();
+      for (let i = 0; i < ls.length; i++) {
+        const key = ls.key(i);
+        if (key) found.add(key);
+      }
+      pending.forEach((value, key) => (value === null ? found.delete(key) : found.add(key)));
+      return [...found];
+    },
+    get(key) {
+      return pending.has(key) ? pending.get(key) : ls.getItem(key);
+    },
+    read(key, fallback = null) {
+      return decodeStored(tx.get(key), fallback);
+    },
+    set(key, raw, note) {
+      const value = String(raw);
+      if (tx.get(key) === value) return;
+      pending.set(key, value);
+      changes.push({ op: 'set', key, ...(note && { note }) });
+    },
+    remove(key, note) {
+      if (tx.get(key) === null) return;
+      pending.set(key, null);
+      changes.push({ op: 'remove', key, ...(note && { note }) });
+    },
+    // Move a value unless the target already holds different data (kept for review)
+    move(from, to) {
+      const value = tx.get(from);
+      if (value === null) return;
+      const existing = tx.get(to);
+      if (existing !== null && existing !== value) {
+        changes.push({ op: 'conflict', key: from, note: `${to} already set; left in place` });
+        return;
+      }
+      tx.set(to, value, `from ${from}`);
+      tx.remove(from, `moved to ${to}`);
+    }
+  };
+
+  return { tx, pending, changes };
+}
+
+/**
+ * Ordered schema migrations. Each runs once, against a buffered transaction.
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Collapse double-prefixed FPR_v1_FPR_v1_ keys',
+    migrate(tx) {
+      // adaptive-difficulty and session-enhancement passed already-prefixed keys to storage
+      tx.keys()
+        .filter(key => key.startsWith(PREFIX + PREFIX))
+        .forEach(key => tx.move(key, key.slice(PREFIX.length)));
+    }
+  },
+  {
+    version: 2,
+    description: 'Rename legacy exercise IDs to registry IDs',
+    migrate(tx) {
+      const aliasPattern = new RegExp(
+        `^${PREFIX}(sessions|exercise|unlock|perf):(${Object.keys(MIGRATION_LEGACY_IDS).join('|')})(:.*)?$`
+      );
+
+      tx.keys().forEach(key => {
+        const match = key.match(aliasPattern);
+        if (!match) return;
+        const [, namespace, alias, rest = ''] = match;
+        const target = `${PREFIX}${namespace}:${MIGRATION_LEGACY_IDS[alias]}${rest}`;
+
+        if (namespace === 'sessions') {
+          const history = mergeSessionLists(tx.read(target, []), tx.read(key, []).map(s => ({
+            ...s, id: MIGRATION_LEGACY_IDS[alias]
+          })));
+          tx.set(target, encodeList(history), `merged from ${key}`);
+          tx.remove(key, `merged into ${target}`);
+        } else if (namespace === 'exercise' && /:best$/.test(rest)) {
+          const best = Math.max(toCount(tx.read(target, 0)), toCount(tx.read(key, 0)));
+          tx.set(target, rest.split(':').length > 2 ? JSON.stringify(best) : encodeCounter(best));
+          tx.remove(key, `merged into ${target}`);
+        } else if (namespace === 'exercise' && /:sessions$/.test(rest)) {
+          // Sessions under the alias were never counted under the registry ID, so add them
+          const total = toCount(tx.read(target, 0)) + toCount(tx.read(key, 0));
+          tx.set(target, rest.split(':').length > 2 ? JSON.stringify(total) : encodeCounter(total));
+          tx.remove(key, `merged into ${target}`);
+        } else {
+          tx.move(key, target);
+        }
+      });
+
+      const triedKey = `${PREFIX}tried`;
+      const tried = tx.read(triedKey, null);
+      if (Array.isArray(tried)) {
+        const renamed = [...new Set(tried.map(id => MIGRATION_LEGACY_IDS[id] || id))];
+        tx.set(triedKey, encodeList(renamed));
+      }
+    }
+  },
+  {
+    version: 3,
+    description: 'Fold exercise-page bests and session lists into progress history',
+    migrate(tx) {
+      // Page-owned keys are left in place: the pages still read them directly
+      MIGRATION_PAGE_STORES.forEach(({ id, best, sessions }) => {
+        const historyKey = `${PREFIX}sessions:${id}`;
+        const pageSessions = sessions ? tx.read(sessions, []) : [];
+        const folded = (Array.isArray(pageSessions) ? pageSessions : [])
+          .filter(s => s && Number.isFinite(s.ts) && Number.isFinite(Number(s.score)))
+          .map(({ ts, acc, avg, ...rest }) => ({
+            ...rest,
+            id,
+            score: Number(rest.score),
+            ...(acc !== undefined && { accuracy: acc }),
+            ...(avg !== undefined && { reactionTime: avg }),
+            timestamp: ts,
+            date: new Date(ts).toISOString(),
+            source: 'legacy'
+          }));
+
+        const before = tx.read(historyKey, []);
+        const history = mergeSessionLists(Array.isArray(before) ? before : [], folded);
+        if (history.length !== before.length) {
+          tx.set(historyKey, encodeList(history), `folded from ${sessions}`);
+        }
+
+        const countKey = `${PREFIX}exercise:${id}:sessions`;
+        const added = history.length - before.length;
+        if (added > 0) {
+          tx.set(countKey, encodeCounter(toCount(tx.read(countKey, 0)) + added));
+          const totalKey = `${PREFIX}totalSessions`;
+          tx.set(totalKey, encodeCounter(toCount(tx.read(totalKey, 0)) + added));
+        }
+
+        const bestKey = `${PREFIX}exercise:${id}:best`;
+        const currentBest = toCount(tx.read(bestKey, 0));
+        const foldedBest = Math.max(
+          best ? toCount(tx.read(best, 0)) : 0,
+          ...history.map(s => toCount(s.score))
+        );
+        if (foldedBest > currentBest) {
+          tx.set(bestKey, encodeCounter(foldedBest), `best from ${best || historyKey}`);
+        }
+      });
+    }
+  },
+  {
+    version: 4,
+    description: 'Fold exercise-page achievement lists into the achievement registry',
+    migrate(tx) {
+      migrationProfileIds(tx).forEach(profileId => {
+        const prefix = profilePrefix(profileId);
+        // Pages namespaced their keys like FPRProfile.key(): unchanged for the default profile
+        const pageKey = (key) => (profileId === DEFAULT_PROFILE_ID ? key : prefix + key);
+
+        const unlockedKey = `${prefix}achievements`;
+        const stored = tx.read(unlockedKey, []);
+        const before = Array.isArray(stored) ? stored : [];
+        const unlocked = new Set(before);
+
+        MIGRATION_PAGE_ACHIEVEMENTS.forEach(({ id, key, perProfile }) => {
+          if (!perProfile && profileId !== DEFAULT_PROFILE_ID) return;
+          const listKey = pageKey(key);
+          const pageIds = tx.read(listKey, []);
+          if (!Array.isArray(pageIds)) return;
+          pageIds.filter(pageId => typeof pageId === 'string').forEach(pageId => unlocked.add(`${id}:${pageId}`));
+          tx.remove(listKey, `folded into ${unlockedKey}`);
+        });
+        if (unlocked.size !== before.length) tx.set(unlockedKey, encodeList([...unlocked]));
+
+        // Lifetime shapes traced, which the trace achievements now count from
+        const totalsKey = `${prefix}achievementTotals`;
+        const shapesKey = pageKey('trace-reveal:totalShapes');
+        const shapes = toCount(tx.read(shapesKey, 0));
+        const totals = tx.read(totalsKey, {}) || {};
+        if (shapes > (totals.trace?.shapes || 0)) {
+          const folded = { ...totals, trace: { ...totals.trace, shapes } };
+          tx.set(totalsKey, JSON.stringify(JSON.stringify(folded)), `shapes from ${shapesKey}`);
+        }
+      });
+    }
+  },
+  {
+    version: 5,
+    description: 'Keep the tier of achievements unlocked before they had tiers',
+    migrate(tx) {
+      migrationProfileIds(tx).forEach(profileId => {
+        const prefix = profilePrefix(profileId);
+        const stored = tx.read(`${prefix}achievements`, []);
+        const unlocked = Array.isArray(stored) ? stored : [];
+        const tiersKey = `${prefix}achievementTiers`;
+        const tiers = tx.read(tiersKey, {}) || {};
+        const seeded = { ...tiers };
+
+        Object.entries(MIGRATION_LEGACY_TIERS).forEach(([id, tier]) => {
+          if (!unlocked.includes(id) || seeded[id]) return;
+          seeded[id] = tier;
+          const date = tx.read(`${prefix}achievement_${id}_date`);
+          if (date) tx.set(`${prefix}achievement_${id}_${tier}_date`, JSON.stringify(date), `unlock date of ${id}`);
+        });
+        if (Object.keys(seeded).length !== Object.keys(tiers).length) {
+          tx.set(tiersKey, JSON.stringify(JSON.stringify(seeded)), 'tiers of achievements unlocked before tiers');
+        }
+      });
+    }
+  },
+  {
+    version: 6,
+    description: 'Keep difficulties already played unlocked',
+    migrate(tx) {
+      // Nothing recorded unlocks before the unlock rules took effect, so patients already
+      // practising medium or hard would be locked out of it. Grandfather every difficulty the
+      // history shows was played; unlock keys already set (a clinician's re-lock too) are kept.
+      const keys = tx.keys();
+      migrationProfileIds(tx).forEach(profileId => {
+        const prefix = profilePrefix(profileId);
+        const historyPrefix = `${prefix}sessions:`;
+        keys.forEach(key => {
+          if (!key.startsWith(historyPrefix)) return;
+          const id = key.slice(historyPrefix.length);
+          const history = tx.read(key, []);
+          const played = new Set((Array.isArray(history) ? history : [])
+            .map(s => s && s.difficulty)
+            .filter(difficulty => typeof difficulty === 'string' && difficulty));
+          played.forEach(difficulty => {
+            const unlockKey = `${prefix}unlock:${id}:${difficulty}`;
+            if (tx.get(unlockKey) === null) tx.set(unlockKey, 'true', `played in ${key}`);
+          });
+        });
+      });
+    }
+  }
+];
+
+/**
+ * Get the stored schema version (0 for data that predates migrations)
+ * @returns {number} Schema version
+ */
+export function getSchemaVersion() {
+  return storage.getInt(SCHEMA_VERSION_KEY, 0);
+}
+
+/**
+ * Run every migration newer than the stored schema version.
+ * A snapshot of every key about to change is saved to FPR_v1_migrationBackup
+ * first; if any migration throws or a write fails, nothing is left half-applied.
+ * @param {Object} options - { dryRun: report changes without writing, migrations: override list (tests) }
+ * @returns {Object} { fromVersion, toVersion, dryRun, applied: [{ version, description, changes }], error? }
+ */
+export function runMigrations({ dryRun = false, migrations = MIGRATIONS } = {}) {
+  const fromVersion = getSchemaVersion();
+  const result = { fromVersion, toVersion: fromVersion, dryRun, applied: [] };
+
+  const ls = storage.isAvailable() ? getLS() : null;
+  const due = migrations
+    .filter(m => m.version > fromVersion)
+    .sort((a, b) => a.version - b.version);
+  if (!ls || due.length === 0) return result;
+
+  const { tx, pending, changes } = createMigrationTx(ls);
+  for (const migration of due) {
+    const start = changes.length;
+    try {
+      migration.migrate(tx);
+    } catch (error) {
+      if (!isTest) console.error(`Migration ${migration.version} failed:`, error);
+      return { ...result, error: `Migration ${migration.version} failed: ${error.message}` };
+    }
+    result.applied.push({
+      version: migration.version,
+      description: migration.description,
+      changes: changes.slice(start)
+    });
+  }
+  result.toVersion = due[due.length - 1].version;
+
+  if (dryRun) return result;
+
+  const backup = { createdAt: new Date().toISOString(), fromVersion, toVersion: result.toVersion, keys: {} };
+  pending.forEach((_, key) => {
+    backup.keys[key] = ls.getItem(key);
+  });
+
+  const written = [];
+  try {
+    // Keep the previous backup if this run changes nothing
+    if (pending.size) ls.setItem(PREFIX + MIGRATION_BACKUP_KEY, JSON.stringify(backup));
+    pending.forEach((value, key) => {
+      written.push(key);
+      if (value === null) ls.removeItem(key);
+      else ls.setItem(key, value);
+    });
+    ls.setItem(PREFIX + SCHEMA_VERSION_KEY, String(result.toVersion));
+  } catch (error) {
+    // Most likely quota exceeded part-way - put back what this run touched. The
+    // in-memory snapshot is used because the stored backup may be the one that
+    // failed to write (leaving an older run's backup in place).
+    written.forEach(key => {
+      try {
+        if (backup.keys[key] === null) ls.removeItem(key);
+        else ls.setItem(key, backup.keys[key]);
+      } catch {
+        // Restoring a value never needs more room than the value it replaces
+      }
+    });
+    if (!isTest) console.error('Migration write failed:', error);
+    return { ...result, toVersion: fromVersion, error: `Migration write failed: ${error.message}` };
+  }
+
+  return result;
+}
+
+/**
+ * Restore the keys saved before the last migration run and rewind the schema version.
+ * Migrations after the restored version run again on the next initUtils().
+ * @returns {boolean} True if a backup was found and restored
+ */
+export function restoreMigrationBackup() {
+  const backup = storage.getJSON(MIGRATION_BACKUP_KEY, null);
+  const ls = getLS();
+  if (!ls || !backup || typeof backup.keys !== 'object') return false;
+
+  try {
+    Object.entries(backup.keys).forEach(([key, value]) => {
+      if (value === null) ls.removeItem(key);
+      else ls.setItem(key, value);
+    });
+    ls.setItem(PREFIX + SCHEMA_VERSION_KEY, String(backup.fromVersion || 0));
+    return true;
+  } catch (error) {
+    if (!isTest) console.error('Migration restore failed:', error);
+    return false;
   }
 }
 
@@ -376,6 +1212,17 @@ export const toast = {
   }
 };
 
+/**
+ * Positional shorthand for toast.show (used by dashboard and adaptive difficulty)
+ * @param {string} message - Toast message
+ * @param {string} type - Toast type (success, error, warning, info)
+ * @param {number} duration - Display time in ms
+ * @returns {HTMLElement|undefined} Toast element
+ */
+export function showToast(message, type = 'info', duration = 4000) {
+  return toast.show(message, { type, duration });
+}
+
 /**
  * Create toast container with enhanced accessibility
  */
@@ -618,6 +1465,9 @@ export function initUtils() {
     return;
   }
   
+  // Bring stored data up to the current schema before anything reads it
+  runMigrations();
+
   // Initialize theme from storage
   theme.init();
   
@@ -8,10 +8,24 @@
  * - 1 = consecutive day (increment streak)  
  * - 0 = same day (maintain streak)
  * - >1 = gap (reset streak or check Monday amnesty)
+ *
+ * Day keys: the single place a moment in time becomes a practice day.
+ * dayKey() reads the wall clock in the session's IANA timezone, so streaks,
+ * charts, reports and achievements agree on which day a session belongs to,
+ * DST changes don't shift it, and travelling doesn't break a streak. The
+ * practice day can start after midnight (e.g. 3am for night owls); that
+ * setting is stored per profile.
  */
 
+import { storage } from '../utils.js';
+
 // Constants
 const MS_PER_DAY = 86_400_000; // 24 * 60 * 60 * 1000ms
+const YMD_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_START_HOUR_KEY = 'dayStartHour';
+
+export const DEFAULT_DAY_START_HOUR = 0;
+export const MAX_DAY_START_HOUR = 6;
 
 /**
  * Guard to ensure a Date is valid
@@ -66,13 +80,13 @@ export function dayDiff(ymdA, ymdB) {
 }
 
 /**
- * Get current date as UTC-normalized YYYY-MM-DD string
+ * Get the current practice day as a YYYY-MM-DD day key
  * Convenience function for consistent "today" representation
  * 
  * @returns {string} Today's date in YYYY-MM-DD format
  */
 export function today() {
-  return toYMD(new Date());
+  return dayKey(new Date());
 }
 
 /**
@@ -113,4 +127,151 @@ export function addDays(ymd, days) {
   assertValidDate(base, 'ymd');
   const newTime = base.getTime() + days * MS_PER_DAY;
   return toYMD(new Date(newTime));
-}
\ No newline at end of file
+}
+
+// ============================================================================
+// DAY KEYS
+// ============================================================================
+
+const formatters = new Map();
+
+/**
+ * Wall-clock parts of a moment in a timezone
+ * @param {number} ms - Timestamp
+ * @param {string} timeZone - IANA timezone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+function wallClock(ms, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }));
+  }
+  const parts = {};
+  formatters.get(timeZone).formatToParts(ms).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = Number(value);
+  });
+  return parts;
+}
+
+/**
+ * Use a timezone if the runtime knows it, otherwise the device's own
+ * @param {string} timeZone - IANA timezone (may be missing or bogus)
+ * @returns {string} Usable IANA timezone
+ */
+function resolveTimeZone(timeZone) {
+  if (!timeZone) return getTimeZone();
+  try {
+    wallClock(0, timeZone);
+    return timeZone;
+  } catch {
+    // RangeError for zones this runtime doesn't know
+    return getTimeZone();
+  }
+}
+
+/**
+ * The device's IANA timezone (stored with each session)
+ * @returns {string} e.g. 'Europe/London', or 'UTC' if the runtime can't tell
+ */
+export function getTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch {
+    return 'UTC';
+  }
+}
+
+/**
+ * Hour (local time) at which the active profile's practice day starts
+ * @returns {number} 0 (midnight) to MAX_DAY_START_HOUR
+ */
+export function getDayStartHour() {
+  const hour = storage.getInt(DAY_START_HOUR_KEY, DEFAULT_DAY_START_HOUR);
+  return Number.isInteger(hour) && hour >= 0 && hour <= MAX_DAY_START_HOUR ? hour : DEFAULT_DAY_START_HOUR;
+}
+
+/**
+ * Set the hour at which the active profile's practice day starts
+ * @param {number} hour - 0 (midnight) to MAX_DAY_START_HOUR
+ * @returns {number} Stored hour
+ * @throws {Error} If the hour is out of range
+ */
+export function setDayStartHour(hour) {
+  const value = Number(hour);
+  if (!Number.isInteger(value) || value < 0 || value > MAX_DAY_START_HOUR) {
+    throw new Error(`Day start must be a whole hour from 0 to ${MAX_DAY_START_HOUR}`);
+  }
+  storage.set(DAY_START_HOUR_KEY, String(value));
+  return value;
+}
+
+/**
+ * Practice day a moment belongs to, as a YYYY-MM-DD key. Moments before the
+ * day-start hour count towards the previous day. YYYY-MM-DD strings are
+ * already day keys and are returned unchanged.
+ *
+ * @param {Date|string|number} dateLike - Moment to bucket
+ * @param {Object} [options] - { timeZone (IANA, defaults to the device's), dayStartHour (defaults to the profile's) }
+ * @returns {string} Day key
+ * @throws {Error} If input cannot be parsed as a valid date
+ */
+export function dayKey(dateLike, { timeZone, dayStartHour = getDayStartHour() } = {}) {
+  if (typeof dateLike === 'string' && YMD_PATTERN.test(dateLike)) {
+    assertValidDate(new Date(`${dateLike}T00:00:00.000Z`), 'dateLike');
+    return dateLike;
+  }
+  const d = (dateLike instanceof Date) ? dateLike : new Date(dateLike);
+  assertValidDate(d, 'dateLike');
+
+  // Compare wall-clock hours rather than subtracting a fixed offset, so the
+  // 23- and 25-hour days around DST changes still split at the right hour
+  const { year, month, day, hour } = wallClock(d.getTime(), resolveTimeZone(timeZone));
+  const ymd = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  return hour < dayStartHour ? addDays(ymd, -1) : ymd;
+}
+
+/**
+ * Day key for a stored session, using the timezone it was recorded in
+ * @param {Object} session - Session entry ({ timestamp, timeZone })
+ * @returns {string} Day key
+ */
+export function sessionDayKey(session) {
+  return dayKey(session.timestamp, { timeZone: session.timeZone });
+}
+
+/**
+ * Wall-clock time of a session in the timezone it was recorded in
+ * @param {Object} session - Session entry ({ timestamp, timeZone })
+ * @returns {string} HH:MM (24-hour)
+ */
+export function sessionTimeOfDay(session) {
+  const { hour, minute } = wallClock(session.timestamp, resolveTimeZone(session.timeZone));
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+/**
+ * Timestamp at which a practice day starts
+ *
+ * @param {string} ymd - Day key (YYYY-MM-DD)
+ * @param {Object} [options] - Same as dayKey()
+ * @returns {number} Timestamp (ms)
+ * @throws {Error} If ymd cannot be parsed as a valid date
+ */
+export function dayStart(ymd, { timeZone, dayStartHour = getDayStartHour() } = {}) {
+  const base = new Date(`${ymd}T00:00:00.000Z`);
+  assertValidDate(base, 'ymd');
+  const zone = resolveTimeZone(timeZone);
+  const target = base.getTime() + dayStartHour * 3_600_000;
+
+  // The zone's offset depends on the instant, so correct the guess twice
+  const offsetAt = (ms) => {
+    const p = wallClock(ms, zone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(ms / 1000) * 1000;
+  };
+  const guess = target - offsetAt(target);
+  return target - offsetAt(guess);
+}
@@ -4,7 +4,12 @@
  * Updated to use ES module imports instead of require()
  */
 
-import { checkAndUnlockAchievements } from '../../js/achievements.js';
+import {
+  checkAndUnlockAchievements, validateAchievements, getAchievementProgress,
+  unlockExerciseAchievements, getExerciseAchievements, getAchievementTier
+} from '../../js/achievements.js';
+import { adaptiveDifficulty } from '../../js/adaptive-difficulty.js';
+import { updateStreak } from '../../js/progress.js';
 
 describe('Achievement System', () => {
   beforeEach(() => {
@@ -88,4 +93,122 @@ describe('Achievement System', () => {
       expect(unlockedAchievements).toEqual([]);
     });
   });
-});
\ No newline at end of file
+
+  describe('Achievement Rules', () => {
+    test('should ship valid definitions and catch broken ones', () => {
+      expect(validateAchievements()).toEqual({ isValid: true, issues: [] });
+
+      const { isValid, issues } = validateAchievements({
+        nameless: { rule: { scope: 'global', metric: 'streak', operator: '>=', threshold: 3 } },
+        stepped: {
+          name: 'Stepped',
+          description: 'x',
+          repeat: 'week',
+          rule: { scope: 'global', metric: 'streak', operator: '>=', threshold: 3 },
+          tiers: { bronze: 5, silver: 5, platinum: 9 }
+        },
+        monthly: { name: 'Monthly', description: 'x', repeat: 'month', rule: { scope: 'global', metric: 'weekDays', operator: '>=', threshold: 3 } },
+        'maze:solved': { name: 'Solved', description: 'x', exercise: 'sort', rule: { scope: 'session', metric: 'solved', operator: '>=', threshold: 1 } },
+        empty: { name: 'Empty', description: 'x', rule: [] },
+        odd: {
+          name: 'Odd',
+          description: 'x',
+          rule: [
+            { scope: 'weekly', metric: 'score', operator: '>=', threshold: 1 },
+            { scope: 'difficulty', metric: 'best', operator: '~', threshold: 1 },
+            { scope: 'global', operator: '>', threshold: true }
+          ]
+        }
+      });
+      expect(isValid).toBe(false);
+      expect(issues).toEqual([
+        'Achievement nameless needs a name and a description',
+        'Achievement stepped has tiers, so its rule must be one clause without a threshold',
+        'Achievement stepped has tiers other than bronze, silver, gold',
+        'Achievement stepped needs tier thresholds that get harder from bronze to silver',
+        'Achievement stepped cannot be both tiered and repeatable',
+        'Achievement monthly repeats over an unknown period: month',
+        'Achievement maze:solved belongs to sort and must be named sort:…',
+        'Achievement empty has no rule',
+        'Achievement odd has an unknown scope: weekly',
+        'Achievement odd needs a difficulty for its difficulty rule',
+        'Achievement odd has an unknown operator: ~',
+        'Achievement odd has a rule without a metric',
+        'Achievement odd needs a number, metric name or (with ==) true/false threshold'
+      ]);
+    });
+
+    test('should report how far each achievement has come', () => {
+      localStorage.setItem('FPR_v1_totalSessions', '"34"');
+      checkAndUnlockAchievements();
+
+      const progress = getAchievementProgress();
+
+      expect(progress.dedicated).toMatchObject({
+        unlocked: true, tier: 'bronze', nextTier: 'silver', progress: 34, target: 50, fraction: 0.68,
+        description: 'Complete 50 total sessions', tierDates: { bronze: '2024-01-15T12:00:00.000Z' }
+      });
+      expect(progress.firstSteps).toMatchObject({ progress: 1, target: 1, fraction: 1 });
+      expect(progress.personalBest).toMatchObject({ progress: 0, target: 1, fraction: 0 });
+      expect(progress['scanner:marathon']).toMatchObject({ progress: 0, target: 10, exercise: 'scanner' });
+    });
+
+    test('should count exercise totals across sessions and the one in progress', () => {
+      expect(checkAndUnlockAchievements({ id: 'trace', shapes: 8 })).toEqual(['trace:first-shape']);
+
+      const unlocked = unlockExerciseAchievements('trace-reveal', { shapes: 2, coverage: 96, difficulty: 'hard' });
+
+      expect(unlocked.map(a => a.id)).toEqual(['trace:ten-shapes', 'trace:perfect-coverage', 'trace:hard-mode']);
+      expect(unlocked[0]).toMatchObject({ name: 'Getting Started', exercise: 'trace' });
+      expect(getExerciseAchievements('trace').filter(a => a.unlocked)).toHaveLength(4);
+      // The session in progress is only added to the totals once it is recorded
+      expect(getAchievementProgress()['trace:fifty-shapes']).toMatchObject({ progress: 8, target: 50 });
+      expect(unlockExerciseAchievements('trace', { shapes: 2 })).toEqual([]);
+    });
+
+    test('should move up through tiers, dating each one', () => {
+      localStorage.setItem('FPR_v1_totalSessions', '"60"');
+      expect(checkAndUnlockAchievements()).toEqual(['firstSteps', 'dedicated']);
+      expect(getAchievementTier('dedicated')).toBe('silver');
+      expect(localStorage.getItem('FPR_v1_achievement_dedicated_bronze_date')).not.toBeNull();
+      expect(checkAndUnlockAchievements()).toEqual([]);
+
+      jest.advanceTimersByTime(86_400_000);
+      localStorage.setItem('FPR_v1_totalSessions', '"200"');
+      expect(checkAndUnlockAchievements()).toEqual(['dedicated']);
+      expect(getAchievementProgress().dedicated).toMatchObject({
+        tier: 'gold', nextTier: null, fraction: 1, description: 'Complete 200 total sessions',
+        tierDates: { bronze: '2024-01-15T12:00:00.000Z', silver: '2024-01-15T12:00:00.000Z', gold: '2024-01-16T12:00:00.000Z' }
+      });
+    });
+
+    test('should award weekly badges once in each week they are met', () => {
+      const practise = (day) => {
+        jest.setSystemTime(new Date(`${day}T12:00:00Z`));
+        updateStreak(day);
+        return checkAndUnlockAchievements();
+      };
+      ['2024-01-15', '2024-01-16', '2024-01-17', '2024-01-18'].forEach(day => expect(practise(day)).not.toContain('steady_week'));
+      expect(practise('2024-01-19')).toContain('steady_week');
+      expect(practise('2024-01-20')).not.toContain('steady_week');
+      expect(getAchievementProgress().full_week).toMatchObject({ secret: true, unlocked: false, progress: 6, target: 7 });
+      expect(practise('2024-01-21')).toContain('full_week');
+
+      // A new week starts from nothing
+      expect(getAchievementProgress().steady_week).toMatchObject({ count: 1, earnedThisWeek: true });
+      ['2024-01-22', '2024-01-23', '2024-01-24', '2024-01-25'].forEach(practise);
+      expect(getAchievementProgress().steady_week).toMatchObject({ progress: 4, earnedThisWeek: false, fraction: 0.8 });
+      expect(practise('2024-01-26')).toEqual(['steady_week']);
+      expect(getAchievementProgress().steady_week).toMatchObject({ count: 2, lastEarned: '2024-01-26T12:00:00.000Z' });
+    });
+
+    test('should read per-difficulty bests for difficulty rules', () => {
+      adaptiveDifficulty.recordSession('comet', 'hard', 900, { accuracy: 90 });
+      expect(checkAndUnlockAchievements()).not.toContain('hard_clear');
+      expect(getAchievementProgress().hard_clear).toMatchObject({ progress: 900, target: 1000, fraction: 0.9 });
+
+      adaptiveDifficulty.recordSession('comet', 'hard', 1200, { accuracy: 90 });
+      expect(checkAndUnlockAchievements()).toContain('hard_clear');
+    });
+  });
+});
@@ -0,0 +1,82 @@
+// Tests for rule-driven difficulty unlocks
+import { adaptiveDifficulty } from '../../js/adaptive-difficulty.js';
+import { UNLOCK_RULES, getUnlockRule, validateUnlockRules } from '../../js/exercises.js';
+
+describe('Adaptive Difficulty', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test('should ship a valid rule set and catch broken rules', () => {
+    expect(validateUnlockRules()).toEqual({ isValid: true, issues: [] });
+    expect(getUnlockRule('bubble_tap', 'hard')).toEqual({ ...UNLOCK_RULES.bubble.hard });
+    expect(getUnlockRule('maze', 'medium').minAccuracy).toBe(0);
+    expect(getUnlockRule('maze', 'easy')).toBeNull();
+
+    const { isValid, issues } = validateUnlockRules({
+      maze: {
+        easy: { base: 'easy' },
+        hard: { base: 'hard', minScore: -1, minSpeed: 2 }
+      },
+      sort: { medium: { base: 'easy', minAccuracy: 120 } },
+      juggling: { medium: { base: 'easy' } }
+    });
+    expect(isValid).toBe(false);
+    expect(issues).toEqual([
+      'Unlock rule maze:easy locks the first difficulty',
+      'Unlock rule maze:easy must be earned on an easier difficulty, not easy',
+      'Unlock rule maze:hard must be earned on an easier difficulty, not hard',
+      'Unlock rule maze:hard needs a non-negative number for minScore',
+      'Unlock rule maze:hard has an unknown criterion: minSpeed',
+      'Unlock rule sort:medium asks for more than 100% accuracy',
+      'Unlock rules reference non-existent exercise: juggling'
+    ]);
+  });
+
+  test('should unlock once every criterion on the base difficulty is met', () => {
+    const { minSessions, minScore, minAccuracy } = UNLOCK_RULES.sort.medium;
+    expect(adaptiveDifficulty.isUnlocked('sort', 'medium')).toBe(false);
+
+    for (let i = 1; i < minSessions; i++) {
+      expect(adaptiveDifficulty.recordSession('sort', 'easy', minScore, { accuracy: 90 })).toEqual([]);
+    }
+    // Score and sessions are there, but this session drags the accuracy down
+    expect(adaptiveDifficulty.recordSession('sort', 'easy', minScore, { accuracy: 40 })).toEqual([]);
+    const progress = adaptiveDifficulty.getUnlockProgress('sort', 'medium');
+    expect(progress).toMatchObject({ sessionsMet: true, scoreMet: true, averageMet: true, accuracyMet: false, allMet: false });
+    expect(progress.currentAccuracy).toBeLessThan(minAccuracy);
+
+    const unlocks = adaptiveDifficulty.recordSession('sort', 'easy', minScore, { accuracy: 100 });
+    expect(unlocks).toEqual([{ exerciseId: 'sort', difficulty: 'medium', label: 'Medium - Sort & Categorize' }]);
+    expect(adaptiveDifficulty.isUnlocked('sort', 'medium')).toBe(true);
+    expect(adaptiveDifficulty.isUnlocked('sort', 'hard')).toBe(false);
+    expect(adaptiveDifficulty.getUnlockCriteria('sort', 'hard'))
+      .toBe('Complete 3 sessions on Medium with best score ≥ 2000, average score ≥ 1200, average accuracy ≥ 80%');
+  });
+
+  test('should lock options in place on a page select', () => {
+    const select = document.createElement('select');
+    select.innerHTML = `
+      <option value="slow" data-difficulty="easy">Slow (Beginner)</option>
+      <option value="medium" data-difficulty="medium" selected>Medium (Intermediate)</option>
+      <option value="fast" data-difficulty="hard">Fast (Advanced)</option>`;
+
+    adaptiveDifficulty.updateDifficultyUI('comet', select);
+    const [slow, medium, fast] = select.options;
+    expect(select.value).toBe('slow');
+    expect(medium.disabled).toBe(true);
+    expect(medium.textContent).toBe('🔒 Medium (Intermediate)');
+    expect(fast.title).toMatch(/^Unlock Hard: Complete 3 sessions on Medium/);
+    expect(slow.disabled).toBe(false);
+
+    adaptiveDifficulty.setUnlocked('comet', 'medium', true);
+    adaptiveDifficulty.updateDifficultyUI('comet', select, 'medium');
+    expect(select.value).toBe('medium');
+    expect(medium.textContent).toBe('Medium (Intermediate)');
+    expect(fast.disabled).toBe(true);
+
+    const empty = document.createElement('select');
+    adaptiveDifficulty.updateDifficultyUI('maze', empty);
+    expect(Array.from(empty.options, o => o.textContent)).toEqual(['Easy', '🔒 Medium', '🔒 Hard']);
+  });
+});
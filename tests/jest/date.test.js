@@ -0,0 +1,77 @@
+// Tests for timezone- and DST-safe day keys
+import {
+  dayKey, dayStart, sessionDayKey, sessionTimeOfDay, today, getDayStartHour, setDayStartHour
+} from '../../js/utils/date.js';
+import { recordSession, updateStreak, getStreakState } from '../../js/progress.js';
+import { buildSessionsCsv } from '../../js/report.js';
+import { sessionStore } from '../../js/session-store.js';
+
+describe('Day Keys', () => {
+  const NEW_YORK = { timeZone: 'America/New_York' };
+
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test('should bucket by the wall clock in the given timezone', () => {
+    const lateEvening = '2024-01-15T03:30:00.000Z'; // 22:30 on the 14th in New York
+    expect(dayKey(lateEvening, { timeZone: 'UTC' })).toBe('2024-01-15');
+    expect(dayKey(lateEvening, NEW_YORK)).toBe('2024-01-14');
+    expect(dayKey(lateEvening, { timeZone: 'Asia/Tokyo' })).toBe('2024-01-15');
+  });
+
+  test('should pass day keys through and fall back on unknown timezones', () => {
+    expect(dayKey('2024-02-29', NEW_YORK)).toBe('2024-02-29');
+    expect(dayKey('2024-01-15T12:00:00.000Z', { timeZone: 'Mars/Olympus_Mons' })).toBe('2024-01-15');
+    expect(() => dayKey('not a date')).toThrow(/Invalid/);
+  });
+
+  test('should count hours before the day start towards the previous day', () => {
+    expect(dayKey('2024-01-15T02:30:00.000Z', { timeZone: 'UTC', dayStartHour: 3 })).toBe('2024-01-14');
+    expect(dayKey('2024-01-15T03:00:00.000Z', { timeZone: 'UTC', dayStartHour: 3 })).toBe('2024-01-15');
+
+    setDayStartHour(3);
+    expect(getDayStartHour()).toBe(3);
+    expect(dayKey('2024-01-15T02:30:00.000Z', { timeZone: 'UTC' })).toBe('2024-01-14');
+    expect(() => setDayStartHour(12)).toThrow(/Day start/);
+  });
+
+  test('should split days at the right hour across DST changes', () => {
+    // New York springs forward at 02:00 on 2024-03-10 (07:00Z)
+    const options = { ...NEW_YORK, dayStartHour: 3 };
+    expect(dayKey('2024-03-10T06:30:00.000Z', options)).toBe('2024-03-09'); // 01:30 EST
+    expect(dayKey('2024-03-10T07:30:00.000Z', options)).toBe('2024-03-10'); // 03:30 EDT
+    expect(dayStart('2024-03-10', options)).toBe(Date.parse('2024-03-10T07:00:00.000Z'));
+    expect(dayStart('2024-03-11', options)).toBe(Date.parse('2024-03-11T07:00:00.000Z'));
+    expect(dayStart('2024-11-03', NEW_YORK)).toBe(Date.parse('2024-11-03T04:00:00.000Z'));
+  });
+
+  test('should keep sessions on the day they were practised after travel', () => {
+    // 05:00 on the 15th in Tokyo, still the 14th in UTC
+    const session = { timestamp: Date.parse('2024-01-14T20:00:00.000Z'), timeZone: 'Asia/Tokyo' };
+    expect(sessionDayKey(session)).toBe('2024-01-15');
+    expect(sessionTimeOfDay(session)).toBe('05:00');
+    expect(sessionDayKey({ timestamp: session.timestamp })).toBe('2024-01-14');
+  });
+
+  test('should store the timezone with recorded sessions and use it for the streak', () => {
+    const { sessionEntry } = recordSession('bubble', 'easy', 10);
+    expect(sessionEntry.timeZone).toBe('UTC');
+    expect(getStreakState().lastActiveDate).toBe(today());
+
+    updateStreak('2024-01-14');
+    expect(getStreakState()).toMatchObject({ streak: 1, lastActiveDate: '2024-01-15' });
+  });
+
+  test('should use session timezones in reports and day queries', async () => {
+    localStorage.setItem('FPR_v1_sessions:bubble', JSON.stringify(JSON.stringify([
+      { id: 'bubble', difficulty: 'easy', score: 5, timestamp: Date.parse('2024-01-14T20:00:00.000Z'), timeZone: 'Asia/Tokyo' }
+    ])));
+
+    const csv = (await buildSessionsCsv({ from: '2024-01-15', to: '2024-01-15' })).split('\r\n');
+    expect(csv[1]).toMatch(/^2024-01-15,05:00,bubble,/);
+
+    expect(await sessionStore.queryDays('2024-01-15', '2024-01-15')).toHaveLength(1);
+    expect(await sessionStore.queryDays('2024-01-14', '2024-01-14')).toHaveLength(0);
+  });
+});
@@ -0,0 +1,87 @@
+// Tests for in-session dynamic difficulty
+import {
+  parametersAt, createStaircase, trajectoryExtras, DIFFICULTY_PARAMETERS, NEUTRAL_LEVEL
+} from '../../js/dynamic-difficulty.js';
+import { createExerciseRuntime } from '../../js/exercise-runtime.js';
+import { adaptiveDifficulty } from '../../js/adaptive-difficulty.js';
+
+describe('Dynamic Difficulty', () => {
+  const neutral = { sizeScale: 1, visibleScale: 1, spawnGapMs: 450, speedScale: 1, distractorOffset: 0, lengthStep: 1, cellScale: 1, toleranceScale: 1 };
+
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test('should leave every exercise as configured at the neutral level', () => {
+    Object.entries(DIFFICULTY_PARAMETERS).forEach(([id, parameters]) => {
+      Object.entries(parametersAt(id, NEUTRAL_LEVEL)).forEach(([name, value]) => {
+        expect(value).toBe(neutral[name]);
+      });
+      expect(Object.keys(parametersAt(id, 0))).toEqual(Object.keys(parameters));
+    });
+    expect(parametersAt('bubble_tap', 1)).toEqual({ sizeScale: 0.6, visibleScale: 0.5, spawnGapMs: 150 });
+    expect(parametersAt('visual-scanner', 0.8)).toEqual({ distractorOffset: 2 });
+    expect(parametersAt('comet', 7)).toEqual({ speedScale: 1.4 });
+    expect(parametersAt('sequence', 0.5)).toEqual({});
+  });
+
+  test('should step toward the target band and halve the step on a reversal', () => {
+    expect(() => createStaircase({ band: { low: 0.9, high: 0.8 } })).toThrow('Target band must have low below high');
+    expect(() => createStaircase({ window: 0 })).toThrow('Window must be a whole number of trials');
+
+    const staircase = createStaircase({ window: 4 });
+    const block = (results) => results.map(correct => staircase.record(correct)).at(-1);
+
+    expect(block([true, true, true, true])).toEqual({ level: 0.6, direction: 1, successRate: 1 });
+    expect(block([true, true, true, false])).toBeNull(); // 75%: inside the band
+    expect(block([true, false, false, true])).toEqual({ level: 0.55, direction: -1, successRate: 0.5 });
+    expect(block([false, false, false, false])).toEqual({ level: 0.5, direction: -1, successRate: 0 });
+
+    const resumed = createStaircase({ window: 4, state: staircase.snapshot() });
+    expect(resumed.level).toBe(0.5);
+    expect(resumed.snapshot()).toEqual({ level: 0.5, step: 0.05, lastDirection: -1 });
+
+    const floor = createStaircase({ level: 0, window: 1 });
+    expect(floor.record(false)).toBeNull();
+    expect(floor.level).toBe(0);
+  });
+
+  test('should weight the session level by time spent at each level', () => {
+    expect(trajectoryExtras([], 1_000)).toEqual({});
+    const trajectory = [{ atMs: 0, level: 0.5 }, { atMs: 30_000, level: 0.6 }, { atMs: 40_000, level: 0.7 }];
+    expect(trajectoryExtras(trajectory, 60_000)).toEqual({
+      difficultyLevel: 0.58, finalDifficultyLevel: 0.7, difficultyTrajectory: trajectory
+    });
+
+    const long = Array.from({ length: 80 }, (_, i) => ({ atMs: i * 1_000, level: i % 2 ? 0.6 : 0.5 }));
+    const { difficultyTrajectory } = trajectoryExtras(long, 80_000);
+    expect(difficultyTrajectory).toHaveLength(50);
+    expect(difficultyTrajectory[0]).toBe(long[0]);
+    expect(difficultyTrajectory.at(-1)).toBe(long.at(-1));
+  });
+
+  test('should retune the page from its trials and record the trajectory', async () => {
+    const onDifficulty = jest.fn();
+    const onSummary = jest.fn();
+    const hooks = { onDifficulty, onSummary, onStop: () => ({ score: 10 }) };
+    const runtime = createExerciseRuntime({
+      exerciseId: 'comet', hooks, countdown: false, dynamicDifficulty: { window: 4 }
+    });
+    await runtime.start({ durationMs: 60_000, difficulty: 'easy' });
+    expect(onDifficulty).toHaveBeenCalledWith({ level: 0.5, params: { speedScale: 1 }, direction: 0 });
+
+    await jest.advanceTimersByTimeAsync(20_000);
+    [true, true, true, true].forEach(correct => runtime.recordTrial({ correct, reactionMs: 300 }));
+    expect(onDifficulty).toHaveBeenLastCalledWith({ level: 0.6, params: { speedScale: 1.08 }, direction: 1, successRate: 1 });
+
+    await jest.advanceTimersByTimeAsync(40_100);
+    const [summary] = onSummary.mock.calls[0];
+    expect(summary.sessionEntry).toMatchObject({
+      difficultyLevel: 0.57,
+      finalDifficultyLevel: 0.6,
+      difficultyTrajectory: [{ atMs: 0, level: 0.5 }, { atMs: 20_000, level: 0.6 }]
+    });
+    expect(adaptiveDifficulty.getPerformanceData('comet', 'easy').averageLevel).toBe(0.57);
+    runtime.destroy();
+  });
+});
@@ -0,0 +1,308 @@
+// Tests for the shared exercise runtime
+import {
+  computeMedalTier, computeInsight, loadPastSessions, savePastSession, completeSession, createExerciseRuntime,
+  detectFatigue, setIntervalPlan, getIntervalPlan, saveCheckpoint, loadCheckpoint, PAST_SESSIONS_LIMIT,
+  CHECKPOINT_MAX_AGE_MS
+} from '../../js/exercise-runtime.js';
+import { storage } from '../../js/utils.js';
+
+describe('Exercise Runtime', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test('should grade medals against the previous best', () => {
+    expect(computeMedalTier(10, 0).tier).toBe('silver');
+    expect(computeMedalTier(101, 100).tier).toBe('platinum');
+    expect(computeMedalTier(90, 100).tier).toBe('gold');
+    expect(computeMedalTier(70, 100).tier).toBe('silver');
+    expect(computeMedalTier(69, 100).tier).toBe('bronze');
+  });
+
+  test('should pick the first true insight and fall back to practice logged', () => {
+    const fast = (curr, past, prev) => (curr.avg < prev.avg ? { icon: '⚡', text: 'faster' } : null);
+    expect(computeInsight({ avg: 300 }, [], [fast])).toBeNull();
+    expect(computeInsight({ avg: 300 }, [{ avg: 400 }], [fast]).text).toBe('faster');
+    expect(computeInsight({ avg: 500 }, [{ avg: 400 }], [fast]).text).toMatch(/Practice logged/);
+  });
+
+  test('should keep a capped past-sessions list, adopting the legacy one once', () => {
+    const legacy = () => [{ score: 1 }, { score: 0 }];
+    expect(loadPastSessions('bubble', legacy)).toHaveLength(2);
+
+    for (let i = 0; i < PAST_SESSIONS_LIMIT; i++) savePastSession('bubble', { score: i + 2 }, legacy);
+    const list = loadPastSessions('bubble', legacy);
+    expect(list).toHaveLength(PAST_SESSIONS_LIMIT);
+    expect(list[0]).toMatchObject({ score: PAST_SESSIONS_LIMIT + 1, ts: Date.now() });
+  });
+
+  test('should record progress, achievements and points for a real session', async () => {
+    const summary = await completeSession({
+      exerciseId: 'bubble_tap',
+      difficulty: 'easy',
+      score: 120,
+      stats: { acc: 90 },
+      extras: { accuracy: 90 }
+    });
+
+    expect(summary).toMatchObject({ previousBest: 0, isNewBest: true, medal: { tier: 'silver' }, insight: null });
+    expect(summary.sessionEntry).toMatchObject({ id: 'bubble', difficulty: 'easy', score: 120, accuracy: 90 });
+    expect(summary.achievements).toContain('firstSteps');
+    expect(summary.points.pointsEarned).toBeGreaterThan(0);
+    expect(storage.getInt('exercise:bubble:best', 0)).toBe(120);
+    expect(loadPastSessions('bubble')[0]).toMatchObject({ acc: 90, score: 120 });
+  });
+
+  test('should not record practice sessions', async () => {
+    const summary = await completeSession({ exerciseId: 'bubble', difficulty: 'easy', score: 50, practice: true });
+    expect(summary.medal).toBeNull();
+    expect(storage.getInt('totalSessions', 0)).toBe(0);
+    expect(loadPastSessions('bubble')).toEqual([]);
+  });
+
+  test('should run countdown → running → paused → summary through the hooks', async () => {
+    const phases = [];
+    let summarised;
+    const done = new Promise(resolve => { summarised = resolve; });
+    const hooks = {
+      onStart: jest.fn(),
+      onRun: jest.fn(),
+      onStop: jest.fn(() => ({ score: 42, stats: { hits: 3 } })),
+      onSummary: (summary) => summarised(summary),
+      onPhaseChange: (phase) => phases.push(phase)
+    };
+    const runtime = createExerciseRuntime({ exerciseId: 'comet', hooks, countdown: { stepMs: 10, goMs: 10 } });
+
+    const started = runtime.start({ durationMs: 1_000, difficulty: 'hard' });
+    expect(runtime.phase).toBe('countdown');
+    await jest.advanceTimersByTimeAsync(40);
+    expect(await started).toBe(true);
+    expect(hooks.onRun).toHaveBeenCalled();
+
+    runtime.togglePause();
+    await jest.advanceTimersByTimeAsync(5_000); // paused time doesn't count
+    expect(runtime.timeRemaining()).toBe(1_000);
+    runtime.togglePause();
+    await jest.advanceTimersByTimeAsync(1_100);
+
+    const summary = await done;
+    expect(phases).toEqual(['countdown', 'running', 'paused', 'running', 'summary']);
+    expect(hooks.onStop).toHaveBeenCalledWith(expect.objectContaining({ reason: 'complete', difficulty: 'hard' }));
+    expect(summary.sessionEntry).toMatchObject({
+      id: 'comet', difficulty: 'hard', score: 42, activeMs: 1_000,
+      pauseCount: 1, pausedMs: 5_000, pauseReasons: { user: { count: 1, ms: 5_000 } }
+    });
+  });
+
+  test('should abandon a session during the countdown without recording it', async () => {
+    const hooks = { onRun: jest.fn(), onExit: jest.fn() };
+    const runtime = createExerciseRuntime({ exerciseId: 'comet', hooks });
+
+    const started = runtime.start({ durationMs: 1_000 });
+    runtime.exit();
+    await jest.advanceTimersByTimeAsync(5_000);
+
+    expect(await started).toBe(false);
+    expect(hooks.onRun).not.toHaveBeenCalled();
+    expect(hooks.onExit).toHaveBeenCalled();
+    expect(runtime.phase).toBe('idle');
+  });
+
+  test('should detect falling accuracy and slowing reactions', () => {
+    const trial = (correct, reactionMs) => ({ correct, reactionMs });
+    const steady = Array.from({ length: 10 }, () => trial(true, 400));
+    expect(detectFatigue(steady)).toBeNull();
+    expect(detectFatigue(steady.slice(0, 6))).toBeNull(); // not enough trials yet
+
+    const sloppy = [...steady.slice(0, 5), trial(true, 400), trial(false, 400), trial(false, 400), trial(true, 400), trial(false, 400)];
+    expect(detectFatigue(sloppy)).toMatchObject({ reason: 'accuracy', before: 1, after: 0.4 });
+
+    const slow = [...steady.slice(0, 5), ...Array.from({ length: 5 }, () => trial(true, 600))];
+    expect(detectFatigue(slow)).toMatchObject({ reason: 'reaction', before: 400, after: 600 });
+  });
+
+  test('should run the stored interval plan and suggest a rest when fatigued', async () => {
+    setIntervalPlan('comet', { intervals: 2, workMs: 10_000, restMs: 5_000 });
+    expect(getIntervalPlan('comet')).toEqual({ intervals: 2, workMs: 10_000, restMs: 5_000 });
+
+    const hooks = { onRest: jest.fn(), onWork: jest.fn(), onFatigue: jest.fn(), onStop: jest.fn(() => ({ score: 1 })) };
+    const runtime = createExerciseRuntime({ exerciseId: 'comet', hooks, countdown: false, fatigue: { window: 4 } });
+    await runtime.start({ durationMs: 60_000 });
+    expect(runtime.timeRemaining()).toBe(20_000);
+
+    [true, true, false, false].forEach(correct => runtime.recordTrial({ correct }));
+    expect(hooks.onFatigue).toHaveBeenCalledWith(expect.objectContaining({ reason: 'accuracy' }));
+    hooks.onFatigue.mock.calls[0][0].rest();
+    expect(runtime.phase).toBe('resting');
+    expect(hooks.onRest).toHaveBeenCalledWith(expect.objectContaining({ early: true, restMs: 5_000, reason: 'fatigue' }));
+
+    runtime.skipRest();
+    expect(runtime.phase).toBe('running');
+    await jest.advanceTimersByTimeAsync(10_000);
+    expect(runtime.phase).toBe('resting');
+    expect(hooks.onRest).toHaveBeenLastCalledWith(expect.objectContaining({ early: false, interval: 2 }));
+
+    setIntervalPlan('comet', null);
+    expect(getIntervalPlan('comet')).toBeNull();
+    runtime.destroy();
+  });
+
+  test('should freeze the game for a rest and record no trials during it', async () => {
+    let frozen = false;
+    const hooks = {
+      onPauseChange: jest.fn((paused) => { frozen = paused; }),
+      onFatigue: jest.fn(),
+      onStop: () => ({ score: 1 })
+    };
+    const runtime = createExerciseRuntime({ exerciseId: 'comet', hooks, countdown: false, fatigue: { window: 4 } });
+    await runtime.start({ intervals: { intervals: 2, workMs: 5_000, restMs: 3_000 } });
+
+    await jest.advanceTimersByTimeAsync(5_000);
+    expect(runtime.phase).toBe('resting');
+    expect(hooks.onPauseChange).toHaveBeenLastCalledWith(true, 'rest');
+    expect(frozen).toBe(true);
+
+    // A pause and resume during the break keeps the game frozen
+    runtime.pause();
+    runtime.resume();
+    expect(runtime.phase).toBe('resting');
+    expect(frozen).toBe(true);
+
+    // Misses a page might still report under the rest overlay are ignored
+    [false, false, false, false].forEach(correct => expect(runtime.recordTrial({ correct })).toBeNull());
+    expect(hooks.onFatigue).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(3_000);
+    expect(runtime.phase).toBe('running');
+    expect(hooks.onPauseChange).toHaveBeenLastCalledWith(false, 'rest');
+    expect(frozen).toBe(false);
+    runtime.destroy();
+  });
+
+  test('should go back to idle when the page fails to stop', async () => {
+    const hooks = {
+      onStop: () => { throw new Error('game state lost'); },
+      onExit: jest.fn(),
+      onSummary: jest.fn()
+    };
+    const runtime = createExerciseRuntime({ exerciseId: 'comet', hooks, countdown: false });
+    await runtime.start({ durationMs: 5_000 });
+
+    await jest.advanceTimersByTimeAsync(5_000);
+    expect(runtime.phase).toBe('idle');
+    expect(hooks.onExit).toHaveBeenCalled();
+    expect(hooks.onSummary).not.toHaveBeenCalled();
+    expect(await runtime.start({ durationMs: 5_000 })).toBe(true);
+    runtime.destroy();
+  });
+
+  test('should show rests on the pause overlay, or a created one', async () => {
+    document.body.innerHTML = '<div id="overlay" class="hidden"><span id="label">Paused</span></div><button id="pause"></button>';
+    const overlayEl = document.getElementById('overlay');
+    const buttonEl = document.getElementById('pause');
+    const plan = { intervals: 2, workMs: 5_000, restMs: 3_000 };
+    const runtime = createExerciseRuntime({
+      exerciseId: 'maze',
+      countdown: false,
+      elements: { pause: { overlayEl, buttonEl, restLabelEl: document.getElementById('label') } }
+    });
+
+    await runtime.start({ intervals: plan });
+    await jest.advanceTimersByTimeAsync(5_000);
+    expect(overlayEl.classList.contains('is-resting')).toBe(true);
+    expect(overlayEl.classList.contains('hidden')).toBe(false);
+    expect(document.getElementById('label').textContent).toBe('Rest — 3s');
+
+    buttonEl.click(); // skips the rest
+    expect(runtime.phase).toBe('running');
+    expect(overlayEl.classList.contains('hidden')).toBe(true);
+    expect(document.getElementById('label').textContent).toBe('Paused');
+    runtime.destroy();
+
+    const bare = createExerciseRuntime({ exerciseId: 'maze', countdown: false });
+    await bare.start({ intervals: plan });
+    await jest.advanceTimersByTimeAsync(5_000);
+    const created = document.body.appendChild.mock.calls.at(-1)[0]; // appendChild is mocked in setup.js
+    expect(created.classList.contains('rest-overlay')).toBe(true);
+    expect(created.classList.contains('hidden')).toBe(false);
+    expect(created.querySelector('.rest-label').textContent).toBe('Rest — 3s');
+    bare.destroy();
+  });
+
+  test('should run the keyboard / switch controller only while the session runs', async () => {
+    let listening = false;
+    const access = { start: () => { listening = true; }, stop: () => { listening = false; }, destroy: jest.fn() };
+    const runtime = createExerciseRuntime({ exerciseId: 'rhythm', countdown: false, access });
+    await runtime.start({ durationMs: 60_000 });
+    expect(listening).toBe(true);
+
+    runtime.pause();
+    expect(listening).toBe(false);
+    runtime.resume();
+    expect(listening).toBe(true);
+
+    runtime.destroy();
+    expect(listening).toBe(false);
+    expect(access.destroy).toHaveBeenCalled();
+  });
+
+  test('should checkpoint a session and resume it after a reload', async () => {
+    let score = 0;
+    const snapshot = () => ({ score, stats: { score }, state: { score } });
+    const first = createExerciseRuntime({ exerciseId: 'comet', countdown: false, hooks: { onSnapshot: snapshot } });
+    await first.start({ durationMs: 60_000, difficulty: 'hard', spawn: 'fast' });
+    await jest.advanceTimersByTimeAsync(20_000);
+    score = 7;
+    first.recordTrial({ correct: true, reactionMs: 350 });
+    first.pause(); // pausing (like hiding the page) writes the checkpoint
+
+    expect(loadCheckpoint('comet')).toMatchObject({
+      difficulty: 'hard', durationMs: 60_000, remainingMs: 40_000, elapsedMs: 20_000, score: 7,
+      state: { score: 7 }, settings: { spawn: 'fast' }, trials: [{ correct: true, reactionMs: 350, atMs: 20_000 }]
+    });
+
+    // Reopening the page offers to resume
+    const hooks = { onSnapshot: snapshot, onRestore: jest.fn(), onStop: () => ({ score }), onSummary: jest.fn() };
+    const second = createExerciseRuntime({ exerciseId: 'comet', countdown: false, hooks });
+    const prompt = document.body.appendChild.mock.calls.at(-1)[0]; // appendChild is mocked in setup.js
+    expect(prompt.classList.contains('recovery-overlay')).toBe(true);
+    expect(prompt.querySelector('.rest-hint').textContent).toBe('Score 7 · 0:40 left');
+
+    prompt.querySelector('[data-action="resume"]').click();
+    await jest.advanceTimersByTimeAsync(0);
+    expect(second.phase).toBe('running');
+    expect(hooks.onRestore).toHaveBeenCalledWith({ score: 7 }, expect.objectContaining({ difficulty: 'hard', spawn: 'fast' }));
+    expect(second.timeRemaining()).toBe(40_000);
+
+    await jest.advanceTimersByTimeAsync(40_100);
+    const [summary] = hooks.onSummary.mock.calls[0];
+    expect(summary.sessionEntry).toMatchObject({
+      difficulty: 'hard', score: 7, durationMs: 60_000, activeMs: 60_000,
+      pauseReasons: { user: { count: 1 }, reload: { count: 1 } }
+    });
+    expect(loadCheckpoint('comet')).toBeNull();
+    first.destroy();
+    second.destroy();
+  });
+
+  test('should save an unfinished session as a partial one', async () => {
+    saveCheckpoint('bubble', {
+      exerciseId: 'bubble', difficulty: 'easy', durationMs: 60_000, remainingMs: 25_000, elapsedMs: 35_000,
+      score: 30, stats: { acc: 80 }, extras: { accuracy: 80 }
+    });
+    const hooks = { onRecovered: jest.fn() };
+    const runtime = createExerciseRuntime({ exerciseId: 'bubble', hooks });
+    expect(runtime.pendingCheckpoint()).toMatchObject({ score: 30 });
+
+    const summary = await runtime.savePartial();
+    expect(summary.sessionEntry).toMatchObject({ id: 'bubble', score: 30, accuracy: 80, activeMs: 35_000, partial: true });
+    expect(hooks.onRecovered).toHaveBeenCalledWith(summary);
+    expect(runtime.pendingCheckpoint()).toBeNull();
+    expect(loadCheckpoint('bubble')).toBeNull();
+
+    // Day-old checkpoints are dropped
+    saveCheckpoint('bubble', { exerciseId: 'bubble', difficulty: 'easy', remainingMs: 25_000, score: 30 });
+    jest.setSystemTime(Date.now() + CHECKPOINT_MAX_AGE_MS + 1);
+    expect(loadCheckpoint('bubble')).toBeNull();
+  });
+});
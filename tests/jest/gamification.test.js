@@ -0,0 +1,81 @@
+// Tests for the performance-based point economy
+import {
+  GamificationSystem, scoreSessionPoints, normalizeScore, personalAverage, GAMIFICATION_CONFIG
+} from '../../js/gamification.js';
+
+describe('Gamification Points', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test('should put every exercise on the same scale', () => {
+    // The medium unlock bar is a strong easy session, whatever the raw scale
+    expect(normalizeScore('bubble', 150)).toBe(1);
+    expect(normalizeScore('precision-drop', 500)).toBe(0.5);
+    expect(normalizeScore('sort', 1000, 'medium')).toBe(0.5);
+    expect(normalizeScore('sort', 8000, 'hard')).toBe(1);
+    // Without unlock rules, the personal best is the reference
+    expect(normalizeScore('crosshair', 30, 'easy', 60)).toBe(0.5);
+    expect(normalizeScore('crosshair', 30)).toBe(1);
+    expect(normalizeScore('crosshair', 0)).toBe(0);
+
+    expect(personalAverage([])).toBeNull();
+    expect(personalAverage([1000, ...Array(GAMIFICATION_CONFIG.improvementWindow).fill(50)])).toBe(50);
+  });
+
+  test('should weigh score, accuracy, improvement and difficulty into effort points', () => {
+    const session = { exerciseId: 'comet', score: 300, accuracy: 100, personalAverage: 150 };
+    expect(scoreSessionPoints(session)).toEqual({
+      points: 100, breakdown: { base: 50, effort: 50, personalBest: 0, streak: 0, capped: 0 }
+    });
+    // 300 is 36% of a strong hard session: (0.4 * 0.36 + 0.3 + 0.3) * 50 * 1.5
+    expect(scoreSessionPoints({ ...session, difficulty: 'hard' }).breakdown.effort).toBe(56);
+    expect(scoreSessionPoints({ ...session, accuracy: 50, personalAverage: 300 }).breakdown.effort).toBe(35);
+    // A session that doesn't measure accuracy is judged on its score instead
+    expect(scoreSessionPoints({ exerciseId: 'maze', score: 250, personalAverage: null }).breakdown.effort).toBe(25);
+
+    const withBonuses = scoreSessionPoints({ ...session, isPersonalBest: true, currentStreak: 9 });
+    expect(withBonuses.breakdown).toMatchObject({ personalBest: 25, streak: 50 });
+    expect(withBonuses.points).toBe(175);
+  });
+
+  test('should stop awarding points at the daily cap', () => {
+    const session = { exerciseId: 'comet', score: 300, accuracy: 100, personalAverage: 150 };
+    expect(scoreSessionPoints({ ...session, pointsToday: GAMIFICATION_CONFIG.dailyPointCap - 40 }))
+      .toEqual({ points: 40, breakdown: { base: 50, effort: 50, personalBest: 0, streak: 0, capped: 60 } });
+
+    const gamification = new GamificationSystem();
+    const award = () => gamification.awardSessionPoints('comet', 300, false, 0, { accuracy: 100, personalAverage: 150 });
+    const results = Array.from({ length: 6 }, award);
+    expect(results.map(result => result.pointsEarned)).toEqual([100, 100, 100, 100, 100, 0]);
+    expect(results[4].dailyCapReached).toBe(true);
+    expect(gamification.totalPoints).toBe(GAMIFICATION_CONFIG.dailyPointCap);
+
+    // A new day starts a new tally
+    expect(gamification.awardSessionPoints('comet', 300, false, 0, { accuracy: 100, personalAverage: 150, day: '2024-01-16' })
+      .pointsEarned).toBe(100);
+  });
+
+  test('should itemise the points in the session celebration', () => {
+    document.body.insertAdjacentHTML('beforeend', '<div id="celebration"></div>');
+    const gamification = new GamificationSystem();
+    const result = gamification.awardSessionPoints('comet', 300, true, 2, {
+      accuracy: 100, personalAverage: 150, day: '2024-01-15'
+    });
+    gamification.celebrateSessionCompletion(result, '#celebration');
+
+    const rows = Array.from(document.querySelectorAll('#celebration .points-breakdown li'), li => li.textContent);
+    expect(rows).toEqual([
+      'Session completed+50',
+      'Effort (score, accuracy, improvement, difficulty)+50',
+      'Personal best+25',
+      'Streak+10'
+    ]);
+    expect(document.querySelector('.points-cap-note')).toBeNull();
+
+    gamification.celebrateSessionCompletion({ ...result, breakdown: { ...result.breakdown, capped: 35 }, dailyCapReached: true }, '#celebration');
+    expect(document.querySelector('.points-capped').textContent).toBe('Daily limit reached−35');
+    expect(document.querySelector('.points-cap-note')).not.toBeNull();
+    document.getElementById('celebration').remove();
+  });
+});
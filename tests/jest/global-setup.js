@@ -0,0 +1,4 @@
+// Day keys follow the device's timezone; pin it so date tests agree on every machine
+export default () => {
+  process.env.TZ = 'UTC';
+};
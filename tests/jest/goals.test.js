@@ -0,0 +1,127 @@
+// Tests for weekly goals and therapist practice plans
+import { webcrypto } from 'crypto';
+import {
+  normalizeGoals, getGoals, setGoals, getGoalProgress, validatePlan, importPlan, getPlan, clearPlan,
+  getPrescribedItems, getPlanAdherence
+} from '../../js/goals.js';
+import { clinician } from '../../js/utils.js';
+
+const minutes = (n) => n * 60_000;
+
+function seedSessions(id, sessions) {
+  localStorage.setItem(`FPR_v1_sessions:${id}`, JSON.stringify(JSON.stringify(
+    sessions.map(({ at, ...session }) => ({ id, timestamp: Date.parse(at), timeZone: 'UTC', ...session }))
+  )));
+}
+
+describe('Goals & Practice Plans', () => {
+  beforeAll(() => {
+    // jsdom's crypto has no SubtleCrypto; borrow Node's for PIN hashing
+    Object.defineProperty(globalThis, 'crypto', { value: webcrypto, configurable: true });
+  });
+
+  beforeEach(() => {
+    localStorage.clear();
+    sessionStorage.clear();
+  });
+
+  test('should track weekly session, minute and category goals', async () => {
+    expect(() => normalizeGoals({ weeklySessions: 2.5 })).toThrow('Weekly sessions must be a whole number from 0 to 100');
+    expect(() => normalizeGoals({ categories: { dexterity: 1 } })).toThrow('Unknown category: dexterity');
+    expect(getGoals()).toEqual({ weeklySessions: 0, weeklyMinutes: 0, categories: {} });
+
+    expect(setGoals({ weeklySessions: 3, weeklyMinutes: 20, categories: { precision: 2, navigation: 0 } }))
+      .toEqual({ weeklySessions: 3, weeklyMinutes: 20, categories: { precision: 2 } });
+    expect(setGoals({ weeklyMinutes: 10 }).weeklySessions).toBe(3);
+
+    seedSessions('precision', [
+      { difficulty: 'easy', score: 300, activeMs: minutes(6), at: '2024-01-15T09:00:00.000Z' },
+      // Sunday belongs to last week
+      { difficulty: 'easy', score: 300, activeMs: minutes(6), at: '2024-01-14T09:00:00.000Z' }
+    ]);
+    seedSessions('maze', [{ difficulty: 'easy', score: 100, durationMs: minutes(5), at: '2024-01-15T10:00:00.000Z' }]);
+
+    expect(await getGoalProgress()).toEqual({
+      week: '2024-01-15',
+      sessions: { done: 2, target: 3 },
+      minutes: { done: 11, target: 10 },
+      categories: [{ id: 'precision', name: 'Fine Motor Precision', done: 1, target: 2 }],
+      met: false
+    });
+    expect((await getGoalProgress('2024-01-14')).sessions.done).toBe(1);
+  });
+
+  test('should list every problem with a practice plan', () => {
+    expect(validatePlan('plan')).toEqual({ isValid: false, issues: ['Plan must be a JSON object'] });
+    expect(validatePlan({ version: 1, days: { daily: [] } }).issues).toEqual(['Plan prescribes no exercises']);
+    expect(validatePlan({
+      version: 2,
+      startDate: '2024-02-01',
+      endDate: '2024-01-01',
+      days: {
+        someday: [],
+        monday: [{ exercise: 'nope', minutes: 5 }, { exercise: 'maze', difficulty: 'expert', minutes: 90, sessions: 1.5 }]
+      }
+    }).issues).toEqual([
+      'Plan version must be 1',
+      'Plan startDate must be on or before its endDate',
+      'Unknown plan day: someday',
+      'Plan monday item 1 has an unknown exercise: nope',
+      "Plan monday item 2 has a difficulty Cosmic Maze doesn't offer: expert",
+      'Plan monday item 2 needs minutes above 0 and up to 60',
+      'Plan monday item 2 needs a whole number of sessions'
+    ]);
+  });
+
+  test('should show what is prescribed today and how closely the plan is followed', async () => {
+    const plan = {
+      version: 1,
+      name: 'Fine motor, weeks 1-4',
+      author: 'J. Rivera, OT',
+      startDate: '2024-01-14',
+      days: {
+        daily: [{ exercise: 'precision-drop', difficulty: 'easy', minutes: 5 }],
+        monday: [{ exercise: 'maze', minutes: 5, sessions: 2 }]
+      }
+    };
+    expect(importPlan('{')).toEqual({ success: false, error: 'Plan file is not valid JSON' });
+    const result = importPlan(JSON.stringify(plan));
+    expect(result.success).toBe(true);
+    expect(getPlan()).toEqual(result.plan);
+    expect(result.plan).toMatchObject({ endDate: null, importedAt: '2024-01-15T12:00:00.000Z' });
+    expect(result.plan.days.daily).toEqual([{ exercise: 'precision', difficulty: 'easy', minutes: 5, sessions: 1 }]);
+
+    seedSessions('precision', [
+      { difficulty: 'easy', score: 300, activeMs: minutes(6), at: '2024-01-14T09:00:00.000Z' },
+      { difficulty: 'easy', score: 300, activeMs: minutes(6), at: '2024-01-15T09:00:00.000Z' }
+    ]);
+    seedSessions('maze', [
+      { difficulty: 'medium', score: 100, activeMs: minutes(5), at: '2024-01-15T10:00:00.000Z' },
+      { difficulty: 'easy', score: 100, activeMs: minutes(3), at: '2024-01-15T11:00:00.000Z' }
+    ]);
+
+    const items = await getPrescribedItems();
+    expect(items.map(({ name, label, done, complete }) => ({ name, label, done, complete }))).toEqual([
+      { name: 'Precision Drop', label: 'Easy · 5 min', done: { sessions: 1, minutes: 6 }, complete: true },
+      // Two sessions, but 8 of the 10 prescribed minutes
+      { name: 'Cosmic Maze', label: '5 min', done: { sessions: 2, minutes: 8 }, complete: false }
+    ]);
+    expect(await getPrescribedItems('2024-01-13')).toEqual([]);
+
+    expect(await getPlanAdherence()).toEqual({
+      from: '2024-01-15', to: '2024-01-15', prescribed: 2, completed: 1, rate: 0.5,
+      days: [{ day: '2024-01-15', prescribed: 2, completed: 1 }]
+    });
+    // Never counts days before the plan started
+    expect(await getPlanAdherence({ from: '2024-01-10' })).toMatchObject({ from: '2024-01-14', prescribed: 3, completed: 2 });
+
+    await clinician.setPin('2468');
+    clinician.lock();
+    expect(importPlan(plan).error).toMatch(/Clinician mode/);
+    expect(clearPlan().error).toMatch(/Clinician mode/);
+    await clinician.unlock('2468');
+    expect(clearPlan()).toEqual({ success: true });
+    expect(getPlan()).toBeNull();
+    expect(await getPlanAdherence()).toBeNull();
+  });
+});
@@ -0,0 +1,148 @@
+// Tests for keyboard and switch access
+import {
+  getInputSettings, setInputSettings, normalizeInputSettings, createTargetScanner, createPickAndPlace,
+  createKeyboardPen, DEFAULT_INPUT_SETTINGS
+} from '../../js/input-access.js';
+
+describe('Input Access', () => {
+  const press = (key, type = 'keydown', init = {}) => {
+    const event = new KeyboardEvent(type, { key, bubbles: true, cancelable: true, ...init });
+    document.body.dispatchEvent(event);
+    return event;
+  };
+
+  // Elements laid out on a grid; getRect reads the position from the dataset
+  const grid = (...cells) => cells.map(([x, y]) => {
+    const el = document.createElement('div');
+    Object.assign(el.dataset, { x, y });
+    return el;
+  });
+  const getRect = (el) => ({ left: Number(el.dataset.x), top: Number(el.dataset.y), width: 10, height: 10 });
+
+  let controller;
+
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    controller?.destroy();
+    controller = null;
+  });
+
+  test('should store per-profile settings and validate them', () => {
+    expect(getInputSettings()).toEqual(DEFAULT_INPUT_SETTINGS);
+    expect(setInputSettings({ mode: 'switch' })).toEqual({ mode: 'switch', scanMs: 1500 });
+    expect(getInputSettings().mode).toBe('switch');
+    expect(() => normalizeInputSettings({ mode: 'joystick' })).toThrow(/Unknown input mode/);
+    expect(() => normalizeInputSettings({ scanMs: 100 })).toThrow(/0.5 to 5 seconds/);
+  });
+
+  test('should move the highlight with the arrow keys and activate with Enter', () => {
+    const [a, b, c] = grid([0, 0], [100, 0], [0, 100]);
+    const onActivate = jest.fn();
+    const pageShortcut = jest.fn();
+    document.addEventListener('keydown', pageShortcut);
+    controller = createTargetScanner({ getTargets: () => [a, b, c], onActivate, getRect, settings: { mode: 'keyboard' } });
+
+    expect(controller.start()).toBe(true);
+    expect(controller.highlighted()).toBe(a);
+    expect(a.classList.contains('access-highlight')).toBe(true);
+
+    press('ArrowRight');
+    expect(controller.highlighted()).toBe(b);
+    press('ArrowDown'); // nothing below b but c, down and to the left
+    expect(controller.highlighted()).toBe(c);
+
+    press('Enter');
+    expect(onActivate).toHaveBeenCalledWith(c);
+    expect(pageShortcut).not.toHaveBeenCalled();
+
+    controller.stop();
+    expect(c.classList.contains('access-highlight')).toBe(false);
+    press('Enter');
+    expect(onActivate).toHaveBeenCalledTimes(1);
+    expect(pageShortcut).toHaveBeenCalledTimes(1);
+    document.removeEventListener('keydown', pageShortcut);
+  });
+
+  test('should scan by itself in switch mode and only act on what is highlighted', () => {
+    setInputSettings({ mode: 'switch', scanMs: 1000 });
+    let targets = [];
+    const onActivate = jest.fn();
+    controller = createTargetScanner({ getTargets: () => targets, onActivate, getRect });
+    controller.start();
+    expect(controller.highlighted()).toBeNull();
+
+    targets = grid([0, 0], [50, 0], [100, 0]);
+    press(' '); // nothing was highlighted yet, so this only shows the highlight
+    expect(onActivate).not.toHaveBeenCalled();
+    expect(controller.highlighted()).toBe(targets[0]);
+
+    jest.advanceTimersByTime(1000);
+    expect(controller.highlighted()).toBe(targets[1]);
+    jest.advanceTimersByTime(2000);
+    expect(controller.highlighted()).toBe(targets[0]);
+
+    press(' ');
+    press(' ', 'keydown', { repeat: true }); // a held switch does not fire again
+    expect(onActivate).toHaveBeenCalledTimes(1);
+    expect(onActivate).toHaveBeenCalledWith(targets[0]);
+  });
+
+  test('should stay out of the way in pointer mode', () => {
+    controller = createTargetScanner({ getTargets: () => grid([0, 0]), onActivate: jest.fn(), getRect });
+    expect(controller.start()).toBe(false);
+    expect(press('Enter').defaultPrevented).toBe(false);
+  });
+
+  test('should drag and drop by picking an item and then a place', () => {
+    const items = grid([0, 0], [50, 0]);
+    const places = grid([0, 100], [50, 100]);
+    const onPlace = jest.fn();
+    const onCancel = jest.fn();
+    controller = createPickAndPlace({
+      getItems: () => items, getPlaces: () => places, onPlace, onCancel, getRect, settings: { mode: 'keyboard' }
+    });
+    controller.start();
+
+    press('ArrowRight');
+    press('Enter');
+    expect(controller.picked()).toBe(items[1]);
+    expect(items[1].classList.contains('access-picked')).toBe(true);
+
+    press('Escape');
+    expect(onCancel).toHaveBeenCalledWith(items[1]);
+    expect(controller.picked()).toBeNull();
+
+    press('Enter'); // pick the highlighted item again, the highlight jumps to the first place
+    press('ArrowRight');
+    press('Enter');
+    expect(onPlace).toHaveBeenCalledWith(items[1], places[1]);
+    expect(items[1].classList.contains('access-picked')).toBe(false);
+  });
+
+  test('should draw with an arrow-key pen while the keys are held', () => {
+    const onDraw = jest.fn();
+    const onLift = jest.fn();
+    controller = createKeyboardPen({
+      getStart: () => ({ x: 10, y: 10 }), getBounds: () => ({ width: 20, height: 20 }),
+      onDraw, onLift, step: 3, everyMs: 25, settings: { mode: 'keyboard' }
+    });
+    controller.start();
+
+    press('ArrowRight');
+    expect(onDraw.mock.calls.map(([p]) => p)).toEqual([{ x: 10, y: 10 }, { x: 13, y: 10 }]);
+    jest.advanceTimersByTime(100);
+    expect(controller.position()).toEqual({ x: 20, y: 10 }); // kept inside the bounds
+
+    press('ArrowRight', 'keyup');
+    const drawn = onDraw.mock.calls.length;
+    jest.advanceTimersByTime(100);
+    expect(onDraw).toHaveBeenCalledTimes(drawn);
+
+    controller.reset();
+    expect(onLift).toHaveBeenCalled();
+    expect(controller.position()).toBeNull();
+  });
+});
@@ -0,0 +1,119 @@
+// Tests for the motor accessibility profile
+import {
+  getMotorProfile, setMotorProfile, normalizeMotorProfile, scaleTarget, createPointerSmoother,
+  guardDoubleTaps, applyMotorProfile, DEFAULT_MOTOR_PROFILE, MIN_TARGET_PX
+} from '../../js/motor-access.js';
+import { createTargetScanner } from '../../js/input-access.js';
+
+describe('Motor Access', () => {
+  const pointer = (target, type, clientX, clientY) => {
+    const event = new MouseEvent(type, { clientX, clientY, bubbles: true, cancelable: true });
+    target.dispatchEvent(event);
+    return event;
+  };
+
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test('should store the profile and validate it', () => {
+    expect(getMotorProfile()).toEqual(DEFAULT_MOTOR_PROFILE);
+
+    setMotorProfile({ dwellMs: 1500, smoothing: 'strong' });
+    setMotorProfile({ hand: 'left' });
+    expect(getMotorProfile()).toEqual({ ...DEFAULT_MOTOR_PROFILE, dwellMs: 1500, smoothing: 'strong', hand: 'left' });
+
+    expect(() => normalizeMotorProfile({ dwellMs: 100 })).toThrow('Dwell time must be off or from 0.4 to 4 seconds');
+    expect(() => normalizeMotorProfile({ smoothing: 'heavy' })).toThrow('Unknown smoothing level: heavy');
+    expect(() => normalizeMotorProfile({ doubleTapMs: 5000 })).toThrow('Double-tap filter must be from 0 to 1000 ms');
+    expect(() => normalizeMotorProfile({ targetScale: 3 })).toThrow('Target size must be one of 1, 1.25, 1.5, 2');
+    expect(() => setMotorProfile({ hand: 'foot' })).toThrow('Unknown hand: foot');
+    expect(getMotorProfile().hand).toBe('left');
+  });
+
+  test('should enlarge targets to at least the minimum size', () => {
+    expect(scaleTarget(30)).toBe(30);
+    expect(scaleTarget(30, { targetScale: 1.25 })).toBe(MIN_TARGET_PX);
+    expect(scaleTarget(60, { targetScale: 1.5 })).toBe(90);
+
+    setMotorProfile({ targetScale: 2, hand: 'right' });
+    applyMotorProfile();
+    const root = document.documentElement;
+    expect(root.style.getPropertyValue('--target-scale')).toBe('2');
+    expect(root.dataset.hand).toBe('right');
+    expect(root.classList.contains('dwell-mode')).toBe(false);
+    applyMotorProfile(DEFAULT_MOTOR_PROFILE);
+  });
+
+  test('should steady a shaky path and start afresh on each stroke', () => {
+    const smoother = createPointerSmoother({ smoothing: 'light' });
+    expect(smoother.filter({ x: 0, y: 0 })).toEqual({ x: 0, y: 0 });
+    expect(smoother.filter({ x: 1, y: 0 })).toEqual({ x: 0, y: 0 }); // jitter
+    expect(smoother.filter({ x: 20, y: 0 })).toEqual({ x: 10, y: 0 });
+
+    smoother.reset();
+    expect(smoother.filter({ x: 50, y: 50 })).toEqual({ x: 50, y: 50 });
+    expect(createPointerSmoother({ smoothing: 'off' }).filter({ x: 7, y: 3 })).toEqual({ x: 7, y: 3 });
+  });
+
+  test('should drop a bounced tap but not a deliberate one', () => {
+    const root = document.createElement('div');
+    const button = document.createElement('button');
+    root.appendChild(button);
+    const onDown = jest.fn();
+    const onClick = jest.fn();
+    button.addEventListener('pointerdown', onDown);
+    button.addEventListener('click', onClick);
+    const remove = guardDoubleTaps({ root, profile: { doubleTapMs: 300 } });
+
+    pointer(button, 'pointerdown', 10, 10);
+    pointer(button, 'click', 10, 10);
+    jest.advanceTimersByTime(100);
+    expect(pointer(button, 'pointerdown', 14, 12).defaultPrevented).toBe(true);
+    pointer(button, 'click', 14, 12);
+    expect(onDown).toHaveBeenCalledTimes(1);
+    expect(onClick).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(100);
+    pointer(button, 'pointerdown', 200, 10); // somewhere else
+    jest.advanceTimersByTime(500);
+    pointer(button, 'pointerdown', 200, 10); // after the filter time
+    expect(onDown).toHaveBeenCalledTimes(3);
+
+    remove();
+    pointer(button, 'pointerdown', 200, 10);
+    expect(onDown).toHaveBeenCalledTimes(4);
+  });
+
+  test('should choose a target the pointer rests on in pointer mode', () => {
+    setMotorProfile({ dwellMs: 1000 });
+    const area = document.createElement('div');
+    const a = document.createElement('div');
+    const b = document.createElement('div');
+    const rects = new Map([[a, { left: 0, top: 0, width: 50, height: 50 }], [b, { left: 100, top: 0, width: 50, height: 50 }]]);
+    const onActivate = jest.fn();
+    const controller = createTargetScanner({
+      getTargets: () => [a, b], onActivate, getRect: (el) => rects.get(el), pointerTarget: area
+    });
+
+    expect(controller.start()).toBe(true);
+    expect(controller.highlighted()).toBeNull();
+
+    pointer(area, 'pointermove', 10, 10);
+    expect(controller.highlighted()).toBe(a);
+    jest.advanceTimersByTime(600);
+    pointer(area, 'pointermove', 110, 10); // moved on before the dwell ran out
+    jest.advanceTimersByTime(600);
+    expect(onActivate).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(400);
+    expect(onActivate).toHaveBeenCalledWith(b);
+
+    pointer(area, 'pointermove', 112, 12); // still resting on it: not chosen again
+    jest.advanceTimersByTime(2000);
+    expect(onActivate).toHaveBeenCalledTimes(1);
+
+    pointer(area, 'pointermove', 75, 10); // between targets
+    expect(controller.highlighted()).toBeNull();
+    controller.destroy();
+  });
+});
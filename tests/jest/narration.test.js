@@ -0,0 +1,85 @@
+// Tests for screen-reader narration
+import { createNarrator, EXERCISE_VOCABULARIES, NARRATION_GAP_MS } from '../../js/narration.js';
+import { createExerciseRuntime } from '../../js/exercise-runtime.js';
+
+describe('Narration', () => {
+  // appendChild is mocked in setup.js, so the live regions are read from its calls
+  const liveRegion = (politeness) => document.body.appendChild.mock.calls
+    .map(([el]) => el)
+    .filter(el => el?.classList?.contains('narration') && el.getAttribute('aria-live') === politeness)
+    .at(-1);
+  const heard = (politeness) => liveRegion(politeness)?.textContent ?? '';
+
+  let narrator;
+
+  beforeEach(() => {
+    localStorage.clear();
+    document.body.appendChild.mockClear();
+  });
+
+  afterEach(() => {
+    narrator?.destroy();
+    narrator = null;
+  });
+
+  test('should speak exercise events in the exercise vocabulary', () => {
+    narrator = createNarrator({ exerciseId: 'visual-scanner' });
+    expect(narrator.narrate('found', { ms: 420 })).toBe('Target found, 420 milliseconds');
+    jest.advanceTimersByTime(100);
+    expect(heard('polite')).toBe('Target found, 420 milliseconds');
+    expect(liveRegion('polite').getAttribute('role')).toBe('status');
+
+    expect(createNarrator({ exerciseId: 'rhythm' }).narrate('round', { round: 3, length: 4 }))
+      .toBe('Round 3, sequence of 4 tones');
+    expect(narrator.narrate('no-such-event')).toBeNull();
+    expect(Object.keys(EXERCISE_VOCABULARIES)).toHaveLength(11);
+  });
+
+  test('should space polite messages and keep only the latest of a burst of hits', () => {
+    narrator = createNarrator({ exerciseId: 'bubble_tap' });
+    narrator.narrate('level', { level: 2 });
+    [300, 280, 250].forEach(ms => narrator.narrate('pop', { ms }));
+    jest.advanceTimersByTime(100);
+    expect(heard('polite')).toBe('Level 2');
+
+    jest.advanceTimersByTime(NARRATION_GAP_MS);
+    expect(heard('polite')).toBe('Popped, 250 milliseconds');
+    jest.advanceTimersByTime(NARRATION_GAP_MS * 3);
+    expect(heard('polite')).toBe('Popped, 250 milliseconds'); // the first two were dropped
+  });
+
+  test('should cut in on the assertive channel and drop stale hits', () => {
+    narrator = createNarrator({ exerciseId: 'comet' });
+    narrator.say('Welcome');
+    narrator.narrate('hit', { points: 12, type: 'normal' });
+    narrator.narrate('pause', { reason: 'user' });
+    jest.advanceTimersByTime(100);
+    expect(heard('assertive')).toBe('Paused');
+
+    jest.advanceTimersByTime(NARRATION_GAP_MS * 2);
+    expect(heard('polite')).toBe('Welcome');
+  });
+
+  test('should narrate the countdown and the medal from the runtime', async () => {
+    let summarised;
+    const done = new Promise(resolve => { summarised = resolve; });
+    const runtime = createExerciseRuntime({
+      exerciseId: 'comet',
+      hooks: { onStop: () => ({ score: 42 }), onSummary: (summary) => summarised(summary) },
+      countdown: { stepMs: 200, goMs: 200 }
+    });
+
+    runtime.start({ durationMs: 1_000 });
+    await jest.advanceTimersByTimeAsync(100);
+    expect(heard('assertive')).toBe('3');
+    await jest.advanceTimersByTimeAsync(600);
+    expect(heard('assertive')).toBe('Go');
+
+    expect(runtime.narrate('hit', { points: 30, type: 'star' })).toBe('Star comet caught, 30 points');
+    await jest.advanceTimersByTimeAsync(1_200);
+    await done;
+    await jest.advanceTimersByTimeAsync(100);
+    expect(heard('assertive')).toBe('Session complete. Score 42. Silver medal. First completed session — keep going!');
+    runtime.destroy();
+  });
+});
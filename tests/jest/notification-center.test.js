@@ -0,0 +1,105 @@
+// Tests for the notification inbox, its sources and the header centre
+import {
+  addNotification, getNotifications, getUnreadCount, markRead, markAllRead, INBOX_LIMIT
+} from '../../js/notification-inbox.js';
+import { mountNotificationCenter } from '../../js/notification-center.js';
+import { showEventNotification, clearAllNotifications } from '../../js/achievement-notification.js';
+import { adaptiveDifficulty } from '../../js/adaptive-difficulty.js';
+import { MilestoneTracker } from '../../js/session-enhancement.js';
+import { checkAndUnlockAchievements } from '../../js/achievements.js';
+import { UNLOCK_RULES } from '../../js/exercises.js';
+import { GamificationSystem } from '../../js/gamification.js';
+
+describe('Notification Centre', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    clearAllNotifications();
+    document.getElementById('notification-center')?.remove();
+    document.body.insertAdjacentHTML('beforeend', '<div id="notification-center"></div>');
+  });
+
+  test('should keep events newest first until they are read', () => {
+    expect(() => addNotification({ type: 'weather', title: 'Sunny' })).toThrow('Unknown notification type: weather');
+    expect(() => addNotification({ type: 'unlock', title: ' ' })).toThrow('Notification needs a title');
+
+    const first = addNotification({ type: 'unlock', title: 'New Difficulty Unlocked', message: 'Medium - Maze' });
+    const second = addNotification({ type: 'milestone', title: '5 Sessions Completed' });
+    expect(first).toMatchObject({ icon: '🔓', read: false, at: '2024-01-15T12:00:00.000Z' });
+    expect(getNotifications().map(n => n.id)).toEqual([second.id, first.id]);
+    expect(getUnreadCount()).toBe(2);
+
+    expect(markRead(first.id)).toBe(true);
+    expect(markRead(first.id)).toBe(false);
+    expect(getNotifications({ unreadOnly: true })).toEqual([second]);
+    expect(markAllRead()).toBe(1);
+    expect(getUnreadCount()).toBe(0);
+
+    for (let i = 0; i < INBOX_LIMIT; i++) addNotification({ type: 'level', title: `Level ${i}` });
+    expect(getNotifications()).toHaveLength(INBOX_LIMIT);
+    expect(getNotifications().at(-1).title).toBe('Level 0');
+  });
+
+  test('should record achievements, unlocks, level-ups and milestones', () => {
+    localStorage.setItem('FPR_v1_totalSessions', '1');
+    checkAndUnlockAchievements();
+    expect(getNotifications()[0]).toMatchObject({
+      type: 'achievement', icon: '🚀', title: 'Achievement Unlocked', message: 'First Steps: Complete your first session'
+    });
+
+    const { minSessions, minScore } = UNLOCK_RULES.sort.medium;
+    for (let i = 0; i < minSessions; i++) adaptiveDifficulty.recordSession('sort', 'easy', minScore, { accuracy: 100 });
+    expect(getNotifications()[0]).toMatchObject({ type: 'unlock', title: 'New Difficulty Unlocked', message: 'Medium - Sort & Categorize' });
+
+    const gamification = new GamificationSystem();
+    let result;
+    do result = gamification.awardSessionPoints('maze', 100, true, 6); while (!result.leveledUp);
+    expect(getNotifications()[0]).toMatchObject({
+      type: 'level', icon: '⭐', title: 'Level 2: Building Momentum', message: "You're establishing a positive routine"
+    });
+
+    new MilestoneTracker().checkMilestones(5);
+    expect(getNotifications()[0]).toMatchObject({ type: 'milestone', title: '5 Sessions Completed', message: "You're building great habits!" });
+  });
+
+  test('should show unread counts and mark everything read from the drawer', () => {
+    const center = mountNotificationCenter(document.getElementById('notification-center'), { toasts: false });
+    const bell = document.querySelector('.notification-bell');
+    const count = document.querySelector('.notification-count');
+    expect(count.hidden).toBe(true);
+    expect(document.querySelector('.notification-empty')).not.toBeNull();
+
+    addNotification({ type: 'level', title: 'Level 2: Building Momentum' });
+    addNotification({ type: 'milestone', title: '10 Sessions Completed' });
+    expect(count.textContent).toBe('2');
+    expect(bell.getAttribute('aria-label')).toBe('Notifications, 2 unread');
+
+    bell.click();
+    expect(document.querySelector('.notification-drawer').hidden).toBe(false);
+    const items = document.querySelectorAll('.notification-item.unread');
+    expect(Array.from(items, item => item.querySelector('.notification-item-title').firstChild.textContent))
+      .toEqual(['10 Sessions Completed', 'Level 2: Building Momentum']);
+
+    items[0].click();
+    expect(count.textContent).toBe('1');
+    document.querySelector('[data-action="mark-all"]').click();
+    expect(count.hidden).toBe(true);
+    expect(document.querySelectorAll('.notification-item.unread')).toHaveLength(0);
+    expect(document.querySelectorAll('.notification-item')).toHaveLength(2);
+
+    document.body.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+    expect(document.querySelector('.notification-drawer').hidden).toBe(true);
+    center.destroy();
+  });
+
+  test('should queue toasts beyond the stack instead of dropping them', () => {
+    const toasts = ['One', 'Two', 'Three', 'Four'].map(title => showEventNotification({ icon: '🎯', title }));
+    const shown = () => toasts.filter(toast => toast.parentNode).map(toast => toast.querySelector('.achievement-title').textContent);
+    expect(shown()).toEqual(['One', 'Two', 'Three']);
+
+    // The queued toast takes the first slot to free up, once its leaving animation ends
+    jest.advanceTimersByTime(4000 + 300);
+    expect(shown()).toEqual(['Four']);
+    expect(toasts[3].style.top).toBe('20px');
+    expect(showEventNotification({})).toBeNull();
+  });
+});
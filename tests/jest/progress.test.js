@@ -4,6 +4,10 @@
 // Note: These tests use mock implementations to test logic in isolation
 // For integration testing, use the actual imported functions with jest.mock()
 
+import {
+  exportData, importData, previewImport, recordSession, rebuildDerivedState, EXPORT_VERSION
+} from '../../js/progress.js';
+
 describe('Progress Tracking System', () => {
   beforeEach(() => {
     localStorage.clear();
@@ -342,4 +346,247 @@ describe('Progress Tracking System', () => {
       }).toThrow('Incompatible version');
     });
   });
-});
\ No newline at end of file
+
+  describe('Versioned Export Bundle', () => {
+    test('should export session history and every FPR_v1_ namespace', () => {
+      recordSession('bubble', 'medium', 120, { accuracy: 90 });
+      localStorage.setItem('FPR_v1_totalPoints', '75');
+      localStorage.setItem('FPR_v1_unlock:bubble:hard', 'true');
+      localStorage.setItem('FPR_v1_reminders', JSON.stringify({ enabled: true, time: '18:00' }));
+      localStorage.setItem('FPR_v1_darkTheme', '"true"');
+
+      const bundle = exportData();
+
+      expect(bundle.version).toBe(EXPORT_VERSION);
+      expect(bundle.sections.progress).toEqual({ totalSessions: 1, streak: 1, lastActiveDate: '2024-01-15' });
+      expect(bundle.sections.exercises.bubble).toEqual({ sessions: 1, best: 120 });
+      expect(bundle.sections.sessions.bubble).toHaveLength(1);
+      expect(bundle.sections.sessions.bubble[0]).toMatchObject({ id: 'bubble', score: 120, accuracy: 90 });
+      expect(bundle.sections.gamification.totalPoints).toBe(75);
+      expect(bundle.sections.adaptive).toEqual({ 'unlock:bubble:hard': 'true' });
+      expect(bundle.sections.reminders.prefs).toEqual({ enabled: true, time: '18:00' });
+      expect(bundle.sections.other).toMatchObject({ darkTheme: '"true"' });
+    });
+
+    test('should round-trip a v2 bundle into empty storage', async () => {
+      recordSession('comet', 'hard', 300);
+      localStorage.setItem('FPR_v1_perf:comet:hard', '{"sessions":1}');
+      // Bring points and achievements in line with the history, as the import will
+      await rebuildDerivedState();
+      const bundle = exportData();
+
+      localStorage.clear();
+      const result = await importData(JSON.parse(JSON.stringify(bundle)));
+
+      expect(result.success).toBe(true);
+      expect(result.sections.sessions).toEqual({ status: 'imported', count: 1 });
+      expect(exportData().sections).toEqual(bundle.sections);
+    });
+
+    test('should import v1 bundles including the legacy dashboard layout', async () => {
+      const result = await importData({
+        version: 1,
+        stats: { points: 500, streak: 4, lastActiveDate: '2024-01-14', totalSessions: 9 },
+        exercises: { bubble: { sessions: 9, best: { easy: 80, hard: 140 } } },
+        achievements: ['firstSteps']
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.sections.sessions.status).toBe('skipped');
+      expect(localStorage.getItem('FPR_v1_totalSessions')).toBe('"9"');
+      expect(localStorage.getItem('FPR_v1_exercise:bubble:best')).toBe('"140"');
+      expect(localStorage.getItem('FPR_v1_totalPoints')).toBe('500');
+    });
+
+    test('should report invalid sections without blocking the rest', async () => {
+      const result = await importData({
+        version: 2,
+        sections: {
+          progress: { totalSessions: 3, streak: 2 },
+          sessions: { bubble: 'not an array' }
+        }
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.sections.progress.status).toBe('imported');
+      expect(result.sections.sessions.status).toBe('invalid');
+      expect(localStorage.getItem('FPR_v1_totalSessions')).toBe('"3"');
+      expect(localStorage.getItem('FPR_v1_sessions:bubble')).toBeNull();
+    });
+
+    test('should reject unknown bundle versions', async () => {
+      const result = await importData({ version: 99, sections: {} });
+      expect(result.success).toBe(false);
+      expect(result.error).toMatch(/Unsupported export version/);
+    });
+  });
+
+  describe('Merge Import', () => {
+    const otherDevice = () => ({
+      version: 2,
+      sections: {
+        progress: { totalSessions: 2, streak: 2, lastActiveDate: '2024-01-14' },
+        exercises: { bubble: { sessions: 2, best: 200 }, comet: { sessions: 1, best: 30 } },
+        sessions: {
+          bubble: [
+            { id: 'bubble', score: 200, timestamp: Date.UTC(2024, 0, 13, 12) },
+            { id: 'bubble', score: 90, timestamp: Date.UTC(2024, 0, 14, 12) }
+          ]
+        },
+        achievements: { unlocked: ['firstSteps', 'consistent'], unlockedAt: { firstSteps: '2024-01-13T12:00:00.000Z' } },
+        gamification: { totalPoints: 40, sessionsCompleted: 2 }
+      }
+    });
+
+    test('should reconcile histories, bests and streaks from two devices', async () => {
+      const local = recordSession('bubble', 'medium', 120);
+      localStorage.setItem('FPR_v1_achievements', JSON.stringify(JSON.stringify(['firstSteps'])));
+      localStorage.setItem('FPR_v1_achievement_firstSteps_date', JSON.stringify('2024-01-15T12:00:00.000Z'));
+      localStorage.setItem('FPR_v1_totalPoints', '75');
+
+      const result = await importData(otherDevice(), { mode: 'merge' });
+      const { sections } = exportData();
+
+      expect(result.success).toBe(true);
+      expect(result.mode).toBe('merge');
+      expect(sections.sessions.bubble.map(s => s.score)).toEqual([200, 90, 120]);
+      expect(sections.exercises.bubble).toEqual({ sessions: 3, best: 200 });
+      // The bundle has comet counters but no comet history; the rebuild after import keeps them
+      expect(sections.exercises.comet).toEqual({ sessions: 1, best: 30 });
+      expect(sections.progress).toEqual({ totalSessions: 3, streak: 3, lastActiveDate: '2024-01-15' });
+      // The replayed history earns Personal Best too, for the 200 on the 13th
+      expect(sections.achievements.unlocked).toEqual(['firstSteps', 'consistent', 'personalBest']);
+      expect(sections.achievements.unlockedAt.firstSteps).toBe('2024-01-13T12:00:00.000Z');
+      // Points are replayed from the three merged sessions rather than kept at the local 75
+      expect(sections.gamification.totalPoints).toBe(302);
+      expect(result.rebuild.changes.map(change => change.key)).toContain('totalPoints');
+      expect(local.totalSessions).toBe(1);
+    });
+
+    test('should not duplicate sessions when the same bundle is merged twice', async () => {
+      await importData(otherDevice(), { mode: 'merge' });
+      await importData(otherDevice(), { mode: 'merge' });
+
+      const { sections } = exportData();
+      expect(sections.sessions.bubble).toHaveLength(2);
+      expect(sections.progress.totalSessions).toBe(2);
+    });
+
+    test('should preview changes without writing to storage', async () => {
+      recordSession('bubble', 'medium', 120);
+
+      const preview = await previewImport(otherDevice(), { mode: 'merge' });
+
+      expect(preview.totalSessions).toEqual({ from: 1, to: 3 });
+      expect(preview.streak).toEqual({ from: 1, to: 3 });
+      expect(preview.bests).toEqual([
+        { id: 'bubble', from: 120, to: 200 },
+        { id: 'comet', from: 0, to: 30 }
+      ]);
+      // Includes what the rebuild after import replays from the merged history
+      expect(preview.achievements.added).toEqual(['firstSteps', 'consistent', 'personalBest']);
+      expect(preview.points).toEqual({ from: 0, to: 302 });
+      expect(localStorage.getItem('FPR_v1_exercise:bubble:best')).toBe('"120"');
+      expect(localStorage.getItem('FPR_v1_totalPoints')).toBeNull();
+
+      await importData(otherDevice(), { mode: 'merge' });
+      const { sections } = exportData();
+      expect(sections.progress).toMatchObject({ totalSessions: preview.totalSessions.to, streak: preview.streak.to });
+      expect(sections.gamification.totalPoints).toBe(preview.points.to);
+    });
+
+    test('should keep local counters that have no history when merging', async () => {
+      localStorage.setItem('FPR_v1_exercise:maze:sessions', JSON.stringify('4'));
+      localStorage.setItem('FPR_v1_exercise:maze:best', JSON.stringify('55'));
+
+      const preview = await previewImport(otherDevice(), { mode: 'merge' });
+      await importData(otherDevice(), { mode: 'merge' });
+
+      expect(preview.bests.find(change => change.id === 'maze')).toBeUndefined();
+      expect(exportData().sections.exercises.maze).toEqual({ sessions: 4, best: 55 });
+    });
+
+    test('should replace local history, not merge it, in replace mode', async () => {
+      recordSession('maze', 'easy', 50);
+      recordSession('maze', 'easy', 60);
+
+      const result = await importData(otherDevice());
+      const { sections } = exportData();
+
+      expect(result.rebuild.error).toBeUndefined();
+      expect(sections.sessions.maze).toEqual([]);
+      expect(sections.exercises.maze).toEqual({ sessions: 0, best: 0 });
+      expect(sections.progress.totalSessions).toBe(2);
+    });
+
+    test('should reject unknown import modes', async () => {
+      const result = await importData(otherDevice(), { mode: 'append' });
+      expect(result.success).toBe(false);
+      expect(result.error).toMatch(/Unknown import mode/);
+    });
+  });
+
+  describe('Derived State Rebuild', () => {
+    const seedHistory = (id, sessions) => {
+      localStorage.setItem(`FPR_v1_sessions:${id}`, JSON.stringify(JSON.stringify(sessions)));
+    };
+    const at = (ymd) => Date.parse(`${ymd}T12:00:00.000Z`);
+
+    beforeEach(() => {
+      seedHistory('bubble', [
+        { id: 'bubble', score: 100, timestamp: at('2024-01-13') },
+        { id: 'bubble', score: 80, timestamp: at('2024-01-14') }
+      ]);
+      seedHistory('comet', [{ id: 'comet', score: 50, timestamp: at('2024-01-15') }]);
+      // Drifted counters
+      localStorage.setItem('FPR_v1_totalSessions', '"7"');
+      localStorage.setItem('FPR_v1_exercise:bubble:sessions', '"5"');
+      localStorage.setItem('FPR_v1_exercise:saccade:best', '"40"');
+      localStorage.setItem('FPR_v1_totalPoints', '999');
+    });
+
+    test('should report changes without writing in dry-run mode', async () => {
+      const report = await rebuildDerivedState({ dryRun: true });
+
+      expect(report.sessionCount).toBe(3);
+      expect(report.changes).toEqual(expect.arrayContaining([
+        { key: 'totalSessions', from: 7, to: 3 },
+        { key: 'exercise:bubble:sessions', from: 5, to: 2 },
+        { key: 'exercise:saccade:best', from: 40, to: 0 },
+        { key: 'streak', from: 0, to: 3 },
+        { key: 'totalPoints', from: 999, to: 299 }
+      ]));
+      expect(localStorage.getItem('FPR_v1_totalSessions')).toBe('"7"');
+    });
+
+    test('should replay counters, bests, streak, points and achievements', async () => {
+      await rebuildDerivedState();
+      const { sections } = exportData();
+
+      expect(sections.progress).toEqual({ totalSessions: 3, streak: 3, lastActiveDate: '2024-01-15' });
+      expect(sections.exercises).toEqual({
+        bubble: { sessions: 2, best: 100 },
+        comet: { sessions: 1, best: 50 },
+        saccade: { sessions: 0, best: 0 }
+      });
+      // Base + effort + bonuses: 50 + 31 + 25 (best), 50 + 25 + 10 (streak 2), 50 + 13 + 25 + 20 (best, streak 3)
+      expect(sections.gamification).toEqual({ totalPoints: 299, sessionsCompleted: 3 });
+      expect(sections.achievements.unlocked).toEqual(['firstSteps', 'personalBest']);
+      expect(sections.achievements.unlockedAt.firstSteps).toBe('2024-01-13T12:00:00.000Z');
+
+      expect((await rebuildDerivedState()).changes).toEqual([]);
+    });
+
+    test('should not lower counters for exercises whose history hit the cap', async () => {
+      const full = Array.from({ length: 100 }, (_, i) => ({ id: 'bubble', score: 10, timestamp: at('2024-01-01') + i }));
+      seedHistory('bubble', full);
+      localStorage.setItem('FPR_v1_exercise:bubble:sessions', '"250"');
+
+      const report = await rebuildDerivedState({ dryRun: true });
+
+      expect(report.truncated).toEqual(['bubble']);
+      expect(report.changes.find(c => c.key === 'exercise:bubble:sessions')).toBeUndefined();
+      expect(report.changes.find(c => c.key === 'totalSessions')).toEqual({ key: 'totalSessions', from: 7, to: 101 });
+    });
+  });
+});
@@ -0,0 +1,98 @@
+// Tests for clinician report generation
+import {
+  buildSessionsCsv, buildReportSummary, renderReportHtml, resolveRange, buildInterruptionSummary
+} from '../../js/report.js';
+
+describe('Clinician Report', () => {
+  const seed = (id, sessions) => {
+    localStorage.setItem(`FPR_v1_sessions:${id}`, JSON.stringify(JSON.stringify(sessions)));
+  };
+
+  const at = (ymd, hour = 12) => new Date(`${ymd}T${String(hour).padStart(2, '0')}:00:00.000Z`).getTime();
+
+  beforeEach(() => {
+    localStorage.clear();
+    seed('bubble', [
+      { id: 'bubble', difficulty: 'easy', score: 100, accuracy: 80, timestamp: at('2024-01-02') },
+      { id: 'bubble', difficulty: 'medium', score: 150, accuracy: 90, reactionTime: 420, timestamp: at('2024-01-12') },
+      { id: 'bubble', difficulty: 'medium', score: 999, timestamp: at('2023-12-01') }
+    ]);
+    seed('saccade', [
+      { id: 'saccade', difficulty: 'hard', score: 40, timestamp: at('2024-01-12', 15) }
+    ]);
+  });
+
+  test('should default to the last 30 days', () => {
+    expect(resolveRange()).toEqual({ from: '2023-12-17', to: '2024-01-15' });
+    expect(() => resolveRange({ from: '2024-01-10', to: '2024-01-01' })).toThrow(/on or before/);
+  });
+
+  test('should export one CSV row per session in range, oldest first', async () => {
+    const lines = (await buildSessionsCsv({ from: '2024-01-01', to: '2024-01-15' })).split('\r\n');
+
+    expect(lines[0]).toBe('date,time,exercise,exerciseName,category,difficulty,score,accuracy,reactionTime,perfects,streak');
+    expect(lines).toHaveLength(4);
+    expect(lines[1]).toBe('2024-01-02,12:00,bubble,Bubble Tap,coordination,easy,100,80,,,');
+    expect(lines[3]).toBe('2024-01-12,15:00,saccade,Saccade Training,visual,hard,40,,,,');
+  });
+
+  test('should quote CSV cells containing separators', async () => {
+    seed('comet', [{ id: 'comet', difficulty: 'say "hi", ok', score: 1, timestamp: at('2024-01-05') }]);
+    const csv = await buildSessionsCsv({ from: '2024-01-05', to: '2024-01-05' });
+    expect(csv).toContain('"say ""hi"", ok"');
+  });
+
+  test('should summarise adherence, bests and category trends', async () => {
+    const summary = await buildReportSummary({ from: '2024-01-01', to: '2024-01-14' });
+
+    expect(summary.adherence).toMatchObject({ activeDays: 2, daysInRange: 14, sessionsPerActiveDay: 1.5 });
+    expect(summary.exercises.find(e => e.id === 'bubble')).toMatchObject({
+      sessions: 2, best: 150, average: 125, accuracy: 85, reactionTime: 420
+    });
+    expect(summary.categories.find(c => c.id === 'coordination').trend).toBeCloseTo(0.5);
+    expect(summary.categories.find(c => c.id === 'visual').trend).toBeNull();
+  });
+
+  test('should render a print-ready document', async () => {
+    const html = renderReportHtml(await buildReportSummary({ from: '2024-01-01', to: '2024-01-14' }));
+
+    expect(html).toContain('@media print');
+    expect(html).toContain('2024-01-01 to 2024-01-14');
+    expect(html).toContain('<td>Bubble Tap</td>');
+    expect(html).toContain('<td>Hand-Eye Coordination</td><td class="num">2</td>');
+    expect(html).toContain('No interruption data in this period.');
+  });
+
+  test('should summarise how often and why sessions were interrupted', async () => {
+    seed('comet', [
+      {
+        id: 'comet', difficulty: 'easy', score: 5, timestamp: at('2024-01-05'), pauseCount: 3, pausedMs: 90_000,
+        pauseReasons: { user: { count: 1, ms: 10_000 }, hidden: { count: 2, ms: 80_000 } }
+      },
+      { id: 'comet', difficulty: 'easy', score: 6, timestamp: at('2024-01-06'), pauseCount: 0, pausedMs: 0, pauseReasons: {} },
+      {
+        id: 'comet', difficulty: 'easy', score: 7, timestamp: at('2024-01-07'), pauseCount: 1, pausedMs: 30_000,
+        pauseReasons: { fatigue: { count: 1, ms: 30_000 } }
+      }
+    ]);
+    const range = { from: '2024-01-01', to: '2024-01-14' };
+
+    // Older sessions without pause tracking are left out
+    expect(await buildInterruptionSummary(range)).toEqual({
+      sessions: 3,
+      interruptedSessions: 2,
+      pauseCount: 4,
+      pausedMs: 120_000,
+      pausesPerSession: 4 / 3,
+      reasons: [
+        { reason: 'hidden', label: 'App left in the background', count: 2, ms: 80_000 },
+        { reason: 'user', label: 'Paused by the patient', count: 1, ms: 10_000 },
+        { reason: 'fatigue', label: 'Rests after a fatigue prompt', count: 1, ms: 30_000 }
+      ]
+    });
+
+    const html = renderReportHtml(await buildReportSummary(range));
+    expect(html).toContain('<strong>2 / 3</strong> sessions interrupted');
+    expect(html).toContain('<td>App left in the background</td><td class="num">2</td><td class="num">1.3 min</td>');
+  });
+});
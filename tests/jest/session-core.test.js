@@ -0,0 +1,172 @@
+// Tests for the drift-free session clock
+import { createSession, normalizeIntervalPlan } from '../../js/session-core.js';
+
+describe('Session Clock', () => {
+  let session;
+
+  afterEach(() => {
+    session?.destroy();
+    session = null;
+  });
+
+  test('should count wall time, not ticks, when ticks are delayed', () => {
+    let clock = 0;
+    const onEnd = jest.fn();
+    session = createSession({ durationMs: 60_000, onEnd, now: () => clock });
+    session.start();
+
+    // A throttled tab: 30s pass between two interval callbacks
+    clock += 30_000;
+    jest.advanceTimersByTime(100);
+    expect(session.timeRemaining()).toBe(30_000);
+
+    clock += 30_000;
+    jest.advanceTimersByTime(100);
+    expect(onEnd).toHaveBeenCalledTimes(1);
+    expect(session.isEnded()).toBe(true);
+    expect(session.timeRemaining()).toBe(0);
+  });
+
+  test('should emit typed events through subscribe', () => {
+    session = createSession({ durationMs: 5_000, warningsAt: [3] });
+    const events = [];
+    ['start', 'pause', 'resume', 'warning', 'end'].forEach(type => {
+      session.subscribe(type, (event) => events.push(event));
+    });
+    const ticks = jest.fn();
+    const unsubscribe = session.subscribe('tick', ticks);
+
+    session.start();
+    jest.advanceTimersByTime(1_000);
+    session.pause();
+    session.resume();
+    jest.advanceTimersByTime(1_000);
+    unsubscribe();
+    jest.advanceTimersByTime(5_000);
+
+    expect(events.map(e => e.type)).toEqual(['start', 'pause', 'resume', 'warning', 'end']);
+    expect(events[3]).toMatchObject({ secondsLeft: 3, remainingMs: 3_000 });
+    expect(events[4]).toMatchObject({ reason: 'complete', remainingMs: 0, elapsedMs: 5_000 });
+    expect(ticks.mock.calls.length).toBeGreaterThan(0);
+    expect(() => session.subscribe('lap', () => {})).toThrow(/Unknown session event/);
+  });
+
+  test('should keep paused time out of the active time', () => {
+    session = createSession({ durationMs: 10_000 });
+    session.start();
+    jest.advanceTimersByTime(2_000);
+    session.pause();
+    jest.advanceTimersByTime(4_000);
+    session.resume();
+    jest.advanceTimersByTime(1_000);
+
+    expect(session.elapsedActive()).toBe(3_000);
+    expect(session.elapsedPaused()).toBe(4_000);
+    expect(session.timeRemaining()).toBe(7_000);
+  });
+
+  test('should end early once and report the reason', () => {
+    const onEnd = jest.fn();
+    const ends = [];
+    session = createSession({ durationMs: 10_000, onEnd });
+    session.subscribe('end', (event) => ends.push(event.reason));
+    session.start();
+    session.end();
+    session.end();
+
+    expect(onEnd).toHaveBeenCalledTimes(1);
+    expect(ends).toEqual(['ended']);
+  });
+
+  test('should drive ticks from animation frames when asked', () => {
+    const onTick = jest.fn();
+    session = createSession({ durationMs: 1_000, onTick, useAnimationFrame: true });
+    session.start();
+    jest.advanceTimersByTime(200);
+
+    // ~60 frames a second rather than one tick per 100ms
+    expect(onTick.mock.calls.length).toBeGreaterThan(10);
+    expect(session.timeRemaining()).toBe(800);
+  });
+
+  test('should pause when the page is hidden', () => {
+    session = createSession({ durationMs: 10_000 });
+    session.start();
+    Object.defineProperty(document, 'hidden', { configurable: true, get: () => true });
+    document.dispatchEvent(new Event('visibilitychange'));
+    delete document.hidden;
+
+    expect(session.isPaused()).toBe(true);
+    expect(session.pausedFor()).toBe('hidden');
+  });
+
+  test('should tally interruptions by reason', () => {
+    const onPauseChange = jest.fn();
+    session = createSession({ durationMs: 60_000, onPauseChange });
+    const pauses = [];
+    session.subscribe('pause', (event) => pauses.push(event.reason));
+    session.start();
+
+    session.pause();
+    jest.advanceTimersByTime(2_000);
+    session.resume();
+    session.pause('hidden');
+    jest.advanceTimersByTime(10_000);
+    session.resume();
+    session.rest(3_000, 'fatigue');
+    jest.advanceTimersByTime(5_000);
+
+    expect(pauses).toEqual(['user', 'hidden']);
+    expect(onPauseChange).toHaveBeenCalledWith(true, 'hidden');
+    expect(onPauseChange).toHaveBeenLastCalledWith(false, 'hidden');
+    expect(session.interruptions()).toEqual({
+      user: { count: 1, ms: 2_000 },
+      hidden: { count: 1, ms: 10_000 },
+      fatigue: { count: 1, ms: 3_000 }
+    });
+    expect(session.elapsedPaused()).toBe(12_000);
+  });
+
+  test('should run an interval plan with rests that do not count as work', () => {
+    const events = [];
+    session = createSession({ durationMs: 1, intervals: { intervals: 3, workMs: 10_000, restMs: 5_000 } });
+    ['rest', 'work', 'end'].forEach(type => session.subscribe(type, (event) => events.push(event)));
+    session.start();
+    expect(session.timeRemaining()).toBe(30_000);
+
+    jest.advanceTimersByTime(10_000);
+    expect(session.isResting()).toBe(true);
+    expect(session.timeRemaining()).toBe(20_000);
+
+    jest.advanceTimersByTime(5_000);
+    expect(session.isResting()).toBe(false);
+    jest.advanceTimersByTime(10_000);
+    session.skipRest();
+    jest.advanceTimersByTime(10_000);
+
+    expect(events.map(e => `${e.type}:${e.interval}`)).toEqual(['rest:2', 'work:2', 'rest:3', 'work:3', 'end:3']);
+    expect(events[0]).toMatchObject({ restMs: 5_000, early: false, resting: true });
+    expect(session.elapsedActive()).toBe(30_000);
+    expect(session.elapsedResting()).toBe(5_000);
+  });
+
+  test('should take an early rest on request', () => {
+    session = createSession({ durationMs: 10_000 });
+    expect(session.rest(3_000)).toBe(false); // not started
+    session.start();
+    jest.advanceTimersByTime(2_000);
+    expect(session.rest(3_000)).toBe(true);
+    jest.advanceTimersByTime(3_000);
+
+    expect(session.isResting()).toBe(false);
+    expect(session.timeRemaining()).toBe(8_000);
+    expect(session.elapsedResting()).toBe(3_000);
+  });
+
+  test('should validate interval plans', () => {
+    expect(normalizeIntervalPlan(null)).toBeNull();
+    expect(() => normalizeIntervalPlan({ intervals: 0, workMs: 45_000, restMs: 15_000 })).toThrow(/1 to 20/);
+    expect(() => normalizeIntervalPlan({ intervals: 4, workMs: 1_000, restMs: 15_000 })).toThrow(/at least 5 seconds/);
+    expect(() => normalizeIntervalPlan({ intervals: 20, workMs: 600_000, restMs: 0 })).toThrow(/60 minutes/);
+  });
+});
@@ -0,0 +1,145 @@
+// Tests for the session store's IndexedDB backend (fake-indexeddb stands in for the browser)
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+import { serialize, deserialize } from 'v8';
+
+const at = (ymd) => new Date(`${ymd}T12:00:00.000Z`).getTime();
+
+// Open the database as the first build did (DB_VERSION 1, records keyed by exercise + timestamp)
+function seedVersion1(records) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open('FinePointRehab', 1);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore('sessions', { keyPath: ['id', 'timestamp'] });
+      store.createIndex('exercise', ['id', 'timestamp']);
+      store.createIndex('difficulty', ['difficulty', 'timestamp']);
+      store.createIndex('day', 'day');
+      store.createIndex('timestamp', 'timestamp');
+      records.forEach(record => store.put(record));
+    };
+    request.onsuccess = () => {
+      request.result.close();
+      resolve();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+describe('Session Store (IndexedDB)', () => {
+  let sessionStore;
+  let profiles;
+  let storage;
+  let buildReportSummary;
+
+  // The backend is chosen once per module load, so each test loads a fresh copy
+  const load = async () => {
+    jest.resetModules();
+    ({ sessionStore } = await import('../../js/session-store.js'));
+    ({ profiles, storage } = await import('../../js/utils.js'));
+    ({ buildReportSummary } = await import('../../js/report.js'));
+  };
+
+  beforeEach(() => {
+    // fake-indexeddb schedules its callbacks with setImmediate, which fake timers would hold back
+    jest.useRealTimers();
+    global.indexedDB = new IDBFactory();
+    global.IDBKeyRange = IDBKeyRange;
+    // jsdom has no structuredClone, which fake-indexeddb copies records with
+    global.structuredClone = (value) => deserialize(serialize(value));
+  });
+
+  afterAll(() => {
+    delete global.indexedDB;
+    delete global.IDBKeyRange;
+    delete global.structuredClone;
+  });
+
+  test('should upsert by exercise and timestamp and answer range queries from the indexes', async () => {
+    await load();
+    expect(await sessionStore.ready()).toBe('indexedDB');
+
+    await sessionStore.addMany([
+      { id: 'bubble', difficulty: 'easy', score: 10, timestamp: at('2024-01-01'), timeZone: 'UTC' },
+      { id: 'bubble_tap', difficulty: 'hard', score: 20, timestamp: at('2024-01-05'), timeZone: 'UTC' },
+      { id: 'comet', difficulty: 'hard', score: 30, timestamp: at('2024-01-10'), timeZone: 'UTC' }
+    ]);
+    // Same exercise and timestamp replaces the record instead of adding one
+    await sessionStore.add({ id: 'bubble', difficulty: 'easy', score: 15, timestamp: at('2024-01-01'), timeZone: 'UTC' });
+
+    expect(await sessionStore.count()).toBe(3);
+    expect((await sessionStore.query({ exerciseId: 'bubble' })).map(s => s.score)).toEqual([15, 20]);
+    expect((await sessionStore.query({ difficulty: 'hard', newestFirst: true })).map(s => s.score)).toEqual([30, 20]);
+    expect((await sessionStore.query({ since: at('2024-01-02'), until: at('2024-01-10') })).map(s => s.id))
+      .toEqual(['bubble', 'comet']);
+    expect((await sessionStore.query({ exerciseId: 'comet', since: at('2024-01-11') }))).toEqual([]);
+    expect((await sessionStore.queryDays('2024-01-05', '2024-01-10', { difficulty: 'hard' })).map(s => s.day))
+      .toEqual(['2024-01-05', '2024-01-10']);
+  });
+
+  test('should keep each profile to its own records', async () => {
+    await load();
+    await sessionStore.add({ id: 'maze', score: 5, timestamp: at('2024-01-03') });
+
+    const other = profiles.create('Sam');
+    profiles.switchTo(other.id);
+    expect(await sessionStore.count()).toBe(0);
+    await sessionStore.add({ id: 'maze', score: 7, timestamp: at('2024-01-03') });
+    expect(await sessionStore.clear()).toBe(true);
+    expect(await sessionStore.count()).toBe(0);
+
+    profiles.switchTo('default');
+    expect((await sessionStore.query()).map(s => s.score)).toEqual([5]);
+  });
+
+  test('should move version 1 records to the default profile on upgrade', async () => {
+    await seedVersion1([
+      { id: 'sort', difficulty: 'medium', score: 40, timestamp: at('2023-12-30'), day: '2023-12-30' }
+    ]);
+    await load();
+
+    expect(await sessionStore.ready()).toBe('indexedDB');
+    expect(await sessionStore.query({ exerciseId: 'sort' })).toEqual([
+      expect.objectContaining({ profile: 'default', id: 'sort', score: 40 })
+    ]);
+  });
+
+  test('should fold the localStorage history in when the archive opens', async () => {
+    localStorage.setItem('FPR_v1_sessions:rhythm', JSON.stringify(JSON.stringify([
+      { id: 'rhythm', score: 12, timestamp: at('2024-01-02') }
+    ])));
+    await load();
+
+    expect(await sessionStore.ready()).toBe('indexedDB');
+    localStorage.clear();
+    expect((await sessionStore.query()).map(s => s.id)).toEqual(['rhythm']);
+  });
+
+  test("should fold another profile's localStorage history in once it is active", async () => {
+    await load();
+    expect(await sessionStore.ready()).toBe('indexedDB');
+
+    // Sam's list was written before this page load opened the archive
+    const sam = profiles.create('Sam');
+    profiles.switchTo(sam.id);
+    storage.set('sessions:rhythm', JSON.stringify([{ id: 'rhythm', score: 9, timestamp: at('2024-01-04') }]));
+    expect((await sessionStore.query()).map(s => s.score)).toEqual([9]);
+
+    // Clearing empties the list as well, so a later load can't fold it back in
+    expect(await sessionStore.clear()).toBe(true);
+    expect(JSON.parse(storage.get('sessions:rhythm'))).toEqual([]);
+    profiles.switchTo('default');
+    expect(await sessionStore.count()).toBe(0);
+  });
+
+  test('should build reports from the archive, not the capped localStorage lists', async () => {
+    await load();
+    // Archived sessions older than what the localStorage lists still hold
+    await sessionStore.addMany(Array.from({ length: 120 }, (_, i) => (
+      { id: 'maze', difficulty: 'easy', score: i, timestamp: at('2023-06-01') + i * 60_000, timeZone: 'UTC' }
+    )));
+    localStorage.setItem('FPR_v1_sessions:maze', JSON.stringify(JSON.stringify([])));
+
+    const summary = await buildReportSummary({ from: '2023-06-01', to: '2023-06-01' });
+    expect(summary.sessionCount).toBe(120);
+    expect(summary.exercises[0]).toMatchObject({ id: 'maze', best: 119 });
+  });
+});
@@ -0,0 +1,60 @@
+// Tests for the session store's localStorage fallback (jsdom has no IndexedDB)
+import { sessionStore } from '../../js/session-store.js';
+import { recordSession, resetProgress } from '../../js/progress.js';
+
+describe('Session Store', () => {
+  const at = (ymd) => new Date(`${ymd}T12:00:00.000Z`).getTime();
+
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test('should fall back to localStorage when IndexedDB is unavailable', async () => {
+    expect(await sessionStore.ready()).toBe('localStorage');
+  });
+
+  test('should not duplicate sessions already recorded by recordSession', async () => {
+    recordSession('bubble', 'easy', 100);
+    await sessionStore.ready();
+
+    expect(await sessionStore.count({ exerciseId: 'bubble' })).toBe(1);
+  });
+
+  test('should filter by exercise, difficulty and time range', async () => {
+    await sessionStore.addMany([
+      { id: 'bubble', difficulty: 'easy', score: 10, timestamp: at('2024-01-01') },
+      { id: 'bubble_tap', difficulty: 'hard', score: 20, timestamp: at('2024-01-05') },
+      { id: 'comet', difficulty: 'hard', score: 30, timestamp: at('2024-01-10') }
+    ]);
+
+    expect((await sessionStore.query({ exerciseId: 'bubble' })).map(s => s.score)).toEqual([10, 20]);
+    expect((await sessionStore.query({ difficulty: 'hard', newestFirst: true })).map(s => s.score)).toEqual([30, 20]);
+    expect((await sessionStore.query({ since: at('2024-01-02'), until: at('2024-01-10') })).map(s => s.id))
+      .toEqual(['bubble', 'comet']);
+    expect((await sessionStore.queryDays('2024-01-05', '2024-01-10')).map(s => s.day))
+      .toEqual(['2024-01-05', '2024-01-10']);
+    expect(await sessionStore.query({ limit: 1 })).toHaveLength(1);
+    // A day key is a caller bug, not an empty range
+    await expect(sessionStore.query({ since: '2024-01-02' })).rejects.toThrow('Session query since must be a timestamp');
+  });
+
+  test('should clear every stored session', async () => {
+    await sessionStore.add({ id: 'comet', score: 5, timestamp: at('2024-01-03') });
+    await sessionStore.clear();
+
+    expect(await sessionStore.count()).toBe(0);
+  });
+
+  test('should leave progress alone when a reset cannot clear the archive', async () => {
+    recordSession('comet', 'easy', 40);
+    const clear = jest.spyOn(sessionStore, 'clear').mockResolvedValue(false);
+
+    expect(await resetProgress()).toEqual({ success: false, message: 'Failed to clear session history; nothing was reset' });
+    expect(localStorage.getItem('FPR_v1_totalSessions')).toBe('"1"');
+    expect(await sessionStore.count()).toBe(1);
+
+    clear.mockRestore();
+    expect((await resetProgress()).success).toBe(true);
+    expect(await sessionStore.count()).toBe(0);
+  });
+});
@@ -0,0 +1,108 @@
+// Tests for the streak policy engine
+import {
+  advanceStreak, currentStreak, normalizeStreakPolicy, setStreakPolicy, getStreakPolicy, DEFAULT_STREAK_POLICY
+} from '../../js/streak-policy.js';
+import { updateStreak, exportData, importData } from '../../js/progress.js';
+
+describe('Streak Policy', () => {
+  // Replay practice days through the engine, returning the final state
+  const replay = (days, policy, state = {}) => days.reduce((s, day) => advanceStreak(s, day, policy), state);
+
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe('daily', () => {
+    test('should keep the Fri → Mon amnesty by default', () => {
+      expect(replay(['2024-01-11', '2024-01-12', '2024-01-15'], DEFAULT_STREAK_POLICY).streak).toBe(3);
+      expect(replay(['2024-01-11', '2024-01-15'], DEFAULT_STREAK_POLICY).streak).toBe(1);
+    });
+
+    test('should reset over a weekend when the amnesty is off', () => {
+      expect(replay(['2024-01-12', '2024-01-15'], { type: 'daily', weekendAmnesty: false }).streak).toBe(1);
+    });
+
+    test('should ignore out-of-order days and repeat sessions', () => {
+      const state = replay(['2024-01-10', '2024-01-11'], DEFAULT_STREAK_POLICY);
+      expect(advanceStreak(state, '2024-01-09', DEFAULT_STREAK_POLICY)).toBeNull();
+      expect(advanceStreak(state, '2024-01-11', DEFAULT_STREAK_POLICY).streak).toBe(2);
+    });
+  });
+
+  describe('weekly', () => {
+    const threeTimes = { type: 'weekly', timesPerWeek: 3 };
+
+    test('should allow gaps while each week meets its target', () => {
+      // Mon/Wed/Fri for two weeks
+      const days = ['2024-01-01', '2024-01-03', '2024-01-05', '2024-01-08', '2024-01-10', '2024-01-12'];
+      expect(replay(days, threeTimes)).toMatchObject({ streak: 6, weekDays: 3 });
+    });
+
+    test('should reset when a finished week fell short', () => {
+      expect(replay(['2024-01-01', '2024-01-03', '2024-01-08'], threeTimes).streak).toBe(1);
+    });
+
+    test('should not break mid-week before the target is due', () => {
+      const state = replay(['2024-01-01', '2024-01-02', '2024-01-03'], threeTimes);
+      expect(currentStreak(state, '2024-01-07', threeTimes)).toBe(3);
+      expect(currentStreak(replay(['2024-01-01'], threeTimes), '2024-01-09', threeTimes)).toBe(0);
+    });
+  });
+
+  describe('rest days', () => {
+    test('should skip prescribed rest weekdays', () => {
+      const policy = { type: 'restDays', restDays: [3, 5, 0] }; // Wed, Fri and Sun
+      expect(replay(['2024-01-02', '2024-01-04', '2024-01-06', '2024-01-08'], policy).streak).toBe(4);
+      expect(replay(['2024-01-02', '2024-01-05'], policy).streak).toBe(1);
+    });
+  });
+
+  describe('freezes', () => {
+    const daily = { type: 'daily', weekendAmnesty: false, freezes: true };
+    const week = ['2024-01-01', '2024-01-02', '2024-01-03', '2024-01-04', '2024-01-05', '2024-01-06', '2024-01-07'];
+
+    test('should earn a freeze every 7 streak days and spend it on a missed day', () => {
+      const earned = replay(week, daily);
+      expect(earned).toMatchObject({ streak: 7, freezes: 1, earnedFreeze: true });
+
+      const saved = advanceStreak(earned, '2024-01-09', daily);
+      expect(saved).toMatchObject({ streak: 8, freezes: 0, usedFreezes: 1 });
+    });
+
+    test('should reset when the gap needs more freezes than are held', () => {
+      const state = advanceStreak(replay(week, daily), '2024-01-10', daily);
+      expect(state).toMatchObject({ streak: 1, freezes: 1, usedFreezes: 0 });
+    });
+
+    test('should not earn freezes when they are disabled', () => {
+      expect(replay(week, { type: 'daily' }).freezes).toBe(0);
+    });
+  });
+
+  test('should validate policies', () => {
+    expect(() => normalizeStreakPolicy({ type: 'monthly' })).toThrow(/Unknown streak policy/);
+    expect(() => normalizeStreakPolicy({ type: 'weekly', timesPerWeek: 8 })).toThrow(/1 to 7/);
+    expect(() => normalizeStreakPolicy({ type: 'restDays', restDays: [0, 1, 2, 3, 4, 5, 6] })).toThrow(/practice day/);
+    expect(normalizeStreakPolicy({ type: 'restDays', restDays: [6, 0, 6] }).restDays).toEqual([0, 6]);
+  });
+
+  test('should apply the stored policy in updateStreak and export it', async () => {
+    setStreakPolicy({ type: 'weekly', timesPerWeek: 2 });
+    updateStreak('2024-01-01');
+    updateStreak('2024-01-05');
+    expect(updateStreak('2024-01-08')).toBe(3);
+
+    const bundle = exportData();
+    expect(bundle.sections.streak).toEqual({
+      policy: { type: 'weekly', timesPerWeek: 2, freezes: false },
+      freezes: 0,
+      weekDays: 1,
+      dayStartHour: 0
+    });
+
+    localStorage.clear();
+    expect(getStreakPolicy()).toEqual(DEFAULT_STREAK_POLICY);
+    expect((await importData(bundle)).sections.streak.status).toBe('imported');
+    expect(getStreakPolicy()).toMatchObject({ type: 'weekly', timesPerWeek: 2 });
+  });
+});
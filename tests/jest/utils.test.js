@@ -1,7 +1,10 @@
 // tests/jest/utils.test.js - FIXED VERSION
 // Tests for utility functions that work with the actual storage system
 
-import { storage, clearAllFPRData } from '../../js/utils.js';
+import { storage, clearAllFPRData, runMigrations, restoreMigrationBackup, getSchemaVersion, MIGRATIONS, profiles, clinician, MAX_PIN_ATTEMPTS } from '../../js/utils.js';
+import { exportData, importData, resetProgress } from '../../js/progress.js';
+import { webcrypto } from 'crypto';
+import { getStats, getSessionHistory, getPersonalBest } from '../../js/progress.js';
 
 describe('Utility Functions', () => {
   beforeEach(() => {
@@ -71,7 +74,7 @@ describe('Utility Functions', () => {
 
       // Verify FPR data removed but other data remains
       expect(localStorage.getItem('FPR_v1_points')).toBeNull();
-      expect(localStorage.getItem('FPR_v1_level')).toBeNull();
+      expect(localStorage.getItem('FPR_v1_bonusPoints')).toBeNull();
       expect(localStorage.getItem('other_app_data')).toBe('should_remain');
     });
 
@@ -85,7 +88,7 @@ describe('Utility Functions', () => {
 
       // Verify all FPR data cleared
       expect(localStorage.getItem('FPR_v1_points')).toBeNull();
-      expect(localStorage.getItem('FPR_v1_level')).toBeNull();
+      expect(localStorage.getItem('FPR_v1_bonusPoints')).toBeNull();
       expect(localStorage.getItem('FPR_v1_sessions')).toBeNull();
       expect(localStorage.getItem('FPR_v1_achievements')).toBeNull();
       
@@ -284,4 +287,318 @@ describe('Utility Functions', () => {
       expect(storage.has('nonexistentKey')).toBe(false);
     });
   });
-});
\ No newline at end of file
+
+  describe('Schema Migrations', () => {
+    const latest = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+    const seedLegacyData = () => {
+      localStorage.setItem('FPR_v1_FPR_v1_unlock:comet:hard', 'true');
+      localStorage.setItem('FPR_v1_sessions:bubble_tap', JSON.stringify(JSON.stringify([
+        { id: 'bubble_tap', score: 50, timestamp: Date.UTC(2024, 0, 10, 12) }
+      ])));
+      localStorage.setItem('FPR_v1_exercise:bubble_tap:sessions', '"1"');
+      localStorage.setItem('FPR_v1_exercise:bubble_tap:best', '"50"');
+      localStorage.setItem('FPR_v1_totalSessions', '"1"');
+      // Same session as above as the page logged it, plus one only the page saw
+      localStorage.setItem('FPR_v1_SESSIONS_bubble_tap', JSON.stringify([
+        { score: 80, acc: 92, avg: 410, ts: Date.UTC(2024, 0, 12, 12) },
+        { score: 50, acc: 70, ts: Date.UTC(2024, 0, 10, 12) + 20 }
+      ]));
+      localStorage.setItem('comet:best', '300');
+    };
+
+    test('should fold legacy keys into the canonical layout', () => {
+      seedLegacyData();
+
+      const result = runMigrations();
+
+      expect(result.error).toBeUndefined();
+      expect(result.toVersion).toBe(latest);
+      expect(getSchemaVersion()).toBe(latest);
+      expect(storage.get('unlock:comet:hard')).toBe(true);
+      expect(localStorage.getItem('FPR_v1_FPR_v1_unlock:comet:hard')).toBeNull();
+      expect(localStorage.getItem('FPR_v1_sessions:bubble_tap')).toBeNull();
+      expect(getSessionHistory('bubble').map(s => s.score)).toEqual([80, 50]);
+      expect(getSessionHistory('bubble')[0]).toMatchObject({ accuracy: 92, reactionTime: 410, source: 'legacy' });
+      expect(getPersonalBest('bubble')).toBe(80);
+      expect(getPersonalBest('comet')).toBe(300);
+      expect(getStats().totalSessions).toBe(2);
+      // Pages still read their own keys
+      expect(localStorage.getItem('comet:best')).toBe('300');
+    });
+
+    test('should report changes without writing in dry-run mode', () => {
+      seedLegacyData();
+      const before = localStorage.length;
+
+      const result = runMigrations({ dryRun: true });
+
+      expect(result.dryRun).toBe(true);
+      expect(result.applied.map(m => m.version)).toEqual(MIGRATIONS.map(m => m.version));
+      expect(result.applied[0].changes).toContainEqual(
+        expect.objectContaining({ op: 'remove', key: 'FPR_v1_FPR_v1_unlock:comet:hard' })
+      );
+      expect(getSchemaVersion()).toBe(0);
+      expect(localStorage.getItem('FPR_v1_FPR_v1_unlock:comet:hard')).toBe('true');
+      expect(localStorage.getItem('FPR_v1_migrationBackup')).toBeNull();
+      expect(localStorage.length).toBe(before);
+    });
+
+    test('should only run migrations newer than the stored version', () => {
+      const migrate = jest.fn();
+      storage.set('schemaVersion', 1);
+
+      const result = runMigrations({ migrations: [{ version: 1, migrate }, { version: 2, migrate }] });
+
+      expect(migrate).toHaveBeenCalledTimes(1);
+      expect(result).toMatchObject({ fromVersion: 1, toVersion: 2 });
+    });
+
+    test('should leave storage untouched when a migration throws', () => {
+      const result = runMigrations({
+        migrations: [
+          { version: 1, migrate: (tx) => tx.set('FPR_v1_points', '999') },
+          { version: 2, migrate: () => { throw new Error('boom'); } }
+        ]
+      });
+
+      expect(result.error).toMatch(/Migration 2 failed: boom/);
+      expect(localStorage.getItem('FPR_v1_points')).toBe('100');
+      expect(getSchemaVersion()).toBe(0);
+    });
+
+    test('should undo only its own writes when storage fills up', () => {
+      // Left by an earlier run; must not be restored over newer data
+      localStorage.setItem('FPR_v1_migrationBackup', JSON.stringify({ fromVersion: 0, keys: { FPR_v1_streak: '"9"' } }));
+      localStorage.setItem('FPR_v1_streak', '"2"');
+      const migrations = [{ version: 1, migrate: (tx) => {
+        tx.set('FPR_v1_points', '999');
+        tx.set('FPR_v1_bonusPoints', '5');
+      } }];
+      const originalSetItem = localStorage.setItem;
+      const failOn = (failing) => {
+        localStorage.setItem = jest.fn((key, value) => {
+          if (key === failing) throw new Error('Storage quota exceeded');
+          return originalSetItem.call(localStorage, key, value);
+        });
+      };
+
+      try {
+        failOn('FPR_v1_migrationBackup');
+        expect(runMigrations({ migrations }).error).toMatch(/Migration write failed/);
+        failOn('FPR_v1_bonusPoints');
+        expect(runMigrations({ migrations }).error).toMatch(/Migration write failed/);
+      } finally {
+        localStorage.setItem = originalSetItem;
+      }
+
+      expect(localStorage.getItem('FPR_v1_points')).toBe('100');
+      expect(localStorage.getItem('FPR_v1_bonusPoints')).toBeNull();
+      expect(localStorage.getItem('FPR_v1_streak')).toBe('"2"');
+      expect(getSchemaVersion()).toBe(0);
+    });
+
+    test('should fold exercise-page achievements into the registry', () => {
+      localStorage.setItem('FPR_v1_achievements', JSON.stringify(JSON.stringify(['firstSteps'])));
+      // The scanner and sort pages wrote these raw keys whichever profile was active
+      localStorage.setItem('visual-scanner:achievements', JSON.stringify(['sharp_eye']));
+      localStorage.setItem('sort-categorize:achievements', JSON.stringify(['firstPerfect']));
+      localStorage.setItem('trace-reveal:achievements', JSON.stringify(['first-shape', 'ten-shapes']));
+      localStorage.setItem('trace-reveal:totalShapes', '12');
+      localStorage.setItem('achievements', JSON.stringify(['alphabet']));
+      // trace-reveal namespaced its keys per profile
+      localStorage.setItem('FPR_v1_profiles', JSON.stringify([{ id: 'p2', name: 'Sam' }]));
+      localStorage.setItem('FPR_v1_p:p2:trace-reveal:achievements', JSON.stringify(['first-shape']));
+      localStorage.setItem('FPR_v1_p:p2:trace-reveal:totalShapes', '3');
+
+      runMigrations();
+
+      expect(JSON.parse(storage.get('achievements'))).toEqual([
+        'firstSteps', 'scanner:sharp_eye', 'sort:firstPerfect', 'trace:first-shape', 'trace:ten-shapes', 'letter-trace:alphabet'
+      ]);
+      expect(JSON.parse(storage.get('achievementTotals'))).toEqual({ trace: { shapes: 12 } });
+      expect(localStorage.getItem('visual-scanner:achievements')).toBeNull();
+      expect(localStorage.getItem('sort-categorize:achievements')).toBeNull();
+      expect(localStorage.getItem('trace-reveal:achievements')).toBeNull();
+      expect(localStorage.getItem('achievements')).toBeNull();
+      expect(localStorage.getItem('trace-reveal:totalShapes')).toBe('12');
+
+      expect(JSON.parse(JSON.parse(localStorage.getItem('FPR_v1_p:p2:achievements')))).toEqual(['trace:first-shape']);
+      expect(JSON.parse(JSON.parse(localStorage.getItem('FPR_v1_p:p2:achievementTotals')))).toEqual({ trace: { shapes: 3 } });
+      expect(localStorage.getItem('FPR_v1_p:p2:trace-reveal:achievements')).toBeNull();
+    });
+
+    test('should keep the tier of achievements unlocked before tiers', () => {
+      localStorage.setItem('FPR_v1_achievements', JSON.stringify(JSON.stringify(['firstSteps', 'dedicated'])));
+      localStorage.setItem('FPR_v1_achievement_dedicated_date', JSON.stringify('2023-11-02T09:00:00.000Z'));
+      localStorage.setItem('FPR_v1_profiles', JSON.stringify([{ id: 'p2', name: 'Sam' }]));
+      localStorage.setItem('FPR_v1_p:p2:achievements', JSON.stringify(JSON.stringify(['consistent'])));
+
+      runMigrations();
+
+      expect(JSON.parse(storage.get('achievementTiers'))).toEqual({ dedicated: 'silver' });
+      expect(storage.get('achievement_dedicated_silver_date')).toBe('2023-11-02T09:00:00.000Z');
+      expect(JSON.parse(JSON.parse(localStorage.getItem('FPR_v1_p:p2:achievementTiers')))).toEqual({ consistent: 'bronze' });
+    });
+
+    test('should keep difficulties already played unlocked', () => {
+      localStorage.setItem('FPR_v1_sessions:comet', JSON.stringify(JSON.stringify([
+        { id: 'comet', difficulty: 'easy', score: 100, timestamp: Date.UTC(2024, 0, 10, 12) },
+        { id: 'comet', difficulty: 'hard', score: 300, timestamp: Date.UTC(2024, 0, 11, 12) }
+      ])));
+      localStorage.setItem('FPR_v1_sessions:maze', JSON.stringify(JSON.stringify([
+        { id: 'maze', difficulty: 'medium', score: 80, timestamp: Date.UTC(2024, 0, 12, 12) }
+      ])));
+      // Re-locked by a clinician
+      localStorage.setItem('FPR_v1_unlock:maze:medium', 'false');
+      localStorage.setItem('FPR_v1_profiles', JSON.stringify([{ id: 'p2', name: 'Sam' }]));
+      localStorage.setItem('FPR_v1_p:p2:sessions:sort', JSON.stringify(JSON.stringify([
+        { id: 'sort', difficulty: 'medium', score: 900, timestamp: Date.UTC(2024, 0, 12, 12) }
+      ])));
+
+      runMigrations();
+
+      expect(localStorage.getItem('FPR_v1_unlock:comet:hard')).toBe('true');
+      expect(localStorage.getItem('FPR_v1_unlock:comet:medium')).toBeNull();
+      expect(localStorage.getItem('FPR_v1_unlock:maze:medium')).toBe('false');
+      expect(localStorage.getItem('FPR_v1_p:p2:unlock:sort:medium')).toBe('true');
+      expect(localStorage.getItem('FPR_v1_unlock:sort:medium')).toBeNull();
+    });
+
+    test('should restore the pre-migration snapshot', () => {
+      seedLegacyData();
+      runMigrations();
+
+      expect(restoreMigrationBackup()).toBe(true);
+      expect(getSchemaVersion()).toBe(0);
+      expect(localStorage.getItem('FPR_v1_FPR_v1_unlock:comet:hard')).toBe('true');
+      expect(localStorage.getItem('FPR_v1_exercise:bubble_tap:best')).toBe('"50"');
+      expect(localStorage.getItem('FPR_v1_unlock:comet:hard')).toBeNull();
+    });
+  });
+
+  describe('Patient Profiles', () => {
+    test('should keep the default profile on the unprefixed keys', () => {
+      expect(profiles.getActive()).toMatchObject({ id: 'default', name: 'Default' });
+      storage.set('totalSessions', '3');
+      expect(localStorage.getItem('FPR_v1_totalSessions')).toBe('"3"');
+    });
+
+    test('should isolate data between profiles', () => {
+      storage.set('totalSessions', '3');
+      const sam = profiles.create('Sam');
+      profiles.switchTo(sam.id);
+
+      expect(storage.get('totalSessions')).toBeNull();
+      storage.set('totalSessions', '7');
+      expect(localStorage.getItem(`FPR_v1_p:${sam.id}:totalSessions`)).toBe('"7"');
+      expect(storage.keys()).toEqual(['totalSessions']);
+      expect(exportData().profile).toEqual({ id: sam.id, name: 'Sam' });
+
+      profiles.switchTo('default');
+      expect(storage.get('totalSessions')).toBe('3');
+      expect(storage.keys()).not.toContain(`p:${sam.id}:totalSessions`);
+    });
+
+    test('should validate names on create and rename', () => {
+      const sam = profiles.create('  Sam  ');
+      expect(sam.name).toBe('Sam');
+      expect(() => profiles.create('sam')).toThrow(/already exists/);
+      expect(() => profiles.create('   ')).toThrow(/empty/);
+      expect(() => profiles.create('x'.repeat(41))).toThrow(/40 characters/);
+
+      profiles.rename(sam.id, 'Samantha');
+      expect(profiles.list().map(p => p.name)).toEqual(['Default', 'Samantha']);
+      expect(() => profiles.rename('nope', 'Alex')).toThrow(/Unknown profile/);
+    });
+
+    test('should delete a profile with its data and fall back to the default', () => {
+      const sam = profiles.create('Sam');
+      profiles.switchTo(sam.id);
+      storage.set('totalSessions', '7');
+      storage.set('streak', '2');
+
+      expect(profiles.remove(sam.id)).toBe(2);
+      expect(profiles.getActiveId()).toBe('default');
+      expect(localStorage.getItem(`FPR_v1_p:${sam.id}:totalSessions`)).toBeNull();
+      expect(localStorage.getItem('FPR_v1_points')).toBe('100');
+      expect(() => profiles.remove('default')).toThrow(/cannot be deleted/);
+    });
+
+    test('should read and write the default profile when the active one no longer exists', () => {
+      localStorage.setItem('FPR_v1_activeProfile', 'gone');
+
+      expect(profiles.getActiveId()).toBe('default');
+      storage.set('streak', '4');
+      expect(localStorage.getItem('FPR_v1_streak')).toBe('"4"');
+      expect(localStorage.getItem('FPR_v1_p:gone:streak')).toBeNull();
+    });
+  });
+
+  describe('Clinician Mode', () => {
+    beforeAll(() => {
+      // jsdom's crypto has no SubtleCrypto; borrow Node's for PIN hashing
+      Object.defineProperty(globalThis, 'crypto', { value: webcrypto, configurable: true });
+    });
+
+    beforeEach(() => {
+      sessionStorage.clear();
+    });
+
+    test('should leave every action open until a PIN is set', async () => {
+      expect(clinician.hasPin()).toBe(false);
+      expect(clinician.isAuthorized()).toBe(true);
+      expect((await resetProgress()).success).toBe(true);
+    });
+
+    test('should store only a salted hash of the PIN', async () => {
+      expect((await clinician.setPin('12a4')).error).toMatch(/4 to 8 digits/);
+      expect((await clinician.setPin('2468')).success).toBe(true);
+
+      const stored = localStorage.getItem('FPR_v1_clinicianPin');
+      expect(stored).not.toContain('2468');
+      expect(JSON.parse(stored)).toMatchObject({ salt: expect.any(String), hash: expect.any(String) });
+    });
+
+    test('should gate destructive actions behind clinician mode', async () => {
+      await clinician.setPin('2468');
+      clinician.lock();
+
+      expect(clearAllFPRData()).toBe(false);
+      expect(localStorage.getItem('FPR_v1_points')).toBe('100');
+      expect(await resetProgress()).toMatchObject({ success: false, message: expect.stringMatching(/Clinician mode/) });
+      expect((await importData({ totalSessions: '5' })).error).toMatch(/Clinician mode/);
+      expect(() => clinician.require('reset')).toThrow('Clinician mode is required to reset');
+      expect((await clinician.setPin('1357')).success).toBe(false);
+
+      expect(await clinician.unlock('2468')).toEqual({ success: true });
+      expect(clearAllFPRData()).toBe(true);
+      expect(localStorage.getItem('FPR_v1_points')).toBeNull();
+      expect(clinician.hasPin()).toBe(true);
+    });
+
+    test('should lock out after repeated wrong PINs', async () => {
+      await clinician.setPin('2468');
+      clinician.lock();
+
+      for (let i = 1; i < MAX_PIN_ATTEMPTS; i++) {
+        expect((await clinician.unlock('0000')).attemptsLeft).toBe(MAX_PIN_ATTEMPTS - i);
+      }
+      const lockedOut = await clinician.unlock('0000');
+      expect(lockedOut.lockedUntil).toBeGreaterThan(Date.now());
+      expect((await clinician.unlock('2468')).success).toBe(false);
+
+      jest.advanceTimersByTime(5 * 60 * 1000 + 1);
+      expect((await clinician.unlock('2468')).success).toBe(true);
+      expect(clinician.getLockout()).toEqual({ failures: 0, lockedUntil: 0 });
+    });
+
+    test('should expire clinician mode after 15 minutes', async () => {
+      await clinician.setPin('2468');
+      expect(clinician.isActive()).toBe(true);
+
+      jest.advanceTimersByTime(15 * 60 * 1000 + 1);
+      expect(clinician.isAuthorized()).toBe(false);
+    });
+  });
+});